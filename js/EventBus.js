@@ -76,6 +76,25 @@ class EventBus {
     }
   }
 
+  /**
+   * Run `fn` on a bus of its own: listeners added inside hear only the
+   * events emitted inside, and listeners outside hear none of them.
+   * Lets a headless run go on beside the game (or another run) without
+   * either one seeing the other's events.
+   * @template T
+   * @param {() => T} fn - Must finish synchronously
+   * @returns {T}
+   */
+  isolate(fn) {
+    const outer = this._listeners;
+    this._listeners = new Map();
+    try {
+      return fn();
+    } finally {
+      this._listeners = outer;
+    }
+  }
+
   /**
    * Remove all listeners for an event, or all events if no event specified.
    * @param {string} [event]
@@ -0,0 +1,60 @@
+/**
+ * Combustion — Heat, ignition and spreading fire
+ *
+ * Objects give off heat: a lit candle's flame, a struck match, a burning
+ * fuse or sheet of paper. Flammable objects expose fuel points. A fuel point
+ * inside another object's heat warms that object up; once it has been
+ * heated for its ignition time it catches fire at that point. Burning
+ * objects give off heat of their own, so fire spreads from one to the
+ * next. Moving out of the heat lets an object cool straight back down.
+ * Touching a lit candle skips the wait (see Candle).
+ *
+ * An object takes part by having:
+ *   - heatSources: `{ x, y, radius }` flames in world coordinates
+ *   - fuelPoints: `{ x, y, radius? }` places it can catch, empty once it
+ *     is burning or can no longer burn, with heat / setHeat() (steps
+ *     heated without a break), ignitionTime and ignite(index)
+ *
+ * Like PowerNetwork this keeps no state of its own — heat and burning
+ * live on the objects, so snapshots restore them with everything else.
+ */
+
+import { eventBus } from '../EventBus.js';
+
+export class Combustion {
+    /**
+     * Heat every flammable object that sits in a flame; ignite the ones
+     * that have been heated long enough.
+     * @param {Iterable<import('../objects/BaseObject.js').default>} objects
+     */
+    update(objects) {
+        const sources = [];
+        const fuels = [];
+        for (const obj of objects) {
+            for (const heat of obj.heatSources ?? []) sources.push({ ...heat, obj });
+            const points = obj.fuelPoints;
+            if (points?.length > 0) fuels.push({ obj, points });
+        }
+
+        for (const { obj, points } of fuels) {
+            const index = points.findIndex(point => sources.some(heat =>
+                heat.obj !== obj &&
+                Math.hypot(point.x - heat.x, point.y - heat.y) <= heat.radius + (point.radius || 0)
+            ));
+
+            if (index === -1) {
+                obj.setHeat(0);
+                continue;
+            }
+
+            obj.setHeat(obj.heat + 1);
+            if (obj.heat >= obj.ignitionTime) {
+                obj.setHeat(0);
+                obj.ignite(index);
+                eventBus.emit('fire:ignited', { object: obj });
+            }
+        }
+    }
+}
+
+export default Combustion;
@@ -0,0 +1,146 @@
+/**
+ * Drivetrain — Passes rotation between gears, belts and rollers
+ *
+ * Objects expose drive wheels: a centre, a radius and a tooth count.
+ * Wheels are connected three ways:
+ *   - mesh: two toothed wheels whose rims touch turn in opposite
+ *     directions at the inverse ratio of their teeth
+ *   - belt: a DriveBelt whose ends sit on two wheels turns them the same
+ *     way at the inverse ratio of their radii
+ *   - shaft: all wheels of one object turn together
+ * Sources (a powered motor, a running hamster) set the speed of their
+ * wheels; everything they connect to follows. A loop whose ratios or
+ * sources disagree jams and nothing in it turns. Wheels not connected to
+ * a source stop.
+ *
+ * An object takes part by having:
+ *   - driveWheels: `{ x, y, radius, teeth }` in world coordinates, and
+ *     driveSpeed / setDriveSpeed() to be told how fast they turn
+ *   - driveSource (optional): the speed it turns its own wheels at, or
+ *     null while it isn't driving anything
+ * A belt instead has driveBeltEnds (its two ends in world coordinates)
+ * and setBeltWheels(), told the wheels they sit on or null.
+ *
+ * Speeds are radians per physics step, positive = clockwise on screen.
+ * Like PowerNetwork this keeps no state — PhysicsEngine recomputes it
+ * every step.
+ */
+
+/** How far (px) two toothed rims may be from touching and still mesh */
+export const MESH_TOLERANCE = 10;
+
+/** Speeds closer than this are considered equal when checking loops */
+const SPEED_EPSILON = 1e-6;
+
+export class Drivetrain {
+    /**
+     * Recompute the speed of every drive wheel and hand each object its
+     * speed through setDriveSpeed().
+     * @param {Iterable<import('../objects/BaseObject.js').default>} objects
+     */
+    update(objects) {
+        const wheels = [];
+        const owners = [];
+        const belts = [];
+        for (const obj of objects) {
+            const ends = obj.driveBeltEnds;
+            if (ends?.length === 2) belts.push({ obj, ends });
+
+            const own = obj.driveWheels;
+            if (!own || own.length === 0) continue;
+            owners.push({ obj, first: wheels.length, count: own.length });
+            for (const wheel of own) wheels.push({ ...wheel, obj });
+        }
+
+        // Edges carry the speed ratio: speed[to] = speed[from] * ratio
+        const edges = wheels.map(() => []);
+        const link = (a, b, ratio) => {
+            edges[a].push({ to: b, ratio });
+            edges[b].push({ to: a, ratio: 1 / ratio });
+        };
+
+        for (const { first, count } of owners) {
+            for (let i = first + 1; i < first + count; i++) link(first, i, 1);
+        }
+
+        for (let a = 0; a < wheels.length; a++) {
+            for (let b = a + 1; b < wheels.length; b++) {
+                const wa = wheels[a];
+                const wb = wheels[b];
+                if (wa.obj === wb.obj || !wa.teeth || !wb.teeth) continue;
+                const gap = Math.hypot(wb.x - wa.x, wb.y - wa.y) - wa.radius - wb.radius;
+                if (Math.abs(gap) <= MESH_TOLERANCE) link(a, b, -wa.teeth / wb.teeth);
+            }
+        }
+
+        for (const { obj, ends } of belts) {
+            const a = nearestWheel(wheels, ends[0]);
+            const b = nearestWheel(wheels, ends[1]);
+            const attached = a !== -1 && b !== -1 && wheels[a].obj !== wheels[b].obj;
+            if (attached) link(a, b, wheels[a].radius / wheels[b].radius);
+            obj.setBeltWheels(attached ? [wheels[a], wheels[b]] : null);
+        }
+
+        // Flood each source's speed through its connected wheels
+        const speed = wheels.map(() => null);
+        const jammed = new Set();
+        for (const { obj, first } of owners) {
+            const source = obj.driveSource;
+            if (source === null || source === undefined) continue;
+            if (speed[first] !== null) {
+                if (Math.abs(speed[first] - source) > SPEED_EPSILON) jammed.add(first);
+                continue;
+            }
+            speed[first] = source;
+            const queue = [first];
+            while (queue.length > 0) {
+                const from = queue.shift();
+                for (const { to, ratio } of edges[from]) {
+                    const next = speed[from] * ratio;
+                    if (speed[to] === null) {
+                        speed[to] = next;
+                        queue.push(to);
+                    } else if (Math.abs(speed[to] - next) > SPEED_EPSILON) {
+                        jammed.add(to);
+                    }
+                }
+            }
+        }
+
+        // A jam stops everything connected to it
+        for (const start of jammed) {
+            const queue = [start];
+            speed[start] = 0;
+            const seen = new Set(queue);
+            while (queue.length > 0) {
+                const from = queue.shift();
+                for (const { to } of edges[from]) {
+                    if (seen.has(to)) continue;
+                    seen.add(to);
+                    speed[to] = 0;
+                    queue.push(to);
+                }
+            }
+        }
+
+        for (const { obj, first } of owners) {
+            obj.setDriveSpeed(speed[first] ?? 0);
+        }
+    }
+}
+
+/** Index of the wheel whose rim contains `point`, closest centre first (-1 if none). */
+function nearestWheel(wheels, point) {
+    let best = -1;
+    let bestDist = Infinity;
+    wheels.forEach((wheel, i) => {
+        const dist = Math.hypot(wheel.x - point.x, wheel.y - point.y);
+        if (dist <= wheel.radius && dist < bestDist) {
+            best = i;
+            bestDist = dist;
+        }
+    });
+    return best;
+}
+
+export default Drivetrain;
@@ -0,0 +1,121 @@
+/**
+ * Environment — Gravity, air and wind for a level
+ *
+ * A level can say what the world is like in an optional `environment`
+ * block: which way and how hard things fall, how thick the air is, and
+ * a steady wind. Anything it leaves out stays as on Earth, so a moon
+ * level only needs `{ "gravity": { "x": 0, "y": 0.17 } }` and an
+ * underwater one `{ "airDensity": 8 }`.
+ *
+ * Air density (1 = ordinary air) scales every body's air drag and the
+ * lift of balloons. Wind pushes loose bodies by their size rather than
+ * their weight, so it carries balloons off and barely moves a bowling
+ * ball — and it blows harder in thicker air.
+ */
+
+import Matter from 'matter-js';
+
+const { Body, Sleeping } = Matter;
+
+/** @typedef {{ gravity: { x: number, y: number }, airDensity: number, wind: { x: number, y: number } }} EnvironmentSettings */
+
+/** @type {Readonly<EnvironmentSettings>} */
+export const DEFAULT_ENVIRONMENT = Object.freeze({
+    gravity: Object.freeze({ x: 0, y: 1 }),
+    airDensity: 1,
+    wind: Object.freeze({ x: 0, y: 0 }),
+});
+
+/** Force per px² of body per unit of wind, in ordinary air */
+const WIND_DRAG = 3e-7;
+/** Air drag never stops a body dead in one step, however thick the air */
+const MAX_FRICTION_AIR = 0.5;
+
+/**
+ * Fill in whatever a level's environment block leaves out.
+ * @param {object} [block]
+ * @returns {EnvironmentSettings}
+ */
+export function normalizeEnvironment(block = {}) {
+    const d = DEFAULT_ENVIRONMENT;
+    return {
+        gravity: { x: block.gravity?.x ?? d.gravity.x, y: block.gravity?.y ?? d.gravity.y },
+        airDensity: block.airDensity ?? d.airDensity,
+        wind: { x: block.wind?.x ?? d.wind.x, y: block.wind?.y ?? d.wind.y },
+    };
+}
+
+/**
+ * What is wrong with a level's environment block, if anything.
+ * @param {*} block
+ * @returns {string|null}
+ */
+export function environmentError(block) {
+    if (typeof block !== 'object' || block === null) return 'environment must be an object';
+    for (const field of ['gravity', 'wind']) {
+        const v = block[field];
+        if (v === undefined) continue;
+        if (typeof v !== 'object' || v === null || !['x', 'y'].every(k => v[k] === undefined || Number.isFinite(v[k]))) {
+            return `environment.${field} must be an { x, y } vector of numbers`;
+        }
+    }
+    if ('airDensity' in block && !(Number.isFinite(block.airDensity) && block.airDensity >= 0)) {
+        return 'environment.airDensity must be a non-negative number';
+    }
+    return null;
+}
+
+export class Environment {
+    constructor() {
+        /** @type {EnvironmentSettings} */
+        this._settings = normalizeEnvironment();
+        /** @type {WeakMap<Matter.Body, number>} Each body's air drag in ordinary air */
+        this._ownAir = new WeakMap();
+    }
+
+    /** @returns {EnvironmentSettings} */
+    get settings() {
+        return this._settings;
+    }
+
+    /**
+     * @param {object} [block] - A level's environment block; missing means Earth
+     */
+    set(block) {
+        this._settings = normalizeEnvironment(block);
+    }
+
+    /**
+     * Give a body the air drag it has in this air. Its own drag is
+     * remembered the first time, so changing the air again starts from it.
+     * @param {Matter.Body} body
+     */
+    applyAir(body) {
+        if (!this._ownAir.has(body)) this._ownAir.set(body, body.frictionAir);
+        body.frictionAir = Math.min(MAX_FRICTION_AIR, this._ownAir.get(body) * this._settings.airDensity);
+    }
+
+    /**
+     * Push every loose body downwind, waking any that had settled.
+     * @param {Iterable<import('../objects/BaseObject.js').default>} objects
+     */
+    update(objects) {
+        const { wind, airDensity } = this._settings;
+        if (wind.x === 0 && wind.y === 0) return;
+
+        const push = WIND_DRAG * airDensity;
+        for (const obj of objects) {
+            for (const body of obj.bodies) {
+                if (body.isStatic) continue;
+                // Wake what settled before the wind got up, as a magnet's pull does
+                Sleeping.set(body, false);
+                Body.applyForce(body, body.position, {
+                    x: wind.x * push * body.area,
+                    y: wind.y * push * body.area,
+                });
+            }
+        }
+    }
+}
+
+export default Environment;
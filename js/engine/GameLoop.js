@@ -3,10 +3,35 @@
  *
  * Controls simulation lifecycle with requestAnimationFrame,
  * speed scaling, capped delta-time, and snapshot management.
+ *
+ * By default physics advances in fixed steps fed from an accumulator,
+ * so a board produces the same result at any frame rate or speed.
+ * Rendering interpolates between the last two steps. Fast speeds take
+ * more steps per frame rather than longer ones; slow motion takes a
+ * step every few frames and interpolates in between.
+ *
+ * While paused, a fixed-step run can be scrubbed: keyframes captured
+ * every few steps let seekStep() jump back and re-simulate forward to
+ * any step already reached (or beyond it).
+ *
+ * In playback mode (playReplay) the loop drives a ReplayPlayer through
+ * recorded frames instead of stepping physics.
  */
 
 import { eventBus } from '../EventBus.js';
 
+/** Fixed physics step (ms) ΓÇö 60 steps per simulated second */
+export const FIXED_DT = 1000 / 60;
+
+/** Default time the machine must sit still before the run fails (ms) */
+export const DEFAULT_SETTLE_TIME = 3000;
+
+/** Selectable simulation speeds, slowest first */
+export const SPEEDS = Object.freeze([0.1, 0.25, 0.5, 1, 2, 4, 8]);
+
+/** Default number of steps between scrubbing keyframes (0 = no scrubbing) */
+export const KEYFRAME_INTERVAL = 30;
+
 /** @enum {string} */
 export const LoopState = Object.freeze({
     STOPPED: 'stopped',
@@ -17,9 +42,14 @@ export const LoopState = Object.freeze({
 export class GameLoop {
     /**
      * @param {import('./PhysicsEngine.js').PhysicsEngine} physics
-     * @param {(objects: Set, physics: import('./PhysicsEngine.js').PhysicsEngine) => void} renderCallback
+     * @param {(objects: Set, physics: import('./PhysicsEngine.js').PhysicsEngine, alpha: number) => void} renderCallback
+     *        ΓÇö alpha is the interpolation factor (0ΓÇô1) between the previous and current step
+     * @param {object} [opts]
+     * @param {number} [opts.fixedDt=FIXED_DT] ΓÇö physics step in ms (0 = legacy variable step)
+     * @param {number} [opts.maxSubSteps=8] ΓÇö max fixed steps per rendered frame at 1├ù (scaled up with speed)
+     * @param {number} [opts.keyframeInterval=KEYFRAME_INTERVAL] ΓÇö steps between scrubbing keyframes
      */
-    constructor(physics, renderCallback) {
+    constructor(physics, renderCallback, opts = {}) {
         /** @type {import('./PhysicsEngine.js').PhysicsEngine} */
         this.physics = physics;
 
@@ -38,12 +68,58 @@ export class GameLoop {
         /** @type {number} Last rAF timestamp */
         this._lastTimestamp = 0;
 
-        /** @type {number} 1 or 2 */
+        /** @type {number} Simulation speed, one of SPEEDS */
         this._speed = 1;
 
         /** @type {number} Max dt cap to prevent spiral of death (ms) */
         this._maxDt = 50;
 
+        /** @type {number} Fixed physics step in ms (0 = variable step) */
+        this._fixedDt = opts.fixedDt ?? FIXED_DT;
+
+        /** @type {number} Max fixed steps taken per rendered frame at 1├ù */
+        this._maxSubSteps = opts.maxSubSteps ?? 8;
+
+        /** @type {number} Unsimulated time carried over between frames (ms) */
+        this._accumulator = 0;
+
+        /** @type {number} Level time limit in ms (0 = no limit) */
+        this._timeLimit = 0;
+
+        /** @type {number} How long every body must be asleep before the run fails (ms, 0 = never) */
+        this._settleTime = DEFAULT_SETTLE_TIME;
+
+        /** @type {number} How long every body has been asleep so far (ms) */
+        this._settledFor = 0;
+
+        /** @type {boolean} True once this run has been won or failed */
+        this._resolved = false;
+
+        /** @type {import('./ReplayPlayer.js').ReplayPlayer|null} Replay shown instead of simulating */
+        this._replay = null;
+
+        /** @type {number} Fixed steps taken this run */
+        this._step = 0;
+
+        /** @type {number} Furthest step reached this run */
+        this._maxStep = 0;
+
+        /** @type {number} Steps between keyframes (0 = no scrubbing) */
+        this._keyframeInterval = opts.keyframeInterval ?? KEYFRAME_INTERVAL;
+
+        /** @type {object[]} Run state every _keyframeInterval steps, oldest first */
+        this._keyframes = [];
+
+        /** @type {{ saveState: () => object, restoreState: (state: object) => void }[]} Extra state restored with keyframes */
+        this._tracked = [];
+
+        // A win or a failure reported elsewhere ends failure detection for the run
+        const markResolved = () => { this._resolved = true; };
+        this._unsubs = [
+            eventBus.on('goal:reached', markResolved),
+            eventBus.on('goal:failed', markResolved),
+        ];
+
         // Bind the frame method
         this._frame = this._frame.bind(this);
     }
@@ -68,20 +144,63 @@ export class GameLoop {
     /** @returns {number} */
     get speed() { return this._speed; }
 
+    /** @returns {boolean} True when physics advances in fixed steps */
+    get isFixedStep() { return this._fixedDt > 0; }
+
+    /** @returns {number} Fixed step in ms (0 = variable step) */
+    get fixedDt() { return this._fixedDt; }
+
+    /** @returns {boolean} True once the current run has been won or failed */
+    get isResolved() { return this._resolved; }
+
+    /** @returns {number} Time limit in ms (0 = none) */
+    get timeLimit() { return this._timeLimit; }
+
+    /** @returns {boolean} True while in replay playback mode */
+    get isReplaying() { return this._replay !== null; }
+
+    /** @returns {import('./ReplayPlayer.js').ReplayPlayer|null} */
+    get replay() { return this._replay; }
+
+    /** @returns {number} Fixed steps taken this run */
+    get step() { return this._step; }
+
+    /** @returns {number} Furthest step reached this run */
+    get maxStep() { return this._maxStep; }
+
+    /** @returns {boolean} True when the run can be stepped and scrubbed */
+    get canSeek() {
+        return this._state === LoopState.PAUSED && this.isFixedStep && !this._replay && this._keyframes.length > 0;
+    }
+
     // ΓöÇΓöÇ Controls ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
     /** Start or resume the simulation. */
     play() {
         if (this._state === LoopState.RUNNING) return;
 
+        if (this._replay && this._elapsed >= this._replay.duration) {
+            // Replay finished ΓÇö play again from the top
+            this._elapsed = 0;
+        }
+
         if (this._state === LoopState.STOPPED) {
             // Take snapshot on first play so we can reset
-            this.physics.takeSnapshot();
+            if (!this._replay) this.physics.takeSnapshot();
             this._elapsed = 0;
+            this._settledFor = 0;
+            this._resolved = false;
+            this._step = 0;
+            this._maxStep = 0;
+            this._keyframes = [];
+            if (!this._replay && this.isFixedStep && this._keyframeInterval > 0) {
+                this._keyframes.push(this._captureKeyframe());
+            }
         }
 
         this._state = LoopState.RUNNING;
         this._lastTimestamp = 0;
+        this._accumulator = 0;
         this._rafId = requestAnimationFrame(this._frame);
 
         eventBus.emit('loop:play', { elapsed: this._elapsed });
@@ -110,24 +229,156 @@ export class GameLoop {
         this._state = LoopState.STOPPED;
         this._elapsed = 0;
         this._lastTimestamp = 0;
-
-        // Restore physics to snapshot
-        this.physics.restoreSnapshot();
-        this.physics.clearSnapshot();
+        this._accumulator = 0;
+        this._settledFor = 0;
+        this._resolved = false;
+        this._step = 0;
+        this._maxStep = 0;
+        this._keyframes = [];
+
+        if (this._replay) {
+            // Rewind the replay ΓÇö physics was never touched
+            this._replay.seek(0);
+        } else {
+            // Restore physics to snapshot
+            this.physics.restoreSnapshot();
+            this.physics.clearSnapshot();
+        }
 
         // One final render to show restored state
-        this._renderCallback(this.physics.getObjects(), this.physics);
+        this._renderCallback(this._renderObjects(), this.physics);
 
         eventBus.emit('loop:reset');
     }
 
-    /** Toggle between 1├ù and 2├ù speed. */
-    cycleSpeed() {
-        this._speed = this._speed === 1 ? 2 : 1;
-        this.physics.setTimeScale(this._speed);
+    /**
+     * Configure when a run that goes nowhere is declared a failure.
+     * @param {object} [limits]
+     * @param {number} [limits.timeLimit] - Seconds before the run times out (0/undefined = no limit)
+     * @param {number} [limits.settleTime] - Seconds every body must be asleep (0 = never fail on settling)
+     */
+    setFailureLimits({ timeLimit, settleTime } = {}) {
+        this._timeLimit = timeLimit > 0 ? timeLimit * 1000 : 0;
+        this._settleTime = settleTime === undefined ? DEFAULT_SETTLE_TIME : Math.max(0, settleTime * 1000);
+    }
+
+    /**
+     * Register extra run state (goal progress, a recording, ...) that must
+     * rewind with the physics when the run is scrubbed.
+     * @param {{ saveState: () => object, restoreState: (state: object) => void }} participant
+     * @returns {Function} Unregister
+     */
+    trackState(participant) {
+        this._tracked.push(participant);
+        return () => {
+            this._tracked = this._tracked.filter(p => p !== participant);
+        };
+    }
+
+    // ΓöÇΓöÇ Scrubbing ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+
+    /** Advance a paused run by one fixed step. */
+    stepForward() {
+        if (!this.canSeek) return;
+        this.seekStep(this._step + 1);
+    }
+
+    /** Move a paused run back by one fixed step. */
+    stepBackward() {
+        if (!this.canSeek) return;
+        this.seekStep(this._step - 1);
+    }
+
+    /**
+     * Move a paused run to the step at `elapsed`.
+     * @param {number} elapsed ΓÇö simulation time in ms
+     */
+    seek(elapsed) {
+        if (!this.canSeek) return;
+        this.seekStep(Math.round(elapsed / this._fixedDt));
+    }
+
+    /**
+     * Move a paused run to `step`: restore the nearest keyframe at or
+     * before it, then re-simulate the remaining steps. Stepping past the
+     * furthest step reached simply continues the run.
+     * @param {number} step
+     */
+    seekStep(step) {
+        if (!this.canSeek) return;
+        step = Math.max(0, Math.round(step));
+        if (step === this._step) return;
+
+        if (step < this._step) {
+            let keyframe = this._keyframes[0];
+            for (const candidate of this._keyframes) {
+                if (candidate.step > step) break;
+                keyframe = candidate;
+            }
+            this._applyKeyframe(keyframe);
+        }
+        while (this._step < step) {
+            this.advance(this._fixedDt);
+        }
+
+        this._accumulator = 0;
+        this._renderCallback(this.physics.getObjects(), this.physics, 1);
+        eventBus.emit('loop:seek', {
+            step: this._step,
+            elapsed: this._elapsed,
+            maxElapsed: this._maxStep * this._fixedDt,
+        });
+    }
+
+    /**
+     * Switch to playback mode and start showing a recorded run.
+     * Physics is not stepped until stopReplay().
+     * @param {import('./ReplayPlayer.js').ReplayPlayer} player
+     */
+    playReplay(player) {
+        this.stopReplay();
+        if (this._state !== LoopState.STOPPED) this.reset();
+
+        this._replay = player;
+        player.seek(0);
+        eventBus.emit('replay:started', { duration: player.duration });
+        this.play();
+    }
+
+    /** Leave playback mode. The loop is left stopped. */
+    stopReplay() {
+        if (!this._replay) return;
+
+        if (this._rafId !== null) {
+            cancelAnimationFrame(this._rafId);
+            this._rafId = null;
+        }
+        this._replay = null;
+        this._state = LoopState.STOPPED;
+        this._elapsed = 0;
+
+        eventBus.emit('replay:stopped');
+    }
+
+    /**
+     * Set the simulation speed. Values outside SPEEDS snap to the nearest one.
+     * @param {number} speed ΓÇö multiplier, e.g. 0.25 or 4
+     */
+    setSpeed(speed) {
+        if (!Number.isFinite(speed)) return;
+        const nearest = SPEEDS.reduce((best, s) => (Math.abs(s - speed) < Math.abs(best - speed) ? s : best));
+        if (nearest === this._speed) return;
+
+        this._speed = nearest;
         eventBus.emit('loop:speed', { speed: this._speed });
     }
 
+    /** Step to the next faster speed, wrapping from the fastest to the slowest. */
+    cycleSpeed() {
+        const index = SPEEDS.indexOf(this._speed);
+        this.setSpeed(SPEEDS[(index + 1) % SPEEDS.length]);
+    }
+
     // ΓöÇΓöÇ Frame Loop ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
     /**
@@ -149,24 +400,159 @@ export class GameLoop {
         if (dt > this._maxDt) dt = this._maxDt;
         if (dt <= 0) dt = 16.67;
 
+        let alpha = 1;
+        if (this._replay) {
+            this._advanceReplay(dt);
+        } else if (this.isFixedStep) {
+            // Feed real time (scaled by speed) into the accumulator and
+            // drain it in whole fixed steps
+            this._accumulator += dt * this._speed;
+            const maxSteps = Math.ceil(this._maxSubSteps * Math.max(1, this._speed));
+            let steps = 0;
+            while (this._accumulator >= this._fixedDt && steps < maxSteps) {
+                this.advance(this._fixedDt);
+                this._accumulator -= this._fixedDt;
+                steps++;
+                if (this._state !== LoopState.RUNNING) break;
+            }
+            // Too far behind ΓÇö drop the backlog rather than spiral
+            if (this._accumulator >= this._fixedDt) {
+                this._accumulator = this._accumulator % this._fixedDt;
+            }
+            alpha = this._accumulator / this._fixedDt;
+        } else {
+            // Variable step ΓÇö split sped-up frames so no step exceeds dt
+            const subSteps = Math.max(1, Math.ceil(this._speed));
+            for (let i = 0; i < subSteps && this._state === LoopState.RUNNING; i++) {
+                this.advance(dt * this._speed / subSteps);
+            }
+        }
+
+        // Render
+        this._renderCallback(this._renderObjects(), this.physics, alpha);
+
+        // Listeners (e.g. a reached goal) may have paused us
+        if (this._state !== LoopState.RUNNING) return;
+
+        // Schedule next frame
+        this._rafId = requestAnimationFrame(this._frame);
+    }
+
+    /**
+     * Advance the simulation by exactly one step, independent of
+     * requestAnimationFrame. Used by the rAF loop and headless runs.
+     * Does not render.
+     * @param {number} dt ΓÇö step length in ms
+     */
+    advance(dt) {
         // Step physics
         this.physics.step(dt);
         this._elapsed += dt;
-
-        // Render
-        this._renderCallback(this.physics.getObjects(), this.physics);
+        this._step++;
 
         // Emit frame event
         eventBus.emit('loop:frame', { dt, elapsed: this._elapsed });
 
-        // Schedule next frame
-        this._rafId = requestAnimationFrame(this._frame);
+        this._checkFailure(dt);
+
+        // Keyframe new ground only ΓÇö re-simulated steps match the old ones
+        if (this._step > this._maxStep) {
+            this._maxStep = this._step;
+            if (this._keyframes.length > 0 && this._step % this._keyframeInterval === 0) {
+                this._keyframes.push(this._captureKeyframe());
+            }
+        }
+    }
+
+    /**
+     * Move the replay forward by real time scaled by speed; pause at the end.
+     * @private
+     * @param {number} dt ΓÇö real frame time in ms
+     */
+    _advanceReplay(dt) {
+        const duration = this._replay.duration;
+        this._elapsed = Math.min(this._elapsed + dt * this._speed, duration);
+        this._replay.seek(this._elapsed);
+
+        eventBus.emit('replay:frame', { elapsed: this._elapsed, duration });
+
+        if (this._elapsed >= duration) {
+            this._state = LoopState.PAUSED;
+            eventBus.emit('replay:ended', { duration });
+        }
+    }
+
+    /** @private */
+    _captureKeyframe() {
+        return {
+            step: this._step,
+            elapsed: this._elapsed,
+            settledFor: this._settledFor,
+            resolved: this._resolved,
+            physics: this.physics.captureSnapshot(),
+            tracked: this._tracked.map(p => p.saveState()),
+        };
+    }
+
+    /** @private */
+    _applyKeyframe(keyframe) {
+        this.physics.applySnapshot(keyframe.physics);
+        this._tracked.forEach((p, i) => {
+            if (i < keyframe.tracked.length) p.restoreState(keyframe.tracked[i]);
+        });
+        this._step = keyframe.step;
+        this._elapsed = keyframe.elapsed;
+        this._settledFor = keyframe.settledFor;
+        this._resolved = keyframe.resolved;
+    }
+
+    /** @private */
+    _renderObjects() {
+        return this._replay ? this._replay.objects : this.physics.getObjects();
+    }
+
+    /**
+     * Emit goal:failed if the time limit ran out or the machine has settled.
+     * @private
+     * @param {number} dt
+     */
+    _checkFailure(dt) {
+        if (this._resolved) return;
+
+        if (this._timeLimit > 0 && this._elapsed >= this._timeLimit) {
+            this._fail('timeout', `Time's up! The machine ran for ${Math.round(this._timeLimit / 1000)} seconds without reaching the goal.`);
+            return;
+        }
+
+        if (this._settleTime > 0 && this.physics.isSettled()) {
+            this._settledFor += dt;
+            if (this._settledFor >= this._settleTime) {
+                this._fail('settled', 'The machine has stopped moving without reaching the goal.');
+            }
+        } else {
+            this._settledFor = 0;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} cause - 'timeout' or 'settled'
+     * @param {string} reason - Human-readable message for GoalOverlay
+     */
+    _fail(cause, reason) {
+        this._resolved = true;
+        eventBus.emit('goal:failed', { cause, reason, elapsed: this._elapsed });
     }
 
     // ΓöÇΓöÇ Cleanup ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
     /** Stop the loop and release resources. */
     dispose() {
+        for (const unsub of this._unsubs) unsub();
+        this._unsubs = [];
+        this._replay = null;
+        this._keyframes = [];
+        this._tracked = [];
         if (this._rafId !== null) {
             cancelAnimationFrame(this._rafId);
             this._rafId = null;
@@ -0,0 +1,208 @@
+/**
+ * HeadlessRunner — Run a level to completion without a browser
+ *
+ * Builds a PhysicsEngine, loads a level JSON plus a proposed solution
+ * (a list of placed parts), steps a GameLoop with a fixed dt instead of
+ * requestAnimationFrame, and reports the outcome with an event log.
+ * Needs no DOM or canvas, so it works from Node scripts and vitest.
+ * Each run gets the EventBus to itself (see EventBus.isolate), so runs
+ * never hear each other's events, nor a game running in the same page.
+ *
+ * Usage:
+ *   import { runLevel } from './engine/HeadlessRunner.js';
+ *   const result = runLevel(levelJson, [{ type: 'ball', x: 700, y: 380 }]);
+ *   result.outcome; // 'reached' | 'failed' | 'unresolved' | 'invalid'
+ */
+
+import { eventBus } from '../EventBus.js';
+import { PhysicsEngine } from './PhysicsEngine.js';
+import { GameLoop, FIXED_DT } from './GameLoop.js';
+import GoalEvaluator from '../levels/GoalEvaluator.js';
+import { objectRegistry } from '../objects/ObjectRegistry.js';
+import { registerAllObjects } from '../objects/registerAllObjects.js';
+
+/** Events recorded in the run's event log */
+const LOGGED_EVENTS = [
+    'goal:reached',
+    'goal:failed',
+    'goal:progress',
+    'bucket:caught',
+    'balloon:popped',
+    'balloon:released',
+    'rope:severed',
+    'lever:tilted',
+    'cat:caught',
+    'mouse:home',
+    'scissors:closed',
+    'sensor:lit',
+    'portal:teleported',
+    'object:broken',
+];
+
+/** @enum {string} */
+export const RunOutcome = Object.freeze({
+    REACHED: 'reached',
+    FAILED: 'failed',
+    UNRESOLVED: 'unresolved',
+    INVALID: 'invalid',
+});
+
+let _registered = false;
+
+export class HeadlessRunner {
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.width=900]   — playfield width in px
+     * @param {number} [opts.height=600]  — playfield height in px
+     * @param {number} [opts.dt=FIXED_DT] — fixed step in ms
+     * @param {number} [opts.maxTime=60]  — hard cap on simulated seconds
+     */
+    constructor(opts = {}) {
+        this.width = opts.width ?? 900;
+        this.height = opts.height ?? 600;
+        this.dt = opts.dt ?? FIXED_DT;
+        this.maxTime = opts.maxTime ?? 60;
+
+        if (!_registered) {
+            registerAllObjects();
+            _registered = true;
+        }
+    }
+
+    /**
+     * Simulate a level with the given parts placed.
+     * @param {object} level — level JSON (id, goal, fixedObjects, availableParts, ...)
+     * @param {Array<{ type: string, x: number, y: number, angle?: number, id?: string, options?: object }>} [solution=[]]
+     * @returns {{ outcome: string, reason: string|null, elapsed: number, frames: number, events: object[] }}
+     */
+    run(level, solution = []) {
+        const invalid = this._checkInventory(level, solution);
+        if (invalid) {
+            return { outcome: RunOutcome.INVALID, reason: invalid, elapsed: 0, frames: 0, events: [] };
+        }
+        return eventBus.isolate(() => this._simulate(level, solution));
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Build and step the run; only called inside its own EventBus. */
+    _simulate(level, solution) {
+        const physics = new PhysicsEngine(this.width, this.height);
+        physics.setEnvironment(level.environment);
+        const loop = new GameLoop(physics, () => { });
+        const evaluator = new GoalEvaluator();
+
+        const events = [];
+        let outcome = RunOutcome.UNRESOLVED;
+        let reason = null;
+
+        const unsubs = LOGGED_EVENTS.map(event => eventBus.on(event, (data) => {
+            events.push({ time: loop.elapsed, event, data: summarize(data) });
+        }));
+        unsubs.push(
+            eventBus.on('goal:reached', (data) => { outcome = RunOutcome.REACHED; reason = data?.reason ?? null; }),
+            eventBus.on('goal:failed', (data) => { outcome = RunOutcome.FAILED; reason = data?.reason ?? null; }),
+        );
+
+        let frames = 0;
+        try {
+            for (const obj of this._buildObjects(level, solution)) {
+                physics.addObject(obj);
+            }
+
+            loop.setFailureLimits({ timeLimit: level.timeLimit, settleTime: level.settleTime });
+            evaluator.start(level.goal, physics.getObjects());
+
+            const maxMs = this.maxTime * 1000;
+            while (!loop.isResolved && loop.elapsed < maxMs) {
+                loop.advance(this.dt);
+                frames++;
+            }
+        } finally {
+            evaluator.stop();
+            for (const unsub of unsubs) unsub();
+            loop.dispose();
+            physics.dispose();
+        }
+
+        return { outcome, reason, elapsed: loop.elapsed, frames, events };
+    }
+
+    /** @returns {string|null} Why the solution uses parts the level doesn't offer */
+    _checkInventory(level, solution) {
+        const available = level.availableParts || {};
+        const used = {};
+        for (const part of solution) {
+            used[part.type] = (used[part.type] || 0) + 1;
+        }
+        for (const [type, count] of Object.entries(used)) {
+            if (count > (available[type] || 0)) {
+                return `Solution uses ${count} × ${type} but the level allows ${available[type] || 0}.`;
+            }
+        }
+        return null;
+    }
+
+    _buildObjects(level, solution) {
+        const objects = [];
+
+        // Fixed objects — mirrors _setupLevel in main.js
+        for (const objData of level.fixedObjects || []) {
+            const obj = objectRegistry.create(objData.type, objData.x, objData.y, {
+                ...objData.options,
+                angle: objData.angle || 0,
+                isFixed: true,
+            });
+            if (objData.id) {
+                obj._goalId = objData.id;
+            }
+            objects.push(obj);
+        }
+
+        // Player-placed parts
+        for (const part of solution) {
+            const obj = objectRegistry.create(part.type, part.x, part.y, {
+                ...part.options,
+                angle: part.angle || 0,
+            });
+            if (part.id) {
+                obj._goalId = part.id;
+            }
+            objects.push(obj);
+        }
+
+        objectRegistry.linkObjects(objects);
+        return objects;
+    }
+}
+
+/**
+ * Reduce an event payload to plain data so the log stays serializable.
+ * Game objects become `{ type, id }`.
+ * @param {*} data
+ * @returns {*}
+ */
+function summarize(data) {
+    if (!data || typeof data !== 'object') return data;
+    const out = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (value && typeof value === 'object' && 'type' in value && 'id' in value) {
+            out[key] = { type: value.type, id: value._goalId ?? value.id };
+        } else if (key !== 'goal') {
+            out[key] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * Convenience wrapper: run a level once with default options.
+ * @param {object} level
+ * @param {object[]} [solution=[]]
+ * @param {object} [opts]
+ */
+export function runLevel(level, solution = [], opts = {}) {
+    return new HeadlessRunner(opts).run(level, solution);
+}
+
+export default HeadlessRunner;
@@ -0,0 +1,210 @@
+/**
+ * Optics — Traces laser beams through mirrors, prisms and splitters
+ *
+ * Every step, each object's lightSources are traced through the world:
+ * a beam runs straight until it hits a body, and the object owning that
+ * body decides what becomes of it through bendLight(ray, hit) — mirrors
+ * reflect it, prisms bend it, splitters do both, and anything without
+ * bendLight stops it. Beams are traced against where the bodies are now, so a
+ * ball rolling through one blocks it for as long as it is in the way.
+ * Lasers shine through lightSources, a list of Rays starting just outside
+ * their own bodies. Objects with setIlluminated() learn every step whether
+ * a beam reached them; the traced beams are kept for the Renderer to draw.
+ */
+
+import Matter from 'matter-js';
+
+const { Bounds, Composite } = Matter;
+
+/** Most beam segments traced from one source — mirrors facing each other would go on forever */
+export const MAX_SEGMENTS = 32;
+
+/** A beam that hits nothing stops this far out */
+const MAX_LENGTH = 2000;
+
+/** Outgoing beams start this far from the surface they left, so they don't hit it again */
+export const NUDGE = 0.01;
+
+/**
+ * @typedef {object} Ray
+ * @property {number} x       — start point
+ * @property {number} y
+ * @property {number} angle   — direction, radians
+ * @property {string} [color] — beam colour (kept by bent beams unless they set their own)
+ * @property {Matter.Body} [ignore] — a body the beam passes straight through
+ */
+
+/**
+ * @typedef {object} LightHit
+ * @property {{ x: number, y: number }} point
+ * @property {{ x: number, y: number }} normal — unit normal of the face hit, pointing out of the body
+ * @property {boolean} entering — true if the beam hit the outside of the face
+ * @property {Matter.Body} body — the part that was hit
+ */
+
+export class Optics {
+    constructor() {
+        /** @type {{ from: { x: number, y: number }, to: { x: number, y: number }, color: string }[]} Traced last step */
+        this._beams = [];
+    }
+
+    /** @returns {{ from: { x: number, y: number }, to: { x: number, y: number }, color: string }[]} */
+    get beams() {
+        return this._beams;
+    }
+
+    /** Forget the traced beams (cleared board). */
+    clear() {
+        this._beams = [];
+    }
+
+    /** @returns {object} The traced beams, for a snapshot */
+    saveState() {
+        return { beams: this._beams.map(beam => ({ from: { ...beam.from }, to: { ...beam.to }, color: beam.color })) };
+    }
+
+    /** @param {object} state - From saveState() */
+    restoreState(state) {
+        this._beams = state.beams.map(beam => ({ from: { ...beam.from }, to: { ...beam.to }, color: beam.color }));
+    }
+
+    /**
+     * Trace every beam for this step and tell each object whether one
+     * reached it.
+     * @param {Iterable<import('../objects/BaseObject.js').default>} objects
+     * @param {Matter.Engine} engine
+     * @param {Map<number, import('../objects/BaseObject.js').default>} bodyToObject
+     */
+    update(objects, engine, bodyToObject) {
+        this._beams = [];
+        const bodies = Composite.allBodies(engine.world).filter(body => !body.isSensor);
+        const lit = new Set();
+
+        for (const obj of objects) {
+            for (const source of obj.lightSources ?? []) {
+                this._trace(source, bodies, bodyToObject, lit);
+            }
+        }
+
+        for (const obj of objects) {
+            obj.setIlluminated?.(lit.has(obj));
+        }
+    }
+
+    // ── Private ──────────────────────────────────
+
+    _trace(source, bodies, bodyToObject, lit) {
+        const queue = [source];
+        let segments = 0;
+
+        while (queue.length > 0 && segments < MAX_SEGMENTS) {
+            const ray = queue.shift();
+            segments++;
+
+            const hit = castRay(ray, bodies);
+            const to = hit
+                ? hit.point
+                : { x: ray.x + Math.cos(ray.angle) * MAX_LENGTH, y: ray.y + Math.sin(ray.angle) * MAX_LENGTH };
+            this._beams.push({ from: { x: ray.x, y: ray.y }, to, color: ray.color });
+
+            // Walls and other bodies no object owns just stop the beam
+            const obj = hit && bodyToObject.get(hit.body.parent.id);
+            if (!obj) continue;
+
+            lit.add(obj);
+            for (const out of obj.bendLight?.(ray, hit) ?? []) {
+                queue.push({ ...out, color: out.color ?? ray.color });
+            }
+        }
+    }
+}
+
+/**
+ * Nearest face a ray hits, or null if it hits nothing.
+ * @param {Ray} ray
+ * @param {Matter.Body[]} bodies
+ * @returns {LightHit|null}
+ */
+export function castRay(ray, bodies) {
+    const dx = Math.cos(ray.angle);
+    const dy = Math.sin(ray.angle);
+    const end = { x: ray.x + dx * MAX_LENGTH, y: ray.y + dy * MAX_LENGTH };
+    const reach = {
+        min: { x: Math.min(ray.x, end.x), y: Math.min(ray.y, end.y) },
+        max: { x: Math.max(ray.x, end.x), y: Math.max(ray.y, end.y) },
+    };
+
+    let best = null;
+    let bestT = MAX_LENGTH;
+    for (const body of bodies) {
+        if (body === ray.ignore || !Bounds.overlaps(body.bounds, reach)) continue;
+
+        // Compound bodies: test the parts, not the hull
+        const parts = body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+        for (const part of parts) {
+            const verts = part.vertices;
+            for (let i = 0; i < verts.length; i++) {
+                const a = verts[i];
+                const b = verts[(i + 1) % verts.length];
+                const t = rayHitsEdge(ray.x, ray.y, dx, dy, a, b);
+                if (t === null || t >= bestT) continue;
+
+                // Face normal, turned to point out of the part
+                const len = Math.hypot(b.x - a.x, b.y - a.y);
+                let nx = (b.y - a.y) / len;
+                let ny = -(b.x - a.x) / len;
+                if (nx * ((a.x + b.x) / 2 - part.position.x) + ny * ((a.y + b.y) / 2 - part.position.y) < 0) {
+                    nx = -nx;
+                    ny = -ny;
+                }
+
+                bestT = t;
+                best = {
+                    point: { x: ray.x + dx * t, y: ray.y + dy * t },
+                    normal: { x: nx, y: ny },
+                    entering: dx * nx + dy * ny < 0,
+                    body: part,
+                };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * The ray starting at `angle` from `point`, nudged off the surface it
+ * leaves so it doesn't hit it again straight away.
+ * @param {{ x: number, y: number }} point
+ * @param {number} angle
+ * @returns {Ray}
+ */
+export function rayFrom(point, angle) {
+    return { x: point.x + Math.cos(angle) * NUDGE, y: point.y + Math.sin(angle) * NUDGE, angle };
+}
+
+/**
+ * The beam bounced off the face it hit, as off a mirror.
+ * @param {Ray} ray
+ * @param {LightHit} hit
+ * @returns {Ray}
+ */
+export function reflect(ray, hit) {
+    const dx = Math.cos(ray.angle);
+    const dy = Math.sin(ray.angle);
+    const along = dx * hit.normal.x + dy * hit.normal.y;
+    return rayFrom(hit.point, Math.atan2(dy - 2 * along * hit.normal.y, dx - 2 * along * hit.normal.x));
+}
+
+/** Distance along the ray (x, y) + t·(dx, dy) to segment a–b, or null if it misses. */
+function rayHitsEdge(x, y, dx, dy, a, b) {
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denom = dx * ey - dy * ex;
+    if (Math.abs(denom) < 1e-12) return null;
+    const t = ((a.x - x) * ey - (a.y - y) * ex) / denom;
+    const s = ((a.x - x) * dy - (a.y - y) * dx) / denom;
+    if (t <= 1e-9 || s < 0 || s > 1) return null;
+    return t;
+}
+
+export default Optics;
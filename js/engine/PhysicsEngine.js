@@ -2,13 +2,29 @@
  * PhysicsEngine ΓÇö Matter.js wrapper
  *
  * Manages the Matter.js world, object lifecycle, collision events,
- * snapshot/restore for reset, boundary walls, and hit-testing.
+ * snapshot/restore for reset, boundary walls, hit-testing, explosions,
+ * the electrical network, the drivetrain, fire, water and light, and
+ * the level's gravity, air and wind.
  */
 
 import Matter from 'matter-js';
 import { eventBus } from '../EventBus.js';
+import { PowerNetwork } from './PowerNetwork.js';
+import { Drivetrain } from './Drivetrain.js';
+import { Combustion } from './Combustion.js';
+import { WaterSystem } from './WaterSystem.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { Optics } from './Optics.js';
+import { Environment } from './Environment.js';
 
-const { Engine, World, Bodies, Body, Composite, Events, Query, Sleeping } = Matter;
+const { Engine, World, Bodies, Body, Bounds, Composite, Events, Pairs, Query, Sleeping } = Matter;
+
+/** Default explosion reach (px) and kick (px/step at the centre) */
+const BLAST_RADIUS = 160;
+const BLAST_STRENGTH = 18;
+
+/** Steps before a body that came out of a portal can go through one again */
+const TELEPORT_COOLDOWN = 15;
 
 export class PhysicsEngine {
     /**
@@ -34,15 +50,55 @@ export class PhysicsEngine {
 
         this.world = this.engine.world;
 
+        /** @type {Environment} Gravity, air density and wind (see setEnvironment) */
+        this._environment = new Environment();
+        this._environment.set({ gravity: { x: this.engine.gravity.x, y: this.engine.gravity.y } });
+
         /** @type {Set<import('../objects/BaseObject.js').default>} */
         this._objects = new Set();
 
         /** @type {Map<number, import('../objects/BaseObject.js').default>} */
         this._bodyToObject = new Map();
 
-        /** @type {object|null} Serialized snapshot for reset */
+        /**
+         * Bodies and constraints each object currently has in the world.
+         * Lets popped balloons, cut ropes, etc. drop out of the simulation
+         * and come back when the object's state is restored.
+         * @type {Map<import('../objects/BaseObject.js').default, { bodies: Set<Matter.Body>, constraints: Set<Matter.Constraint> }>}
+         */
+        this._inWorld = new Map();
+
+        /** @type {object|null} Snapshot for reset (see captureSnapshot) */
         this._snapshot = null;
 
+        /** @type {Map<number, { x: number, y: number, angle: number }>} Body transforms before the last step */
+        this._prevTransforms = new Map();
+
+        /** @type {PowerNetwork} Decides which objects have electricity */
+        this._power = new PowerNetwork();
+
+        /** @type {Drivetrain} Decides how fast every gear, roller and belt turns */
+        this._drivetrain = new Drivetrain();
+
+        /** @type {Combustion} Heats and ignites flammable objects */
+        this._combustion = new Combustion();
+
+        /** @type {WaterSystem} Drops poured by faucets */
+        this._water = new WaterSystem(width, height);
+
+        /** @type {Optics} Laser beams and what they light up */
+        this._optics = new Optics();
+
+        /** @type {{ object: import('../objects/BaseObject.js').default, body: Matter.Body, other: import('../objects/BaseObject.js').default }[]} Bodies that went into a sensor this step */
+        this._arrivals = [];
+        /** @type {Map<number, number>} Body id → steps before it can be teleported again */
+        this._teleportCooldown = new Map();
+
+        /** @type {SpatialGrid} Game objects by where their bodies are, for objectsNear */
+        this._grid = new SpatialGrid();
+        /** @type {boolean} True once things may have moved since the grid was built */
+        this._gridStale = true;
+
         // Add boundary walls
         this._addBoundaries();
 
@@ -58,19 +114,14 @@ export class PhysicsEngine {
      */
     addObject(gameObject) {
         this._objects.add(gameObject);
+        this._gridStale = true;
+        this._inWorld.set(gameObject, { bodies: new Set(), constraints: new Set() });
 
-        // Add all bodies
-        for (const body of gameObject.bodies) {
-            Composite.add(this.world, body);
-            this._bodyToObject.set(body.id, gameObject);
-        }
+        // Friction, bounce and density of the material it is made of
+        gameObject.applyMaterial();
 
-        // Add all constraints
-        if (gameObject.constraints) {
-            for (const constraint of gameObject.constraints) {
-                Composite.add(this.world, constraint);
-            }
-        }
+        // Add all bodies and constraints
+        this._syncObject(gameObject);
 
         eventBus.emit('physics:object-added', gameObject);
     }
@@ -80,20 +131,24 @@ export class PhysicsEngine {
      * @param {import('../objects/BaseObject.js').default} gameObject
      */
     removeObject(gameObject) {
-        // Remove constraints first
-        if (gameObject.constraints) {
-            for (const constraint of gameObject.constraints) {
+        const members = this._inWorld.get(gameObject);
+        if (members) {
+            // Remove constraints first
+            for (const constraint of members.constraints) {
                 Composite.remove(this.world, constraint);
             }
-        }
 
-        // Remove bodies
-        for (const body of gameObject.bodies) {
-            Composite.remove(this.world, body);
-            this._bodyToObject.delete(body.id);
+            // Remove bodies
+            for (const body of members.bodies) {
+                Composite.remove(this.world, body);
+                this._bodyToObject.delete(body.id);
+                this._prevTransforms.delete(body.id);
+            }
         }
 
+        this._inWorld.delete(gameObject);
         this._objects.delete(gameObject);
+        this._gridStale = true;
         if (gameObject.dispose) gameObject.dispose();
 
         eventBus.emit('physics:object-removed', gameObject);
@@ -104,6 +159,10 @@ export class PhysicsEngine {
         for (const obj of [...this._objects]) {
             this.removeObject(obj);
         }
+        this._water.clear();
+        this._optics.clear();
+        this._arrivals = [];
+        this._teleportCooldown.clear();
     }
 
     // ΓöÇΓöÇ Simulation ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
@@ -113,10 +172,28 @@ export class PhysicsEngine {
      * @param {number} dt ΓÇö delta time in ms
      */
     step(dt) {
+        // Remember where everything was, for render interpolation
+        this._capturePrevTransforms();
+
+        // Power first ΓÇö a switch flipped last step runs its devices now
+        this._power.update(this._objects);
+
+        // Then rotation ΓÇö a motor that just got power turns its gears now
+        this._drivetrain.update(this._objects);
+
+        // Then fire ΓÇö only what was already burning gives off heat this step
+        this._combustion.update(this._objects);
+
+        // Then the weather ΓÇö wind pushes on everything loose
+        this._environment.update(this._objects);
+
+        // Bodies have moved since the last step ΓÇö rebuild the grid on the first objectsNear
+        this._gridStale = true;
+
         // Pre-update hooks on all objects
         for (const obj of this._objects) {
             if (obj.onBeforeUpdate) {
-                obj.onBeforeUpdate(dt, this);
+                obj.onBeforeUpdate(this, dt);
             }
         }
 
@@ -125,9 +202,76 @@ export class PhysicsEngine {
         // Post-update hooks
         for (const obj of this._objects) {
             if (obj.onAfterUpdate) {
-                obj.onAfterUpdate(dt, this);
+                obj.onAfterUpdate(this, dt);
+            }
+        }
+
+        // Then portals ΓÇö whatever went into one this step comes out of its partner
+        this._teleportArrivals();
+
+        // Water moves once the bodies have ΓÇö drops land on where things are now
+        this._water.update(this._objects, this.engine, this._bodyToObject, dt);
+
+        // Collisions may have popped or severed something ΓÇö update the world
+        for (const obj of this._objects) {
+            this._syncObject(obj);
+        }
+
+        // Light last ΓÇö beams fall on wherever everything ended up this step
+        this._optics.update(this._objects, this.engine, this._bodyToObject);
+    }
+
+    /**
+     * Run `fn` (typically a render) with every game-object body drawn at its
+     * interpolated transform between the previous and current step. Bodies
+     * are restored bit-for-bit afterwards so the simulation is unaffected.
+     * @param {number} [alpha=1] ΓÇö 0 = previous step, 1 = current step
+     * @param {Function} fn
+     * @returns {*} whatever `fn` returns
+     */
+    withInterpolation(alpha, fn) {
+        if (alpha === undefined || alpha >= 1 || this._prevTransforms.size === 0) {
+            return fn();
+        }
+
+        const saved = [];
+        for (const obj of this._objects) {
+            for (const body of obj.bodies) {
+                const prev = this._prevTransforms.get(body.id);
+                if (!prev) continue;
+                if (prev.x === body.position.x && prev.y === body.position.y && prev.angle === body.angle) continue;
+
+                saved.push(saveTransform(body));
+                Body.setPosition(body, {
+                    x: prev.x + (body.position.x - prev.x) * alpha,
+                    y: prev.y + (body.position.y - prev.y) * alpha,
+                });
+                Body.setAngle(body, prev.angle + (body.angle - prev.angle) * alpha);
             }
         }
+
+        try {
+            return fn();
+        } finally {
+            for (const state of saved) restoreTransform(state);
+        }
+    }
+
+    /**
+     * Set the level's gravity, air density and wind. Whatever the block
+     * leaves out is as on Earth; no block at all resets everything.
+     * @param {object} [block] - { gravity: { x, y }, airDensity, wind: { x, y } }
+     */
+    setEnvironment(block) {
+        this._environment.set(block);
+        const { gravity } = this._environment.settings;
+        this.engine.gravity.x = gravity.x;
+        this.engine.gravity.y = gravity.y;
+
+        // Thicker or thinner air for what is already in the world
+        for (const members of this._inWorld.values()) {
+            for (const body of members.bodies) this._environment.applyAir(body);
+        }
     }
 
     /**
@@ -142,42 +286,88 @@ export class PhysicsEngine {
 
     /** Save the current state for later reset. */
     takeSnapshot() {
-        this._snapshot = [];
+        this._snapshot = this.captureSnapshot();
+    }
+
+    /** Restore to the last snapshot. */
+    restoreSnapshot() {
+        if (!this._snapshot) return;
+        this.applySnapshot(this._snapshot);
+    }
+
+    /**
+     * Capture the complete simulation state. Each object is keyed by its
+     * id and stores its body and constraint state plus whatever its
+     * saveState() hook returns (popped, severed, compression, ...). The
+     * world's body/constraint order and the contact cache are kept too,
+     * so a restored world steps exactly as it would have.
+     * @returns {object} Opaque snapshot for applySnapshot()
+     */
+    captureSnapshot() {
+        const snapshot = {
+            objects: new Map(),
+            bodyOrder: [...this.world.bodies],
+            constraintOrder: [...this.world.constraints],
+            pairs: this.engine.pairs.list.map(capturePair),
+            timestamp: this.engine.timing.timestamp,
+            water: this._water.saveState(),
+            optics: this._optics.saveState(),
+            teleportCooldown: [...this._teleportCooldown],
+        };
         for (const obj of this._objects) {
-            this._snapshot.push({
+            snapshot.objects.set(obj.id, {
                 serialized: obj.serialize(),
-                bodyStates: obj.bodies.map(b => ({
-                    id: b.id,
-                    position: { x: b.position.x, y: b.position.y },
-                    angle: b.angle,
-                    velocity: { x: b.velocity.x, y: b.velocity.y },
-                    angularVelocity: b.angularVelocity,
-                })),
+                state: obj.saveState ? obj.saveState() : null,
+                bodyStates: obj.bodies.map(captureBody),
+                constraintStates: (obj.constraints || []).map(captureConstraint),
             });
         }
+        return snapshot;
     }
 
-    /** Restore to the last snapshot. */
-    restoreSnapshot() {
-        if (!this._snapshot) return;
+    /**
+     * Restore every object that was in a snapshot. Objects added since
+     * the snapshot are left alone.
+     * @param {object} snapshot - From captureSnapshot()
+     */
+    applySnapshot(snapshot) {
+        this._gridStale = true;
+        for (const obj of this._objects) {
+            const snap = snapshot.objects.get(obj.id);
+            if (!snap) continue;
 
-        // Restore body states
-        const objectArray = [...this._objects];
-        for (let i = 0; i < this._snapshot.length && i < objectArray.length; i++) {
-            const snap = this._snapshot[i];
-            const obj = objectArray[i];
+            // Object state first ΓÇö it decides which bodies/constraints exist
+            if (snap.state && obj.restoreState) obj.restoreState(snap.state);
+            this._syncObject(obj);
 
             for (const bodyState of snap.bodyStates) {
-                const body = obj.bodies.find(b => b.id === bodyState.id);
-                if (body) {
-                    Body.setPosition(body, bodyState.position);
-                    Body.setAngle(body, bodyState.angle);
-                    Body.setVelocity(body, bodyState.velocity);
-                    Body.setAngularVelocity(body, bodyState.angularVelocity);
-                    Sleeping.set(body, false);
-                }
+                restoreBody(bodyState);
             }
+            for (const constraintState of snap.constraintStates) {
+                restoreConstraint(constraintState);
+            }
+        }
+
+        // Bodies/constraints that left and rejoined the world go back to their old slots
+        restoreOrder(this.world.bodies, snapshot.bodyOrder);
+        restoreOrder(this.world.constraints, snapshot.constraintOrder);
+        Composite.setModified(this.world, true, true, false);
+
+        // Contacts carry warm-start impulses between steps
+        const pairs = this.engine.pairs;
+        Pairs.clear(pairs);
+        for (const saved of snapshot.pairs) {
+            const pair = restorePair(saved);
+            pairs.table[pair.id] = pair;
+            pairs.list.push(pair);
         }
+        this.engine.timing.timestamp = snapshot.timestamp;
+        this._water.restoreState(snapshot.water);
+        this._optics.restoreState(snapshot.optics);
+        this._arrivals = [];
+        this._teleportCooldown = new Map(snapshot.teleportCooldown);
+
+        this._prevTransforms.clear();
     }
 
     /** Clear the stored snapshot. */
@@ -197,6 +387,38 @@ export class PhysicsEngine {
         return this._objects;
     }
 
+    /** @returns {WaterSystem} The drops of water in play */
+    get water() {
+        return this._water;
+    }
+
+    /** @returns {Optics} The laser beams traced last step */
+    get optics() {
+        return this._optics;
+    }
+
+    /** @returns {import('./Environment.js').EnvironmentSettings} Gravity, air density and wind */
+    get environment() {
+        return this._environment.settings;
+    }
+
+    /**
+     * True when every non-static body owned by a game object is asleep,
+     * no object is busy and no water is flowing. Objects that keep working
+     * while their bodies sleep (a burning fuse) say so through isBusy.
+     * @returns {boolean}
+     */
+    isSettled() {
+        if (this._water.isBusy) return false;
+        for (const obj of this._objects) {
+            if (obj.isBusy) return false;
+            for (const body of obj.bodies) {
+                if (!body.isStatic && !body.isSleeping) return false;
+            }
+        }
+        return true;
+    }
+
     /**
      * Find the game object whose body contains the given point.
      * @param {{ x: number, y: number }} point
@@ -211,6 +433,87 @@ export class PhysicsEngine {
         return null;
     }
 
+    /**
+     * Game objects with a body whose bounding box comes within `radius`
+     * of `center` (a box test ΓÇö check the actual distance yourself).
+     * Looks in a grid of object bounds built at most once per step, so
+     * short-range effects like magnets don't scan every body in the world.
+     * @param {{ x: number, y: number }} center
+     * @param {number} radius
+     * @returns {import('../objects/BaseObject.js').default[]}
+     */
+    objectsNear(center, radius) {
+        if (this._gridStale) {
+            this._grid.clear();
+            for (const obj of this._objects) {
+                for (const body of obj.bodies) this._grid.insert(obj, body.bounds);
+            }
+            this._gridStale = false;
+        }
+        const region = {
+            min: { x: center.x - radius, y: center.y - radius },
+            max: { x: center.x + radius, y: center.y + radius },
+        };
+        return [...this._grid.query(region)].filter(obj => obj.bodies.some(body => Bounds.overlaps(body.bounds, region)));
+    }
+
+    /**
+     * Set off an explosion. Every loose body within `radius` that the blast
+     * can see ΓÇö no static body in the way ΓÇö is flung straight away from
+     * `center`, harder the closer it is. Every object it reaches, loose or
+     * static, with onExplosion(blast) is then told of it so it can pop,
+     * detonate or shatter ΓÇö `blast` is `{ center, falloff, source }`, with
+     * falloff 1 at the centre and 0 at the edge.
+     * @param {{ x: number, y: number }} center
+     * @param {object} [opts]
+     * @param {number} [opts.radius=160]   ΓÇö reach in px
+     * @param {number} [opts.strength=18]  ΓÇö speed (px/step) given to a body at the centre
+     * @param {import('../objects/BaseObject.js').default} [opts.source] ΓÇö the object that blew up; left out
+     * @returns {import('../objects/BaseObject.js').default[]} The objects the blast reached
+     */
+    explode(center, { radius = BLAST_RADIUS, strength = BLAST_STRENGTH, source = null } = {}) {
+        const all = Composite.allBodies(this.world);
+        const sourceBodies = new Set(source ? source.bodies : []);
+        const blockers = all.filter(b => b.isStatic && !b.isSensor && !sourceBodies.has(b));
+        const inRange = Query.region(all, {
+            min: { x: center.x - radius, y: center.y - radius },
+            max: { x: center.x + radius, y: center.y + radius },
+        });
+
+        /** @type {Map<import('../objects/BaseObject.js').default, number>} strongest falloff per object */
+        const reached = new Map();
+        for (const body of inRange) {
+            if (body.isSensor || sourceBodies.has(body)) continue;
+            const obj = this._bodyToObject.get(body.id);
+            if (!obj) continue;
+
+            const dx = body.position.x - center.x;
+            const dy = body.position.y - center.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist >= radius) continue;
+            if (!this._inLineOfSight(center, body, obj, blockers)) continue;
+
+            const falloff = 1 - dist / radius;
+            if (!body.isStatic && dist > 0) {
+                const kick = strength * falloff;
+                Sleeping.set(body, false);
+                Body.setVelocity(body, {
+                    x: body.velocity.x + dx / dist * kick,
+                    y: body.velocity.y + dy / dist * kick,
+                });
+            }
+            reached.set(obj, Math.max(reached.get(obj) ?? 0, falloff));
+        }
+
+        for (const [obj, falloff] of reached) {
+            obj.onExplosion?.({ center: { ...center }, falloff, source });
+        }
+
+        const objects = [...reached.keys()];
+        eventBus.emit('physics:explosion', { center: { ...center }, radius, strength, source, objects });
+        return objects;
+    }
+
     /**
      * Find the game object for a given Matter.js body.
      * @param {Matter.Body} body
@@ -220,6 +523,104 @@ export class PhysicsEngine {
         return this._bodyToObject.get(body.id) ?? null;
     }
 
+    /**
+     * True if nothing static (other than `obj` itself) sits between `from`
+     * and the centre of `body`.
+     * @private
+     */
+    _inLineOfSight(from, body, obj, blockers) {
+        const own = new Set(obj.bodies);
+        const candidates = blockers.filter(b => !own.has(b));
+        if (candidates.length === 0) return true;
+        return Query.ray(candidates, from, body.position).length === 0;
+    }
+
+    /**
+     * Bring the world in line with the object's current bodies and constraints.
+     * @private
+     */
+    _syncObject(obj) {
+        const members = this._inWorld.get(obj);
+        if (!members) return;
+
+        const bodies = obj.bodies;
+        const constraints = obj.constraints || [];
+        if (sameMembers(members.bodies, bodies) && sameMembers(members.constraints, constraints)) return;
+
+        const nextBodies = new Set(bodies);
+        const nextConstraints = new Set(constraints);
+
+        for (const constraint of members.constraints) {
+            if (!nextConstraints.has(constraint)) Composite.remove(this.world, constraint);
+        }
+        for (const body of members.bodies) {
+            if (nextBodies.has(body)) continue;
+            Composite.remove(this.world, body);
+            this._bodyToObject.delete(body.id);
+            this._prevTransforms.delete(body.id);
+        }
+        for (const body of nextBodies) {
+            if (members.bodies.has(body)) continue;
+            Composite.add(this.world, body);
+            this._bodyToObject.set(body.id, obj);
+            this._environment.applyAir(body);
+        }
+        for (const constraint of nextConstraints) {
+            if (!members.constraints.has(constraint)) Composite.add(this.world, constraint);
+        }
+
+        members.bodies = nextBodies;
+        members.constraints = nextConstraints;
+    }
+
+    /**
+     * Send each body that entered a sensor this step wherever the sensor's
+     * owner says: teleport(body, obj) returns `{ position, velocity, angle? }`
+     * for it to come out with (portals), or null to leave it be.
+     * @private
+     */
+    _teleportArrivals() {
+        for (const [id, steps] of this._teleportCooldown) {
+            if (steps > 1) this._teleportCooldown.set(id, steps - 1);
+            else this._teleportCooldown.delete(id);
+        }
+
+        const arrivals = this._arrivals;
+        this._arrivals = [];
+        for (const { object, body, other } of arrivals) {
+            // Fresh out of a portal ΓÇö don't ping-pong it straight back
+            if (body.isStatic || this._teleportCooldown.has(body.id)) continue;
+
+            const exit = object.teleport?.(body, other);
+            if (!exit) continue;
+
+            Body.setPosition(body, exit.position);
+            Body.setVelocity(body, exit.velocity);
+            if (exit.angle !== undefined) Body.setAngle(body, exit.angle);
+            Sleeping.set(body, false);
+            this._teleportCooldown.set(body.id, TELEPORT_COOLDOWN);
+
+            // Drawn where it came out, not sliding across the board
+            this._prevTransforms.delete(body.id);
+        }
+    }
+
+    /** @private */
+    _capturePrevTransforms() {
+        for (const obj of this._objects) {
+            for (const body of obj.bodies) {
+                const prev = this._prevTransforms.get(body.id);
+                if (prev) {
+                    prev.x = body.position.x;
+                    prev.y = body.position.y;
+                    prev.angle = body.angle;
+                } else {
+                    this._prevTransforms.set(body.id, { x: body.position.x, y: body.position.y, angle: body.angle });
+                }
+            }
+        }
+    }
+
     // ΓöÇΓöÇ Boundaries ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
     /** @private */
@@ -240,17 +641,37 @@ export class PhysicsEngine {
 
     // ΓöÇΓöÇ Collision Events ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
 
-    /** @private */
+    /**
+     * Objects with onCollision(other, pair) hear of every contact; those
+     * with onImpact(impact, other, pair) of every non-sensor one, `other`
+     * null for the playfield edges (see impactOf).
+     * @private
+     */
     _setupCollisionEvents() {
         Events.on(this.engine, 'collisionStart', (event) => {
             for (const pair of event.pairs) {
-                const objA = this._bodyToObject.get(pair.bodyA.id);
-                const objB = this._bodyToObject.get(pair.bodyB.id);
+                // Pairs hold the parts that touched ΓÇö objects own the parent bodies
+                const objA = this._bodyToObject.get(pair.bodyA.parent.id);
+                const objB = this._bodyToObject.get(pair.bodyB.parent.id);
+
+                // How hard they hit ΓÇö even against the playfield edges, which belong to no object
+                const impact = pair.isSensor ? 0 : impactOf(pair);
+                if (!pair.isSensor) {
+                    if (objA?.onImpact) objA.onImpact(impact, objB ?? null, pair);
+                    if (objB?.onImpact) objB.onImpact(impact, objA ?? null, pair);
+                }
 
                 if (objA && objB) {
                     if (objA.onCollision) objA.onCollision(objB, pair);
                     if (objB.onCollision) objB.onCollision(objA, pair);
-                    eventBus.emit('physics:collision', { objectA: objA, objectB: objB, pair });
+
+                    // Sensors don't collide ΓÇö they note what went in, for teleport()
+                    if (pair.isSensor) {
+                        if (pair.bodyA.isSensor) this._arrivals.push({ object: objA, body: pair.bodyB.parent, other: objB });
+                        if (pair.bodyB.isSensor) this._arrivals.push({ object: objB, body: pair.bodyA.parent, other: objA });
+                    } else {
+                        eventBus.emit('physics:collision', { objectA: objA, objectB: objB, pair, impact });
+                    }
                 }
             }
         });
@@ -267,4 +688,223 @@ export class PhysicsEngine {
     }
 }
 
+// ΓöÇΓöÇ Impacts ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+
+/**
+ * How hard the two bodies of a new contact hit: the speed they close at
+ * along the contact normal times the mass being stopped ΓÇö the lighter
+ * mass, more or less, or the whole of the moving one against something
+ * static. Read before the solver has pushed them apart.
+ * @param {Matter.Pair} pair
+ * @returns {number}
+ */
+function impactOf(pair) {
+    const a = pair.bodyA.parent;
+    const b = pair.bodyB.parent;
+    const { normal } = pair.collision;
+    const closing = Math.abs((a.velocity.x - b.velocity.x) * normal.x + (a.velocity.y - b.velocity.y) * normal.y);
+    if (a.isStatic) return closing * b.mass;
+    if (b.isStatic) return closing * a.mass;
+    return closing * a.mass * b.mass / (a.mass + b.mass);
+}
+
+// ΓöÇΓöÇ Transform save/restore (render interpolation, snapshots) ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+
+/**
+ * Copy every field Body.setPosition / Body.setAngle touch.
+ * @param {Matter.Body} body
+ */
+function saveTransform(body) {
+    return {
+        body,
+        positionPrev: { x: body.positionPrev.x, y: body.positionPrev.y },
+        anglePrev: body.anglePrev,
+        parts: body.parts.map(part => ({
+            part,
+            position: { x: part.position.x, y: part.position.y },
+            angle: part.angle,
+            vertices: part.vertices.map(v => ({ x: v.x, y: v.y })),
+            axes: part.axes.map(a => ({ x: a.x, y: a.y })),
+            bounds: {
+                min: { x: part.bounds.min.x, y: part.bounds.min.y },
+                max: { x: part.bounds.max.x, y: part.bounds.max.y },
+            },
+        })),
+    };
+}
+
+/** Write back the exact values captured by saveTransform(). */
+function restoreTransform({ body, positionPrev, anglePrev, parts }) {
+    body.positionPrev.x = positionPrev.x;
+    body.positionPrev.y = positionPrev.y;
+    body.anglePrev = anglePrev;
+    for (const saved of parts) {
+        const part = saved.part;
+        part.position.x = saved.position.x;
+        part.position.y = saved.position.y;
+        part.angle = saved.angle;
+        saved.vertices.forEach((v, i) => { part.vertices[i].x = v.x; part.vertices[i].y = v.y; });
+        saved.axes.forEach((a, i) => { part.axes[i].x = a.x; part.axes[i].y = a.y; });
+        part.bounds.min.x = saved.bounds.min.x;
+        part.bounds.min.y = saved.bounds.min.y;
+        part.bounds.max.x = saved.bounds.max.x;
+        part.bounds.max.y = saved.bounds.max.y;
+    }
+}
+
+// ΓöÇΓöÇ Body/constraint state (snapshot/restore) ΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇΓöÇ
+
+/** @returns {boolean} True if `set` holds exactly the items in `list` */
+function sameMembers(set, list) {
+    if (set.size !== list.length) return false;
+    for (const item of list) {
+        if (!set.has(item)) return false;
+    }
+    return true;
+}
+
+/**
+ * Sort `items` in place to follow `order`; items not in `order` keep
+ * their relative order at the end.
+ * @param {object[]} items
+ * @param {object[]} order
+ */
+function restoreOrder(items, order) {
+    const rank = new Map(order.map((item, i) => [item, i]));
+    const indexed = items.map((item, i) => [rank.get(item) ?? order.length + i, item]);
+    indexed.sort((a, b) => a[0] - b[0]);
+    indexed.forEach(([, item], i) => { items[i] = item; });
+}
+
+/**
+ * Copy the body's transform plus everything Body.update reads, so a
+ * restored body continues exactly as it would have from the snapshot.
+ * @param {Matter.Body} body
+ */
+function captureBody(body) {
+    return {
+        transform: saveTransform(body),
+        velocity: { x: body.velocity.x, y: body.velocity.y },
+        angularVelocity: body.angularVelocity,
+        speed: body.speed,
+        angularSpeed: body.angularSpeed,
+        deltaTime: body.deltaTime,
+        positionImpulse: { x: body.positionImpulse.x, y: body.positionImpulse.y },
+        constraintImpulse: { ...body.constraintImpulse },
+        motion: body.motion,
+        sleepCounter: body.sleepCounter,
+        isSleeping: body.isSleeping,
+    };
+}
+
+/** Write back the values captured by captureBody() and clear pending forces. */
+function restoreBody(state) {
+    const body = state.transform.body;
+    Sleeping.set(body, false);
+    restoreTransform(state.transform);
+
+    body.velocity.x = state.velocity.x;
+    body.velocity.y = state.velocity.y;
+    body.angularVelocity = state.angularVelocity;
+    body.speed = state.speed;
+    body.angularSpeed = state.angularSpeed;
+    body.deltaTime = state.deltaTime;
+
+    body.positionImpulse.x = state.positionImpulse.x;
+    body.positionImpulse.y = state.positionImpulse.y;
+    body.constraintImpulse.x = state.constraintImpulse.x;
+    body.constraintImpulse.y = state.constraintImpulse.y;
+    body.constraintImpulse.angle = state.constraintImpulse.angle;
+    body.force.x = 0;
+    body.force.y = 0;
+    body.torque = 0;
+    body.totalContacts = 0;
+
+    if (state.isSleeping) Sleeping.set(body, true);
+    body.motion = state.motion;
+    body.sleepCounter = state.sleepCounter;
+}
+
+/** @param {Matter.Constraint} constraint */
+function captureConstraint(constraint) {
+    return {
+        constraint,
+        pointA: { x: constraint.pointA.x, y: constraint.pointA.y },
+        pointB: { x: constraint.pointB.x, y: constraint.pointB.y },
+        angleA: constraint.angleA,
+        angleB: constraint.angleB,
+    };
+}
+
+/** Write back the values captured by captureConstraint(). */
+function restoreConstraint({ constraint, pointA, pointB, angleA, angleB }) {
+    constraint.pointA.x = pointA.x;
+    constraint.pointA.y = pointA.y;
+    constraint.pointB.x = pointB.x;
+    constraint.pointB.y = pointB.y;
+    constraint.angleA = angleA;
+    constraint.angleB = angleB;
+}
+
+/**
+ * Copy a contact pair's mutable fields. The pair and collision objects
+ * themselves are reused on restore, as Matter.js does between steps.
+ * @param {object} pair - Matter.js pair
+ */
+function capturePair(pair) {
+    const { collision } = pair;
+    return {
+        pair,
+        isActive: pair.isActive,
+        contactCount: pair.contactCount,
+        separation: pair.separation,
+        timeCreated: pair.timeCreated,
+        timeUpdated: pair.timeUpdated,
+        inverseMass: pair.inverseMass,
+        friction: pair.friction,
+        frictionStatic: pair.frictionStatic,
+        restitution: pair.restitution,
+        slop: pair.slop,
+        contacts: pair.contacts.map(c => ({ contact: c, vertex: c.vertex, normalImpulse: c.normalImpulse, tangentImpulse: c.tangentImpulse })),
+        collision: {
+            collision,
+            pair: collision.pair,
+            collided: collision.collided,
+            depth: collision.depth,
+            normal: { ...collision.normal },
+            tangent: { ...collision.tangent },
+            penetration: { ...collision.penetration },
+            supports: [...collision.supports],
+            supportCount: collision.supportCount,
+        },
+    };
+}
+
+/** Write back the values captured by capturePair(). */
+function restorePair(saved) {
+    const { pair } = saved;
+    for (const key of ['isActive', 'contactCount', 'separation', 'timeCreated', 'timeUpdated',
+        'inverseMass', 'friction', 'frictionStatic', 'restitution', 'slop']) {
+        pair[key] = saved[key];
+    }
+    saved.contacts.forEach((c, i) => {
+        pair.contacts[i] = c.contact;
+        c.contact.vertex = c.vertex;
+        c.contact.normalImpulse = c.normalImpulse;
+        c.contact.tangentImpulse = c.tangentImpulse;
+    });
+    const savedCollision = saved.collision;
+    const collision = savedCollision.collision;
+    pair.collision = collision;
+    collision.pair = savedCollision.pair;
+    collision.collided = savedCollision.collided;
+    collision.depth = savedCollision.depth;
+    Object.assign(collision.normal, savedCollision.normal);
+    Object.assign(collision.tangent, savedCollision.tangent);
+    Object.assign(collision.penetration, savedCollision.penetration);
+    savedCollision.supports.forEach((vertex, i) => { collision.supports[i] = vertex; });
+    collision.supportCount = savedCollision.supportCount;
+    return pair;
+}
+
 export default PhysicsEngine;
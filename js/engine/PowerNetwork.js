@@ -0,0 +1,108 @@
+/**
+ * PowerNetwork — Works out which objects have electricity
+ *
+ * Objects expose electrical terminals: sockets, some of them live (an
+ * outlet), and plugs (a cord's ends). A plug connects to any socket
+ * within PLUG_REACH, and each object conducts between the terminal pairs
+ * in its powerLinks (a cord end to end, a switch only while on). Every
+ * terminal that can reach a live socket is energized; an object is
+ * powered when any of its terminals is. Objects without terminals are
+ * left out. An object takes part by having:
+ *   - powerTerminals: `{ x, y, kind: 'plug'|'socket', live? }` in world
+ *     coordinates (see terminalAt)
+ *   - powerLinks (optional): `[a, b]` pairs of terminal indices it
+ *     conducts between
+ *   - isPowered / setPowered(): told whenever its supply changes
+ *
+ * The network keeps no state of its own — PhysicsEngine recomputes it
+ * every step, so a switch flipped mid-run starts a fan on the next step.
+ */
+
+import { eventBus } from '../EventBus.js';
+
+/** How close (px) a plug must be to a socket to connect */
+export const PLUG_REACH = 18;
+
+/**
+ * Build a terminal at an offset from a body-local origin.
+ * @param {{ x: number, y: number }} origin - World position of the object
+ * @param {number} angle - Object rotation in radians
+ * @param {number} dx - Local x offset
+ * @param {number} dy - Local y offset
+ * @param {'plug'|'socket'} kind
+ * @param {boolean} [live=false] - True for sockets that supply power
+ * @returns {{ x: number, y: number, kind: string, live: boolean }}
+ */
+export function terminalAt(origin, angle, dx, dy, kind, live = false) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+        x: origin.x + dx * cos - dy * sin,
+        y: origin.y + dx * sin + dy * cos,
+        kind,
+        live,
+    };
+}
+
+export class PowerNetwork {
+    /**
+     * Recompute power for every object and tell the ones whose supply
+     * changed, emitting 'power:changed' for each.
+     * @param {Iterable<import('../objects/BaseObject.js').default>} objects
+     */
+    update(objects) {
+        const terminals = [];
+        const owners = [];
+        for (const obj of objects) {
+            const own = obj.powerTerminals;
+            if (!own || own.length === 0) continue;
+            owners.push({ obj, first: terminals.length, count: own.length });
+            for (const terminal of own) terminals.push({ ...terminal, obj });
+        }
+        if (owners.length === 0) return;
+
+        const parent = terminals.map((_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const union = (a, b) => { parent[find(a)] = find(b); };
+
+        // Conduction inside each object
+        for (const { obj, first } of owners) {
+            for (const [a, b] of obj.powerLinks ?? []) union(first + a, first + b);
+        }
+
+        // Plugs seated in sockets
+        for (let i = 0; i < terminals.length; i++) {
+            const plug = terminals[i];
+            if (plug.kind !== 'plug') continue;
+            for (let j = 0; j < terminals.length; j++) {
+                const socket = terminals[j];
+                if (socket.kind !== 'socket' || socket.obj === plug.obj) continue;
+                if (Math.hypot(socket.x - plug.x, socket.y - plug.y) <= PLUG_REACH) union(i, j);
+            }
+        }
+
+        const live = new Set();
+        terminals.forEach((terminal, i) => {
+            if (terminal.live) live.add(find(i));
+        });
+
+        for (const { obj, first, count } of owners) {
+            let powered = false;
+            for (let i = first; i < first + count && !powered; i++) {
+                powered = live.has(find(i));
+            }
+            if (powered !== obj.isPowered) {
+                obj.setPowered(powered);
+                eventBus.emit('power:changed', { object: obj, powered });
+            }
+        }
+    }
+}
+
+export default PowerNetwork;
@@ -0,0 +1,248 @@
+/**
+ * ReplayPlayer — Show a recorded run without re-simulating
+ *
+ * Rebuilds the board from a RunRecorder replay and poses every object
+ * at any point in time: state changes (popped, severed, ...) are
+ * re-applied through restoreState() and body transforms are set
+ * directly, interpolating between recorded steps. The water and the
+ * laser beams come from the recording too, shaped like the live
+ * WaterSystem and Optics so Renderer draws them the same way.
+ *
+ * Usage:
+ *   const player = new ReplayPlayer(replay);
+ *   renderer.setObjects(player.objects);
+ *   renderer.setWater(player.water);
+ *   renderer.setOptics(player.optics);
+ *   gameLoop.playReplay(player);
+ */
+
+import Matter from 'matter-js';
+import { objectRegistry } from '../objects/ObjectRegistry.js';
+import { REPLAY_VERSION } from './RunRecorder.js';
+
+/** Oldest replay format still played — it has no water or beams */
+const OLDEST_VERSION = 1;
+
+const { Body } = Matter;
+
+export class ReplayPlayer {
+    /**
+     * @param {object} replay - A replay produced by RunRecorder
+     * @throws {Error} If the replay is malformed or from an unknown version
+     */
+    constructor(replay) {
+        ReplayPlayer.validate(replay);
+
+        /** @type {object} */
+        this._replay = replay;
+
+        /** @type {number[]} Simulation time (ms) of each frame */
+        this._times = [0];
+        for (const [dt, count] of replay.steps) {
+            for (let i = 0; i < count; i++) {
+                this._times.push(this._times[this._times.length - 1] + dt);
+            }
+        }
+
+        /** @type {import('../objects/BaseObject.js').default[]} Rebuilt board, by replay index */
+        this._objects = replay.board.map(data => {
+            const obj = objectRegistry.deserialize(data);
+            if (data.goalId) obj._goalId = data.goalId;
+            return obj;
+        });
+        objectRegistry.linkObjects(this._objects);
+
+        /** @type {object[]} Current full state of each object */
+        this._states = this._objects.map(() => null);
+
+        /** @type {number} Index of the next unapplied entry in replay.states */
+        this._stateCursor = 0;
+
+        /** @type {number} Frame the object states currently reflect (-1 = none) */
+        this._stateFrame = -1;
+
+        /** @type {RecordedWater} Drops at the current position */
+        this._water = new RecordedWater();
+
+        /** @type {{ beams: { from: { x: number, y: number }, to: { x: number, y: number }, color: string|null }[] }} Beams at the current position */
+        this._optics = { beams: [] };
+
+        /** @type {Array|null} Entry of replay.beams the beams show (null = none yet) */
+        this._beamEntry = null;
+
+        /** @type {number} Current playback position (ms) */
+        this._time = 0;
+
+        this.seek(0);
+    }
+
+    /**
+     * Throw if `replay` is not a usable replay.
+     * @param {object} replay
+     */
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (!(replay.version >= OLDEST_VERSION && replay.version <= REPLAY_VERSION)) {
+            throw new Error(`Unsupported replay version: ${replay.version}`);
+        }
+        const keys = ['board', 'steps', 'frames', 'states'];
+        if (replay.version >= 2) keys.push('water', 'beams');
+        for (const key of keys) {
+            if (!Array.isArray(replay[key])) {
+                throw new Error(`Replay is missing "${key}"`);
+            }
+        }
+        const stepCount = replay.steps.reduce((sum, [, count]) => sum + count, 0);
+        if (replay.frames.length !== stepCount + 1) {
+            throw new Error(`Replay has ${replay.frames.length} frames for ${stepCount} steps`);
+        }
+        if (replay.water && replay.water.length !== replay.frames.length) {
+            throw new Error(`Replay has water for ${replay.water.length} of ${replay.frames.length} frames`);
+        }
+    }
+
+    // ── State Queries ─────────────────────────────
+
+    /** @returns {object} The replay being played */
+    get replay() { return this._replay; }
+
+    /** @returns {import('../objects/BaseObject.js').default[]} */
+    get objects() { return this._objects; }
+
+    /** @returns {RecordedWater} The water to draw, in place of the live WaterSystem */
+    get water() { return this._water; }
+
+    /** @returns {{ beams: object[] }} The laser beams to draw, in place of the live Optics */
+    get optics() { return this._optics; }
+
+    /** @returns {number} Number of recorded frames (initial board included) */
+    get frameCount() { return this._replay.frames.length; }
+
+    /** @returns {number} Length of the recorded run in ms */
+    get duration() { return this._times[this._times.length - 1]; }
+
+    /** @returns {number} Current playback position in ms */
+    get time() { return this._time; }
+
+    /** @returns {number} Index of the frame at the current position */
+    get frame() { return this.frameAt(this._time); }
+
+    /**
+     * Index of the last frame at or before `time`.
+     * @param {number} time - ms
+     * @returns {number}
+     */
+    frameAt(time) {
+        let lo = 0;
+        let hi = this._times.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this._times[mid] <= time) lo = mid; else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    // ── Playback ──────────────────────────────────
+
+    /**
+     * Pose the board at `time`, interpolating between recorded steps.
+     * @param {number} time - ms from the start of the run (clamped)
+     */
+    seek(time) {
+        this._time = Math.max(0, Math.min(time, this.duration));
+
+        const index = this.frameAt(this._time);
+        this._applyStates(index);
+        this._water.drops = this._replay.water?.[index] ?? [];
+        this._applyBeams(index);
+
+        const frame = this._replay.frames[index];
+        const next = this._replay.frames[index + 1];
+        let alpha = 0;
+        if (next && next.length === frame.length) {
+            alpha = (this._time - this._times[index]) / (this._times[index + 1] - this._times[index]);
+        }
+        this._applyTransforms(frame, alpha > 0 ? next : null, alpha);
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Bring every object's runtime state up to frame `index`. */
+    _applyStates(index) {
+        if (index === this._stateFrame) return;
+
+        // Going backwards — replay state changes from the start
+        if (index < this._stateFrame) {
+            this._states = this._objects.map(() => null);
+            this._stateCursor = 0;
+        }
+
+        const entries = this._replay.states;
+        while (this._stateCursor < entries.length && entries[this._stateCursor][0] <= index) {
+            const [, objectIndex, changed] = entries[this._stateCursor++];
+            const state = { ...this._states[objectIndex], ...changed };
+            this._states[objectIndex] = state;
+            this._objects[objectIndex].restoreState(state);
+        }
+
+        this._stateFrame = index;
+    }
+
+    /** Show the beams last recorded at or before frame `index`. */
+    _applyBeams(index) {
+        let entry = null;
+        for (const change of this._replay.beams ?? []) {
+            if (change[0] > index) break;
+            entry = change;
+        }
+        if (entry === this._beamEntry) return;
+        this._beamEntry = entry;
+        this._optics.beams = (entry?.[1] ?? []).map(([fromX, fromY, toX, toY, color]) => ({
+            from: { x: fromX, y: fromY },
+            to: { x: toX, y: toY },
+            color,
+        }));
+    }
+
+    /** Set body transforms from a frame, optionally blended toward the next one. */
+    _applyTransforms(frame, next, alpha) {
+        let offset = 0;
+        for (const obj of this._objects) {
+            for (const body of obj.bodies) {
+                let x = frame[offset];
+                let y = frame[offset + 1];
+                let angle = frame[offset + 2];
+                if (next) {
+                    x += (next[offset] - x) * alpha;
+                    y += (next[offset + 1] - y) * alpha;
+                    angle += (next[offset + 2] - angle) * alpha;
+                }
+                Body.setPosition(body, { x, y });
+                Body.setAngle(body, angle);
+                offset += 3;
+            }
+        }
+    }
+}
+
+/** Recorded drops for one frame, drawn like a WaterSystem. */
+class RecordedWater {
+    constructor() {
+        /** @type {number[]} x, y of each drop */
+        this.drops = [];
+    }
+
+    /** @returns {number} */
+    get count() {
+        return this.drops.length / 2;
+    }
+
+    /** @param {(x: number, y: number) => void} fn */
+    forEachDrop(fn) {
+        for (let i = 0; i < this.drops.length; i += 2) fn(this.drops[i], this.drops[i + 1]);
+    }
+}
+
+export default ReplayPlayer;
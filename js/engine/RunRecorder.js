@@ -0,0 +1,277 @@
+/**
+ * RunRecorder — Record a run for later playback
+ *
+ * Captures the initial board, the fixed-step inputs and every step's body
+ * transforms from 'loop:frame', plus changes to each object's runtime
+ * state (popped, severed, ...), the water drops and the laser beams. The
+ * result is a plain JSON replay that ReplayPlayer can show without
+ * re-simulating.
+ *
+ * Replay format (version 2):
+ *   {
+ *     version: 2,
+ *     levelId, width, height,
+ *     board:   [serialized object + goalId],          // initial board, in world order
+ *     steps:   [[dt, count], ...],                    // step lengths, run-length encoded
+ *     frames:  [[x, y, angle, x, y, angle, ...], ...],// frame 0 = initial board, then one per step
+ *     states:  [[frame, objectIndex, changedFields], ...],
+ *     water:   [[x, y, x, y, ...], ...],              // every drop, one entry per frame
+ *     beams:   [[frame, [[fromX, fromY, toX, toY, color], ...]], ...], // whenever they change
+ *     outcome: { event, reason, frame } | null,
+ *   }
+ *
+ * A frame lists the transforms of each object's current `bodies`, object
+ * by object. Apply the frame's state changes first — a popped balloon has
+ * no bodies, so it contributes nothing to the frame. Version 1 replays
+ * have no water or beams.
+ */
+
+import { eventBus } from '../EventBus.js';
+
+/** Replay format version written by RunRecorder */
+export const REPLAY_VERSION = 2;
+
+/** Default cap on recorded steps (2 minutes at 60 steps/s) */
+const MAX_FRAMES = 60 * 120;
+
+class RunRecorder {
+    constructor() {
+        /** @type {import('../objects/BaseObject.js').default[]} Objects being recorded, by replay index */
+        this._objects = [];
+
+        /** @type {object|null} Replay under construction */
+        this._replay = null;
+
+        /** @type {object[]} Last recorded state of each object */
+        this._lastStates = [];
+
+        /** @type {import('./PhysicsEngine.js').PhysicsEngine|null} Engine being recorded, for its water and beams */
+        this._physics = null;
+
+        /** @type {Array<number|string>} Last recorded beams, flattened */
+        this._lastBeams = [];
+
+        /** @type {number} Frame cap for the current recording */
+        this._maxFrames = MAX_FRAMES;
+
+        /** @type {Function[]} EventBus unsubscribe handles */
+        this._unsubs = [];
+    }
+
+    // ── State Queries ─────────────────────────────
+
+    /** @returns {boolean} */
+    get isRecording() { return this._replay !== null; }
+
+    // ── Controls ──────────────────────────────────
+
+    /**
+     * Start recording. Call right before the first step of a run.
+     * @param {import('./PhysicsEngine.js').PhysicsEngine} physics
+     * @param {object} [opts]
+     * @param {string|null} [opts.levelId=null]
+     * @param {number} [opts.maxFrames] - Stop adding frames after this many steps
+     */
+    start(physics, opts = {}) {
+        this.stop();
+
+        this._objects = [...physics.getObjects()];
+        this._physics = physics;
+        this._maxFrames = opts.maxFrames ?? MAX_FRAMES;
+        this._lastStates = this._objects.map(() => null);
+        this._lastBeams = [];
+        this._replay = {
+            version: REPLAY_VERSION,
+            levelId: opts.levelId ?? null,
+            width: physics.width,
+            height: physics.height,
+            board: this._objects.map(obj => {
+                const data = obj.serialize();
+                if (obj._goalId) data.goalId = obj._goalId;
+                return data;
+            }),
+            steps: [],
+            frames: [],
+            states: [],
+            water: [],
+            beams: [],
+            outcome: null,
+        };
+        this._capture();
+
+        this._unsubs.push(
+            eventBus.on('loop:frame', ({ dt }) => this._onFrame(dt)),
+            eventBus.on('goal:reached', (data) => this._onOutcome('goal:reached', data)),
+            eventBus.on('goal:failed', (data) => this._onOutcome('goal:failed', data)),
+        );
+    }
+
+    /**
+     * Stop recording.
+     * @returns {object|null} The finished replay, or null if nothing was recording
+     */
+    stop() {
+        for (const unsub of this._unsubs) unsub();
+        this._unsubs = [];
+
+        const replay = this._replay;
+        this._replay = null;
+        this._objects = [];
+        this._physics = null;
+        this._lastStates = [];
+        this._lastBeams = [];
+        return replay;
+    }
+
+    /** @returns {object|null} Recording length, for rewinding a scrubbed run */
+    saveState() {
+        const replay = this._replay;
+        if (!replay) return null;
+        return {
+            frames: replay.frames.length,
+            states: replay.states.length,
+            beams: replay.beams.length,
+            steps: replay.steps.map(([dt, count]) => [dt, count]),
+            outcome: replay.outcome,
+            lastStates: [...this._lastStates],
+            lastBeams: this._lastBeams,
+        };
+    }
+
+    /**
+     * Drop everything recorded after saveState() was called.
+     * @param {object|null} state
+     */
+    restoreState(state) {
+        const replay = this._replay;
+        if (!replay || !state) return;
+        replay.frames.length = Math.min(replay.frames.length, state.frames);
+        replay.water.length = Math.min(replay.water.length, state.frames);
+        replay.states.length = Math.min(replay.states.length, state.states);
+        replay.beams.length = Math.min(replay.beams.length, state.beams);
+        replay.steps = state.steps.map(([dt, count]) => [dt, count]);
+        replay.outcome = state.outcome;
+        this._lastStates = [...state.lastStates];
+        this._lastBeams = state.lastBeams;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    _onFrame(dt) {
+        const replay = this._replay;
+        if (replay.frames.length > this._maxFrames) return;
+
+        // Run-length encode the step inputs
+        const last = replay.steps[replay.steps.length - 1];
+        if (last && last[0] === dt) {
+            last[1]++;
+        } else {
+            replay.steps.push([dt, 1]);
+        }
+
+        this._capture();
+    }
+
+    _onOutcome(event, data) {
+        if (this._replay.outcome) return;
+        this._replay.outcome = {
+            event,
+            reason: data?.reason ?? null,
+            frame: this._replay.frames.length - 1,
+        };
+    }
+
+    /** Append one frame of transforms, water and any state or beam changes. */
+    _capture() {
+        const replay = this._replay;
+        const frameIndex = replay.frames.length;
+
+        // State first — it decides which bodies the frame holds
+        this._objects.forEach((obj, i) => {
+            const state = obj.saveState();
+            if (!state) return;
+            const changed = diffState(this._lastStates[i], state);
+            if (changed) {
+                replay.states.push([frameIndex, i, changed]);
+                this._lastStates[i] = state;
+            }
+        });
+
+        const frame = [];
+        for (const obj of this._objects) {
+            for (const body of obj.bodies) {
+                frame.push(round(body.position.x, 100), round(body.position.y, 100), round(body.angle, 10000));
+            }
+        }
+        replay.frames.push(frame);
+
+        const drops = [];
+        this._physics.water.forEachDrop((x, y) => drops.push(round(x, 10), round(y, 10)));
+        replay.water.push(drops);
+
+        const beams = [];
+        for (const { from, to, color } of this._physics.optics.beams) {
+            beams.push(round(from.x, 100), round(from.y, 100), round(to.x, 100), round(to.y, 100), color ?? null);
+        }
+        if (!sameValue(beams, this._lastBeams)) {
+            const entry = [];
+            for (let i = 0; i < beams.length; i += 5) entry.push(beams.slice(i, i + 5));
+            replay.beams.push([frameIndex, entry]);
+            this._lastBeams = beams;
+        }
+    }
+}
+
+/**
+ * Fields of `next` that differ from `prev` (all of them if prev is null).
+ * @returns {object|null} null when nothing changed
+ */
+function diffState(prev, next) {
+    if (!prev) return JSON.parse(JSON.stringify(next));
+
+    let changed = null;
+    for (const [key, value] of Object.entries(next)) {
+        if (!sameValue(value, prev[key])) {
+            changed = changed || {};
+            changed[key] = JSON.parse(JSON.stringify(value));
+        }
+    }
+    return changed;
+}
+
+/**
+ * Whether two pieces of plain state data are equal — as they would be
+ * written to JSON, without building the strings. Runs for every field of
+ * every object on every step, so it stops at the first difference.
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a === 'number' && typeof b === 'number') return Number.isNaN(a) && Number.isNaN(b);
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+    if (Array.isArray(a) || ArrayBuffer.isView(a)) {
+        if (Array.isArray(b) !== Array.isArray(a) || a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (!sameValue(a[i], b[i])) return false;
+        }
+        return true;
+    }
+    if (Array.isArray(b)) return false;
+
+    for (const key in a) {
+        if (!sameValue(a[key], b[key])) return false;
+    }
+    for (const key in b) {
+        if (!(key in a) && b[key] !== undefined) return false;
+    }
+    return true;
+}
+
+function round(value, scale) {
+    return Math.round(value * scale) / scale;
+}
+
+/** Singleton run recorder instance */
+export const runRecorder = new RunRecorder();
+export default RunRecorder;
@@ -0,0 +1,81 @@
+/**
+ * SpatialGrid — Uniform grid for finding things near a point
+ *
+ * Items are bucketed by every cell their bounding box covers, so a
+ * query only looks at the few cells around it instead of every item in
+ * the world. Rebuild it (clear + insert) whenever things have moved.
+ *
+ * Usage:
+ *   const grid = new SpatialGrid(100);
+ *   grid.insert(obj, body.bounds);
+ *   grid.query({ min: { x: 0, y: 0 }, max: { x: 50, y: 50 } }); // Set of items
+ */
+
+/** Default cell size in px — about the reach of a magnet */
+const CELL_SIZE = 100;
+
+export class SpatialGrid {
+    /**
+     * @param {number} [cellSize=100] - Width and height of a cell, in px
+     */
+    constructor(cellSize = CELL_SIZE) {
+        this._cellSize = cellSize;
+
+        /** @type {Map<string, Set<*>>} Items touching each cell, keyed by "column,row" */
+        this._cells = new Map();
+    }
+
+    /** Forget every item. */
+    clear() {
+        this._cells.clear();
+    }
+
+    /**
+     * Add an item under every cell its bounding box touches.
+     * @param {*} item
+     * @param {{ min: { x: number, y: number }, max: { x: number, y: number } }} bounds
+     */
+    insert(item, bounds) {
+        this._forEachCell(bounds, (key) => {
+            let cell = this._cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this._cells.set(key, cell);
+            }
+            cell.add(item);
+        });
+    }
+
+    /**
+     * Items in the cells a region touches — everything whose bounding box
+     * overlaps the region, plus a few near misses from the same cells.
+     * @param {{ min: { x: number, y: number }, max: { x: number, y: number } }} bounds
+     * @returns {Set<*>}
+     */
+    query(bounds) {
+        const found = new Set();
+        this._forEachCell(bounds, (key) => {
+            const cell = this._cells.get(key);
+            if (!cell) return;
+            for (const item of cell) found.add(item);
+        });
+        return found;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    _forEachCell(bounds, fn) {
+        const size = this._cellSize;
+        const minCol = Math.floor(bounds.min.x / size);
+        const maxCol = Math.floor(bounds.max.x / size);
+        const minRow = Math.floor(bounds.min.y / size);
+        const maxRow = Math.floor(bounds.max.y / size);
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                fn(`${col},${row}`);
+            }
+        }
+    }
+}
+
+export default SpatialGrid;
@@ -0,0 +1,405 @@
+/**
+ * WaterSystem — Drops of water simulated beside the Matter.js world
+ *
+ * Water is a cloud of small drops rather than Matter.js bodies, so a
+ * faucet can pour hundreds of them without slowing the physics down.
+ * Each step the drops fall under the world's gravity, push apart from
+ * their neighbours so they pool instead of piling up, and bounce off
+ * every solid body. Objects take part by having any of:
+ *   - releaseWater(): faucets and tanks let drops out
+ *   - onWaterHit(): every drop that hits the object (water wheels)
+ *   - waterBasin / setWaterLevel(): drops held inside (buckets)
+ *   - douse(): water reaches one of its heatSources (candles); emits
+ *     'fire:doused' if that puts the fire out
+ * A drop that splashes into a loose body pushes it. Drops that leave
+ * the playfield are gone.
+ *
+ * Unlike Combustion this keeps state of its own — the drops — so
+ * PhysicsEngine saves it in its snapshots.
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+
+const { Body, Composite, Sleeping, Vertices } = Matter;
+
+/** Most drops alive at once — faucets hold back while the pool is full */
+export const MAX_DROPS = 800;
+
+/** Drop radius (px) — how close two drops get before pushing apart */
+export const DROP_RADIUS = 3;
+
+/** Mass of one drop, in Matter.js mass units */
+export const DROP_MASS = 0.02;
+
+/** Fraction of a drop's speed into a surface that it bounces back with */
+const RESTITUTION = 0.1;
+
+/** Fraction of a drop's speed along a surface that it loses each contact */
+const SURFACE_DRAG = 0.05;
+
+/** Drops that hit a loose body faster than this (px/step) push it */
+const SPLASH_SPEED = 1;
+
+/** How far outside a surface a drop is put back (px) */
+const SKIN = 0.5;
+
+/** Longest move (px) between collision checks — under half the thinnest wall */
+const MAX_MOVE = 2;
+
+/** Drops faster than this (px/step) are still flowing — pooled water only jostles */
+const FLOWING_SPEED = 3;
+
+export class WaterSystem {
+    /**
+     * @param {number} width  — playfield width in px
+     * @param {number} height — playfield height in px
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        this._x = new Float64Array(MAX_DROPS);
+        this._y = new Float64Array(MAX_DROPS);
+        this._vx = new Float64Array(MAX_DROPS);
+        this._vy = new Float64Array(MAX_DROPS);
+
+        // Where each drop started the step — tells which face of a body it came through
+        this._px = new Float64Array(MAX_DROPS);
+        this._py = new Float64Array(MAX_DROPS);
+
+        /** @type {number} Drops alive — they fill indices 0..count-1 */
+        this._count = 0;
+    }
+
+    /** @returns {number} Number of drops in the playfield */
+    get count() {
+        return this._count;
+    }
+
+    /** @returns {boolean} True while any drop is still falling or running (see PhysicsEngine.isSettled) */
+    get isBusy() {
+        for (let i = 0; i < this._count; i++) {
+            if (Math.hypot(this._vx[i], this._vy[i]) > FLOWING_SPEED) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Call `fn` with the position of every drop (for rendering).
+     * @param {(x: number, y: number) => void} fn
+     */
+    forEachDrop(fn) {
+        for (let i = 0; i < this._count; i++) fn(this._x[i], this._y[i]);
+    }
+
+    /**
+     * Add a drop, unless the pool is full.
+     * @returns {boolean} True if it was added
+     */
+    addDrop(x, y, vx = 0, vy = 0) {
+        if (this._count >= MAX_DROPS) return false;
+        const i = this._count++;
+        this._x[i] = x;
+        this._y[i] = y;
+        this._vx[i] = vx;
+        this._vy[i] = vy;
+        return true;
+    }
+
+    /** Remove every drop. */
+    clear() {
+        this._count = 0;
+    }
+
+    /**
+     * Advance the water by one step.
+     * @param {Iterable<import('../objects/BaseObject.js').default>} objects
+     * @param {Matter.Engine} engine
+     * @param {Map<number, import('../objects/BaseObject.js').default>} bodyToObject
+     * @param {number} dt - Step length in ms
+     */
+    update(objects, engine, bodyToObject, dt) {
+        for (const obj of objects) {
+            if (this._count >= MAX_DROPS) break;
+            if (!obj.releaseWater) continue;
+            for (const drop of obj.releaseWater()) this.addDrop(drop.x, drop.y, drop.vx, drop.vy);
+        }
+        if (this._count === 0) {
+            for (const obj of objects) {
+                if (obj.waterBasin) obj.setWaterLevel(0);
+            }
+            return;
+        }
+
+        const { gravity } = engine;
+        const gx = gravity.x * gravity.scale * dt * dt;
+        const gy = gravity.y * gravity.scale * dt * dt;
+        const solids = this._solids(Composite.allBodies(engine.world), bodyToObject);
+
+        // Fast drops move in short hops so they can't skip through a thin wall
+        for (let i = 0; i < this._count; i++) {
+            this._px[i] = this._x[i];
+            this._py[i] = this._y[i];
+            this._vx[i] += gx;
+            this._vy[i] += gy;
+            const hops = Math.max(1, Math.ceil(Math.hypot(this._vx[i], this._vy[i]) / MAX_MOVE));
+            const hx = this._vx[i] / hops;
+            const hy = this._vy[i] / hops;
+            for (let h = 0; h < hops; h++) {
+                this._x[i] += hx;
+                this._y[i] += hy;
+                if (this._collide(i, solids)) break;
+            }
+        }
+
+        // Drops pushed apart may end up in a wall again
+        this._spread();
+        for (let i = 0; i < this._count; i++) this._collide(i, solids);
+        this._douse(objects);
+        this._fillBasins(objects);
+        this._cull();
+    }
+
+    /** @returns {object} The drops, for PhysicsEngine snapshots */
+    saveState() {
+        const n = this._count;
+        return {
+            x: this._x.slice(0, n),
+            y: this._y.slice(0, n),
+            vx: this._vx.slice(0, n),
+            vy: this._vy.slice(0, n),
+        };
+    }
+
+    /** @param {object} state - From saveState() */
+    restoreState(state) {
+        this._count = state.x.length;
+        this._x.set(state.x);
+        this._y.set(state.y);
+        this._vx.set(state.vx);
+        this._vy.set(state.vy);
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Push overlapping drops apart, using a grid so only neighbours are compared. */
+    _spread() {
+        const size = DROP_RADIUS * 2;
+        const cols = Math.ceil(this.width / size) + 2;
+        const cellOf = (i) => Math.floor(this._y[i] / size) * cols + Math.floor(this._x[i] / size);
+
+        /** @type {Map<number, number[]>} */
+        const grid = new Map();
+        for (let i = 0; i < this._count; i++) {
+            const cell = cellOf(i);
+            const members = grid.get(cell);
+            if (members) members.push(i);
+            else grid.set(cell, [i]);
+        }
+
+        for (let i = 0; i < this._count; i++) {
+            const cell = cellOf(i);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const members = grid.get(cell + dy * cols + dx);
+                    if (!members) continue;
+                    for (const j of members) {
+                        if (j > i) this._separate(i, j, size);
+                    }
+                }
+            }
+        }
+    }
+
+    _separate(i, j, minDist) {
+        let nx = this._x[j] - this._x[i];
+        let ny = this._y[j] - this._y[i];
+        const dist = Math.hypot(nx, ny);
+        if (dist >= minDist) return;
+
+        if (dist === 0) {
+            // Exactly on top of each other — split them sideways
+            nx = 1;
+            ny = 0;
+        } else {
+            nx /= dist;
+            ny /= dist;
+        }
+
+        const push = (minDist - dist) / 2;
+        this._x[i] -= nx * push;
+        this._y[i] -= ny * push;
+        this._x[j] += nx * push;
+        this._y[j] += ny * push;
+
+        // Drops running into each other move on together
+        const closing = (this._vx[j] - this._vx[i]) * nx + (this._vy[j] - this._vy[i]) * ny;
+        if (closing < 0) {
+            this._vx[i] += nx * closing / 2;
+            this._vy[i] += ny * closing / 2;
+            this._vx[j] -= nx * closing / 2;
+            this._vy[j] -= ny * closing / 2;
+        }
+    }
+
+    /** Every solid (non-sensor) part a drop can land on, with its body and object. */
+    _solids(bodies, bodyToObject) {
+        const solids = [];
+        for (const body of bodies) {
+            if (body.isSensor) continue;
+            const parts = body.parts.length > 1 ? body.parts.slice(1) : [body];
+            for (const part of parts) {
+                if (!part.isSensor) solids.push({ part, body, obj: bodyToObject.get(body.id) ?? null });
+            }
+        }
+        return solids;
+    }
+
+    /**
+     * Put drop `i` back on the surface of any solid it ended up inside.
+     * @returns {boolean} True if it hit something
+     */
+    _collide(i, solids) {
+        const point = { x: this._x[i], y: this._y[i] };
+        let hit = false;
+        for (const solid of solids) {
+            const { min, max } = solid.part.bounds;
+            if (point.x < min.x || point.x > max.x || point.y < min.y || point.y > max.y) continue;
+            if (!Vertices.contains(solid.part.vertices, point)) continue;
+            this._bounce(i, solid);
+            point.x = this._x[i];
+            point.y = this._y[i];
+            hit = true;
+        }
+        return hit;
+    }
+
+    _bounce(i, { part, body, obj }) {
+        const x = this._x[i];
+        const y = this._y[i];
+
+        // Leave through the face the drop came in by: the shallowest of
+        // those it started the step outside of (or of all, if none)
+        const px = this._px[i];
+        const py = this._py[i];
+        const verts = part.vertices;
+        let best = -Infinity;
+        let crossed = false;
+        let nx = 0;
+        let ny = -1;
+        for (let k = 0; k < verts.length; k++) {
+            const a = verts[k];
+            const b = verts[(k + 1) % verts.length];
+            let ex = b.y - a.y;
+            let ey = a.x - b.x;
+            const len = Math.hypot(ex, ey);
+            if (len === 0) continue;
+            ex /= len;
+            ey /= len;
+            if ((a.x - part.position.x) * ex + (a.y - part.position.y) * ey < 0) {
+                ex = -ex;
+                ey = -ey;
+            }
+            const depth = (x - a.x) * ex + (y - a.y) * ey;
+            const outside = (px - a.x) * ex + (py - a.y) * ey >= 0;
+            if (crossed && !outside) continue;
+            if (depth > best || (outside && !crossed)) {
+                best = depth;
+                crossed = outside;
+                nx = ex;
+                ny = ey;
+            }
+        }
+        this._x[i] = x + nx * (SKIN - best);
+        this._y[i] = y + ny * (SKIN - best);
+
+        // Bounce relative to the surface, which may itself be moving
+        const rx = x - body.position.x;
+        const ry = y - body.position.y;
+        const sx = body.velocity.x - body.angularVelocity * ry;
+        const sy = body.velocity.y + body.angularVelocity * rx;
+        const vx = this._vx[i];
+        const vy = this._vy[i];
+        const relX = vx - sx;
+        const relY = vy - sy;
+        const into = relX * nx + relY * ny;
+        if (into >= 0) return;
+
+        const tanX = relX - into * nx;
+        const tanY = relY - into * ny;
+        this._vx[i] = sx + tanX * (1 - SURFACE_DRAG) - into * RESTITUTION * nx;
+        this._vy[i] = sy + tanY * (1 - SURFACE_DRAG) - into * RESTITUTION * ny;
+
+        if (!body.isStatic && -into > SPLASH_SPEED) {
+            const jx = (vx - this._vx[i]) * DROP_MASS;
+            const jy = (vy - this._vy[i]) * DROP_MASS;
+            Sleeping.set(body, false);
+            Body.setVelocity(body, {
+                x: body.velocity.x + jx / body.mass,
+                y: body.velocity.y + jy / body.mass,
+            });
+            Body.setAngularVelocity(body, body.angularVelocity + (rx * jy - ry * jx) / body.inertia);
+        }
+
+        if (obj) {
+            obj.onWaterHit?.({
+                point: { x: this._x[i], y: this._y[i] },
+                velocity: { x: vx, y: vy },
+                normal: { x: nx, y: ny },
+                mass: DROP_MASS,
+            });
+        }
+    }
+
+    _douse(objects) {
+        for (const obj of objects) {
+            const heat = obj.heatSources;
+            if (!obj.douse || !heat?.length) continue;
+            const wet = heat.some(source => {
+                const reach = source.radius + DROP_RADIUS;
+                for (let i = 0; i < this._count; i++) {
+                    if (Math.hypot(this._x[i] - source.x, this._y[i] - source.y) <= reach) return true;
+                }
+                return false;
+            });
+            if (!wet) continue;
+            obj.douse();
+            if (obj.heatSources.length === 0) eventBus.emit('fire:doused', { object: obj });
+        }
+    }
+
+    _fillBasins(objects) {
+        const point = { x: 0, y: 0 };
+        for (const obj of objects) {
+            const basin = obj.waterBasin;
+            if (!basin) continue;
+            let drops = 0;
+            for (let i = 0; i < this._count; i++) {
+                point.x = this._x[i];
+                point.y = this._y[i];
+                if (Vertices.contains(basin, point)) drops++;
+            }
+            obj.setWaterLevel(drops);
+        }
+    }
+
+    /** Forget drops that have left the playfield. */
+    _cull() {
+        const margin = 50;
+        let n = 0;
+        for (let i = 0; i < this._count; i++) {
+            const x = this._x[i];
+            const y = this._y[i];
+            if (x < -margin || x > this.width + margin || y > this.height + margin) continue;
+            this._x[n] = x;
+            this._y[n] = y;
+            this._vx[n] = this._vx[i];
+            this._vy[n] = this._vy[i];
+            n++;
+        }
+        this._count = n;
+    }
+}
+
+export default WaterSystem;
@@ -0,0 +1,422 @@
+/**
+ * GoalEvaluator — Decides when a running machine has won or failed
+ *
+ * Reads the level's `goal` block, watches gameplay events on the
+ * EventBus while a run is active, and emits 'goal:reached' or
+ * 'goal:failed' exactly once per run.
+ *
+ * Supported goal types (see EditorPanel):
+ *   object_in_zone   — { targetType, zoneId } a target ends up in the zone
+ *   mouse_in_zone    — { zoneId } shorthand for targetType 'mouse'
+ *   mouse_in_hole    — { zoneId? } a mouse gets into the mouse hole (any
+ *                      hole, without a zoneId); fails once every mouse
+ *                      has been caught
+ *   cat_catches_mouse — { zoneId? } the cat (any cat, without a zoneId)
+ *                      catches a mouse
+ *   light_sensor     — { zoneId? } a laser beam reaches the light sensor
+ *                      (any sensor, without a zoneId)
+ *   break_object     — { zoneId?, targetType? } the object with that id
+ *                      breaks; without a zoneId, every breakable on the
+ *                      board (of targetType, if given) has broken
+ *   pop_all_balloons — every balloon on the board has popped
+ *   tilt_lever       — { zoneId? } the lever (any lever, without a zoneId)
+ *                      tips over to one side
+ *   chain_complete   — { chain: [{ event, zoneId?, targetType? }] } every
+ *                      listed step happened, in order. Without a chain,
+ *                      every rope on the board must be severed.
+ *   custom           — never resolved automatically
+ *
+ * Zone IDs are matched against the `_goalId` that main.js attaches to
+ * fixed objects when a level is set up.
+ */
+
+import { eventBus } from '../EventBus.js';
+
+/** @enum {string} */
+export const GoalType = Object.freeze({
+    OBJECT_IN_ZONE: 'object_in_zone',
+    MOUSE_IN_ZONE: 'mouse_in_zone',
+    MOUSE_IN_HOLE: 'mouse_in_hole',
+    CAT_CATCHES_MOUSE: 'cat_catches_mouse',
+    LIGHT_SENSOR: 'light_sensor',
+    BREAK_OBJECT: 'break_object',
+    POP_ALL_BALLOONS: 'pop_all_balloons',
+    TILT_LEVER: 'tilt_lever',
+    CHAIN_COMPLETE: 'chain_complete',
+    CUSTOM: 'custom',
+});
+
+/** Chain step names → the EventBus event that advances them */
+const CHAIN_EVENTS = {
+    rope_severed: 'rope:severed',
+    balloon_popped: 'balloon:popped',
+    object_caught: 'bucket:caught',
+    lever_tilted: 'lever:tilted',
+    mouse_caught: 'cat:caught',
+    mouse_home: 'mouse:home',
+    sensor_lit: 'sensor:lit',
+    object_broken: 'object:broken',
+};
+
+class GoalEvaluator {
+    constructor() {
+        /** @type {object|null} Goal definition for the active run */
+        this._goal = null;
+
+        /** @type {Iterable<import('../objects/BaseObject.js').default>} Live object set */
+        this._objects = [];
+
+        /** @type {boolean} True between start() and stop() */
+        this._active = false;
+
+        /** @type {boolean} True once a win/fail has been emitted */
+        this._resolved = false;
+
+        /** @type {number} Index of the next chain_complete step */
+        this._chainIndex = 0;
+
+        /** @type {number} Elapsed simulation time in ms (from loop:frame) */
+        this._elapsed = 0;
+
+        /** @type {Function[]} EventBus unsubscribe handles */
+        this._unsubs = [];
+    }
+
+    // ── State Queries ─────────────────────────────
+
+    /** @returns {boolean} */
+    get isActive() { return this._active; }
+
+    /** @returns {boolean} */
+    get isResolved() { return this._resolved; }
+
+    /** @returns {object|null} */
+    get goal() { return this._goal; }
+
+    // ── Controls ──────────────────────────────────
+
+    /**
+     * Begin evaluating a goal for a new run.
+     * @param {object|null} goal - The level's `goal` block
+     * @param {Iterable<import('../objects/BaseObject.js').default>} objects - Live objects in the run
+     */
+    start(goal, objects) {
+        this.stop();
+        if (!goal || !goal.type) return;
+
+        this._goal = goal;
+        this._objects = objects;
+        this._active = true;
+        this._resolved = false;
+        this._chainIndex = 0;
+        this._elapsed = 0;
+
+        this._unsubs.push(
+            eventBus.on('bucket:caught', (data) => this._onEvent('bucket:caught', data)),
+            eventBus.on('balloon:popped', (data) => this._onEvent('balloon:popped', data)),
+            eventBus.on('rope:severed', (data) => this._onEvent('rope:severed', data)),
+            eventBus.on('lever:tilted', (data) => this._onEvent('lever:tilted', data)),
+            eventBus.on('cat:caught', (data) => this._onEvent('cat:caught', data)),
+            eventBus.on('mouse:home', (data) => this._onEvent('mouse:home', data)),
+            eventBus.on('sensor:lit', (data) => this._onEvent('sensor:lit', data)),
+            eventBus.on('object:broken', (data) => this._onEvent('object:broken', data)),
+            eventBus.on('loop:frame', (data) => this._onFrame(data)),
+            // GameLoop reports timeouts itself — no win after that
+            eventBus.on('goal:failed', () => { this._resolved = true; }),
+        );
+
+        // A goal that cannot possibly be met fails right away
+        const problem = this._checkSolvable();
+        if (problem) this.fail(problem);
+    }
+
+    /** Stop evaluating and detach from the EventBus. */
+    stop() {
+        for (const unsub of this._unsubs) unsub();
+        this._unsubs = [];
+        this._active = false;
+        this._goal = null;
+        this._objects = [];
+    }
+
+    /**
+     * Emit 'goal:reached' for the active run.
+     * @param {string} reason
+     */
+    succeed(reason) {
+        if (!this._active || this._resolved) return;
+        this._resolved = true;
+        eventBus.emit('goal:reached', { goal: this._goal, reason, elapsed: this._elapsed });
+    }
+
+    /**
+     * Emit 'goal:failed' for the active run.
+     * @param {string} reason - Human-readable explanation shown by GoalOverlay
+     */
+    fail(reason) {
+        if (!this._active || this._resolved) return;
+        this._resolved = true;
+        eventBus.emit('goal:failed', { goal: this._goal, reason, elapsed: this._elapsed });
+    }
+
+    /** @returns {object} Run progress, for rewinding a scrubbed run */
+    saveState() {
+        return { resolved: this._resolved, chainIndex: this._chainIndex, elapsed: this._elapsed };
+    }
+
+    /** @param {object} state - From saveState() */
+    restoreState(state) {
+        this._resolved = state.resolved;
+        this._chainIndex = state.chainIndex;
+        this._elapsed = state.elapsed;
+    }
+
+    /**
+     * Find the object a goal refers to by its level `id`.
+     * @param {string} goalId
+     * @returns {import('../objects/BaseObject.js').default|null}
+     */
+    findByGoalId(goalId) {
+        for (const obj of this._objects) {
+            if (obj._goalId === goalId) return obj;
+        }
+        return null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    _targetType() {
+        if (this._goal.type === GoalType.MOUSE_IN_ZONE) return 'mouse';
+        return this._goal.targetType || null;
+    }
+
+    _objectsOfType(type) {
+        const result = [];
+        for (const obj of this._objects) {
+            if (obj.type === type) result.push(obj);
+        }
+        return result;
+    }
+
+    /** Breakable objects (isBreakable) on the board — of the goal's targetType, if it has one. */
+    _breakables() {
+        const result = [];
+        for (const obj of this._objects) {
+            if (obj.isBreakable && this._matchesTarget(obj)) result.push(obj);
+        }
+        return result;
+    }
+
+    /** @returns {string|null} A failure reason, or null if the goal is reachable */
+    _checkSolvable() {
+        const goal = this._goal;
+
+        switch (goal.type) {
+            case GoalType.OBJECT_IN_ZONE:
+            case GoalType.MOUSE_IN_ZONE: {
+                if (goal.zoneId && !this.findByGoalId(goal.zoneId)) {
+                    return `The goal zone "${goal.zoneId}" is missing.`;
+                }
+                const targetType = this._targetType();
+                if (targetType && this._objectsOfType(targetType).length === 0) {
+                    return `There is no ${targetType} on the board.`;
+                }
+                return null;
+            }
+
+            case GoalType.POP_ALL_BALLOONS:
+                if (this._objectsOfType('balloon').length === 0) {
+                    return 'There are no balloons on the board.';
+                }
+                return null;
+
+            case GoalType.TILT_LEVER:
+                if (goal.zoneId && !this.findByGoalId(goal.zoneId)) {
+                    return `The lever "${goal.zoneId}" is missing.`;
+                }
+                if (this._objectsOfType('lever').length === 0) {
+                    return 'There is no lever on the board.';
+                }
+                return null;
+
+            case GoalType.MOUSE_IN_HOLE:
+                if (goal.zoneId && !this.findByGoalId(goal.zoneId)) {
+                    return `The mouse hole "${goal.zoneId}" is missing.`;
+                }
+                if (this._objectsOfType('mouse-hole').length === 0) {
+                    return 'There is no mouse hole on the board.';
+                }
+                if (this._objectsOfType('mouse').length === 0) {
+                    return 'There is no mouse on the board.';
+                }
+                return null;
+
+            case GoalType.CAT_CATCHES_MOUSE:
+                if (goal.zoneId && !this.findByGoalId(goal.zoneId)) {
+                    return `The cat "${goal.zoneId}" is missing.`;
+                }
+                if (this._objectsOfType('cat').length === 0) {
+                    return 'There is no cat on the board.';
+                }
+                if (this._objectsOfType('mouse').length === 0) {
+                    return 'There is no mouse on the board.';
+                }
+                return null;
+
+            case GoalType.LIGHT_SENSOR:
+                if (goal.zoneId && !this.findByGoalId(goal.zoneId)) {
+                    return `The light sensor "${goal.zoneId}" is missing.`;
+                }
+                if (this._objectsOfType('light-sensor').length === 0) {
+                    return 'There is no light sensor on the board.';
+                }
+                return null;
+
+            case GoalType.BREAK_OBJECT: {
+                if (goal.zoneId) {
+                    const target = this.findByGoalId(goal.zoneId);
+                    if (!target) return `The object "${goal.zoneId}" is missing.`;
+                    if (!target.isBreakable) return `The ${target.type} "${goal.zoneId}" cannot be broken.`;
+                    return null;
+                }
+                if (this._breakables().length === 0) {
+                    return goal.targetType
+                        ? `There is no ${goal.targetType} on the board.`
+                        : 'There is nothing breakable on the board.';
+                }
+                return null;
+            }
+
+            case GoalType.CHAIN_COMPLETE:
+                if (!goal.chain && this._objectsOfType('rope').length === 0) {
+                    return 'There are no ropes on the board.';
+                }
+                return null;
+
+            default:
+                return null;
+        }
+    }
+
+    _onEvent(event, data) {
+        if (!this._active || this._resolved) return;
+
+        switch (this._goal.type) {
+            case GoalType.OBJECT_IN_ZONE:
+            case GoalType.MOUSE_IN_ZONE:
+                if (event === 'bucket:caught' && this._matchesZone(data.bucket) && this._matchesTarget(data.object)) {
+                    this.succeed(`${data.object.type} reached the goal`);
+                } else if (event === 'mouse:home' && this._matchesZone(data.hole) && this._matchesTarget(data.mouse)) {
+                    // A hole swallows the mouse before its bounds can be checked
+                    this.succeed('mouse reached the goal');
+                }
+                break;
+
+            case GoalType.MOUSE_IN_HOLE:
+                if (event === 'mouse:home' && this._matchesZone(data.hole)) {
+                    this.succeed('the mouse got home safely');
+                } else if (event === 'cat:caught' && this._objectsOfType('mouse').every(m => m.isCaught)) {
+                    this.fail('The cat caught the mouse.');
+                }
+                break;
+
+            case GoalType.CAT_CATCHES_MOUSE:
+                if (event === 'cat:caught' && this._matchesZone(data.cat)) {
+                    this.succeed('the cat caught the mouse');
+                }
+                break;
+
+            case GoalType.LIGHT_SENSOR:
+                if (event === 'sensor:lit' && this._matchesZone(data.sensor)) {
+                    this.succeed('the beam reached the sensor');
+                }
+                break;
+
+            case GoalType.BREAK_OBJECT:
+                if (event !== 'object:broken') break;
+                if (this._goal.zoneId) {
+                    if (this._matchesZone(data.object)) this.succeed(`the ${data.object.type} broke`);
+                } else if (this._breakables().every(obj => obj.isBroken)) {
+                    this.succeed('everything breakable broke');
+                }
+                break;
+
+            case GoalType.POP_ALL_BALLOONS:
+                if (event === 'balloon:popped' && this._objectsOfType('balloon').every(b => b.isPopped)) {
+                    this.succeed('all balloons popped');
+                }
+                break;
+
+            case GoalType.TILT_LEVER:
+                if (event === 'lever:tilted' && this._matchesZone(data.lever)) {
+                    this.succeed('the lever tipped over');
+                }
+                break;
+
+            case GoalType.CHAIN_COMPLETE:
+                this._advanceChain(event, data);
+                break;
+        }
+    }
+
+    _onFrame({ elapsed }) {
+        if (!this._active || this._resolved) return;
+        this._elapsed = elapsed;
+
+        const type = this._goal.type;
+        if (type !== GoalType.OBJECT_IN_ZONE && type !== GoalType.MOUSE_IN_ZONE) return;
+
+        // Buckets report catches themselves; other zones are checked by bounds
+        const zone = this._goal.zoneId ? this.findByGoalId(this._goal.zoneId) : null;
+        if (!zone || zone.type === 'bucket') return;
+
+        const zb = zone.bounds;
+        for (const obj of this._objects) {
+            if (obj === zone || !this._matchesTarget(obj) || obj.bodies.length === 0) continue;
+            const { x, y } = obj.bodies[0].position;
+            if (x >= zb.x && x <= zb.x + zb.width && y >= zb.y && y <= zb.y + zb.height) {
+                this.succeed(`${obj.type} reached the goal`);
+                return;
+            }
+        }
+    }
+
+    _advanceChain(event, data) {
+        const chain = this._goal.chain;
+
+        if (!chain) {
+            if (event === 'rope:severed' && this._objectsOfType('rope').every(r => r.isSevered)) {
+                this.succeed('every rope was severed');
+            }
+            return;
+        }
+
+        const step = chain[this._chainIndex];
+        if (!step || CHAIN_EVENTS[step.event] !== event) return;
+        if (step.zoneId && !this._matchesZone(data.bucket ?? data.rope ?? data.balloon ?? data.lever ?? data.hole ?? data.cat ?? data.sensor ?? data.object, step.zoneId)) return;
+        if (step.targetType && data.object && data.object.type !== step.targetType) return;
+
+        this._chainIndex++;
+        eventBus.emit('goal:progress', { step: this._chainIndex, total: chain.length });
+
+        if (this._chainIndex >= chain.length) {
+            this.succeed('the chain reaction completed');
+        }
+    }
+
+    _matchesZone(obj, zoneId = this._goal.zoneId) {
+        if (!obj) return false;
+        // No zone given — any bucket counts
+        if (!zoneId) return true;
+        return obj._goalId === zoneId;
+    }
+
+    _matchesTarget(obj) {
+        const targetType = this._targetType();
+        return !targetType || obj.type === targetType;
+    }
+}
+
+/** Singleton goal evaluator instance */
+export const goalEvaluator = new GoalEvaluator();
+export default GoalEvaluator;
@@ -6,6 +6,7 @@
  */
 
 import { eventBus } from '../EventBus.js';
+import { environmentError } from '../engine/Environment.js';
 
 /** All available level IDs (linear progression order) */
 const LEVEL_ORDER = [
@@ -174,6 +175,21 @@ class LevelManager {
         return [...LEVEL_ORDER];
     }
 
+    /**
+     * A level's fixedObjects for a board built in the editor: every object
+     * on it, pinned in place, with its level id and its options — the
+     * material set on it among them.
+     * @param {import('../objects/BaseObject.js').default[]} objects
+     * @returns {object[]}
+     */
+    serializeFixedObjects(objects) {
+        return objects.map(obj => {
+            const data = { ...obj.serialize(), isFixed: true };
+            if (obj._goalId) data.id = obj._goalId;
+            return data;
+        });
+    }
+
     // ── Private ──────────────────────────────────
 
     _validate(data) {
@@ -195,6 +211,17 @@ class LevelManager {
         if (typeof data.availableParts !== 'object') {
             throw new Error('[LevelManager] availableParts must be an object');
         }
+
+        for (const field of ['timeLimit', 'settleTime']) {
+            if (field in data && !(typeof data[field] === 'number' && data[field] >= 0)) {
+                throw new Error(`[LevelManager] ${field} must be a non-negative number of seconds`);
+            }
+        }
+
+        if ('environment' in data) {
+            const error = environmentError(data.environment);
+            if (error) throw new Error(`[LevelManager] ${error}`);
+        }
     }
 
     _loadProgress() {
@@ -9,10 +9,13 @@ import { eventBus } from './EventBus.js';
 import { registerAllObjects } from './objects/registerAllObjects.js';
 import { PhysicsEngine } from './engine/PhysicsEngine.js';
 import { GameLoop } from './engine/GameLoop.js';
+import { runRecorder } from './engine/RunRecorder.js';
+import { ReplayPlayer } from './engine/ReplayPlayer.js';
 import { renderer } from './render/Renderer.js';
 import { toolbox } from './ui/Toolbox.js';
 import { playControls } from './ui/PlayControls.js';
 import { levelManager } from './levels/LevelManager.js';
+import { goalEvaluator } from './levels/GoalEvaluator.js';
 import { goalOverlay } from './ui/GoalOverlay.js';
 import { levelSelect } from './ui/LevelSelect.js';
 import { editorPanel } from './ui/EditorPanel.js';
@@ -29,6 +32,7 @@ export const AppMode = Object.freeze({
     PAUSED: 'PAUSED',
     WON: 'WON',
     SANDBOX: 'SANDBOX',
+    REPLAY: 'REPLAY',
 });
 
 // ──────────────────────────────────────────────
@@ -45,6 +49,10 @@ const state = {
     physicsEngine: null,
     /** @type {GameLoop|null} */
     gameLoop: null,
+    /** @type {object|null} Replay of the most recent run */
+    lastReplay: null,
+    /** Mode to return to when a replay is closed */
+    _replayReturnMode: null,
 };
 
 /**
@@ -99,16 +107,21 @@ function init() {
 
     // ── Create physics engine and game loop ──
     state.physicsEngine = new PhysicsEngine(canvas.width, canvas.height);
-    state.gameLoop = new GameLoop(state.physicsEngine, () => {
+    state.gameLoop = new GameLoop(state.physicsEngine, (objects, physics, alpha) => {
         // GameLoop drives rendering during play — renderer.startLoop()
         // handles the edit-mode loop (see below).
-        renderer.render();
+        physics.withInterpolation(alpha, () => renderer.render());
     });
+    // Goal progress and the recording rewind with the board when scrubbing
+    state.gameLoop.trackState(goalEvaluator);
+    state.gameLoop.trackState(runRecorder);
 
     // ── Module initialization order ──
     // 1. Renderer
     renderer.init(canvas);
     renderer.setObjects(state.placedObjects);
+    renderer.setWater(state.physicsEngine.water);
+    renderer.setOptics(state.physicsEngine.optics);
 
     // 2. Toolbox
     toolbox.init();
@@ -151,26 +164,52 @@ function _wireEvents() {
     // Play button → PLAYING
     eventBus.on('controls:play', () => {
         const mode = getMode();
+        if (mode === 'REPLAY') {
+            state.gameLoop.play();
+            return;
+        }
         if (mode === 'EDITING' || mode === 'PAUSED' || mode === 'SANDBOX') {
+            /** @type {object|null|undefined} The run's goal — undefined when resuming */
+            let goal;
             // On first play (not resume), add objects to physics world
             if (mode === 'EDITING' || mode === 'SANDBOX') {
                 state._savedPlacedSnapshot = state.placedObjects.map(o => o.serialize());
+                // A sandbox runs in whatever world the editor is set to
+                if (mode === 'SANDBOX') state.physicsEngine.setEnvironment(editorPanel.getEnvironment());
                 // Add all placed objects to the physics world
                 state.physicsEngine.clear();
                 for (const obj of state.placedObjects) {
                     state.physicsEngine.addObject(obj);
                 }
                 // GameLoop.play() calls takeSnapshot() when STOPPED
+
+                const level = mode === 'SANDBOX' ? null : levelManager.getCurrentLevel();
+                goal = level ? level.goal : editorPanel.getGoal();
+                state.gameLoop.setFailureLimits({
+                    timeLimit: level?.timeLimit,
+                    settleTime: level?.settleTime,
+                });
+
+                // Record the run so it can be watched or shared afterwards
+                runRecorder.start(state.physicsEngine, { levelId: level?.id ?? null });
             }
             // Stop renderer's own loop — GameLoop will drive rendering
             renderer.stopLoop();
             state.gameLoop.play();
             setMode(AppMode.PLAYING);
+
+            // Start watching for the win/fail condition once the run is on, so a
+            // goal that cannot be met fails (and pauses) like any other run
+            if (goal !== undefined) goalEvaluator.start(goal, state.physicsEngine.getObjects());
         }
     });
 
     // Pause button → PAUSED
     eventBus.on('controls:pause', () => {
+        if (getMode() === 'REPLAY') {
+            state.gameLoop.pause();
+            return;
+        }
         if (getMode() === 'PLAYING') {
             state.gameLoop.pause();
             // Restart renderer loop for edit-mode rendering
@@ -179,11 +218,37 @@ function _wireEvents() {
         }
     });
 
+    // Speed selector → loop speed (kept across runs and replays)
+    eventBus.on('controls:speed', ({ speed }) => {
+        state.gameLoop.setSpeed(speed);
+    });
+
+    // Step / scrub a paused run — stepping while playing pauses first
+    eventBus.on('controls:step', ({ direction }) => {
+        if (getMode() === 'PLAYING') eventBus.emit('controls:pause');
+        if (getMode() !== 'PAUSED') return;
+        if (direction < 0) {
+            state.gameLoop.stepBackward();
+        } else {
+            state.gameLoop.stepForward();
+        }
+    });
+
+    eventBus.on('controls:seek', ({ elapsed }) => {
+        if (getMode() === 'PAUSED') state.gameLoop.seek(elapsed);
+    });
+
     // Reset button → back to EDITING (restore snapshot)
     eventBus.on('controls:reset', () => {
         const mode = getMode();
+        if (mode === 'REPLAY') {
+            _stopReplay();
+            return;
+        }
         if (mode === 'PLAYING' || mode === 'PAUSED' || mode === 'WON') {
             // GameLoop.reset() already restores snapshot + clears it
+            goalEvaluator.stop();
+            _finishRecording();
             state.gameLoop.reset();
             // Restart renderer loop for edit-mode rendering
             renderer.startLoop();
@@ -191,9 +256,30 @@ function _wireEvents() {
         }
     });
 
+    // Goal reached → stop the machine and celebrate
+    eventBus.on('goal:reached', () => {
+        // A paused run can reach its goal by being stepped forward
+        if (getMode() === 'PLAYING' || getMode() === 'PAUSED') {
+            state.gameLoop.pause();
+            renderer.startLoop();
+            setMode(AppMode.WON);
+        }
+    });
+
+    // Goal failed → freeze the machine so the player can inspect it
+    eventBus.on('goal:failed', () => {
+        if (getMode() === 'PLAYING') {
+            state.gameLoop.pause();
+            renderer.startLoop();
+            setMode(AppMode.PAUSED);
+        }
+    });
+
     // Level loaded → set up the board
     eventBus.on('level:loaded', (levelData) => {
         state.currentLevelId = levelData.id;
+        // Gravity, air and wind as the level says — Earth if it says nothing
+        state.physicsEngine.setEnvironment(levelData.environment);
         _setupLevel(levelData);
 
         // Update the level name in the header
@@ -215,17 +301,92 @@ function _wireEvents() {
 
     // Retry → reset the level
     eventBus.on('overlay:retry', () => {
+        goalEvaluator.stop();
+        _finishRecording();
+        if (!state.gameLoop.isStopped) {
+            state.gameLoop.reset();
+        }
         _resetLevel();
     });
 
+    // Watch the last run, or a replay loaded from a file
+    eventBus.on('controls:replay', () => {
+        // Watching mid-run ends the run and shows it
+        _finishRecording();
+        if (state.lastReplay) _startReplay(state.lastReplay);
+    });
+
+    eventBus.on('controls:replay-load', ({ replay }) => {
+        _startReplay(replay);
+    });
+
     // Back to menu
     eventBus.on('overlay:menu', () => {
+        _finishRecording();
+        if (state.gameLoop.isReplaying) {
+            state.gameLoop.stopReplay();
+            renderer.startLoop();
+        }
         state.placedObjects.length = 0;
         renderer.setObjects(state.placedObjects);
         setMode(AppMode.MENU);
     });
 }
 
+/**
+ * Stop recording the current run and keep the replay.
+ */
+function _finishRecording() {
+    const replay = runRecorder.stop();
+    if (replay) {
+        state.lastReplay = replay;
+        eventBus.emit('replay:recorded', { replay });
+    }
+}
+
+/**
+ * Switch to REPLAY mode and play a recorded run. Ends a live run first.
+ * @param {object} replay - Replay produced by RunRecorder
+ */
+function _startReplay(replay) {
+    let player;
+    try {
+        player = new ReplayPlayer(replay);
+    } catch (e) {
+        console.error('[App] Cannot play replay:', e);
+        return;
+    }
+
+    const mode = getMode();
+    if (mode === 'PLAYING' || mode === 'PAUSED' || mode === 'WON') {
+        goalEvaluator.stop();
+        _finishRecording();
+        state.gameLoop.reset();
+    }
+    if (mode !== 'REPLAY') {
+        state._replayReturnMode = state.currentLevelId ? AppMode.EDITING : AppMode.SANDBOX;
+    }
+
+    renderer.setObjects(player.objects);
+    renderer.setWater(player.water);
+    renderer.setOptics(player.optics);
+    renderer.stopLoop();
+    setMode(AppMode.REPLAY);
+    state.gameLoop.playReplay(player);
+}
+
+/**
+ * Leave REPLAY mode and show the board again.
+ */
+function _stopReplay() {
+    state.gameLoop.stopReplay();
+    renderer.setObjects(state.placedObjects);
+    renderer.setWater(state.physicsEngine.water);
+    renderer.setOptics(state.physicsEngine.optics);
+    renderer.startLoop();
+    setMode(state._replayReturnMode || AppMode.EDITING);
+}
+
 /**
  * Set up a level — load fixed objects onto the board.
  */
@@ -241,6 +402,7 @@ function _setupLevel(levelData) {
         for (const objData of levelData.fixedObjects) {
             try {
                 const obj = objectRegistry.create(objData.type, objData.x, objData.y, {
+                    ...objData.options,
                     angle: objData.angle || 0,
                     isFixed: true,
                 });
@@ -254,6 +416,7 @@ function _setupLevel(levelData) {
             }
         }
     }
+    objectRegistry.linkObjects(state.placedObjects);
 
     renderer.setObjects(state.placedObjects);
     state._savedPlacedSnapshot = [];
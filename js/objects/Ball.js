@@ -2,11 +2,13 @@
  * Ball — Simple physics ball (bowling ball, tennis ball, baseball)
  *
  * Pure physics object — falls under gravity, bounces, rolls.
- * Different variants have different mass, size, and restitution.
+ * Variants differ in size and in what they are made of, which sets
+ * their mass, bounce and grip (see Materials).
  */
 
 import Matter from 'matter-js';
 import BaseObject from './BaseObject.js';
+import { surfaceOf } from './Materials.js';
 
 const { Bodies, Body } = Matter;
 
@@ -14,29 +16,23 @@ const { Bodies, Body } = Matter;
 const VARIANTS = {
     bowling: {
         radius: 18,
-        density: 0.008,
-        restitution: 0.3,
-        friction: 0.4,
         color: '#1a1a2e',
         highlight: '#3a3a5e',
+        material: 'metal',
         label: 'Bowling Ball',
     },
     tennis: {
         radius: 12,
-        density: 0.002,
-        restitution: 0.75,
-        friction: 0.5,
         color: '#c8e640',
         highlight: '#e0f870',
+        material: 'rubber',
         label: 'Tennis Ball',
     },
     baseball: {
         radius: 14,
-        density: 0.005,
-        restitution: 0.45,
-        friction: 0.5,
         color: '#f0f0e0',
         highlight: '#ffffff',
+        material: 'leather',
         label: 'Baseball',
     },
 };
@@ -57,10 +53,9 @@ export default class Ball extends BaseObject {
         this._color = preset.color;
         this._highlight = preset.highlight;
 
+        // Built as its variant — applyMaterial() puts any material set on it on top
         this._body = Bodies.circle(x, y, this._radius, {
-            density: preset.density,
-            restitution: preset.restitution,
-            friction: preset.friction,
+            ...surfaceOf(preset.material),
             frictionAir: 0.001,
             label: `ball-${this._variant}`,
         });
@@ -74,6 +69,11 @@ export default class Ball extends BaseObject {
 
     get bodies() { return [this._body]; }
 
+    /** A ball's material comes with its variant, whatever type it was created as */
+    get material() {
+        return this._options.material || (VARIANTS[this._variant] || VARIANTS.bowling).material;
+    }
+
     get bounds() {
         const pos = this._body.position;
         const r = this._radius;
@@ -1,30 +1,85 @@
 /**
  * Balloon — Buoyant floating object
  *
- * Rises upward due to negative gravity effect.
- * Can be attached to other objects via ropes to lift them.
- * Pops on contact with sharp objects (scissors, candle flame).
+ * Rises upward due to negative gravity effect — harder in dense air
+ * (underwater), gently on the moon (see Environment).
+ * Its string can be tied to another object (by level id, like a rope
+ * end) and lifts it for as long as the balloon lasts and the string
+ * holds. Bigger balloons lift more (see VARIANTS).
+ * A balloon that floats up against a ceiling or the underside of a
+ * static edge gets stuck there until the edge goes (a pane shatters).
+ * Pops when scissors close on it, the moment a flame touches it or it
+ * touches a lit candle;
+ * scissors closing on the string cut it and let the load drop.
+ * Emits 'balloon:released' when the string is cut.
  */
 
 import Matter from 'matter-js';
 import BaseObject from './BaseObject.js';
+import { bladeCrosses, bladeReaches } from './Scissors.js';
+import { makeTie, tieOffset } from './Rope.js';
 import { eventBus } from '../EventBus.js';
 
-const { Bodies, Body } = Matter;
+const { Bodies, Body, Detector, Query } = Matter;
 
 const BALLOON_RADIUS = 18;
 const BUOYANCY_FORCE = -0.0015;
+const STRING_LENGTH = 25;
+const MIN_STRING = 10;
+const STICK_REACH = 2;
 
 const COLORS = ['#e04040', '#4080e0', '#40c040', '#e0c040', '#d060d0'];
 
+/** Balloon variant presets — lift scales the buoyancy of the balloon's own mass */
+const VARIANTS = {
+    party: {
+        radius: BALLOON_RADIUS,
+        lift: 1,
+        label: 'Balloon',
+    },
+    mini: {
+        radius: 12,
+        lift: 0.6,
+        label: 'Mini Balloon',
+    },
+    helium: {
+        radius: 24,
+        lift: 1.5,
+        label: 'Helium Balloon',
+    },
+};
+
 export default class Balloon extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {string} [options.variant='party'] - 'party', 'mini', or 'helium'
+     * @param {number} [options.stringLength=25] - Length of the string below the knot
+     * @param {import('./Rope.js').RopeTie|null} [options.payload] - Object the string is tied to
+     */
     constructor(x, y, options = {}) {
         super(x, y, options);
-        this._radius = options.radius || BALLOON_RADIUS;
+        this._heat = 0;
+        this._variant = VARIANTS[options.variant] ? options.variant : 'party';
+        const preset = VARIANTS[this._variant];
+        this._radius = options.radius || preset.radius;
+        this._lift = preset.lift;
         this._colorIndex = options.colorIndex ?? Math.floor(Math.random() * COLORS.length);
         this._color = COLORS[this._colorIndex];
         this._popped = false;
-        this._bobPhase = Math.random() * Math.PI * 2;
+        // Seeded from position (not Math.random) so the bob force is reproducible
+        this._bobPhase = (x * 0.37 + y * 0.11) % (Math.PI * 2);
+
+        this._stringLength = options.stringLength || STRING_LENGTH;
+        /** @type {import('./Rope.js').RopeTie|null} What the string is tied to, by level id */
+        this._attach = options.payload || null;
+        /** @type {{ object: BaseObject, body: Matter.Body }|null} Tied object, once resolved */
+        this._tied = null;
+        /** @type {boolean} True once the string has been cut */
+        this._stringCut = false;
+        /** @type {{ x: number, y: number }|null} Where it is stuck against something static */
+        this._stuckAt = null;
 
         this._body = Bodies.circle(x, y, this._radius, {
             density: 0.0003,
@@ -45,6 +100,23 @@ export default class Balloon extends BaseObject {
         return { x: pos.x - r, y: pos.y - r - 8, width: r * 2, height: r * 2 + 20 };
     }
 
+    /** @returns {string} 'party', 'mini', or 'helium' */
+    get variant() { return this._variant; }
+
+    /** @returns {boolean} True while stuck against a ceiling or static edge */
+    get isStuck() { return this._stuckAt !== null; }
+
+    /** @returns {boolean} True while the string is lifting something */
+    get isLifting() { return this._isHolding(); }
+
+    /**
+     * Object the string is tied to.
+     * @returns {Array<BaseObject|null>}
+     */
+    get attachedObjects() {
+        return [this._tied && this._tied.object];
+    }
+
     setPosition(x, y) {
         super.setPosition(x, y);
         if (!this._popped) Body.setPosition(this._body, { x, y });
@@ -55,26 +127,104 @@ export default class Balloon extends BaseObject {
         if (!this._popped) Body.setAngle(this._body, angle);
     }
 
-    /** Apply upward buoyancy force each frame. */
+    /** Apply buoyancy against gravity each frame — more of it in thicker air. */
     onBeforeUpdate(engine) {
         if (this._popped) return;
 
         this._bobPhase += 0.03;
 
-        // Buoyancy — upward force
+        // Buoyancy — opposite to gravity, scaled by how dense the air is
+        const { gravity, airDensity } = engine.environment;
+        const lift = BUOYANCY_FORCE * this._body.mass * 20 * this._lift * airDensity;
         Body.applyForce(this._body, this._body.position, {
-            x: Math.sin(this._bobPhase) * 0.00005,
-            y: BUOYANCY_FORCE * this._body.mass * 20,
+            x: Math.sin(this._bobPhase) * 0.00005 + gravity.x * lift,
+            y: gravity.y * lift,
         });
     }
 
-    onCollision(other, pair) {
+    onAfterUpdate(engine) {
         if (this._popped) return;
 
-        // Pop on contact with scissors or candle
-        if (other.type === 'scissors' || other.type === 'candle') {
+        // Whatever it was stuck to may have gone (shattered, say) — it floats on
+        if (this._stuckAt && !this._touchesCeiling(engine, this._stuckAt)) this._stuckAt = null;
+
+        if (this._stuckAt) {
+            Body.setPosition(this._body, this._stuckAt);
+            Body.setVelocity(this._body, { x: 0, y: 0 });
+        } else if (this._touchesCeiling(engine, this._body.position)) {
+            this._stuckAt = { x: this._body.position.x, y: this._body.position.y };
+            Body.setVelocity(this._body, { x: 0, y: 0 });
+        }
+
+        this._pullString();
+    }
+
+    cut(blade) {
+        if (this._popped) return false;
+        if (bladeReaches(blade, this._body.position, this._radius)) {
             this.pop();
+            return true;
+        }
+        if (this._isHolding() && bladeCrosses(blade, this._knot(), this._stringEnd())) {
+            this.cutString();
+            return true;
         }
+        return false;
+    }
+
+    /** Cut the string; whatever it was lifting drops. */
+    cutString() {
+        if (this._stringCut) return;
+        const payload = this._isHolding() ? this._tied.object : null;
+        this._stringCut = true;
+        eventBus.emit('balloon:released', { balloon: this, payload });
+    }
+
+    // ── Ties ──────────────────────────────────────
+
+    get linkEnds() {
+        return this._popped ? [] : [this._stringEnd()];
+    }
+
+    /** Tie the string to `target` at `point`, or let it dangle there. */
+    setLinkEnd(end, point, target) {
+        this._attach = target && makeTie(target, point);
+        this._tie(target);
+        const knot = this._knot();
+        this._stringLength = Math.max(Math.hypot(point.x - knot.x, point.y - knot.y), MIN_STRING);
+    }
+
+    resolveLinks(lookup) {
+        const target = this._attach && lookup(this._attach.id);
+        // The object it was tied to is gone
+        if (!target) this._attach = null;
+        this._tie(target);
+    }
+
+    get fuelPoints() {
+        if (this._popped) return [];
+        const pos = this._body.position;
+        return [{ x: pos.x, y: pos.y, radius: this._radius }];
+    }
+
+    get ignitionTime() {
+        return 1;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
+    ignite() {
+        this.pop();
+    }
+
+    onExplosion(blast) {
+        this.pop();
     }
 
     pop() {
@@ -87,6 +237,22 @@ export default class Balloon extends BaseObject {
         return this._popped;
     }
 
+    saveState() {
+        return {
+            popped: this._popped,
+            bobPhase: this._bobPhase,
+            stringCut: this._stringCut,
+            stuckAt: this._stuckAt && { ...this._stuckAt },
+        };
+    }
+
+    restoreState(state) {
+        this._popped = state.popped;
+        this._bobPhase = state.bobPhase;
+        this._stringCut = state.stringCut;
+        this._stuckAt = state.stuckAt && { ...state.stuckAt };
+    }
+
     draw(ctx) {
         if (this._popped) return;
 
@@ -126,17 +292,21 @@ export default class Balloon extends BaseObject {
         ctx.lineWidth = 1;
         ctx.stroke();
 
-        // String
+        ctx.restore();
+
+        // String — straight down to its load, curvy when dangling
+        const knot = this._knot();
+        const end = this._stringEnd();
         ctx.strokeStyle = '#888';
         ctx.lineWidth = 1;
         ctx.beginPath();
-        ctx.moveTo(0, r * 1.2 + 4);
-        const stringLen = 25;
-        // Curvy string
-        ctx.quadraticCurveTo(-6, r * 1.2 + stringLen / 2, 2, r * 1.2 + stringLen);
+        ctx.moveTo(knot.x, knot.y);
+        if (this._isHolding()) {
+            ctx.lineTo(end.x, end.y);
+        } else {
+            ctx.quadraticCurveTo(knot.x - 6, (knot.y + end.y) / 2, end.x + 2, end.y);
+        }
         ctx.stroke();
-
-        ctx.restore();
     }
 
     drawToolboxIcon(ctx, w, h) {
@@ -164,7 +334,13 @@ export default class Balloon extends BaseObject {
     serialize() {
         return {
             ...super.serialize(),
-            options: { ...this._options, colorIndex: this._colorIndex },
+            options: {
+                ...this._options,
+                colorIndex: this._colorIndex,
+                variant: this._variant,
+                stringLength: this._stringLength,
+                payload: this._attach,
+            },
         };
     }
 
@@ -173,10 +349,102 @@ export default class Balloon extends BaseObject {
             angle: data.angle,
             isFixed: data.isFixed,
             colorIndex: data.options?.colorIndex,
+            variant: data.options?.variant,
+            stringLength: data.options?.stringLength,
+            payload: data.options?.payload,
         });
     }
 
     dispose() {
         this._body = null;
+        this._tied = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Where the string leaves the balloon. */
+    _knot() {
+        const pos = this._body.position;
+        return { x: pos.x, y: pos.y + this._radius * 1.2 + 4 };
+    }
+
+    /** World point the string is tied to, or where its free end dangles. */
+    _stringEnd() {
+        if (this._isHolding()) {
+            const body = this._tied.body;
+            const offset = tieOffset(this._attach, body);
+            return { x: body.position.x + offset.x, y: body.position.y + offset.y };
+        }
+        const knot = this._knot();
+        return { x: knot.x, y: knot.y + this._stringLength };
+    }
+
+    /** True while the string is tied to an object that is still there. */
+    _isHolding() {
+        const tie = this._tied;
+        return !this._popped && !this._stringCut && !!tie && tie.object.bodies.includes(tie.body);
+    }
+
+    /** Tie the string to the body named by its RopeTie on `target` (null = untie). */
+    _tie(target) {
+        const spec = this._attach;
+        const body = target && spec && target.bodies[spec.body ?? 0];
+        this._tied = body ? { object: target, body } : null;
+    }
+
+    /** True if the playfield's top or sides, or something static the balloon can't pass, is just above `pos`. */
+    _touchesCeiling(engine, pos) {
+        const reach = this._radius + STICK_REACH;
+        const probes = [-Math.PI / 2, -Math.PI / 4, -Math.PI * 3 / 4].map(a => ({
+            x: pos.x + Math.cos(a) * reach,
+            y: pos.y + Math.sin(a) * reach,
+        }));
+        // The walls round the playfield belong to no object
+        if (probes.some(p => p.y < 0 || p.x < 0 || p.x > engine.width)) return true;
+
+        const solids = [];
+        for (const obj of engine.objectsNear(pos, reach)) {
+            for (const body of obj.bodies) {
+                if (body !== this._body && body.isStatic
+                    && Detector.canCollide(body.collisionFilter, this._body.collisionFilter)) solids.push(body);
+            }
+        }
+        return solids.length > 0 && probes.some(p => Query.point(solids, p).length > 0);
+    }
+
+    /**
+     * The string only pulls: once the load is further away than the
+     * string is long, pull both back together (a stuck balloon doesn't
+     * give) and stop them moving apart.
+     */
+    _pullString() {
+        if (!this._isHolding()) return;
+        const load = this._tied.body;
+        const knot = this._knot();
+        const end = this._stringEnd();
+        const dx = end.x - knot.x;
+        const dy = end.y - knot.y;
+        const dist = Math.hypot(dx, dy);
+        if (dist <= this._stringLength) return;
+
+        const a = this._stuckAt ? 0 : this._body.inverseMass;
+        const b = load.isStatic ? 0 : load.inverseMass;
+        if (a + b === 0) return;
+        const nx = dx / dist;
+        const ny = dy / dist;
+        const excess = dist - this._stringLength;
+        Body.translate(this._body, { x: nx * excess * a / (a + b), y: ny * excess * a / (a + b) });
+        Body.translate(load, { x: -nx * excess * b / (a + b), y: -ny * excess * b / (a + b) });
+
+        const va = this._body.velocity;
+        const vb = load.velocity;
+        const apart = (vb.x - va.x) * nx + (vb.y - va.y) * ny;
+        if (apart <= 0) return;
+        const j = apart / (a + b);
+        Body.setVelocity(this._body, { x: va.x + nx * j * a, y: va.y + ny * j * a });
+        Body.setVelocity(load, { x: vb.x - nx * j * b, y: vb.y - ny * j * b });
     }
 }
+
+/** Export variants for registry metadata */
+Balloon.VARIANTS = VARIANTS;
@@ -3,7 +3,9 @@
  *
  * Every interactive object in the game (balls, ramps, fans, etc.)
  * extends this class. It defines the contract that the physics engine,
- * renderer, toolbox, and serialization system all depend on.
+ * renderer, toolbox, and serialization system all depend on. Subsystems
+ * (electricity, gears, fire, water, light, portals, links) look for the
+ * members they need on each object instead — see the header of each.
  *
  * ═══════════════════════════════════════════════════════════════
  *  THIS IS THE SHARED INTERFACE CONTRACT BETWEEN AGENT A AND B.
@@ -11,6 +13,9 @@
  * ═══════════════════════════════════════════════════════════════
  */
 
+import { objectRegistry } from './ObjectRegistry.js';
+import { DEFAULT_MATERIAL, surfaceOf, readSurface, applySurface } from './Materials.js';
+
 let _nextId = 1;
 
 export default class BaseObject {
@@ -37,6 +42,9 @@ export default class BaseObject {
 
         /** @type {object} Original options for serialization */
         this._options = { ...options };
+
+        /** @type {Map<Matter.Body, object>} Each body's own friction, bounce and density, before any material was applied */
+        this._ownSurfaces = new Map();
     }
 
     // ── Identity ──────────────────────────────────
@@ -55,6 +63,33 @@ export default class BaseObject {
         throw new Error(`${this.constructor.name} must override get type()`);
     }
 
+    /**
+     * What this object is made of — a key of MATERIALS (see Materials);
+     * magnets pull on 'metal' objects. The `material` option wins;
+     * otherwise it comes from the registry metadata for its type.
+     * @returns {string}
+     */
+    get material() {
+        return this._options.material || objectRegistry.getMetadata(this.type)?.material || DEFAULT_MATERIAL;
+    }
+
+    /** @returns {string|null} The material set on this object itself (see setMaterial), if any */
+    get materialOverride() {
+        return this._options.material || null;
+    }
+
+    /**
+     * Make this object out of another material, or pass null to go back
+     * to what it is made of by default. Its bodies take on the new
+     * friction, bounce and density when it is next added to the physics
+     * world (see applyMaterial).
+     * @param {string|null} name - A key of MATERIALS
+     */
+    setMaterial(name) {
+        if (name) this._options.material = name;
+        else delete this._options.material;
+    }
+
     // ── Physics Bodies ────────────────────────────
 
     /**
@@ -75,6 +110,19 @@ export default class BaseObject {
         return [];
     }
 
+    /**
+     * Give every body the friction, bounce and density of the material set
+     * on this object — or back the ones it was built with, if none is.
+     * Called by PhysicsEngine.addObject.
+     */
+    applyMaterial() {
+        const surface = surfaceOf(this._options.material);
+        for (const body of this.bodies) {
+            if (!this._ownSurfaces.has(body)) this._ownSurfaces.set(body, readSurface(body));
+            applySurface(body, surface ?? this._ownSurfaces.get(body));
+        }
+    }
+
     // ── Position & Bounds ─────────────────────────
 
     /** @returns {number} */
@@ -127,8 +175,9 @@ export default class BaseObject {
      * Override to apply custom forces, behaviors, etc.
      * (e.g., Fan applies wind force, Conveyor applies surface velocity)
      * @param {object} engine - PhysicsEngine instance
+     * @param {number} [dt] - Step length in ms
      */
-    onBeforeUpdate(engine) {
+    onBeforeUpdate(engine, dt) {
         // Default: no-op
     }
 
@@ -142,6 +191,27 @@ export default class BaseObject {
         // Default: no-op
     }
 
+    // ── Runtime State ─────────────────────────────
+
+    /**
+     * Capture runtime state that lives outside the Matter.js bodies
+     * (popped, severed, compression, walk direction, ...) for reset.
+     * Override if the object changes anything while the machine runs.
+     * @returns {object|null} Plain data, or null if there is nothing to save
+     */
+    saveState() {
+        return null;
+    }
+
+    /**
+     * Restore state captured by saveState(). Body transforms and velocities
+     * are restored separately by PhysicsEngine.
+     * @param {object} state
+     */
+    restoreState(state) {
+        // Default: no-op
+    }
+
     // ── Rendering ─────────────────────────────────
 
     /**
@@ -0,0 +1,101 @@
+/**
+ * BeamSplitter — Half-silvered glass that splits a laser beam in two
+ *
+ * A beam hitting either face carries straight on through the glass and
+ * is also reflected as if by a mirror, so one laser can reach two
+ * targets.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+import { reflect, rayFrom } from '../engine/Optics.js';
+
+const { Bodies, Body } = Matter;
+
+const SPLITTER_WIDTH = 40;
+const SPLITTER_HEIGHT = 4;
+const GLASS_COLOR = 'rgba(180, 220, 240, 0.7)';
+const FRAME_COLOR = '#667788';
+
+export default class BeamSplitter extends BaseObject {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+
+        this._body = Bodies.rectangle(x, y, SPLITTER_WIDTH, SPLITTER_HEIGHT, {
+            isStatic: true,
+            friction: 0.2,
+            label: 'splitter',
+            angle: this._angle,
+        });
+    }
+
+    get type() { return 'splitter'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    bendLight(ray, hit) {
+        // The straight-through half ignores the glass it is already inside
+        const through = { ...rayFrom(hit.point, ray.angle), ignore: this._body };
+        return [reflect(ray, hit), through];
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const hw = SPLITTER_WIDTH / 2;
+        const hh = SPLITTER_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        ctx.fillStyle = GLASS_COLOR;
+        ctx.fillRect(-hw, -hh, SPLITTER_WIDTH, SPLITTER_HEIGHT);
+        ctx.strokeStyle = FRAME_COLOR;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-hw, -hh, SPLITTER_WIDTH, SPLITTER_HEIGHT);
+
+        // End clips
+        ctx.fillStyle = FRAME_COLOR;
+        ctx.fillRect(-hw - 2, -hh - 1, 4, SPLITTER_HEIGHT + 2);
+        ctx.fillRect(hw - 2, -hh - 1, 4, SPLITTER_HEIGHT + 2);
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.save();
+        ctx.translate(w / 2, h / 2);
+        ctx.rotate(-Math.PI / 4);
+        ctx.fillStyle = GLASS_COLOR;
+        ctx.fillRect(-w * 0.3, -2, w * 0.6, 4);
+        ctx.strokeStyle = FRAME_COLOR;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-w * 0.3, -2, w * 0.6, 4);
+        ctx.restore();
+    }
+
+    static deserialize(data) {
+        return new BeamSplitter(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
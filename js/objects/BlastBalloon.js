@@ -0,0 +1,105 @@
+/**
+ * BlastBalloon — Over-inflated balloon that bursts with a shockwave
+ *
+ * Floats like any balloon, but when it pops — scissors, a flame, another
+ * blast — the burst throws a short-range shockwave that knocks light
+ * things over and pops balloons next to it.
+ */
+
+import Balloon from './Balloon.js';
+
+const BLAST_RADIUS = 110;
+const BLAST_STRENGTH = 8;
+const RING_TIME = 12;
+const BLAST_COLOR_INDEX = 0;
+const RING_COLOR = '#ffffff';
+
+export default class BlastBalloon extends Balloon {
+    constructor(x, y, options = {}) {
+        super(x, y, { ...options, colorIndex: BLAST_COLOR_INDEX });
+
+        /** @type {{ x: number, y: number }|null} Where it burst */
+        this._burstPoint = null;
+        /** @type {boolean} Burst, shockwave not sent yet */
+        this._shockPending = false;
+        /** @type {number} Steps the shock ring still shows */
+        this._ringTimer = 0;
+    }
+
+    get type() { return 'blast-balloon'; }
+
+    pop() {
+        if (this._popped) return;
+        this._burstPoint = { ...this._body.position };
+        this._shockPending = true;
+        super.pop();
+    }
+
+    onBeforeUpdate(engine) {
+        // The shockwave goes out on the first step after the pop
+        if (this._shockPending) {
+            this._shockPending = false;
+            this._ringTimer = RING_TIME;
+            engine.explode(this._burstPoint, { radius: BLAST_RADIUS, strength: BLAST_STRENGTH, source: this });
+        } else if (this._ringTimer > 0) {
+            this._ringTimer--;
+        }
+
+        super.onBeforeUpdate(engine);
+    }
+
+    saveState() {
+        return {
+            ...super.saveState(),
+            burstPoint: this._burstPoint && { ...this._burstPoint },
+            shockPending: this._shockPending,
+            ringTimer: this._ringTimer,
+        };
+    }
+
+    restoreState(state) {
+        super.restoreState(state);
+        this._burstPoint = state.burstPoint && { ...state.burstPoint };
+        this._shockPending = state.shockPending;
+        this._ringTimer = state.ringTimer;
+    }
+
+    draw(ctx) {
+        if (!this._popped) {
+            super.draw(ctx);
+
+            // Stretched-thin warning bands
+            const pos = this._body.position;
+            const r = this._radius;
+            ctx.strokeStyle = RING_COLOR;
+            ctx.globalAlpha = 0.6;
+            ctx.lineWidth = 1.5;
+            for (const dy of [-r * 0.4, r * 0.3]) {
+                ctx.beginPath();
+                ctx.ellipse(pos.x, pos.y + dy, r * 0.9, r * 0.2, 0, 0, Math.PI);
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1;
+            return;
+        }
+
+        if (this._ringTimer === 0) return;
+
+        // Expanding shock ring
+        const t = 1 - this._ringTimer / RING_TIME;
+        ctx.strokeStyle = RING_COLOR;
+        ctx.globalAlpha = 1 - t;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(this._burstPoint.x, this._burstPoint.y, BLAST_RADIUS * t, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    static deserialize(data) {
+        return new BlastBalloon(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+}
@@ -0,0 +1,437 @@
+/**
+ * Breakable — Shatters into fragments when hit hard enough
+ *
+ * Glass panes, brick walls, egg crates and vases (see VARIANTS). Each
+ * has a strength: an impact at least that hard (see PhysicsEngine's impactOf)
+ * or a close enough blast breaks it into a grid of fragments that fly
+ * apart and tumble about. Whatever broke it carries on through.
+ *
+ * Fragments are bodies of the broken object that only join the world
+ * once it breaks, so they leave it again when the machine is reset, and
+ * they clear away by themselves after a few seconds. Emits
+ * 'object:broken' when it shatters.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+import { surfaceOf, applySurface } from './Materials.js';
+import { eventBus } from '../EventBus.js';
+
+const { Bodies, Body, Sleeping } = Matter;
+
+/** Steps fragments stay around, and the last of those spent fading out */
+const FRAGMENT_LIFE = 180;
+const FRAGMENT_FADE = 30;
+/** Fragments are cut a little smaller than their share, so they don't start out jammed together */
+const FRAGMENT_SCALE = 0.85;
+/** Speed (px/step) fragments fly apart at, and how much of the hitter's speed they take on */
+const SCATTER_SPEED = 1.5;
+const HIT_CARRY = 0.4;
+/** Impact a blast lands at its centre, and the speed it gives fragments there */
+const BLAST_IMPACT = 80;
+const BLAST_SCATTER = 10;
+
+/** Breakable variant presets — type is what it's registered as, strength the impact it takes to break */
+const VARIANTS = {
+    glass: {
+        type: 'glass-pane',
+        label: 'Glass Pane',
+        width: 8,
+        height: 90,
+        isStatic: true,
+        material: 'glass',
+        strength: 6,
+        grid: [1, 6],
+        color: 'rgba(190, 230, 245, 0.55)',
+        edge: '#7fb8cc',
+    },
+    brick: {
+        type: 'brick-wall',
+        label: 'Brick Wall',
+        width: 30,
+        height: 90,
+        isStatic: true,
+        material: 'brick',
+        strength: 60,
+        grid: [2, 6],
+        color: '#b5502f',
+        edge: '#6e2f1b',
+    },
+    crate: {
+        type: 'egg-crate',
+        label: 'Egg Crate',
+        width: 50,
+        height: 20,
+        isStatic: false,
+        material: 'generic',
+        strength: 4.5,
+        grid: [5, 2],
+        color: '#d9c8a0',
+        edge: '#9c8a62',
+    },
+    vase: {
+        type: 'vase',
+        label: 'Vase',
+        width: 26,
+        height: 44,
+        isStatic: false,
+        material: 'ceramic',
+        strength: 16,
+        grid: [2, 3],
+        color: '#3a6ab0',
+        edge: '#1f3d6b',
+    },
+};
+
+/** What an egg crate is built from — it has no material of its own */
+const CRATE_SURFACE = { friction: 0.6, frictionStatic: 0.6, restitution: 0.1, density: 0.0008 };
+const YOLK_COLOR = '#f3c623';
+
+export default class Breakable extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {string} [options.variant='glass'] - 'glass', 'brick', 'crate', or 'vase'
+     * @param {number} [options.strength] - Impact it takes to break; the variant's if left out
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._variant = VARIANTS[options.variant] ? options.variant : 'glass';
+        const preset = VARIANTS[this._variant];
+        this._width = preset.width;
+        this._height = preset.height;
+        this._strength = options.strength ?? preset.strength;
+
+        this._broken = false;
+        /** @type {number} Steps since it broke */
+        this._age = 0;
+
+        this._body = Bodies.rectangle(x, y, this._width, this._height, {
+            label: this.type,
+            angle: this._angle,
+            isStatic: preset.isStatic,
+        });
+        // After construction — Matter gives static bodies its own friction and bounce.
+        // Built as its variant; applyMaterial() puts any material set on it on top.
+        applySurface(this._body, this._surface(preset.material));
+
+        /** @type {Matter.Body[]} Pieces it breaks into — cut up front, so snapshots and replays can refer to them */
+        this._fragments = this._cutFragments();
+        /** @type {{ x: number, y: number }[][]} Each fragment's outline as it was cut */
+        this._shapes = this._fragments.map(piece => piece.vertices.map(({ x, y }) => ({ x, y })));
+    }
+
+    /** Each variant saves and counts towards goals as the type it's registered as */
+    get type() { return VARIANTS[this._variant].type; }
+
+    get bodies() {
+        if (!this._broken) return [this._body];
+        return this._age < FRAGMENT_LIFE ? this._fragments : [];
+    }
+
+    /** A breakable's material comes with its variant */
+    get material() {
+        return this._options.material || VARIANTS[this._variant].material;
+    }
+
+    get bounds() {
+        const bodies = this.bodies;
+        if (bodies.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+        const min = { x: Infinity, y: Infinity };
+        const max = { x: -Infinity, y: -Infinity };
+        for (const { bounds } of bodies) {
+            min.x = Math.min(min.x, bounds.min.x);
+            min.y = Math.min(min.y, bounds.min.y);
+            max.x = Math.max(max.x, bounds.max.x);
+            max.y = Math.max(max.y, bounds.max.y);
+        }
+        return { x: min.x, y: min.y, width: max.x - min.x, height: max.y - min.y };
+    }
+
+    /** @returns {string} 'glass', 'brick', 'crate', or 'vase' */
+    get variant() { return this._variant; }
+
+    /** @returns {number} Impact it takes to break */
+    get strength() { return this._strength; }
+
+    get isBreakable() { return true; }
+
+    get isBroken() { return this._broken; }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        if (!this._broken) Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        if (!this._broken) Body.setAngle(this._body, angle);
+    }
+
+    onImpact(impact, other, pair) {
+        if (this._broken || impact < this._strength) return;
+
+        // Fragments fly on with some of the speed of what hit it
+        const hitter = pair.bodyA.parent === this._body ? pair.bodyB.parent : pair.bodyA.parent;
+        const carry = hitter.isStatic ? { x: 0, y: 0 } : { x: hitter.velocity.x * HIT_CARRY, y: hitter.velocity.y * HIT_CARRY };
+        // It gives way rather than bounce the hit back
+        pair.isActive = false;
+        this.shatter(carry, impact);
+    }
+
+    onExplosion(blast) {
+        const impact = BLAST_IMPACT * blast.falloff;
+        if (this._broken || impact < this._strength) return;
+
+        const pos = this._body.position;
+        const dx = pos.x - blast.center.x;
+        const dy = pos.y - blast.center.y;
+        const dist = Math.hypot(dx, dy) || 1;
+        const speed = BLAST_SCATTER * blast.falloff;
+        this.shatter({ x: dx / dist * speed, y: dy / dist * speed }, impact);
+    }
+
+    onAfterUpdate() {
+        if (this._broken && this._age < FRAGMENT_LIFE) this._age++;
+    }
+
+    /**
+     * Break into fragments. They take the place of the object's body the
+     * next time the physics world syncs.
+     * @param {{ x: number, y: number }} [push] - Velocity added to every fragment
+     * @param {number|null} [impact] - How hard it was hit, for the event
+     */
+    shatter(push = { x: 0, y: 0 }, impact = null) {
+        if (this._broken) return;
+        this._broken = true;
+        this._age = 0;
+        this._scatterFragments(push);
+        eventBus.emit('object:broken', { object: this, impact });
+    }
+
+    saveState() {
+        return { broken: this._broken, age: this._age };
+    }
+
+    restoreState(state) {
+        this._broken = state.broken;
+        this._age = state.age;
+    }
+
+    draw(ctx) {
+        const preset = VARIANTS[this._variant];
+        if (this._broken) {
+            this._drawFragments(ctx, preset);
+            return;
+        }
+
+        const pos = this._body.position;
+        const hw = this._width / 2;
+        const hh = this._height / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+        ctx.fillStyle = preset.color;
+        ctx.strokeStyle = preset.edge;
+        ctx.lineWidth = 1.5;
+
+        switch (this._variant) {
+            case 'vase':
+                // Round belly, narrow neck, flared lip
+                ctx.beginPath();
+                ctx.moveTo(-hw * 0.45, -hh);
+                ctx.lineTo(hw * 0.45, -hh);
+                ctx.lineTo(hw * 0.3, -hh * 0.6);
+                ctx.quadraticCurveTo(hw * 1.2, -hh * 0.2, hw * 0.6, hh);
+                ctx.lineTo(-hw * 0.6, hh);
+                ctx.quadraticCurveTo(-hw * 1.2, -hh * 0.2, -hw * 0.3, -hh * 0.6);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+                break;
+
+            case 'crate':
+                ctx.fillRect(-hw, -hh, this._width, this._height);
+                ctx.strokeRect(-hw, -hh, this._width, this._height);
+                // A row of eggs peeking over the top
+                ctx.fillStyle = '#fff8e8';
+                for (let i = 0; i < 4; i++) {
+                    ctx.beginPath();
+                    ctx.ellipse(-hw + this._width * (i + 0.5) / 4, -hh, 5, 6, 0, Math.PI, 0);
+                    ctx.fill();
+                    ctx.stroke();
+                }
+                break;
+
+            case 'brick': {
+                ctx.fillRect(-hw, -hh, this._width, this._height);
+                // Mortar between staggered courses
+                const [, rows] = preset.grid;
+                const course = this._height / rows;
+                ctx.strokeStyle = '#d8c8b0';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                for (let r = 1; r < rows; r++) {
+                    ctx.moveTo(-hw, -hh + r * course);
+                    ctx.lineTo(hw, -hh + r * course);
+                }
+                for (let r = 0; r < rows; r++) {
+                    const x = r % 2 === 0 ? 0 : -hw / 2;
+                    ctx.moveTo(x, -hh + r * course);
+                    ctx.lineTo(x, -hh + (r + 1) * course);
+                }
+                ctx.stroke();
+                ctx.strokeStyle = preset.edge;
+                ctx.lineWidth = 1.5;
+                ctx.strokeRect(-hw, -hh, this._width, this._height);
+                break;
+            }
+
+            default:
+                ctx.fillRect(-hw, -hh, this._width, this._height);
+                ctx.strokeRect(-hw, -hh, this._width, this._height);
+                // Glint down the glass
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(-hw + 2, -hh + 6);
+                ctx.lineTo(-hw + 2, hh * 0.3);
+                ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        const preset = VARIANTS[this._variant];
+        const scale = Math.min(w * 0.8 / preset.width, h * 0.8 / preset.height);
+        const bw = preset.width * scale;
+        const bh = preset.height * scale;
+        ctx.fillStyle = preset.color;
+        ctx.fillRect((w - bw) / 2, (h - bh) / 2, bw, bh);
+        ctx.strokeStyle = preset.edge;
+        ctx.lineWidth = 1;
+        ctx.strokeRect((w - bw) / 2, (h - bh) / 2, bw, bh);
+        // A crack across it
+        ctx.beginPath();
+        ctx.moveTo(w / 2 - bw * 0.3, h / 2 - bh * 0.2);
+        ctx.lineTo(w / 2, h / 2);
+        ctx.lineTo(w / 2 - bw * 0.1, h / 2 + bh * 0.25);
+        ctx.stroke();
+    }
+
+    static deserialize(data) {
+        return new Breakable(data.x, data.y, {
+            ...data.options,
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+        this._fragments = [];
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /**
+     * Friction, bounce and density to build it — and its fragments — from.
+     * @param {string} [material] - Defaults to what it is made of now
+     */
+    _surface(material = this.material) {
+        return surfaceOf(material) ?? surfaceOf(VARIANTS[this._variant].material) ?? CRATE_SURFACE;
+    }
+
+    /** Local centre of each fragment in the variant's grid, row by row. */
+    _fragmentCentres() {
+        const [cols, rows] = VARIANTS[this._variant].grid;
+        const w = this._width / cols;
+        const h = this._height / rows;
+        const centres = [];
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                centres.push({ x: -this._width / 2 + (c + 0.5) * w, y: -this._height / 2 + (r + 0.5) * h });
+            }
+        }
+        return centres;
+    }
+
+    /** One body per grid cell, cut at the origin until it is needed. */
+    _cutFragments() {
+        const [cols, rows] = VARIANTS[this._variant].grid;
+        const w = this._width / cols * FRAGMENT_SCALE;
+        const h = this._height / rows * FRAGMENT_SCALE;
+        return this._fragmentCentres().map(() => Bodies.rectangle(0, 0, w, h, { label: `${this.type}-fragment` }));
+    }
+
+    /** Put the fragments where the body was, flying apart from its middle. */
+    _scatterFragments(push) {
+        const body = this._body;
+        const cos = Math.cos(body.angle);
+        const sin = Math.sin(body.angle);
+        const surface = this._surface();
+        const base = body.isStatic ? { x: 0, y: 0 } : body.velocity;
+
+        for (const [i, local] of this._fragmentCentres().entries()) {
+            const piece = this._fragments[i];
+            const offset = { x: local.x * cos - local.y * sin, y: local.x * sin + local.y * cos };
+            const out = Math.hypot(local.x, local.y) || 1;
+
+            this._resetFragment(piece, this._shapes[i]);
+            applySurface(piece, surface);
+            Body.setAngle(piece, body.angle);
+            Body.setPosition(piece, { x: body.position.x + offset.x, y: body.position.y + offset.y });
+            Body.setVelocity(piece, {
+                x: base.x + push.x + offset.x / out * SCATTER_SPEED,
+                y: base.y + push.y + offset.y / out * SCATTER_SPEED,
+            });
+            // Alternate spins, so the same break always tumbles the same way
+            Body.setAngularVelocity(piece, (i % 2 === 0 ? 1 : -1) * 0.08);
+        }
+    }
+
+    /**
+     * Put a fragment back exactly as it was cut — a machine that is reset
+     * and run again has to break the same way, to the last bit.
+     */
+    _resetFragment(piece, shape) {
+        Sleeping.set(piece, false);
+        Body.setVelocity(piece, { x: 0, y: 0 });
+        Body.setAngularVelocity(piece, 0);
+        Body.setPosition(piece, { x: 0, y: 0 });
+        Body.setAngle(piece, 0);
+        Body.setVertices(piece, shape);
+        piece.positionImpulse.x = 0;
+        piece.positionImpulse.y = 0;
+        piece.constraintImpulse.x = 0;
+        piece.constraintImpulse.y = 0;
+        piece.constraintImpulse.angle = 0;
+        piece.totalContacts = 0;
+        piece.motion = 0;
+    }
+
+    _drawFragments(ctx, preset) {
+        const bodies = this.bodies;
+        if (bodies.length === 0) return;
+
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, (FRAGMENT_LIFE - this._age) / FRAGMENT_FADE);
+        for (const [i, piece] of bodies.entries()) {
+            const v = piece.vertices;
+            ctx.beginPath();
+            ctx.moveTo(v[0].x, v[0].y);
+            for (let j = 1; j < v.length; j++) ctx.lineTo(v[j].x, v[j].y);
+            ctx.closePath();
+            // Every other bit of a broken egg crate is egg
+            ctx.fillStyle = this._variant === 'crate' && i % 2 === 1 ? YOLK_COLOR : preset.color;
+            ctx.fill();
+            ctx.strokeStyle = preset.edge;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
@@ -2,12 +2,15 @@
  * Bucket — Goal container that catches objects
  *
  * The primary goal object in most puzzles.
- * Detects when a target object enters it via collision.
+ * Detects when a target object enters it via collision. It also holds
+ * water (see WaterSystem); a loose bucket — one hung from a rope or a
+ * pulley — gets heavier as it fills.
  */
 
 import Matter from 'matter-js';
 import BaseObject from './BaseObject.js';
 import { eventBus } from '../EventBus.js';
+import { DROP_MASS, DROP_RADIUS } from '../engine/WaterSystem.js';
 
 const { Bodies, Body, Composite } = Matter;
 
@@ -18,11 +21,22 @@ const BUCKET_INNER = '#6B3310';
 const RIM_COLOR = '#a0a0a0';
 
 export default class Bucket extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.width=50]
+     * @param {number} [options.height=40]
+     * @param {string|null} [options.catchType=null] - Only catch this type; null catches anything
+     * @param {boolean} [options.loose=false] - Free to move instead of fixed in place
+     * @param {number} [options.capacity] - Drops of water that fill it; defaults to what fits inside
+     */
     constructor(x, y, options = {}) {
         super(x, y, options);
         this._width = options.width || BUCKET_WIDTH;
         this._height = options.height || BUCKET_HEIGHT;
         this._catchType = options.catchType || null; // null = catch anything
+        this._loose = options.loose || false;
 
         const wallThickness = 5;
         const hw = this._width / 2;
@@ -31,53 +45,109 @@ export default class Bucket extends BaseObject {
         // Build bucket from three static bodies: left wall, right wall, floor
         this._leftWall = Bodies.rectangle(
             x - hw + wallThickness / 2, y, wallThickness, this._height, {
-            isStatic: true, label: 'bucket-wall', friction: 0.3,
+            isStatic: !this._loose, label: 'bucket-wall', friction: 0.3,
         }
         );
         this._rightWall = Bodies.rectangle(
             x + hw - wallThickness / 2, y, wallThickness, this._height, {
-            isStatic: true, label: 'bucket-wall', friction: 0.3,
+            isStatic: !this._loose, label: 'bucket-wall', friction: 0.3,
         }
         );
         this._floor = Bodies.rectangle(
             x, y + hh - wallThickness / 2, this._width - wallThickness * 2, wallThickness, {
-            isStatic: true, label: 'bucket-floor', friction: 0.3,
+            isStatic: !this._loose, label: 'bucket-floor', friction: 0.3,
         }
         );
 
         // Sensor zone inside the bucket (detects objects landing inside)
         this._sensor = Bodies.rectangle(
             x, y + 5, this._width - wallThickness * 2 - 4, this._height * 0.5, {
-            isStatic: true,
+            isStatic: !this._loose,
             isSensor: true,
             label: 'bucket-sensor',
         }
         );
 
+        // A loose bucket is one body, so it moves, tips and hangs as a whole
+        this._body = this._loose
+            ? Body.create({ parts: [this._leftWall, this._rightWall, this._floor, this._sensor], label: 'bucket' })
+            : null;
+        this._dryMass = this._body ? this._body.mass : 0;
+
+        const inside = (this._width - wallThickness * 2) * (this._height - wallThickness);
+        this._capacity = options.capacity || Math.floor(inside / (DROP_RADIUS * 2) ** 2 * 0.75);
+
         /** @type {Set<string>} IDs of objects that have been caught */
         this._caught = new Set();
+
+        /** @type {number} Drops of water inside */
+        this._water = 0;
+
+        /** @type {boolean} True once it has filled with water */
+        this._filled = false;
     }
 
     get type() { return 'bucket'; }
 
     get bodies() {
+        if (this._body) return [this._body];
         return [this._leftWall, this._rightWall, this._floor, this._sensor];
     }
 
     get bounds() {
+        const centre = this._centre();
         return {
-            x: this._x - this._width / 2,
-            y: this._y - this._height / 2,
+            x: centre.x - this._width / 2,
+            y: centre.y - this._height / 2,
             width: this._width,
             height: this._height,
         };
     }
 
+    /** @returns {number} Drops of water inside */
+    get waterLevel() {
+        return this._water;
+    }
+
+    /** @returns {number} Drops of water that fill it */
+    get capacity() {
+        return this._capacity;
+    }
+
+    get waterBasin() {
+        // From the rim down to the floor, between the walls
+        const { x, y } = this._centre();
+        const angle = this._leftWall.angle;
+        const hw = this._width / 2 - 5;
+        const hh = this._height / 2;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return [[-hw, -hh], [hw, -hh], [hw, hh - 5], [-hw, hh - 5]].map(([lx, ly]) => ({
+            x: x + lx * cos - ly * sin,
+            y: y + lx * sin + ly * cos,
+        }));
+    }
+
+    setWaterLevel(drops) {
+        if (drops === this._water) return;
+        this._water = drops;
+        if (this._body) Body.setMass(this._body, this._dryMass + drops * DROP_MASS);
+
+        if (!this._filled && drops >= this._capacity) {
+            this._filled = true;
+            eventBus.emit('bucket:filled', { bucket: this, drops });
+        }
+    }
+
     setPosition(x, y) {
         const dx = x - this._x;
         const dy = y - this._y;
         super.setPosition(x, y);
 
+        if (this._body) {
+            Body.translate(this._body, { x: dx, y: dy });
+            return;
+        }
         Body.translate(this._leftWall, { x: dx, y: dy });
         Body.translate(this._rightWall, { x: dx, y: dy });
         Body.translate(this._floor, { x: dx, y: dy });
@@ -112,16 +182,26 @@ export default class Bucket extends BaseObject {
         return this._caught.size;
     }
 
+    saveState() {
+        return { caught: [...this._caught], water: this._water, filled: this._filled };
+    }
+
+    restoreState(state) {
+        this._caught = new Set(state.caught);
+        this._filled = state.filled ?? false;
+        this.setWaterLevel(state.water ?? 0);
+    }
+
     draw(ctx) {
-        const x = this._leftWall.position.x + 2.5;
-        const y = this._leftWall.position.y;
         const w = this._width;
         const h = this._height;
         const hw = w / 2 - 2.5;
         const hh = h / 2;
 
         ctx.save();
-        ctx.translate(x + hw, y);
+        ctx.translate(this._leftWall.position.x, this._leftWall.position.y);
+        ctx.rotate(this._leftWall.angle);
+        ctx.translate(2.5 + hw, 0);
 
         // Bucket interior (dark)
         ctx.fillStyle = BUCKET_INNER;
@@ -215,6 +295,7 @@ export default class Bucket extends BaseObject {
                 width: this._width,
                 height: this._height,
                 catchType: this._catchType,
+                loose: this._loose,
             },
         };
     }
@@ -226,13 +307,25 @@ export default class Bucket extends BaseObject {
             width: data.options?.width || BUCKET_WIDTH,
             height: data.options?.height || BUCKET_HEIGHT,
             catchType: data.options?.catchType || null,
+            loose: data.options?.loose || false,
+            capacity: data.options?.capacity,
         });
     }
 
     dispose() {
+        this._body = null;
         this._leftWall = null;
         this._rightWall = null;
         this._floor = null;
         this._sensor = null;
     }
+
+    // ── Private ──────────────────────────────────
+
+    /** Middle of the bucket, between its walls. */
+    _centre() {
+        const a = this._leftWall.position;
+        const b = this._rightWall.position;
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
 }
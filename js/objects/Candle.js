@@ -1,23 +1,41 @@
 /**
  * Candle — Fire source that pops balloons and burns ropes
  *
- * Burns with an animated flickering flame.
- * Objects touching the flame area trigger interactions.
+ * Burns with an animated flickering flame. The flame heats everything
+ * within a small radius above the wick (see Combustion) — rope, fuses,
+ * paper and balloons held there catch fire. Anything flammable that
+ * touches a lit candle, the flame or the hot wax, catches at once: a
+ * balloon rising into one pops, a rope swinging through the flame burns.
+ * An unlit candle can be lit by holding a flame to its wick.
  */
 
 import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
 import BaseObject from './BaseObject.js';
 
 const { Bodies, Body } = Matter;
 
 const CANDLE_WIDTH = 12;
 const CANDLE_HEIGHT = 30;
+const FLAME_HEIGHT = 12;
+const HEAT_RADIUS = 16;
+const FLAME_RADIUS = 10;
+/** How far (px) a fuel point may be from the wax or flame and still touch it */
+const CONTACT_SLACK = 2;
 const WAX_COLOR = '#f0e8d0';
 const FLAME_COLORS = ['#ff4400', '#ff8800', '#ffcc00', '#ffee66'];
 
 export default class Candle extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {boolean} [options.lit=true] - Start burning
+     */
     constructor(x, y, options = {}) {
         super(x, y, options);
+        this._heat = 0;
+        this._startsLit = options.lit ?? true;
 
         // Candle body (solid wax stick)
         this._body = Bodies.rectangle(x, y, CANDLE_WIDTH, CANDLE_HEIGHT, {
@@ -25,8 +43,8 @@ export default class Candle extends BaseObject {
             label: 'candle',
         });
 
-        // Flame sensor (above the candle)
-        this._flameSensor = Bodies.circle(x, y - CANDLE_HEIGHT / 2 - 10, 10, {
+        // Flame sensor (above the wick)
+        this._flameSensor = Bodies.circle(x, y - CANDLE_HEIGHT / 2 - FLAME_HEIGHT, FLAME_RADIUS, {
             isStatic: true,
             isSensor: true,
             label: 'candle-flame',
@@ -34,12 +52,40 @@ export default class Candle extends BaseObject {
 
         /** @type {number} animation phase */
         this._flickerPhase = Math.random() * Math.PI * 2;
-        this._isLit = true;
+        this._isLit = this._startsLit;
     }
 
     get type() { return 'candle'; }
     get bodies() { return [this._body, this._flameSensor]; }
 
+    /** @returns {boolean} */
+    get isLit() { return this._isLit; }
+
+    get heatSources() {
+        return this._isLit ? [{ ...this._flamePosition(), radius: HEAT_RADIUS }] : [];
+    }
+
+    get fuelPoints() {
+        return this._isLit ? [] : [this._flamePosition()];
+    }
+
+    /** @returns {boolean} True while a flame is lighting the wick */
+    get isBusy() {
+        return this._heat > 0;
+    }
+
+    get ignitionTime() {
+        return 10;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
     get bounds() {
         const pos = this._body.position;
         return {
@@ -53,17 +99,50 @@ export default class Candle extends BaseObject {
     setPosition(x, y) {
         super.setPosition(x, y);
         Body.setPosition(this._body, { x, y });
-        Body.setPosition(this._flameSensor, { x, y: y - CANDLE_HEIGHT / 2 - 10 });
+        Body.setPosition(this._flameSensor, { x, y: y - CANDLE_HEIGHT / 2 - FLAME_HEIGHT });
     }
 
     setAngle(angle) {
         super.setAngle(0); // candle stays upright
     }
 
+    ignite() {
+        this._isLit = true;
+    }
+
+    /** Put the flame out. */
+    extinguish() {
+        this._isLit = false;
+    }
+
+    douse() {
+        this.extinguish();
+    }
+
     onBeforeUpdate() {
         this._flickerPhase += 0.15;
     }
 
+    onCollision(other) {
+        if (!this._isLit) return;
+
+        const index = (other.fuelPoints ?? []).findIndex(point => this._touches(point));
+        if (index === -1) return;
+        other.setHeat(0);
+        other.ignite(index);
+        eventBus.emit('fire:ignited', { object: other });
+    }
+
+    saveState() {
+        return { flickerPhase: this._flickerPhase, isLit: this._isLit, heat: this._heat };
+    }
+
+    restoreState(state) {
+        this._flickerPhase = state.flickerPhase;
+        this._isLit = state.isLit;
+        this._heat = state.heat;
+    }
+
     draw(ctx) {
         const pos = this._body.position;
 
@@ -179,13 +258,17 @@ export default class Candle extends BaseObject {
     }
 
     serialize() {
-        return super.serialize();
+        return {
+            ...super.serialize(),
+            options: { ...this._options, lit: this._startsLit },
+        };
     }
 
     static deserialize(data) {
         return new Candle(data.x, data.y, {
             angle: data.angle,
             isFixed: data.isFixed,
+            lit: data.options?.lit ?? true,
         });
     }
 
@@ -193,4 +276,24 @@ export default class Candle extends BaseObject {
         this._body = null;
         this._flameSensor = null;
     }
+
+    // ── Private ──────────────────────────────────
+
+    /** Middle of the flame, just above the wick. */
+    _flamePosition() {
+        const pos = this._body.position;
+        return { x: pos.x, y: pos.y - CANDLE_HEIGHT / 2 - FLAME_HEIGHT };
+    }
+
+    /** True if a fuel point reaches the flame or the wax. */
+    _touches(point) {
+        const reach = (point.radius || 0) + CONTACT_SLACK;
+        const flame = this._flamePosition();
+        if (Math.hypot(point.x - flame.x, point.y - flame.y) <= FLAME_RADIUS + reach) return true;
+
+        const pos = this._body.position;
+        const dx = Math.max(Math.abs(point.x - pos.x) - CANDLE_WIDTH / 2, 0);
+        const dy = Math.max(Math.abs(point.y - pos.y) - CANDLE_HEIGHT / 2, 0);
+        return Math.hypot(dx, dy) <= reach;
+    }
 }
@@ -0,0 +1,442 @@
+/**
+ * Cat — Sleeps until it spots a mouse, then gives chase
+ *
+ * Curled up asleep, the cat wakes as soon as a mouse comes into sight:
+ * near enough, on roughly its own level, and with nothing solid in
+ * between. It then runs after the mouse — faster than the mouse can
+ * walk — and catches it on contact. It never runs off an edge or into
+ * a wall. A blast, a flame under its nose or a hard knock scares it: it
+ * turns tail and bolts away for a while before settling down again.
+ * Emits 'cat:caught' when it catches a mouse.
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+import { surveyGround } from './Mouse.js';
+
+const { Bodies, Body, Bounds, Composite, Query } = Matter;
+
+const CAT_WIDTH = 36;
+const CAT_HEIGHT = 20;
+const CHASE_SPEED = 2;
+const FLEE_SPEED = 2.6;
+const SIGHT_RANGE = 240;
+const SIGHT_HEIGHT = 60;
+const SCARE_STEPS = 90;
+const GIVE_UP_STEPS = 180;
+const FLAME_RANGE = 50;
+const HARD_KNOCK = 4;
+const FUR_COLOR = '#e08a3c';
+const STRIPE_COLOR = '#a85a20';
+
+/** @enum {string} */
+export const CatMood = Object.freeze({
+    ASLEEP: 'asleep',
+    CHASING: 'chasing',
+    SCARED: 'scared',
+});
+
+export default class Cat extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.speed=2] - Chase speed (a mouse walks at 1.2)
+     * @param {number} [options.direction=1] - Facing: 1 = right, -1 = left
+     * @param {number} [options.sight=240] - How far away it spots a mouse
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._speed = options.speed || CHASE_SPEED;
+        this._direction = options.direction || 1;
+        this._sight = options.sight || SIGHT_RANGE;
+
+        /** @type {string} One of CatMood */
+        this._mood = CatMood.ASLEEP;
+
+        /** @type {number} Steps left to run away for */
+        this._scareTimer = 0;
+
+        /** @type {number} Steps since it last saw a mouse while chasing */
+        this._lostTimer = 0;
+
+        this._isWalking = false;
+        this._walkPhase = 0;
+
+        this._body = Bodies.rectangle(x, y, CAT_WIDTH, CAT_HEIGHT, {
+            density: 0.002,
+            friction: 0.5,
+            frictionAir: 0.01,
+            restitution: 0.1,
+            // Walkers stay on their feet instead of tipping over as they go
+            inertia: Infinity,
+            label: 'cat',
+        });
+    }
+
+    get type() { return 'cat'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const pos = this._body.position;
+        return {
+            x: pos.x - CAT_WIDTH / 2 - 10,
+            y: pos.y - CAT_HEIGHT / 2 - 8,
+            width: CAT_WIDTH + 20,
+            height: CAT_HEIGHT + 12,
+        };
+    }
+
+    /** @returns {string} One of CatMood */
+    get mood() { return this._mood; }
+
+    /** @returns {number} 1 = facing right, -1 = facing left */
+    get direction() { return this._direction; }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    /**
+     * Frighten the cat: it turns away from `from` and bolts.
+     * @param {{ x: number, y: number }} from
+     */
+    scare(from) {
+        const away = Math.sign(this._body.position.x - from.x);
+        if (away !== 0) this._direction = away;
+        this._mood = CatMood.SCARED;
+        this._scareTimer = SCARE_STEPS;
+    }
+
+    onBeforeUpdate(engine) {
+        const flame = this._nearbyFlame(engine);
+        if (flame) this.scare(flame);
+
+        if (this._mood === CatMood.SCARED) {
+            this._flee(engine);
+            return;
+        }
+
+        const mouse = this._spotMouse(engine);
+        if (mouse) {
+            this._mood = CatMood.CHASING;
+            this._lostTimer = 0;
+            const dx = mouse.bodies[0].position.x - this._body.position.x;
+            if (dx !== 0) this._direction = Math.sign(dx);
+            if (Bounds.overlaps(this._body.bounds, mouse.bodies[0].bounds)) {
+                this._catch(mouse);
+                return;
+            }
+        } else if (this._mood === CatMood.CHASING && ++this._lostTimer >= GIVE_UP_STEPS) {
+            this._mood = CatMood.ASLEEP;
+        }
+
+        if (this._mood === CatMood.CHASING) {
+            this._run(engine, this._speed, false);
+        } else {
+            this._isWalking = false;
+        }
+    }
+
+    onCollision(other) {
+        if (other.type === 'mouse' || other.bodies.length === 0) return;
+        const body = other.bodies[0];
+        if (body.isStatic) return;
+        const dvx = body.velocity.x - this._body.velocity.x;
+        const dvy = body.velocity.y - this._body.velocity.y;
+        if (Math.hypot(dvx, dvy) >= HARD_KNOCK) this.scare(body.position);
+    }
+
+    onExplosion(blast) {
+        this.scare(blast.center);
+    }
+
+    saveState() {
+        return {
+            mood: this._mood,
+            direction: this._direction,
+            scareTimer: this._scareTimer,
+            lostTimer: this._lostTimer,
+            isWalking: this._isWalking,
+            walkPhase: this._walkPhase,
+        };
+    }
+
+    restoreState(state) {
+        this._mood = state.mood;
+        this._direction = state.direction;
+        this._scareTimer = state.scareTimer;
+        this._lostTimer = state.lostTimer;
+        this._isWalking = state.isWalking;
+        this._walkPhase = state.walkPhase;
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const hw = CAT_WIDTH / 2;
+        const hh = CAT_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        if (this._direction < 0) {
+            ctx.scale(-1, 1);
+        }
+
+        if (this._mood === CatMood.ASLEEP) {
+            this._drawAsleep(ctx, hw, hh);
+            ctx.restore();
+
+            // Zzz
+            ctx.fillStyle = '#5a6a8a';
+            ctx.font = 'bold 9px sans-serif';
+            ctx.fillText('z', pos.x + 8, pos.y - hh - 2);
+            ctx.font = 'bold 7px sans-serif';
+            ctx.fillText('z', pos.x + 15, pos.y - hh - 8);
+            return;
+        }
+
+        const scared = this._mood === CatMood.SCARED;
+
+        // Tail — straight up and bristling when scared
+        ctx.strokeStyle = FUR_COLOR;
+        ctx.lineWidth = scared ? 5 : 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(-hw + 2, -2);
+        if (scared) {
+            ctx.lineTo(-hw - 2, -hh - 14);
+        } else {
+            ctx.quadraticCurveTo(-hw - 12, -4, -hw - 8, -hh - 8);
+        }
+        ctx.stroke();
+
+        // Legs
+        ctx.strokeStyle = STRIPE_COLOR;
+        ctx.lineWidth = 2.5;
+        const stride = this._isWalking ? Math.sin(this._walkPhase) * 4 : 0;
+        for (const [lx, phase] of [[hw - 7, 1], [hw - 12, -1], [-hw + 6, -1], [-hw + 11, 1]]) {
+            ctx.beginPath();
+            ctx.moveTo(lx, hh - 2);
+            ctx.lineTo(lx + stride * phase, hh + 4);
+            ctx.stroke();
+        }
+
+        // Body — arched when scared
+        ctx.fillStyle = FUR_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(0, scared ? -3 : 0, hw - 2, scared ? hh + 2 : hh - 1, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Stripes
+        ctx.strokeStyle = STRIPE_COLOR;
+        ctx.lineWidth = 2;
+        for (const sx of [-8, -2, 4]) {
+            ctx.beginPath();
+            ctx.moveTo(sx, -hh + 2);
+            ctx.lineTo(sx + 2, -hh + 7);
+            ctx.stroke();
+        }
+
+        // Head
+        ctx.fillStyle = FUR_COLOR;
+        ctx.beginPath();
+        ctx.arc(hw, -hh + 2, 8, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Ears
+        ctx.beginPath();
+        ctx.moveTo(hw - 6, -hh - 3);
+        ctx.lineTo(hw - 4, -hh - 11);
+        ctx.lineTo(hw, -hh - 5);
+        ctx.moveTo(hw + 1, -hh - 5);
+        ctx.lineTo(hw + 5, -hh - 11);
+        ctx.lineTo(hw + 7, -hh - 2);
+        ctx.fill();
+
+        // Eye — wide open when scared
+        ctx.fillStyle = scared ? '#fff' : '#3a7d2a';
+        ctx.beginPath();
+        ctx.arc(hw + 3, -hh + 1, scared ? 2.5 : 1.8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#111';
+        ctx.beginPath();
+        ctx.arc(hw + 3.5, -hh + 1, scared ? 1.2 : 0.8, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Nose
+        ctx.fillStyle = '#e07070';
+        ctx.beginPath();
+        ctx.arc(hw + 8, -hh + 4, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        const cx = w / 2;
+        const cy = h / 2 + 2;
+
+        // Tail
+        ctx.strokeStyle = FUR_COLOR;
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(cx - 9, cy);
+        ctx.quadraticCurveTo(cx - 15, cy - 3, cx - 13, cy - 10);
+        ctx.stroke();
+
+        // Body
+        ctx.fillStyle = FUR_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, 10, 6, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Head and ears
+        ctx.beginPath();
+        ctx.arc(cx + 9, cy - 5, 5, 0, Math.PI * 2);
+        ctx.moveTo(cx + 5, cy - 8);
+        ctx.lineTo(cx + 6, cy - 13);
+        ctx.lineTo(cx + 9, cy - 9);
+        ctx.moveTo(cx + 10, cy - 9);
+        ctx.lineTo(cx + 13, cy - 13);
+        ctx.lineTo(cx + 13, cy - 7);
+        ctx.fill();
+
+        // Eye
+        ctx.fillStyle = '#111';
+        ctx.beginPath();
+        ctx.arc(cx + 11, cy - 6, 1, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: {
+                ...this._options,
+                speed: this._speed,
+                direction: this._direction,
+                sight: this._sight,
+            },
+        };
+    }
+
+    static deserialize(data) {
+        return new Cat(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            speed: data.options?.speed || CHASE_SPEED,
+            direction: data.options?.direction || 1,
+            sight: data.options?.sight || SIGHT_RANGE,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /**
+     * The nearest mouse the cat can see: within sight range, on roughly
+     * its own level, and with no static body in between.
+     */
+    _spotMouse(engine) {
+        const pos = this._body.position;
+        const blockers = Composite.allBodies(engine.world).filter(b => b.isStatic && !b.isSensor);
+        let nearest = null;
+        let nearestDist = Infinity;
+
+        for (const obj of engine.getObjects()) {
+            if (obj.type !== 'mouse' || obj.bodies.length === 0) continue;
+            const target = obj.bodies[0].position;
+            const dist = Math.abs(target.x - pos.x);
+            if (dist > this._sight || Math.abs(target.y - pos.y) > SIGHT_HEIGHT) continue;
+            if (dist >= nearestDist) continue;
+            if (Query.ray(blockers, pos, target).length > 0) continue;
+            nearest = obj;
+            nearestDist = dist;
+        }
+        return nearest;
+    }
+
+    /** A flame close enough to frighten the cat, if there is one. */
+    _nearbyFlame(engine) {
+        const pos = this._body.position;
+        for (const obj of engine.getObjects()) {
+            for (const heat of obj.heatSources ?? []) {
+                if (Math.hypot(heat.x - pos.x, heat.y - pos.y) < FLAME_RANGE + heat.radius) return heat;
+            }
+        }
+        return null;
+    }
+
+    _flee(engine) {
+        // Turn tail at walls and edges, just like the mouse
+        this._run(engine, FLEE_SPEED, true);
+        if (--this._scareTimer <= 0) {
+            this._mood = CatMood.ASLEEP;
+        }
+    }
+
+    /**
+     * Run in the facing direction while on the ground. A chasing cat
+     * stops short at a wall or an edge; a fleeing one turns around.
+     */
+    _run(engine, speed, turnAround) {
+        const ground = surveyGround(engine, this._body, CAT_WIDTH, CAT_HEIGHT, this._direction);
+        this._isWalking = ground.grounded;
+        if (!this._isWalking) return;
+
+        const blocked = ground.wallAhead || !ground.groundAhead;
+        if (blocked && turnAround) {
+            this._direction *= -1;
+        }
+
+        this._walkPhase += 0.3;
+        Body.setVelocity(this._body, {
+            x: blocked && !turnAround ? 0 : speed * this._direction,
+            y: this._body.velocity.y,
+        });
+    }
+
+    _catch(mouse) {
+        if (!mouse.capture()) return;
+        this._mood = CatMood.ASLEEP;
+        this._isWalking = false;
+        Body.setVelocity(this._body, { x: 0, y: this._body.velocity.y });
+        eventBus.emit('cat:caught', { cat: this, mouse });
+    }
+
+    _drawAsleep(ctx, hw, hh) {
+        // Curled up with the tail wrapped round
+        ctx.fillStyle = FUR_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(0, 2, hw - 2, hh - 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(hw - 8, 0, 7, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = STRIPE_COLOR;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.arc(0, 2, hh - 1, 0.2, Math.PI - 0.2);
+        ctx.stroke();
+
+        // Closed eye
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(hw - 5, -1, 2, 0.2, Math.PI - 0.2);
+        ctx.stroke();
+    }
+}
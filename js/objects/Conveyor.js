@@ -2,31 +2,40 @@
  * Conveyor — Moving belt surface
  *
  * A static surface that applies tangential force to objects touching it,
- * moving them along the belt direction.
+ * moving them along the belt direction. The belt moves with its rollers:
+ * plug a cord into the socket under the left roller to run its built-in
+ * motor, or drive either roller from the drivetrain with a drive belt.
+ * Belt speed is the rollers' rim speed, so a powered conveyor can in turn
+ * drive other machines.
  */
 
 import Matter from 'matter-js';
 import BaseObject from './BaseObject.js';
+import { terminalAt } from '../engine/PowerNetwork.js';
 
 const { Bodies, Body } = Matter;
 
 const CONVEYOR_WIDTH = 140;
 const CONVEYOR_HEIGHT = 16;
+const ROLLER_RADIUS = CONVEYOR_HEIGHT / 2 + 1;
 const BELT_COLOR = '#404040';
 const FRAME_COLOR = '#707070';
 const ROLLER_COLOR = '#909090';
+const LIVE_COLOR = '#ffcc33';
 
 export default class Conveyor extends BaseObject {
     /**
      * @param {number} x
      * @param {number} y
      * @param {object} [options={}]
-     * @param {number} [options.speed=2] - Belt speed (positive = right, negative = left)
+     * @param {number} [options.speed=2] - Belt speed under its own motor (positive = right, negative = left)
      * @param {number} [options.width=140]
      */
     constructor(x, y, options = {}) {
         super(x, y, options);
-        this._beltSpeed = options.speed ?? 2;
+        this._driveSpeed = 0;
+        this._powered = false;
+        this._speed = options.speed ?? 2;
         this._width = options.width || CONVEYOR_WIDTH;
         this._height = CONVEYOR_HEIGHT;
 
@@ -55,6 +64,47 @@ export default class Conveyor extends BaseObject {
         };
     }
 
+    get powerTerminals() {
+        return [terminalAt(this._body.position, this._body.angle, -this._width / 2 + 12, this._height / 2 + 4, 'socket')];
+    }
+
+    get isPowered() {
+        return this._powered;
+    }
+
+    setPowered(powered) {
+        this._powered = powered;
+    }
+
+    get driveWheels() {
+        const pos = this._body.position;
+        const angle = this._body.angle;
+        const hw = this._width / 2;
+        return [-hw, hw].map(dx => ({
+            x: pos.x + Math.cos(angle) * dx,
+            y: pos.y + Math.sin(angle) * dx,
+            radius: ROLLER_RADIUS,
+            teeth: 0,
+        }));
+    }
+
+    get driveSource() {
+        return this._powered ? this._speed / ROLLER_RADIUS : null;
+    }
+
+    get driveSpeed() {
+        return this._driveSpeed;
+    }
+
+    setDriveSpeed(speed) {
+        this._driveSpeed = speed;
+    }
+
+    /** @returns {number} Current belt surface speed (positive = right) */
+    get beltSpeed() {
+        return this._driveSpeed * ROLLER_RADIUS;
+    }
+
     setPosition(x, y) {
         super.setPosition(x, y);
         Body.setPosition(this._body, { x, y });
@@ -67,9 +117,12 @@ export default class Conveyor extends BaseObject {
 
     /**
      * Apply tangential force to any body touching the conveyor belt.
-     * Called each physics step.
+     * Called each physics step while the rollers turn.
      */
     onBeforeUpdate(engine) {
+        const beltSpeed = this.beltSpeed;
+        if (beltSpeed === 0) return;
+
         // Get all bodies in the world
         const allBodies = Matter.Composite.allBodies(engine.world);
 
@@ -81,14 +134,24 @@ export default class Conveyor extends BaseObject {
             if (collision && collision.collided) {
                 // Apply surface velocity along the belt direction
                 const angle = this._body.angle;
-                const forceX = Math.cos(angle) * this._beltSpeed * 0.0004 * body.mass;
-                const forceY = Math.sin(angle) * this._beltSpeed * 0.0004 * body.mass;
+                const forceX = Math.cos(angle) * beltSpeed * 0.0004 * body.mass;
+                const forceY = Math.sin(angle) * beltSpeed * 0.0004 * body.mass;
                 Body.applyForce(body, body.position, { x: forceX, y: forceY });
             }
         }
 
         // Animate belt
-        this._animOffset += this._beltSpeed * 0.5;
+        this._animOffset += beltSpeed * 0.5;
+    }
+
+    saveState() {
+        return { animOffset: this._animOffset, powered: this._powered, driveSpeed: this._driveSpeed };
+    }
+
+    restoreState(state) {
+        this._animOffset = state.animOffset;
+        this._powered = state.powered;
+        this._driveSpeed = state.driveSpeed;
     }
 
     draw(ctx) {
@@ -142,10 +205,10 @@ export default class Conveyor extends BaseObject {
         ctx.fill();
         ctx.stroke();
 
-        // Direction arrow
+        // Direction arrow — the way it's moving, or the way its own motor would run it
         ctx.fillStyle = '#aaa';
         ctx.globalAlpha = 0.6;
-        const arrowDir = this._beltSpeed > 0 ? 1 : -1;
+        const arrowDir = (this.beltSpeed || this._speed) > 0 ? 1 : -1;
         const ax = arrowDir * 15;
         ctx.beginPath();
         ctx.moveTo(ax + arrowDir * 6, 0);
@@ -160,6 +223,12 @@ export default class Conveyor extends BaseObject {
         ctx.lineWidth = 1.5;
         ctx.strokeRect(-hw - 4, -hh - 2, this._width + 8, this._height + 4);
 
+        // Power socket, lit while powered
+        ctx.fillStyle = this._powered ? LIVE_COLOR : '#222';
+        ctx.beginPath();
+        ctx.arc(-hw + 12, hh + 4, 3, 0, Math.PI * 2);
+        ctx.fill();
+
         ctx.restore();
     }
 
@@ -184,7 +253,7 @@ export default class Conveyor extends BaseObject {
     serialize() {
         return {
             ...super.serialize(),
-            options: { ...this._options, speed: this._beltSpeed, width: this._width },
+            options: { ...this._options, speed: this._speed, width: this._width },
         };
     }
 
@@ -0,0 +1,141 @@
+/**
+ * Cord — Electrical cord with a plug at each end
+ *
+ * Carries power between whatever sockets its two plugs sit in. The cord
+ * has no physical body — objects pass through it — so placing it is a
+ * matter of moving and rotating it until both plugs line up with sockets.
+ */
+
+import BaseObject from './BaseObject.js';
+import { terminalAt } from '../engine/PowerNetwork.js';
+
+const CORD_LENGTH = 120;
+const CORD_SAG = 18;
+const PLUG_SIZE = 8;
+const CORD_COLOR = '#2a2a2a';
+const PLUG_COLOR = '#d8d0b8';
+const LIVE_COLOR = '#ffcc33';
+
+export default class Cord extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.length=120] - Distance between the plugs
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._powered = false;
+        this._length = options.length || CORD_LENGTH;
+    }
+
+    get type() { return 'cord'; }
+    get bodies() { return []; }
+
+    get bounds() {
+        const [a, b] = this._ends();
+        const pad = PLUG_SIZE;
+        const x = Math.min(a.x, b.x) - pad;
+        const y = Math.min(a.y, b.y) - pad;
+        return {
+            x,
+            y,
+            width: Math.max(a.x, b.x) + pad - x,
+            height: Math.max(a.y, b.y) + CORD_SAG + pad - y,
+        };
+    }
+
+    get powerTerminals() {
+        return this._ends();
+    }
+
+    get powerLinks() {
+        return [[0, 1]];
+    }
+
+    get isPowered() {
+        return this._powered;
+    }
+
+    setPowered(powered) {
+        this._powered = powered;
+    }
+
+    saveState() {
+        return { powered: this._powered };
+    }
+
+    restoreState(state) {
+        this._powered = state.powered;
+    }
+
+    draw(ctx) {
+        const [a, b] = this._ends();
+
+        // Slack cable hanging between the plugs
+        ctx.strokeStyle = CORD_COLOR;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.quadraticCurveTo((a.x + b.x) / 2, (a.y + b.y) / 2 + CORD_SAG * 2, b.x, b.y);
+        ctx.stroke();
+
+        // Plugs — glowing while power flows through them
+        for (const end of [a, b]) {
+            ctx.save();
+            ctx.translate(end.x, end.y);
+            ctx.rotate(this._angle);
+            if (this._powered) {
+                ctx.shadowColor = LIVE_COLOR;
+                ctx.shadowBlur = 8;
+            }
+            ctx.fillStyle = PLUG_COLOR;
+            ctx.fillRect(-PLUG_SIZE / 2, -PLUG_SIZE / 2, PLUG_SIZE, PLUG_SIZE);
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = '#555';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(-PLUG_SIZE / 2, -PLUG_SIZE / 2, PLUG_SIZE, PLUG_SIZE);
+            ctx.restore();
+        }
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.strokeStyle = CORD_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(w * 0.2, h * 0.4);
+        ctx.quadraticCurveTo(w * 0.5, h * 0.9, w * 0.8, h * 0.4);
+        ctx.stroke();
+        ctx.fillStyle = PLUG_COLOR;
+        ctx.fillRect(w * 0.2 - 3, h * 0.4 - 3, 6, 6);
+        ctx.fillRect(w * 0.8 - 3, h * 0.4 - 3, 6, 6);
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, length: this._length },
+        };
+    }
+
+    static deserialize(data) {
+        return new Cord(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            length: data.options?.length || CORD_LENGTH,
+        });
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** @returns {{ x: number, y: number, kind: string }[]} The two plugs, in world coordinates */
+    _ends() {
+        const origin = { x: this._x, y: this._y };
+        const half = this._length / 2;
+        return [
+            terminalAt(origin, this._angle, -half, 0, 'plug'),
+            terminalAt(origin, this._angle, half, 0, 'plug'),
+        ];
+    }
+}
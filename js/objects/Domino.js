@@ -7,6 +7,7 @@
 
 import Matter from 'matter-js';
 import BaseObject from './BaseObject.js';
+import { surfaceOf } from './Materials.js';
 
 const { Bodies, Body } = Matter;
 
@@ -20,10 +21,7 @@ export default class Domino extends BaseObject {
         super(x, y, options);
 
         this._body = Bodies.rectangle(x, y, DOMINO_WIDTH, DOMINO_HEIGHT, {
-            density: 0.004,
-            friction: 0.6,
-            frictionStatic: 0.3,
-            restitution: 0.15,
+            ...surfaceOf('wood'),
             label: 'domino',
             angle: this._angle,
         });
@@ -0,0 +1,131 @@
+/**
+ * DriveBelt — Rubber belt that links two wheels at a distance
+ *
+ * Place each end over the centre of a wheel — a gear, a motor roller, a
+ * hamster wheel or a conveyor roller — and the two turn the same way,
+ * the smaller one faster. Like a cord, the belt has no physical body.
+ */
+
+import BaseObject from './BaseObject.js';
+
+const BELT_LENGTH = 140;
+const END_SIZE = 6;
+const BELT_COLOR = '#3a2f2a';
+
+export default class DriveBelt extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.length=140] - Distance between the ends
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._length = options.length || BELT_LENGTH;
+
+        /** @type {Array<{ x: number, y: number, radius: number }>|null} Wheels the ends sit on */
+        this._wheels = null;
+    }
+
+    get type() { return 'belt'; }
+    get bodies() { return []; }
+
+    /** @returns {boolean} True while both ends sit on wheels */
+    get isAttached() { return this._wheels !== null; }
+
+    get bounds() {
+        const [a, b] = this.driveBeltEnds;
+        const pad = END_SIZE;
+        const x = Math.min(a.x, b.x) - pad;
+        const y = Math.min(a.y, b.y) - pad;
+        return { x, y, width: Math.max(a.x, b.x) + pad - x, height: Math.max(a.y, b.y) + pad - y };
+    }
+
+    get driveBeltEnds() {
+        const half = this._length / 2;
+        const dx = Math.cos(this._angle) * half;
+        const dy = Math.sin(this._angle) * half;
+        return [
+            { x: this._x - dx, y: this._y - dy },
+            { x: this._x + dx, y: this._y + dy },
+        ];
+    }
+
+    setBeltWheels(wheels) {
+        this._wheels = wheels;
+    }
+
+    draw(ctx) {
+        ctx.strokeStyle = BELT_COLOR;
+        ctx.lineWidth = 3;
+
+        const loop = this._wheels && this._beltLoop(this._wheels);
+        if (loop) {
+            // Wrapped around both wheels
+            const [w1, w2] = this._wheels;
+            const { angle, wrap } = loop;
+            ctx.beginPath();
+            ctx.moveTo(w1.x + Math.cos(angle + wrap) * w1.radius, w1.y + Math.sin(angle + wrap) * w1.radius);
+            ctx.arc(w2.x, w2.y, w2.radius, angle + wrap, angle - wrap, true);
+            ctx.arc(w1.x, w1.y, w1.radius, angle - wrap, angle + wrap, true);
+            ctx.closePath();
+            ctx.stroke();
+            return;
+        }
+
+        // Loose — a slack loop with a ring at each end
+        const [a, b] = this.driveBeltEnds;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        for (const end of [a, b]) {
+            ctx.beginPath();
+            ctx.arc(end.x, end.y, END_SIZE, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.strokeStyle = BELT_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(w * 0.3, h * 0.5, h * 0.2, Math.PI / 2, Math.PI * 1.5);
+        ctx.lineTo(w * 0.7, h * 0.38);
+        ctx.arc(w * 0.7, h * 0.5, h * 0.12, -Math.PI / 2, Math.PI / 2);
+        ctx.closePath();
+        ctx.stroke();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, length: this._length },
+        };
+    }
+
+    static deserialize(data) {
+        return new DriveBelt(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            length: data.options?.length || BELT_LENGTH,
+        });
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /**
+     * Direction between the wheels and the half-angle the belt leaves each
+     * rim at (outer tangents). Null when one wheel sits inside the other.
+     */
+    _beltLoop([w1, w2]) {
+        const dist = Math.hypot(w2.x - w1.x, w2.y - w1.y);
+        if (dist <= Math.abs(w1.radius - w2.radius)) return null;
+        return {
+            angle: Math.atan2(w2.y - w1.y, w2.x - w1.x),
+            wrap: Math.acos((w1.radius - w2.radius) / dist),
+        };
+    }
+}
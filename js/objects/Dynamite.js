@@ -0,0 +1,248 @@
+/**
+ * Dynamite — Stick of dynamite with a short fuse
+ *
+ * Light the tip of its fuse — with a flame, or by running a longer Fuse
+ * to it — and after a few seconds it explodes, flinging everything
+ * nearby away from it. The flash lights anything flammable close by, and
+ * another explosion sets it off at once.
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const STICK_WIDTH = 14;
+const STICK_HEIGHT = 36;
+const FUSE_LENGTH = 8;
+const FUSE_TIME = 120;
+const IGNITION_TIME = 3;
+const SPARK_RADIUS = 6;
+const BLAST_RADIUS = 160;
+const BLAST_STRENGTH = 18;
+const FLASH_TIME = 10;
+const STICK_COLOR = '#c0392b';
+const BAND_COLOR = '#7a1f16';
+const SPARK_COLOR = '#ffcc33';
+
+export default class Dynamite extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.fuseTime=120] - Steps from lighting to the bang
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._heat = 0;
+        this._fuseTime = options.fuseTime || FUSE_TIME;
+
+        this._body = Bodies.rectangle(x, y, STICK_WIDTH, STICK_HEIGHT, {
+            density: 0.002,
+            friction: 0.6,
+            label: 'dynamite',
+            angle: this._angle,
+        });
+
+        /** @type {number} Steps until the bang (0 = not lit) */
+        this._fuseTimer = 0;
+        this._exploded = false;
+        /** @type {number} Steps the flash still shows (and burns) after the bang */
+        this._flashTimer = 0;
+        /** @type {{ x: number, y: number }|null} Where it went off */
+        this._blastPoint = null;
+    }
+
+    get type() { return 'dynamite'; }
+    get bodies() { return this._exploded ? [] : [this._body]; }
+
+    /** @returns {boolean} True while the fuse is burning */
+    get isLit() { return this._fuseTimer > 0; }
+
+    /** @returns {boolean} True while the fuse burns or something is heating it */
+    get isBusy() { return this.isLit || this._heat > 0; }
+
+    /** @returns {boolean} */
+    get isExploded() { return this._exploded; }
+
+    get bounds() {
+        if (this._exploded) return { x: 0, y: 0, width: 0, height: 0 };
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y - FUSE_LENGTH, width: b.max.x - b.min.x, height: b.max.y - b.min.y + FUSE_LENGTH };
+    }
+
+    get fuelPoints() {
+        return this._exploded || this._fuseTimer > 0 ? [] : [{ ...this._fuseTip(), radius: 2 }];
+    }
+
+    get ignitionTime() {
+        return IGNITION_TIME;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
+    get heatSources() {
+        if (this._flashTimer > 0) return [{ ...this._blastPoint, radius: BLAST_RADIUS / 3 }];
+        if (this._fuseTimer > 0) return [{ ...this._fuseTip(), radius: SPARK_RADIUS }];
+        return [];
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    ignite() {
+        this._fuseTimer = this._fuseTime;
+    }
+
+    onExplosion(blast) {
+        // Set off by the blast — goes up next step
+        if (!this._exploded) this._fuseTimer = 1;
+    }
+
+    onBeforeUpdate(engine) {
+        if (this._flashTimer > 0) this._flashTimer--;
+        if (this._fuseTimer === 0) return;
+        if (--this._fuseTimer === 0) this.explode(engine);
+    }
+
+    /**
+     * Go off (see PhysicsEngine.explode).
+     * @param {object} engine - PhysicsEngine instance
+     */
+    explode(engine) {
+        if (this._exploded) return;
+        this._exploded = true;
+        this._fuseTimer = 0;
+        this._flashTimer = FLASH_TIME;
+        this._blastPoint = { ...this._body.position };
+
+        engine.explode(this._blastPoint, { radius: BLAST_RADIUS, strength: BLAST_STRENGTH, source: this });
+        eventBus.emit('dynamite:exploded', { dynamite: this, position: { ...this._blastPoint } });
+    }
+
+    saveState() {
+        return {
+            fuseTimer: this._fuseTimer,
+            exploded: this._exploded,
+            flashTimer: this._flashTimer,
+            blastPoint: this._blastPoint && { ...this._blastPoint },
+            heat: this._heat,
+        };
+    }
+
+    restoreState(state) {
+        this._fuseTimer = state.fuseTimer;
+        this._exploded = state.exploded;
+        this._flashTimer = state.flashTimer;
+        this._blastPoint = state.blastPoint && { ...state.blastPoint };
+        this._heat = state.heat;
+    }
+
+    draw(ctx) {
+        if (this._exploded) {
+            if (this._flashTimer === 0) return;
+
+            // Fading fireball
+            const t = this._flashTimer / FLASH_TIME;
+            const { x, y } = this._blastPoint;
+            ctx.fillStyle = SPARK_COLOR;
+            ctx.globalAlpha = t * 0.7;
+            ctx.beginPath();
+            ctx.arc(x, y, BLAST_RADIUS * (1 - t * 0.5) * 0.5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            return;
+        }
+
+        const pos = this._body.position;
+        const hw = STICK_WIDTH / 2;
+        const hh = STICK_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        // Stick with paper bands
+        ctx.fillStyle = STICK_COLOR;
+        ctx.fillRect(-hw, -hh, STICK_WIDTH, STICK_HEIGHT);
+        ctx.fillStyle = BAND_COLOR;
+        ctx.fillRect(-hw, -hh + 6, STICK_WIDTH, 3);
+        ctx.fillRect(-hw, hh - 9, STICK_WIDTH, 3);
+        ctx.strokeStyle = '#4a120c';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-hw, -hh, STICK_WIDTH, STICK_HEIGHT);
+
+        // Fuse — shortening as it burns
+        const left = this._fuseTimer > 0 ? this._fuseTimer / this._fuseTime : 1;
+        ctx.strokeStyle = '#c8b07a';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, -hh);
+        ctx.lineTo(0, -hh - FUSE_LENGTH * left);
+        ctx.stroke();
+
+        if (this._fuseTimer > 0) {
+            ctx.fillStyle = SPARK_COLOR;
+            ctx.beginPath();
+            ctx.arc(0, -hh - FUSE_LENGTH * left, 2.5 + (this._fuseTimer % 4 < 2 ? 1 : 0), 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = STICK_COLOR;
+        ctx.fillRect(w * 0.38, h * 0.3, w * 0.24, h * 0.55);
+        ctx.fillStyle = BAND_COLOR;
+        ctx.fillRect(w * 0.38, h * 0.38, w * 0.24, h * 0.05);
+        ctx.strokeStyle = '#c8b07a';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(w * 0.5, h * 0.3);
+        ctx.lineTo(w * 0.56, h * 0.15);
+        ctx.stroke();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, fuseTime: this._fuseTime },
+        };
+    }
+
+    static deserialize(data) {
+        return new Dynamite(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            fuseTime: data.options?.fuseTime || FUSE_TIME,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** End of the fuse sticking out of the top of the stick. */
+    _fuseTip() {
+        const pos = this._body.position;
+        const reach = STICK_HEIGHT / 2 + FUSE_LENGTH;
+        return { x: pos.x + Math.sin(this._body.angle) * reach, y: pos.y - Math.cos(this._body.angle) * reach };
+    }
+}
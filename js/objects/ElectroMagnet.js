@@ -0,0 +1,109 @@
+/**
+ * ElectroMagnet — Magnet that only pulls while it has power
+ *
+ * Works like the horseshoe magnet, but its pull comes from a coil: plug
+ * a cord into the socket on its back and it pulls metal toward its
+ * poles; cut the power and it lets go.
+ */
+
+import Magnet from './Magnet.js';
+import { terminalAt } from '../engine/PowerNetwork.js';
+
+const MAGNET_WIDTH = 36;
+const MAGNET_HEIGHT = 30;
+const RANGE = 160;
+const STRENGTH = 0.004;
+const CORE_COLOR = '#6b6b6b';
+const COIL_COLOR = '#c87533';
+const LIVE_COLOR = '#ffcc33';
+
+export default class ElectroMagnet extends Magnet {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._powered = false;
+    }
+
+    get type() { return 'electromagnet'; }
+
+    get isActive() { return this._powered; }
+
+    get powerTerminals() {
+        return [terminalAt(this._body.position, this._body.angle, 0, MAGNET_HEIGHT / 2 - 5, 'socket')];
+    }
+
+    get isPowered() {
+        return this._powered;
+    }
+
+    setPowered(powered) {
+        this._powered = powered;
+    }
+
+    saveState() {
+        return { powered: this._powered };
+    }
+
+    restoreState(state) {
+        this._powered = state.powered;
+    }
+
+    draw(ctx) {
+        super.draw(ctx);
+
+        // Coil wound round the bend of the core
+        const pos = this._body.position;
+        const hw = MAGNET_WIDTH / 2;
+        const hh = MAGNET_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        ctx.strokeStyle = COIL_COLOR;
+        ctx.lineWidth = 2;
+        for (let x = -hw + 3; x <= hw - 3; x += 4) {
+            ctx.beginPath();
+            ctx.moveTo(x, hh - 9);
+            ctx.lineTo(x + 2, hh - 1);
+            ctx.stroke();
+        }
+
+        // Socket — lit while powered
+        ctx.fillStyle = this._powered ? LIVE_COLOR : '#333';
+        ctx.beginPath();
+        ctx.arc(0, hh - 5, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        super.drawToolboxIcon(ctx, w, h);
+
+        ctx.strokeStyle = COIL_COLOR;
+        ctx.lineWidth = 1.5;
+        const cx = w / 2;
+        const cy = h / 2 + 2 + Math.min(w, h) * 0.28;
+        for (let x = cx - 6; x <= cx + 6; x += 3) {
+            ctx.beginPath();
+            ctx.moveTo(x, cy - 3);
+            ctx.lineTo(x + 1.5, cy + 3);
+            ctx.stroke();
+        }
+    }
+
+    static deserialize(data) {
+        return new ElectroMagnet(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            range: data.options?.range || RANGE,
+            strength: data.options?.strength || STRENGTH,
+        });
+    }
+
+    // ── Private ──────────────────────────────────
+
+    _bodyColor() {
+        return CORE_COLOR;
+    }
+}
@@ -2,11 +2,13 @@
  * Fan — Electric fan that blows objects in a direction
  *
  * Applies a directional force to objects within its wind zone.
- * The wind zone extends outward from the fan face.
+ * The wind zone extends outward from the fan face. The fan only
+ * runs while a cord brings power to the socket on its back.
  */
 
 import Matter from 'matter-js';
 import BaseObject from './BaseObject.js';
+import { terminalAt } from '../engine/PowerNetwork.js';
 
 const { Bodies, Body, Composite, Query } = Matter;
 
@@ -16,10 +18,12 @@ const WIND_RANGE = 200;
 const WIND_FORCE = 0.0008;
 const FAN_COLOR = '#5577aa';
 const CAGE_COLOR = '#888';
+const LIVE_COLOR = '#ffcc33';
 
 export default class Fan extends BaseObject {
     constructor(x, y, options = {}) {
         super(x, y, options);
+        this._powered = false;
         this._windRange = options.windRange || WIND_RANGE;
         this._windForce = options.windForce || WIND_FORCE;
 
@@ -42,6 +46,18 @@ export default class Fan extends BaseObject {
         return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
     }
 
+    get powerTerminals() {
+        return [terminalAt(this._body.position, this._body.angle, 0, FAN_HEIGHT / 2 - 5, 'socket')];
+    }
+
+    get isPowered() {
+        return this._powered;
+    }
+
+    setPowered(powered) {
+        this._powered = powered;
+    }
+
     setPosition(x, y) {
         super.setPosition(x, y);
         Body.setPosition(this._body, { x, y });
@@ -57,7 +73,8 @@ export default class Fan extends BaseObject {
      * Wind blows outward from the fan face (upward by default).
      */
     onBeforeUpdate(engine) {
-        this._isBlowing = true;
+        this._isBlowing = this._powered;
+        if (!this._isBlowing) return;
         this._bladeAngle += 0.3;
 
         const pos = this._body.position;
@@ -98,6 +115,16 @@ export default class Fan extends BaseObject {
         }
     }
 
+    saveState() {
+        return { bladeAngle: this._bladeAngle, isBlowing: this._isBlowing, powered: this._powered };
+    }
+
+    restoreState(state) {
+        this._bladeAngle = state.bladeAngle;
+        this._isBlowing = state.isBlowing;
+        this._powered = state.powered;
+    }
+
     draw(ctx) {
         const pos = this._body.position;
         const angle = this._body.angle;
@@ -166,6 +193,12 @@ export default class Fan extends BaseObject {
         ctx.lineWidth = 2;
         ctx.strokeRect(-hw, -hh, FAN_WIDTH, FAN_HEIGHT);
 
+        // Power socket, lit while powered
+        ctx.fillStyle = this._powered ? LIVE_COLOR : '#222';
+        ctx.beginPath();
+        ctx.arc(0, hh - 5, 3, 0, Math.PI * 2);
+        ctx.fill();
+
         ctx.restore();
     }
 
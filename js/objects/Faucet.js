@@ -0,0 +1,207 @@
+/**
+ * Faucet — Pours a steady stream of water
+ *
+ * A pipe with a spout that runs from the moment the machine starts.
+ * Drops (see WaterSystem) fall from the spout, fill buckets, put out
+ * candles and turn water wheels. Give it a volume and it is fed from a
+ * tank that runs dry once that much water has poured out.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const PIPE_LENGTH = 40;
+const PIPE_THICKNESS = 10;
+const SPOUT_DROP = 14;
+const FLOW = 0.5;
+const POUR_SPEED = 1;
+const STREAM_WIDTH = 4;
+const PIPE_COLOR = '#9aa3ad';
+const TANK_COLOR = '#5b7fa3';
+
+export default class Faucet extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.flow=0.5] - Drops poured per step
+     * @param {number} [options.volume=0] - Drops in the tank feeding it; 0 never runs dry
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._flow = options.flow || FLOW;
+        this._volume = options.volume || 0;
+
+        this._body = Bodies.rectangle(x, y, PIPE_LENGTH, PIPE_THICKNESS, {
+            isStatic: true,
+            friction: 0.5,
+            label: 'faucet',
+            angle: this._angle,
+        });
+
+        /** @type {number} Fraction of a drop carried over to the next step */
+        this._carry = 0;
+
+        /** @type {number} Drops poured so far */
+        this._poured = 0;
+    }
+
+    get type() { return 'faucet'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        const mouth = this._mouth();
+        const minX = Math.min(b.min.x, mouth.x - 5);
+        const minY = Math.min(b.min.y, mouth.y - 5);
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(b.max.x, mouth.x + 5) - minX,
+            height: Math.max(b.max.y, mouth.y + 5) - minY,
+        };
+    }
+
+    /** @returns {boolean} True once the tank has run dry */
+    get isEmpty() {
+        return this._volume > 0 && this._poured >= this._volume;
+    }
+
+    get isBusy() {
+        return !this.isEmpty;
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    releaseWater() {
+        if (this.isEmpty) return [];
+
+        this._carry += this._flow;
+        const drops = [];
+        const mouth = this._mouth();
+        const down = { x: -Math.sin(this._angle), y: Math.cos(this._angle) };
+        while (this._carry >= 1 && !this.isEmpty) {
+            this._carry -= 1;
+            // Spread the stream across the mouth without randomness, so runs repeat exactly
+            const across = (((this._poured * 0.618034) % 1) - 0.5) * STREAM_WIDTH;
+            drops.push({
+                x: mouth.x + down.y * across,
+                y: mouth.y - down.x * across,
+                vx: down.x * POUR_SPEED,
+                vy: down.y * POUR_SPEED,
+            });
+            this._poured++;
+        }
+        return drops;
+    }
+
+    saveState() {
+        return { carry: this._carry, poured: this._poured };
+    }
+
+    restoreState(state) {
+        this._carry = state.carry;
+        this._poured = state.poured;
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const hl = PIPE_LENGTH / 2;
+        const ht = PIPE_THICKNESS / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        // Tank behind the pipe, drawn emptier as it drains
+        if (this._volume > 0) {
+            const full = 1 - Math.min(this._poured / this._volume, 1);
+            ctx.fillStyle = '#ddd';
+            ctx.fillRect(-hl - 24, -26, 24, 36);
+            ctx.fillStyle = TANK_COLOR;
+            ctx.fillRect(-hl - 24, 10 - 36 * full, 24, 36 * full);
+            ctx.strokeStyle = '#555';
+            ctx.lineWidth = 1.5;
+            ctx.strokeRect(-hl - 24, -26, 24, 36);
+        }
+
+        // Pipe
+        ctx.fillStyle = PIPE_COLOR;
+        ctx.fillRect(-hl, -ht, PIPE_LENGTH, PIPE_THICKNESS);
+
+        // Spout bending down at the end
+        ctx.fillRect(hl - PIPE_THICKNESS, ht, PIPE_THICKNESS, SPOUT_DROP - ht);
+
+        // Tap handle
+        ctx.fillStyle = '#c03030';
+        ctx.fillRect(-4, -ht - 6, 8, 3);
+        ctx.fillRect(-1, -ht - 4, 2, 4);
+
+        ctx.strokeStyle = '#606870';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-hl, -ht, PIPE_LENGTH, PIPE_THICKNESS);
+        ctx.strokeRect(hl - PIPE_THICKNESS, ht, PIPE_THICKNESS, SPOUT_DROP - ht);
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = PIPE_COLOR;
+        ctx.fillRect(w * 0.15, h * 0.3, w * 0.6, h * 0.15);
+        ctx.fillRect(w * 0.6, h * 0.45, w * 0.15, h * 0.15);
+        ctx.fillStyle = '#c03030';
+        ctx.fillRect(w * 0.35, h * 0.2, w * 0.15, h * 0.06);
+
+        // Drops
+        ctx.fillStyle = '#3a8fd8';
+        for (const dy of [0.7, 0.85]) {
+            ctx.beginPath();
+            ctx.arc(w * 0.675, h * dy, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, flow: this._flow, volume: this._volume },
+        };
+    }
+
+    static deserialize(data) {
+        return new Faucet(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            flow: data.options?.flow || FLOW,
+            volume: data.options?.volume || 0,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Where drops leave the spout, in world coordinates. */
+    _mouth() {
+        const local = { x: PIPE_LENGTH / 2 - PIPE_THICKNESS / 2, y: SPOUT_DROP + 1 };
+        const cos = Math.cos(this._angle);
+        const sin = Math.sin(this._angle);
+        const pos = this._body.position;
+        return {
+            x: pos.x + local.x * cos - local.y * sin,
+            y: pos.y + local.x * sin + local.y * cos,
+        };
+    }
+}
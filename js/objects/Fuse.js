@@ -0,0 +1,199 @@
+/**
+ * Fuse — Slow-burning cord that carries fire from one place to another
+ *
+ * Light it anywhere along its length and it burns outward in both
+ * directions at a steady pace; the sparks at the burning fronts light
+ * whatever they reach — another fuse, a stick of dynamite, a rope. Like
+ * an electrical cord it has no physical body.
+ */
+
+import BaseObject from './BaseObject.js';
+
+const FUSE_LENGTH = 160;
+const BURN_SPEED = 1.5;
+const POINT_SPACING = 10;
+const IGNITION_TIME = 5;
+const SPARK_RADIUS = 6;
+const FUSE_COLOR = '#c8b07a';
+const ASH_COLOR = '#444';
+const SPARK_COLOR = '#ffcc33';
+
+export default class Fuse extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.length=160] - Distance between the ends
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._heat = 0;
+        this._length = options.length || FUSE_LENGTH;
+
+        /** @type {{ lo: number, hi: number }|null} Burnt stretch, in px from the first end */
+        this._burnt = null;
+    }
+
+    get type() { return 'fuse'; }
+    get bodies() { return []; }
+
+    /** @returns {boolean} True while a front is still burning */
+    get isBurning() {
+        return this._burnt !== null && (this._burnt.lo > 0 || this._burnt.hi < this._length);
+    }
+
+    /** @returns {boolean} True while it burns or a flame is heating it */
+    get isBusy() {
+        return this.isBurning || this._heat > 0;
+    }
+
+    /** @returns {boolean} True once the whole fuse has burnt */
+    get isBurntOut() {
+        return this._burnt !== null && !this.isBurning;
+    }
+
+    get bounds() {
+        const a = this._pointAt(0);
+        const b = this._pointAt(this._length);
+        const pad = SPARK_RADIUS;
+        const x = Math.min(a.x, b.x) - pad;
+        const y = Math.min(a.y, b.y) - pad;
+        return { x, y, width: Math.max(a.x, b.x) + pad - x, height: Math.max(a.y, b.y) + pad - y };
+    }
+
+    get fuelPoints() {
+        if (this._burnt) return [];
+        const points = [];
+        for (let s = 0; s < this._length; s += POINT_SPACING) points.push(this._pointAt(s));
+        points.push(this._pointAt(this._length));
+        return points;
+    }
+
+    get ignitionTime() {
+        return IGNITION_TIME;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
+    get heatSources() {
+        return this._fronts().map(s => ({ ...this._pointAt(s), radius: SPARK_RADIUS }));
+    }
+
+    ignite(point) {
+        const s = Math.min(point * POINT_SPACING, this._length);
+        this._burnt = { lo: s, hi: s };
+    }
+
+    onBeforeUpdate(engine) {
+        if (!this.isBurning) return;
+        this._burnt = {
+            lo: Math.max(this._burnt.lo - BURN_SPEED, 0),
+            hi: Math.min(this._burnt.hi + BURN_SPEED, this._length),
+        };
+    }
+
+    saveState() {
+        return { burnt: this._burnt && { ...this._burnt }, heat: this._heat };
+    }
+
+    restoreState(state) {
+        this._burnt = state.burnt && { ...state.burnt };
+        this._heat = state.heat;
+    }
+
+    draw(ctx) {
+        ctx.lineCap = 'round';
+        ctx.lineWidth = 2.5;
+
+        // Unburnt cord, then the ash over whatever has burnt
+        const a = this._pointAt(0);
+        const b = this._pointAt(this._length);
+        ctx.strokeStyle = FUSE_COLOR;
+        ctx.setLineDash([5, 2]);
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (this._burnt) {
+            const lo = this._pointAt(this._burnt.lo);
+            const hi = this._pointAt(this._burnt.hi);
+            ctx.strokeStyle = ASH_COLOR;
+            ctx.beginPath();
+            ctx.moveTo(lo.x, lo.y);
+            ctx.lineTo(hi.x, hi.y);
+            ctx.stroke();
+        }
+
+        // Sparks at the burning fronts
+        ctx.fillStyle = SPARK_COLOR;
+        for (const s of this._fronts()) {
+            const p = this._pointAt(s);
+            ctx.globalAlpha = 0.5;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, SPARK_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.strokeStyle = FUSE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 2]);
+        ctx.beginPath();
+        ctx.moveTo(w * 0.15, h * 0.7);
+        ctx.quadraticCurveTo(w * 0.5, h * 0.2, w * 0.8, h * 0.4);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = SPARK_COLOR;
+        ctx.beginPath();
+        ctx.arc(w * 0.8, h * 0.4, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, length: this._length },
+        };
+    }
+
+    static deserialize(data) {
+        return new Fuse(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            length: data.options?.length || FUSE_LENGTH,
+        });
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Positions (px from the first end) of the fronts still burning. */
+    _fronts() {
+        if (!this._burnt) return [];
+        const fronts = [];
+        if (this._burnt.lo > 0) fronts.push(this._burnt.lo);
+        if (this._burnt.hi < this._length) fronts.push(this._burnt.hi);
+        return fronts;
+    }
+
+    /** World position `s` px along the fuse from its first end. */
+    _pointAt(s) {
+        const offset = s - this._length / 2;
+        return {
+            x: this._x + Math.cos(this._angle) * offset,
+            y: this._y + Math.sin(this._angle) * offset,
+        };
+    }
+}
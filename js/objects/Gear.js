@@ -1,8 +1,9 @@
 /**
- * Gear — Rotating wheel
+ * Gear — Toothed wheel on a fixed axle
  *
- * A circular body that rotates at a constant angular velocity.
- * Can mesh with adjacent gears (contact reverses direction).
+ * Turns only when the drivetrain drives it: mesh it with a motor's roller
+ * or another turning gear (meshed gears turn the opposite way, slower the
+ * more teeth they have), or run a drive belt to it.
  */
 
 import Matter from 'matter-js';
@@ -19,8 +20,8 @@ const HUB_COLOR = '#606070';
 export default class Gear extends BaseObject {
     constructor(x, y, options = {}) {
         super(x, y, options);
+        this._driveSpeed = 0;
         this._radius = options.radius || GEAR_RADIUS;
-        this._angularSpeed = options.angularSpeed ?? 0.03;
         this._teethCount = options.teeth || GEAR_TEETH;
 
         // Create gear body — use a circle for physics, draw teeth visually
@@ -29,9 +30,6 @@ export default class Gear extends BaseObject {
             friction: 0.8,
             label: 'gear',
         });
-
-        // Apply constant rotation
-        Body.setAngularVelocity(this._body, this._angularSpeed);
     }
 
     get type() { return 'gear'; }
@@ -43,6 +41,19 @@ export default class Gear extends BaseObject {
         return { x: pos.x - r, y: pos.y - r, width: r * 2, height: r * 2 };
     }
 
+    get driveWheels() {
+        const pos = this._body.position;
+        return [{ x: pos.x, y: pos.y, radius: this._radius, teeth: this._teethCount }];
+    }
+
+    get driveSpeed() {
+        return this._driveSpeed;
+    }
+
+    setDriveSpeed(speed) {
+        this._driveSpeed = speed;
+    }
+
     setPosition(x, y) {
         super.setPosition(x, y);
         Body.setPosition(this._body, { x, y });
@@ -54,15 +65,18 @@ export default class Gear extends BaseObject {
     }
 
     onBeforeUpdate(engine) {
-        // Maintain constant angular velocity (static body doesn't rotate on its own)
-        Body.setAngle(this._body, this._body.angle + this._angularSpeed);
+        // Static body doesn't rotate on its own — turn it at the drivetrain's speed
+        if (this._driveSpeed !== 0) {
+            Body.setAngle(this._body, this._body.angle + this._driveSpeed);
+        }
     }
 
-    onCollision(other, pair) {
-        // When touching another gear, reverse their direction
-        if (other.type === 'gear') {
-            other._angularSpeed = -Math.sign(other._angularSpeed) * Math.abs(this._angularSpeed);
-        }
+    saveState() {
+        return { driveSpeed: this._driveSpeed };
+    }
+
+    restoreState(state) {
+        this._driveSpeed = state.driveSpeed;
     }
 
     draw(ctx) {
@@ -169,7 +183,6 @@ export default class Gear extends BaseObject {
             options: {
                 ...this._options,
                 radius: this._radius,
-                angularSpeed: this._angularSpeed,
                 teeth: this._teethCount,
             },
         };
@@ -180,7 +193,6 @@ export default class Gear extends BaseObject {
             angle: data.angle,
             isFixed: data.isFixed,
             radius: data.options?.radius || GEAR_RADIUS,
-            angularSpeed: data.options?.angularSpeed ?? 0.03,
             teeth: data.options?.teeth || GEAR_TEETH,
         });
     }
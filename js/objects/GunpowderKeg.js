@@ -0,0 +1,209 @@
+/**
+ * GunpowderKeg — Barrel of gunpowder
+ *
+ * No fuse: the moment a flame, a spark or another explosion reaches the
+ * powder it goes up — a bigger blast than a stick of dynamite.
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const KEG_WIDTH = 36;
+const KEG_HEIGHT = 42;
+const IGNITION_TIME = 2;
+const BLAST_RADIUS = 220;
+const BLAST_STRENGTH = 24;
+const FLASH_TIME = 14;
+const WOOD_COLOR = '#8b5a2b';
+const HOOP_COLOR = '#555';
+const FLASH_COLOR = '#ffb833';
+
+export default class GunpowderKeg extends BaseObject {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._heat = 0;
+
+        this._body = Bodies.rectangle(x, y, KEG_WIDTH, KEG_HEIGHT, {
+            density: 0.003,
+            friction: 0.7,
+            label: 'keg',
+            angle: this._angle,
+        });
+
+        /** @type {boolean} Goes up at the start of the next step */
+        this._primed = false;
+        this._exploded = false;
+        /** @type {number} Steps the flash still shows (and burns) after the bang */
+        this._flashTimer = 0;
+        /** @type {{ x: number, y: number }|null} Where it went off */
+        this._blastPoint = null;
+    }
+
+    get type() { return 'keg'; }
+    get bodies() { return this._exploded ? [] : [this._body]; }
+
+    /** @returns {boolean} */
+    get isExploded() { return this._exploded; }
+
+    /** @returns {boolean} True while a flame is heating it or it is about to go up */
+    get isBusy() { return this._primed || this._heat > 0; }
+
+    get bounds() {
+        if (this._exploded) return { x: 0, y: 0, width: 0, height: 0 };
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    get fuelPoints() {
+        if (this._exploded || this._primed) return [];
+        const pos = this._body.position;
+        return [{ x: pos.x, y: pos.y, radius: KEG_WIDTH / 2 }];
+    }
+
+    get ignitionTime() {
+        return IGNITION_TIME;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
+    get heatSources() {
+        return this._flashTimer > 0 ? [{ ...this._blastPoint, radius: BLAST_RADIUS / 3 }] : [];
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    ignite() {
+        this._primed = true;
+    }
+
+    onExplosion(blast) {
+        if (!this._exploded) this._primed = true;
+    }
+
+    onBeforeUpdate(engine) {
+        if (this._flashTimer > 0) this._flashTimer--;
+        if (this._primed) this.explode(engine);
+    }
+
+    /**
+     * Go off (see PhysicsEngine.explode).
+     * @param {object} engine - PhysicsEngine instance
+     */
+    explode(engine) {
+        if (this._exploded) return;
+        this._exploded = true;
+        this._primed = false;
+        this._flashTimer = FLASH_TIME;
+        this._blastPoint = { ...this._body.position };
+
+        engine.explode(this._blastPoint, { radius: BLAST_RADIUS, strength: BLAST_STRENGTH, source: this });
+        eventBus.emit('keg:exploded', { keg: this, position: { ...this._blastPoint } });
+    }
+
+    saveState() {
+        return {
+            primed: this._primed,
+            exploded: this._exploded,
+            flashTimer: this._flashTimer,
+            blastPoint: this._blastPoint && { ...this._blastPoint },
+            heat: this._heat,
+        };
+    }
+
+    restoreState(state) {
+        this._primed = state.primed;
+        this._exploded = state.exploded;
+        this._flashTimer = state.flashTimer;
+        this._blastPoint = state.blastPoint && { ...state.blastPoint };
+        this._heat = state.heat;
+    }
+
+    draw(ctx) {
+        if (this._exploded) {
+            if (this._flashTimer === 0) return;
+
+            // Fading fireball
+            const t = this._flashTimer / FLASH_TIME;
+            const { x, y } = this._blastPoint;
+            ctx.fillStyle = FLASH_COLOR;
+            ctx.globalAlpha = t * 0.7;
+            ctx.beginPath();
+            ctx.arc(x, y, BLAST_RADIUS * (1 - t * 0.5) * 0.5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            return;
+        }
+
+        const pos = this._body.position;
+        const hw = KEG_WIDTH / 2;
+        const hh = KEG_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        // Staves, bulging a little in the middle
+        ctx.fillStyle = WOOD_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(-hw + 3, -hh);
+        ctx.quadraticCurveTo(-hw - 2, 0, -hw + 3, hh);
+        ctx.lineTo(hw - 3, hh);
+        ctx.quadraticCurveTo(hw + 2, 0, hw - 3, -hh);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = '#4a2f17';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Hoops
+        ctx.fillStyle = HOOP_COLOR;
+        ctx.fillRect(-hw + 1, -hh + 6, KEG_WIDTH - 2, 3);
+        ctx.fillRect(-hw + 1, hh - 9, KEG_WIDTH - 2, 3);
+
+        // Label with a black powder mark
+        ctx.fillStyle = '#e8dcb0';
+        ctx.fillRect(-9, -7, 18, 14);
+        ctx.fillStyle = '#222';
+        ctx.beginPath();
+        ctx.arc(0, 0, 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = WOOD_COLOR;
+        ctx.fillRect(w * 0.3, h * 0.25, w * 0.4, h * 0.55);
+        ctx.fillStyle = HOOP_COLOR;
+        ctx.fillRect(w * 0.3, h * 0.32, w * 0.4, h * 0.05);
+        ctx.fillRect(w * 0.3, h * 0.68, w * 0.4, h * 0.05);
+    }
+
+    static deserialize(data) {
+        return new GunpowderKeg(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * HamsterWheel — Wheel a startled hamster runs in
+ *
+ * The hamster dozes until something bumps the wheel, then runs for the
+ * rest of the machine, turning the wheel. Run a drive belt from the
+ * wheel to power gears, conveyors and other machines.
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const WHEEL_RADIUS = 30;
+const RUN_SPEED = 0.06;
+const SPOKES = 8;
+const RIM_COLOR = '#8a8f99';
+const HAMSTER_COLOR = '#d9a066';
+const BELLY_COLOR = '#f2dcc0';
+
+export default class HamsterWheel extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {boolean} [options.running=false] - Hamster is already running when the machine starts
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._driveSpeed = 0;
+        this._startsRunning = options.running || false;
+
+        this._body = Bodies.circle(x, y, WHEEL_RADIUS, {
+            isStatic: true,
+            friction: 0.6,
+            label: 'hamster-wheel',
+        });
+
+        /** @type {boolean} */
+        this._isRunning = this._startsRunning;
+        /** @type {number} leg animation phase */
+        this._runPhase = 0;
+    }
+
+    get type() { return 'hamster-wheel'; }
+    get bodies() { return [this._body]; }
+
+    /** @returns {boolean} True once the hamster is running */
+    get isRunning() { return this._isRunning; }
+
+    get bounds() {
+        const pos = this._body.position;
+        const r = WHEEL_RADIUS + 4;
+        return { x: pos.x - r, y: pos.y - r, width: r * 2, height: r * 2 };
+    }
+
+    get driveWheels() {
+        const pos = this._body.position;
+        return [{ x: pos.x, y: pos.y, radius: WHEEL_RADIUS, teeth: 0 }];
+    }
+
+    get driveSource() {
+        return this._isRunning ? RUN_SPEED : null;
+    }
+
+    get driveSpeed() {
+        return this._driveSpeed;
+    }
+
+    setDriveSpeed(speed) {
+        this._driveSpeed = speed;
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    onCollision(other, pair) {
+        if (this._isRunning) return;
+
+        const otherBody = pair.bodyA === this._body ? pair.bodyB : pair.bodyA;
+        if (otherBody.isStatic || otherBody.isSensor) return;
+        this._isRunning = true;
+        eventBus.emit('hamster:startled', { hamsterWheel: this });
+    }
+
+    onBeforeUpdate(engine) {
+        if (this._driveSpeed === 0) return;
+        Body.setAngle(this._body, this._body.angle + this._driveSpeed);
+        this._runPhase += Math.abs(this._driveSpeed) * 4;
+    }
+
+    saveState() {
+        return { isRunning: this._isRunning, runPhase: this._runPhase, driveSpeed: this._driveSpeed };
+    }
+
+    restoreState(state) {
+        this._isRunning = state.isRunning;
+        this._runPhase = state.runPhase;
+        this._driveSpeed = state.driveSpeed;
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+
+        // Stand
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(-WHEEL_RADIUS * 0.6, WHEEL_RADIUS + 4);
+        ctx.lineTo(0, 0);
+        ctx.lineTo(WHEEL_RADIUS * 0.6, WHEEL_RADIUS + 4);
+        ctx.stroke();
+
+        // Wheel — rim and spokes turn with the body
+        ctx.save();
+        ctx.rotate(this._body.angle);
+        ctx.strokeStyle = RIM_COLOR;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(0, 0, WHEEL_RADIUS, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+        for (let i = 0; i < SPOKES; i++) {
+            const a = (i / SPOKES) * Math.PI * 2;
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.lineTo(Math.cos(a) * WHEEL_RADIUS, Math.sin(a) * WHEEL_RADIUS);
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        // Hamster at the bottom of the wheel, legs going while it runs
+        const hy = WHEEL_RADIUS - 10;
+        const stride = this._isRunning ? Math.sin(this._runPhase) * 3 : 0;
+        ctx.strokeStyle = '#7a5230';
+        ctx.lineWidth = 1.5;
+        for (const lx of [-5, 5]) {
+            ctx.beginPath();
+            ctx.moveTo(lx, hy + 3);
+            ctx.lineTo(lx + (lx < 0 ? stride : -stride), hy + 8);
+            ctx.stroke();
+        }
+        ctx.fillStyle = HAMSTER_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(0, hy, 10, 6, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = BELLY_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(1, hy + 2, 6, 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Eye — shut while dozing
+        ctx.fillStyle = '#222';
+        if (this._isRunning) {
+            ctx.beginPath();
+            ctx.arc(7, hy - 2, 1.2, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            ctx.fillRect(5.5, hy - 2, 3, 0.8);
+        }
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        const cx = w / 2;
+        const cy = h / 2;
+        const r = Math.min(w, h) * 0.35;
+        ctx.strokeStyle = RIM_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = HAMSTER_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(cx, cy + r * 0.6, r * 0.35, r * 0.22, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, running: this._startsRunning },
+        };
+    }
+
+    static deserialize(data) {
+        return new HamsterWheel(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            running: data.options?.running || false,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * Laser — Shines a beam out of its muzzle
+ *
+ * The beam leaves the muzzle end (the laser's right, before rotating)
+ * and runs straight until something stops it — see Optics. Mirrors,
+ * prisms and splitters send it on; a light sensor catches it.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const LASER_WIDTH = 36;
+const LASER_HEIGHT = 14;
+const BEAM_COLOR = '#ff2020';
+const CASE_COLOR = '#4a4a55';
+const BAND_COLOR = '#8a8a95';
+
+export default class Laser extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {string} [options.color='#ff2020'] - Beam colour
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._color = options.color || BEAM_COLOR;
+
+        this._body = Bodies.rectangle(x, y, LASER_WIDTH, LASER_HEIGHT, {
+            isStatic: true,
+            label: 'laser',
+            angle: this._angle,
+        });
+    }
+
+    get type() { return 'laser'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    /** The beam, from just past the muzzle along the laser's angle. */
+    get lightSources() {
+        const pos = this._body.position;
+        const angle = this._body.angle;
+        const reach = LASER_WIDTH / 2 + 1;
+        return [{
+            x: pos.x + Math.cos(angle) * reach,
+            y: pos.y + Math.sin(angle) * reach,
+            angle,
+            color: this._color,
+        }];
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const hw = LASER_WIDTH / 2;
+        const hh = LASER_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        // Case
+        ctx.fillStyle = CASE_COLOR;
+        ctx.fillRect(-hw, -hh, LASER_WIDTH, LASER_HEIGHT);
+        ctx.strokeStyle = '#222';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(-hw, -hh, LASER_WIDTH, LASER_HEIGHT);
+
+        // Cooling bands
+        ctx.fillStyle = BAND_COLOR;
+        for (const x of [-hw + 5, -hw + 10, -hw + 15]) {
+            ctx.fillRect(x, -hh + 2, 2, LASER_HEIGHT - 4);
+        }
+
+        // Lens, in the beam's colour
+        ctx.fillStyle = this._color;
+        ctx.beginPath();
+        ctx.arc(hw - 3, 0, 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = CASE_COLOR;
+        ctx.fillRect(w * 0.12, h * 0.4, w * 0.5, h * 0.2);
+        ctx.strokeStyle = BEAM_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(w * 0.62, h * 0.5);
+        ctx.lineTo(w * 0.9, h * 0.5);
+        ctx.stroke();
+    }
+
+    static deserialize(data) {
+        return new Laser(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            color: data.options?.color || BEAM_COLOR,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
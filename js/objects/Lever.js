@@ -0,0 +1,258 @@
+/**
+ * Lever — Plank see-sawing on a fulcrum
+ *
+ * A plank pinned to the tip of a wedge. Drop something heavy on one end
+ * and the other end flips up, launching whatever sits on it. The plank
+ * can rest anywhere along its length on the fulcrum, and swings no
+ * further than the ground would let a real see-saw.
+ * Emits 'lever:tilted' whenever it tips far enough over to one side.
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body, Constraint } = Matter;
+
+const PLANK_LENGTH = 160;
+const PLANK_HEIGHT = 8;
+const FULCRUM_WIDTH = 30;
+const FULCRUM_HEIGHT = 30;
+const MAX_TILT = 0.45;
+const TRIGGER_ANGLE = 0.25;
+const PLANK_COLOR = '#b5854b';
+const GRAIN_COLOR = '#8b6332';
+const FULCRUM_COLOR = '#707070';
+
+export default class Lever extends BaseObject {
+    /**
+     * @param {number} x - Pivot x (top of the fulcrum)
+     * @param {number} y - Pivot y
+     * @param {object} [options={}]
+     * @param {number} [options.length=160] - Plank length
+     * @param {number} [options.pivot=0.5] - Where along the plank it rests on the fulcrum (0 = left end, 1 = right end)
+     * @param {number} [options.angle=0] - Plank angle at rest
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._length = options.length || PLANK_LENGTH;
+        this._pivot = Math.min(Math.max(options.pivot ?? 0.5, 0.1), 0.9);
+
+        // Plank and fulcrum share a group so the plank rests on the tip without colliding with it
+        const group = Body.nextGroup(true);
+        const centre = this._restCentre();
+
+        this._plank = Bodies.rectangle(centre.x, centre.y, this._length, PLANK_HEIGHT, {
+            density: 0.002,
+            friction: 0.8,
+            label: 'lever-plank',
+            angle: this._angle,
+            collisionFilter: { group },
+        });
+
+        this._fulcrum = Bodies.fromVertices(x, y, [[
+            { x: 0, y: 0 },
+            { x: FULCRUM_WIDTH / 2, y: FULCRUM_HEIGHT },
+            { x: -FULCRUM_WIDTH / 2, y: FULCRUM_HEIGHT },
+        ]], {
+            isStatic: true,
+            friction: 0.8,
+            label: 'lever-fulcrum',
+            collisionFilter: { group },
+        });
+        this._placeFulcrum();
+
+        this._hinge = Constraint.create({
+            bodyA: this._plank,
+            pointA: { x: x - centre.x, y: y - centre.y },
+            pointB: { x, y },
+            stiffness: 1,
+            length: 0,
+            label: 'lever-hinge',
+        });
+
+        /** @type {number} Side it is tipped over to: -1 left end down, 1 right end down, 0 neither */
+        this._tilt = 0;
+    }
+
+    get type() { return 'lever'; }
+    get bodies() { return [this._plank, this._fulcrum]; }
+    get constraints() { return [this._hinge]; }
+
+    get bounds() {
+        const p = this._plank.bounds;
+        const f = this._fulcrum.bounds;
+        const minX = Math.min(p.min.x, f.min.x);
+        const minY = Math.min(p.min.y, f.min.y);
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(p.max.x, f.max.x) - minX,
+            height: Math.max(p.max.y, f.max.y) - minY,
+        };
+    }
+
+    /** @returns {number} Radians the plank has swung from rest (positive = right end down) */
+    get tiltAngle() {
+        return this._plank.angle - this._angle;
+    }
+
+    /** @returns {number} -1 tipped left, 1 tipped right, 0 not tipped far enough */
+    get tilt() {
+        return this._tilt;
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        this._reset();
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        this._reset();
+    }
+
+    onAfterUpdate(engine) {
+        // The plank hits the ground past its largest swing
+        const swing = this.tiltAngle;
+        if (Math.abs(swing) > MAX_TILT) {
+            const limit = Math.sign(swing) * MAX_TILT;
+            Body.rotate(this._plank, limit - swing, { x: this._x, y: this._y });
+            if (Math.sign(this._plank.angularVelocity) === Math.sign(swing)) {
+                Body.setAngularVelocity(this._plank, 0);
+            }
+        }
+
+        const side = Math.abs(this.tiltAngle) >= TRIGGER_ANGLE ? Math.sign(this.tiltAngle) : 0;
+        if (side !== 0 && side !== this._tilt) {
+            this._tilt = side;
+            eventBus.emit('lever:tilted', { lever: this, direction: side });
+        } else if (Math.abs(this.tiltAngle) < TRIGGER_ANGLE / 2) {
+            // Back near level — ready to report the next tip
+            this._tilt = 0;
+        }
+    }
+
+    saveState() {
+        return { tilt: this._tilt };
+    }
+
+    restoreState(state) {
+        this._tilt = state.tilt;
+    }
+
+    draw(ctx) {
+        // Fulcrum
+        const tip = { x: this._x, y: this._y };
+        ctx.fillStyle = FULCRUM_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(tip.x + FULCRUM_WIDTH / 2, tip.y + FULCRUM_HEIGHT);
+        ctx.lineTo(tip.x - FULCRUM_WIDTH / 2, tip.y + FULCRUM_HEIGHT);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = '#404040';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+
+        // Plank
+        const pos = this._plank.position;
+        const hw = this._length / 2;
+        const hh = PLANK_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._plank.angle);
+
+        ctx.fillStyle = PLANK_COLOR;
+        ctx.fillRect(-hw, -hh, this._length, PLANK_HEIGHT);
+        ctx.strokeStyle = GRAIN_COLOR;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-hw, -hh, this._length, PLANK_HEIGHT);
+        ctx.beginPath();
+        ctx.moveTo(-hw + 6, 0);
+        ctx.lineTo(hw - 6, 0);
+        ctx.stroke();
+
+        ctx.restore();
+
+        // Pivot bolt
+        ctx.fillStyle = '#333';
+        ctx.beginPath();
+        ctx.arc(tip.x, tip.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = FULCRUM_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(w * 0.5, h * 0.5);
+        ctx.lineTo(w * 0.62, h * 0.78);
+        ctx.lineTo(w * 0.38, h * 0.78);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.save();
+        ctx.translate(w * 0.5, h * 0.5);
+        ctx.rotate(-0.25);
+        ctx.fillStyle = PLANK_COLOR;
+        ctx.fillRect(-w * 0.4, -2, w * 0.8, 4);
+        ctx.restore();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, length: this._length, pivot: this._pivot },
+        };
+    }
+
+    static deserialize(data) {
+        return new Lever(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            length: data.options?.length || PLANK_LENGTH,
+            pivot: data.options?.pivot ?? 0.5,
+        });
+    }
+
+    dispose() {
+        this._plank = null;
+        this._fulcrum = null;
+        this._hinge = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Plank centre at rest — offset from the pivot along the plank. */
+    _restCentre() {
+        const along = (0.5 - this._pivot) * this._length;
+        return {
+            x: this._x + Math.cos(this._angle) * along,
+            y: this._y + Math.sin(this._angle) * along,
+        };
+    }
+
+    /** Stand the fulcrum with its tip on the pivot. */
+    _placeFulcrum() {
+        const b = this._fulcrum.bounds;
+        Body.setPosition(this._fulcrum, {
+            x: this._fulcrum.position.x + this._x - (b.min.x + b.max.x) / 2,
+            y: this._fulcrum.position.y + this._y - b.min.y,
+        });
+    }
+
+    /** Put the plank back at rest on the fulcrum (edit mode). */
+    _reset() {
+        const centre = this._restCentre();
+        Body.setAngle(this._plank, this._angle);
+        Body.setPosition(this._plank, centre);
+        Body.setVelocity(this._plank, { x: 0, y: 0 });
+        Body.setAngularVelocity(this._plank, 0);
+        this._placeFulcrum();
+
+        this._hinge.pointA = { x: this._x - centre.x, y: this._y - centre.y };
+        this._hinge.angleA = this._plank.angle;
+        this._hinge.pointB = { x: this._x, y: this._y };
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * LightSensor — Photocell that fires when a laser beam reaches it
+ *
+ * Emits 'sensor:lit' the moment a beam starts falling on it; the beam
+ * has to leave and come back to fire it again. Levels can make lighting
+ * it a goal (see GoalEvaluator).
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const SENSOR_SIZE = 24;
+const CELL_RADIUS = 7;
+const CASE_COLOR = '#3a3a40';
+const CELL_COLOR = '#5a4a20';
+const LIT_COLOR = '#ffdd44';
+
+export default class LightSensor extends BaseObject {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._illuminated = false;
+
+        this._body = Bodies.rectangle(x, y, SENSOR_SIZE, SENSOR_SIZE, {
+            isStatic: true,
+            label: 'light-sensor',
+            angle: this._angle,
+        });
+    }
+
+    get type() { return 'light-sensor'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    get isIlluminated() {
+        return this._illuminated;
+    }
+
+    setIlluminated(illuminated) {
+        const wasLit = this._illuminated;
+        this._illuminated = illuminated;
+        if (illuminated && !wasLit) {
+            eventBus.emit('sensor:lit', { sensor: this });
+        }
+    }
+
+    saveState() {
+        return { illuminated: this._illuminated };
+    }
+
+    restoreState(state) {
+        this._illuminated = state.illuminated;
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const half = SENSOR_SIZE / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        ctx.fillStyle = CASE_COLOR;
+        ctx.fillRect(-half, -half, SENSOR_SIZE, SENSOR_SIZE);
+        ctx.strokeStyle = '#222';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(-half, -half, SENSOR_SIZE, SENSOR_SIZE);
+
+        // Photocell — glows while a beam is on it
+        if (this._illuminated) {
+            ctx.fillStyle = LIT_COLOR;
+            ctx.globalAlpha = 0.35;
+            ctx.beginPath();
+            ctx.arc(0, 0, CELL_RADIUS + 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+        ctx.fillStyle = this._illuminated ? LIT_COLOR : CELL_COLOR;
+        ctx.beginPath();
+        ctx.arc(0, 0, CELL_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Cell grid lines
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (const y of [-3, 0, 3]) {
+            const reach = Math.sqrt(CELL_RADIUS * CELL_RADIUS - y * y);
+            ctx.moveTo(-reach, y);
+            ctx.lineTo(reach, y);
+        }
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        const s = Math.min(w, h) * 0.6;
+        ctx.fillStyle = CASE_COLOR;
+        ctx.fillRect((w - s) / 2, (h - s) / 2, s, s);
+        ctx.fillStyle = LIT_COLOR;
+        ctx.beginPath();
+        ctx.arc(w / 2, h / 2, s * 0.3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    static deserialize(data) {
+        return new LightSensor(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * LightSwitch — Toggles power when something hits it
+ *
+ * Power plugged into the input socket (left) reaches the output socket
+ * (right) only while the switch is on. Anything that knocks into the
+ * switch flips it — a falling domino can start a fan.
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+import { terminalAt } from '../engine/PowerNetwork.js';
+
+const { Bodies, Body } = Matter;
+
+const SWITCH_WIDTH = 36;
+const SWITCH_HEIGHT = 44;
+const TOGGLE_COOLDOWN = 30;
+const PLATE_COLOR = '#f2ecd8';
+const TOGGLE_COLOR = '#d8d0b8';
+const LIVE_COLOR = '#ffcc33';
+
+export default class LightSwitch extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {boolean} [options.on=false] - Start switched on
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._powered = false;
+        this._startsOn = options.on || false;
+
+        this._body = Bodies.rectangle(x, y, SWITCH_WIDTH, SWITCH_HEIGHT, {
+            isStatic: true,
+            label: 'switch',
+            angle: this._angle,
+        });
+
+        /** @type {boolean} */
+        this._isOn = this._startsOn;
+        /** @type {number} steps before the switch can flip again */
+        this._cooldown = 0;
+    }
+
+    get type() { return 'switch'; }
+    get bodies() { return [this._body]; }
+
+    /** @returns {boolean} */
+    get isOn() { return this._isOn; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    get powerTerminals() {
+        const pos = this._body.position;
+        const angle = this._body.angle;
+        const dy = SWITCH_HEIGHT / 2 - 6;
+        return [
+            terminalAt(pos, angle, -SWITCH_WIDTH / 2 + 6, dy, 'socket'),
+            terminalAt(pos, angle, SWITCH_WIDTH / 2 - 6, dy, 'socket'),
+        ];
+    }
+
+    get powerLinks() {
+        return this._isOn ? [[0, 1]] : [];
+    }
+
+    get isPowered() {
+        return this._powered;
+    }
+
+    setPowered(powered) {
+        this._powered = powered;
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    /** Flip the switch. */
+    toggle() {
+        this._isOn = !this._isOn;
+        this._cooldown = TOGGLE_COOLDOWN;
+        eventBus.emit('switch:toggled', { switch: this, isOn: this._isOn });
+    }
+
+    onCollision(other, pair) {
+        if (this._cooldown > 0) return;
+
+        // Only moving things flip it — not the outlet it sits next to
+        const otherBody = pair.bodyA === this._body ? pair.bodyB : pair.bodyA;
+        if (otherBody.isStatic || otherBody.isSensor) return;
+        this.toggle();
+    }
+
+    onBeforeUpdate(engine) {
+        if (this._cooldown > 0) this._cooldown--;
+    }
+
+    saveState() {
+        return { isOn: this._isOn, cooldown: this._cooldown, powered: this._powered };
+    }
+
+    restoreState(state) {
+        this._isOn = state.isOn;
+        this._cooldown = state.cooldown;
+        this._powered = state.powered;
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        const hw = SWITCH_WIDTH / 2;
+        const hh = SWITCH_HEIGHT / 2;
+
+        // Plate
+        ctx.fillStyle = PLATE_COLOR;
+        ctx.fillRect(-hw, -hh, SWITCH_WIDTH, SWITCH_HEIGHT);
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(-hw, -hh, SWITCH_WIDTH, SWITCH_HEIGHT);
+
+        // Toggle — up when on
+        ctx.fillStyle = '#bbb';
+        ctx.fillRect(-5, -hh + 6, 10, 20);
+        ctx.fillStyle = TOGGLE_COLOR;
+        const toggleY = this._isOn ? -hh + 6 : -hh + 16;
+        ctx.fillRect(-4, toggleY, 8, 10);
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-4, toggleY, 8, 10);
+
+        // Input and output sockets; the output lights up when power flows through
+        const dy = hh - 6;
+        for (const [sx, lit] of [[-hw + 6, this._powered], [hw - 6, this._powered && this._isOn]]) {
+            ctx.fillStyle = lit ? LIVE_COLOR : '#555';
+            ctx.beginPath();
+            ctx.arc(sx, dy, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = PLATE_COLOR;
+        ctx.fillRect(w * 0.28, h * 0.18, w * 0.44, h * 0.64);
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(w * 0.28, h * 0.18, w * 0.44, h * 0.64);
+        ctx.fillStyle = TOGGLE_COLOR;
+        ctx.fillRect(w * 0.44, h * 0.28, w * 0.12, h * 0.2);
+        ctx.strokeStyle = '#666';
+        ctx.strokeRect(w * 0.44, h * 0.28, w * 0.12, h * 0.2);
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, on: this._startsOn },
+        };
+    }
+
+    static deserialize(data) {
+        return new LightSwitch(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            on: data.options?.on || false,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Magnet — Horseshoe magnet that pulls metal objects toward its poles
+ *
+ * Anything made of a magnetic material (see Materials) within reach of the
+ * poles is pulled toward them, much harder up close than far away.
+ * The poles face the magnet's "up" — rotate it to pull sideways or down.
+ * Other materials are left alone.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+import { getMaterial } from './Materials.js';
+
+const { Bodies, Body, Sleeping } = Matter;
+
+const MAGNET_WIDTH = 36;
+const MAGNET_HEIGHT = 30;
+const RANGE = 160;
+const STRENGTH = 0.004;   // pull per unit mass right at the poles
+const CLOSE = 30;         // nearer than this the pull stops growing
+const MAGNET_COLOR = '#cc2222';
+const POLE_COLOR = '#c8c8c8';
+const FIELD_COLOR = '#6688cc';
+
+export default class Magnet extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.range=160] - Reach of the pull from the poles, in px
+     * @param {number} [options.strength=0.004] - Pull per unit of the metal body's mass, at the poles
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._range = options.range || RANGE;
+        this._strength = options.strength || STRENGTH;
+
+        this._body = Bodies.rectangle(x, y, MAGNET_WIDTH, MAGNET_HEIGHT, {
+            isStatic: true,
+            friction: 0.6,
+            label: 'magnet',
+            angle: this._angle,
+        });
+    }
+
+    get type() { return 'magnet'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    /** @returns {boolean} True while it is pulling */
+    get isActive() { return true; }
+
+    /** @returns {number} Reach of the pull from the poles, in px */
+    get range() { return this._range; }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    /** Pull every loose metal body within range toward the poles. */
+    onBeforeUpdate(engine) {
+        if (!this.isActive) return;
+
+        const pole = this.pole;
+        for (const obj of engine.objectsNear(pole, this._range)) {
+            if (obj === this || !getMaterial(obj.material)?.magnetic) continue;
+
+            for (const body of obj.bodies) {
+                if (body.isStatic) continue;
+                const dx = pole.x - body.position.x;
+                const dy = pole.y - body.position.y;
+                const dist = Math.hypot(dx, dy);
+                if (dist >= this._range || dist === 0) continue;
+
+                // Inverse-square up close, fading to nothing at the edge of the range
+                const falloff = Math.min(1, (CLOSE / dist) ** 2) * (1 - dist / this._range);
+                const pull = this._strength * falloff * body.mass;
+                Sleeping.set(body, false);
+                Body.applyForce(body, body.position, { x: dx / dist * pull, y: dy / dist * pull });
+            }
+        }
+    }
+
+    /**
+     * Midpoint of the pole faces, in world coordinates — what metal is
+     * pulled toward.
+     * @returns {{ x: number, y: number }}
+     */
+    get pole() {
+        const pos = this._body.position;
+        const angle = this._body.angle;
+        return {
+            x: pos.x + Math.sin(angle) * MAGNET_HEIGHT / 2,
+            y: pos.y - Math.cos(angle) * MAGNET_HEIGHT / 2,
+        };
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const hw = MAGNET_WIDTH / 2;
+        const hh = MAGNET_HEIGHT / 2;
+        const arm = 11;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        if (this.isActive) this._drawField(ctx);
+
+        // Horseshoe, open end toward the poles
+        ctx.beginPath();
+        ctx.moveTo(-hw, -hh);
+        ctx.lineTo(-hw, hh - hw);
+        ctx.arc(0, hh - hw, hw, Math.PI, 0, true);
+        ctx.lineTo(hw, -hh);
+        ctx.lineTo(hw - arm, -hh);
+        ctx.lineTo(hw - arm, hh - hw);
+        ctx.arc(0, hh - hw, hw - arm, 0, Math.PI);
+        ctx.lineTo(-hw + arm, -hh);
+        ctx.closePath();
+        ctx.fillStyle = this._bodyColor();
+        ctx.fill();
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+
+        // Pole tips
+        ctx.fillStyle = POLE_COLOR;
+        ctx.fillRect(-hw, -hh, arm, 7);
+        ctx.fillRect(hw - arm, -hh, arm, 7);
+        ctx.strokeRect(-hw, -hh, arm, 7);
+        ctx.strokeRect(hw - arm, -hh, arm, 7);
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        const cx = w / 2;
+        const cy = h / 2 + 2;
+        const r = Math.min(w, h) * 0.28;
+
+        ctx.strokeStyle = MAGNET_COLOR;
+        ctx.lineWidth = 5;
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI);
+        ctx.moveTo(cx - r, cy);
+        ctx.lineTo(cx - r, cy - r);
+        ctx.moveTo(cx + r, cy);
+        ctx.lineTo(cx + r, cy - r);
+        ctx.stroke();
+
+        ctx.fillStyle = POLE_COLOR;
+        ctx.fillRect(cx - r - 2.5, cy - r - 4, 5, 4);
+        ctx.fillRect(cx + r - 2.5, cy - r - 4, 5, 4);
+    }
+
+    static deserialize(data) {
+        return new Magnet(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            range: data.options?.range || RANGE,
+            strength: data.options?.strength || STRENGTH,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    _bodyColor() {
+        return MAGNET_COLOR;
+    }
+
+    /** Faint field lines arcing out of the poles. */
+    _drawField(ctx) {
+        const hh = MAGNET_HEIGHT / 2;
+        ctx.strokeStyle = FIELD_COLOR;
+        ctx.globalAlpha = 0.35;
+        ctx.lineWidth = 1;
+        for (const r of [10, 18, 26]) {
+            ctx.beginPath();
+            ctx.ellipse(0, -hh, MAGNET_WIDTH / 2 - 5, r, 0, Math.PI, 0);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+}
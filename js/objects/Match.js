@@ -0,0 +1,201 @@
+/**
+ * Match — Strike-anywhere match
+ *
+ * Lights when it hits something hard enough (or is held to a flame) and
+ * burns for a few seconds — long enough to light a candle, a fuse or a
+ * rope on its way down.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const MATCH_LENGTH = 30;
+const MATCH_WIDTH = 4;
+const STRIKE_SPEED = 2.5;
+const BURN_TIME = 300;
+const IGNITION_TIME = 3;
+const HEAT_RADIUS = 10;
+const STICK_COLOR = '#e8c98a';
+const HEAD_COLOR = '#c0302a';
+const SPENT_COLOR = '#222';
+const FLAME_COLORS = ['#ff8800', '#ffee66'];
+
+export default class Match extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {boolean} [options.lit=false] - Start burning
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._heat = 0;
+        this._startsLit = options.lit || false;
+
+        this._body = Bodies.rectangle(x, y, MATCH_WIDTH, MATCH_LENGTH, {
+            density: 0.001,
+            friction: 0.7,
+            label: 'match',
+            angle: this._angle,
+        });
+
+        /** @type {number} Steps left to burn (0 = not burning) */
+        this._burnTimer = this._startsLit ? BURN_TIME : 0;
+        this._isSpent = false;
+    }
+
+    get type() { return 'match'; }
+    get bodies() { return [this._body]; }
+
+    /** @returns {boolean} */
+    get isLit() { return this._burnTimer > 0; }
+
+    /** @returns {boolean} True while it burns or a flame is heating it */
+    get isBusy() { return this.isLit || this._heat > 0; }
+
+    /** @returns {boolean} True once it has burnt down */
+    get isSpent() { return this._isSpent; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x - 4, y: b.min.y - 10, width: b.max.x - b.min.x + 8, height: b.max.y - b.min.y + 14 };
+    }
+
+    get fuelPoints() {
+        return this._burnTimer > 0 || this._isSpent ? [] : [this._headPosition()];
+    }
+
+    get ignitionTime() {
+        return IGNITION_TIME;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
+    get heatSources() {
+        return this._burnTimer > 0 ? [{ ...this._headPosition(), radius: HEAT_RADIUS }] : [];
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    ignite() {
+        if (this._isSpent) return;
+        this._burnTimer = BURN_TIME;
+    }
+
+    onCollision(other, pair) {
+        if (this._burnTimer > 0 || this._isSpent) return;
+
+        // Struck hard enough against something — it lights
+        const { bodyA, bodyB } = pair;
+        const speed = Math.hypot(bodyA.velocity.x - bodyB.velocity.x, bodyA.velocity.y - bodyB.velocity.y);
+        if (speed >= STRIKE_SPEED) this.ignite();
+    }
+
+    onBeforeUpdate(engine) {
+        if (this._burnTimer === 0) return;
+        if (--this._burnTimer === 0) this._isSpent = true;
+    }
+
+    saveState() {
+        return { burnTimer: this._burnTimer, isSpent: this._isSpent, heat: this._heat };
+    }
+
+    restoreState(state) {
+        this._burnTimer = state.burnTimer;
+        this._isSpent = state.isSpent;
+        this._heat = state.heat;
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const hl = MATCH_LENGTH / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        // Stick, charred once spent
+        ctx.fillStyle = this._isSpent ? SPENT_COLOR : STICK_COLOR;
+        ctx.fillRect(-MATCH_WIDTH / 2, -hl, MATCH_WIDTH, MATCH_LENGTH);
+
+        // Head
+        ctx.fillStyle = this._burnTimer > 0 || this._isSpent ? SPENT_COLOR : HEAD_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(0, -hl, MATCH_WIDTH / 2 + 1, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Flame, always pointing up
+        if (this._burnTimer > 0) {
+            ctx.translate(0, -hl);
+            ctx.rotate(-this._body.angle);
+            const flicker = Math.sin(this._burnTimer * 0.5);
+            for (const [i, color] of FLAME_COLORS.entries()) {
+                ctx.fillStyle = color;
+                ctx.globalAlpha = 0.6 + i * 0.3;
+                ctx.beginPath();
+                ctx.ellipse(0, -5 + i * 2, 4 - i * 2, 8 + flicker - i * 3, 0, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.save();
+        ctx.translate(w / 2, h / 2);
+        ctx.rotate(0.5);
+        ctx.fillStyle = STICK_COLOR;
+        ctx.fillRect(-1.5, -h * 0.3, 3, h * 0.6);
+        ctx.fillStyle = HEAD_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(0, -h * 0.3, 3, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, lit: this._startsLit },
+        };
+    }
+
+    static deserialize(data) {
+        return new Match(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            lit: data.options?.lit || false,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Match head, at the top end of the stick. */
+    _headPosition() {
+        const pos = this._body.position;
+        const hl = MATCH_LENGTH / 2;
+        return { x: pos.x + Math.sin(this._body.angle) * hl, y: pos.y - Math.cos(this._body.angle) * hl };
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Materials — What objects can be made of, and how each one behaves
+ *
+ * Every material sets the friction, bounce and density of the bodies
+ * made from it. Objects that are made of something by default (a
+ * bowling ball is metal, a domino is wood) take their numbers from
+ * here; setting the `material` option on any object (see
+ * BaseObject.setMaterial) makes its bodies behave like that material
+ * instead — an icy ramp or a rubber wall needs no new class.
+ *
+ * 'generic' has no numbers of its own: objects keep whatever they were
+ * built with.
+ */
+
+import Matter from 'matter-js';
+
+const { Body } = Matter;
+
+/** What an object is made of when nothing says otherwise */
+export const DEFAULT_MATERIAL = 'generic';
+
+/**
+ * @typedef {object} MaterialDef
+ * @property {string} displayName
+ * @property {number} [friction]
+ * @property {number} [frictionStatic]
+ * @property {number} [restitution] — bounce, 0–1
+ * @property {number} [density]     — mass per px² for loose bodies
+ * @property {string} [tint]        — overlay drawn on objects set to it in the editor
+ * @property {boolean} [magnetic]   — magnets pull on it
+ */
+
+/** @type {Readonly<Record<string, MaterialDef>>} */
+export const MATERIALS = Object.freeze({
+    generic: { displayName: 'Default' },
+    wood: {
+        displayName: 'Wood',
+        friction: 0.6, frictionStatic: 0.3, restitution: 0.15, density: 0.004,
+        tint: '#a0703a',
+    },
+    metal: {
+        displayName: 'Steel',
+        friction: 0.4, frictionStatic: 0.5, restitution: 0.3, density: 0.008,
+        tint: '#8a9098', magnetic: true,
+    },
+    rubber: {
+        displayName: 'Rubber',
+        friction: 0.5, frictionStatic: 0.5, restitution: 0.75, density: 0.002,
+        tint: '#3a3a3a',
+    },
+    leather: {
+        displayName: 'Leather',
+        friction: 0.5, frictionStatic: 0.5, restitution: 0.45, density: 0.005,
+        tint: '#8b4a2b',
+    },
+    ice: {
+        displayName: 'Ice',
+        friction: 0.002, frictionStatic: 0, restitution: 0.05, density: 0.0009,
+        tint: '#bfe8ff',
+    },
+    glass: {
+        displayName: 'Glass',
+        friction: 0.15, frictionStatic: 0.2, restitution: 0.3, density: 0.0025,
+        tint: '#d8f4f8',
+    },
+    ceramic: {
+        displayName: 'Ceramic',
+        friction: 0.3, frictionStatic: 0.4, restitution: 0.2, density: 0.003,
+        tint: '#e8dcc8',
+    },
+    brick: {
+        displayName: 'Brick',
+        friction: 0.8, frictionStatic: 0.9, restitution: 0.05, density: 0.006,
+        tint: '#b5502f',
+    },
+});
+
+/**
+ * @param {string|null|undefined} name
+ * @returns {MaterialDef|null}
+ */
+export function getMaterial(name) {
+    return (name && MATERIALS[name]) || null;
+}
+
+/**
+ * Body options for a material, ready to spread into Bodies.*() — or
+ * null for 'generic' and unknown names.
+ * @param {string} name
+ * @returns {{ friction: number, frictionStatic: number, restitution: number, density: number }|null}
+ */
+export function surfaceOf(name) {
+    const material = getMaterial(name);
+    if (!material || material.friction === undefined) return null;
+    const { friction, frictionStatic, restitution, density } = material;
+    return { friction, frictionStatic, restitution, density };
+}
+
+/**
+ * The friction, bounce and density a body has now, for applySurface().
+ * @param {Matter.Body} body
+ */
+export function readSurface(body) {
+    return {
+        friction: body.friction,
+        frictionStatic: body.frictionStatic,
+        restitution: body.restitution,
+        density: body.density,
+    };
+}
+
+/**
+ * Give a body new friction, bounce and density. Static bodies keep
+ * their infinite mass.
+ * @param {Matter.Body} body
+ * @param {{ friction: number, frictionStatic: number, restitution: number, density: number }} surface
+ */
+export function applySurface(body, surface) {
+    body.friction = surface.friction;
+    body.frictionStatic = surface.frictionStatic;
+    body.restitution = surface.restitution;
+    if (!body.isStatic && body.density !== surface.density) Body.setDensity(body, surface.density);
+}
@@ -0,0 +1,103 @@
+/**
+ * Mirror — Flat mirror that reflects laser beams
+ *
+ * Both faces are silvered: a beam bounces off at the same angle it came
+ * in, so rotating the mirror steers the beam. Balls bounce off it like
+ * any other plank.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+import { reflect } from '../engine/Optics.js';
+
+const { Bodies, Body } = Matter;
+
+const MIRROR_WIDTH = 50;
+const MIRROR_HEIGHT = 6;
+const GLASS_COLOR = '#cfe4ef';
+const FRAME_COLOR = '#6b5335';
+
+export default class Mirror extends BaseObject {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+
+        this._body = Bodies.rectangle(x, y, MIRROR_WIDTH, MIRROR_HEIGHT, {
+            isStatic: true,
+            friction: 0.2,
+            label: 'mirror',
+            angle: this._angle,
+        });
+    }
+
+    get type() { return 'mirror'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    bendLight(ray, hit) {
+        return [reflect(ray, hit)];
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const hw = MIRROR_WIDTH / 2;
+        const hh = MIRROR_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        ctx.fillStyle = GLASS_COLOR;
+        ctx.fillRect(-hw, -hh, MIRROR_WIDTH, MIRROR_HEIGHT);
+
+        // Glint along the glass
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(-hw + 4, -hh + 1.5);
+        ctx.lineTo(hw - 12, -hh + 1.5);
+        ctx.stroke();
+
+        ctx.strokeStyle = FRAME_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(-hw, -hh, MIRROR_WIDTH, MIRROR_HEIGHT);
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.save();
+        ctx.translate(w / 2, h / 2);
+        ctx.rotate(-Math.PI / 4);
+        ctx.fillStyle = GLASS_COLOR;
+        ctx.fillRect(-w * 0.35, -2.5, w * 0.7, 5);
+        ctx.strokeStyle = FRAME_COLOR;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-w * 0.35, -2.5, w * 0.7, 5);
+        ctx.restore();
+    }
+
+    static deserialize(data) {
+        return new Mirror(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
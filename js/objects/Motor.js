@@ -0,0 +1,231 @@
+/**
+ * Motor — Electric motor that spins a drive roller while powered
+ *
+ * Plug a cord into the socket on its housing. While power reaches it,
+ * the roller turns and flings along anything touching it. The roller is
+ * toothed, so it also drives gears meshed with it and belts run from it.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+import { terminalAt } from '../engine/PowerNetwork.js';
+
+const { Bodies, Body, Collision, Composite } = Matter;
+
+const HOUSING_WIDTH = 44;
+const HOUSING_HEIGHT = 30;
+const ROLLER_RADIUS = 10;
+const ROLLER_SPEED = 0.15;
+const ROLLER_TEETH = 8;
+const DRIVE_FORCE = 0.0012;
+const HOUSING_COLOR = '#4a6a4a';
+const ROLLER_COLOR = '#888';
+const LIVE_COLOR = '#ffcc33';
+
+export default class Motor extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {number} [options.direction=1] - Roller spin: 1 = clockwise, -1 = counter-clockwise
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._driveSpeed = 0;
+        this._powered = false;
+        this._direction = options.direction === -1 ? -1 : 1;
+
+        this._housing = Bodies.rectangle(x, y, HOUSING_WIDTH, HOUSING_HEIGHT, {
+            isStatic: true,
+            label: 'motor',
+            angle: this._angle,
+        });
+
+        const rollerPos = this._rollerPosition(x, y, this._angle);
+        this._roller = Bodies.circle(rollerPos.x, rollerPos.y, ROLLER_RADIUS, {
+            isStatic: true,
+            friction: 0.9,
+            label: 'motor-roller',
+        });
+    }
+
+    get type() { return 'motor'; }
+    get bodies() { return [this._housing, this._roller]; }
+
+    /** @returns {boolean} True while the roller is turning */
+    get isRunning() { return this._driveSpeed !== 0; }
+
+    get bounds() {
+        const h = this._housing.bounds;
+        const r = this._roller.bounds;
+        const x = Math.min(h.min.x, r.min.x);
+        const y = Math.min(h.min.y, r.min.y);
+        return { x, y, width: Math.max(h.max.x, r.max.x) - x, height: Math.max(h.max.y, r.max.y) - y };
+    }
+
+    get powerTerminals() {
+        return [terminalAt(this._housing.position, this._housing.angle, -HOUSING_WIDTH / 2 + 8, HOUSING_HEIGHT / 2 - 6, 'socket')];
+    }
+
+    get isPowered() {
+        return this._powered;
+    }
+
+    setPowered(powered) {
+        this._powered = powered;
+    }
+
+    get driveWheels() {
+        const pos = this._roller.position;
+        return [{ x: pos.x, y: pos.y, radius: ROLLER_RADIUS, teeth: ROLLER_TEETH }];
+    }
+
+    get driveSource() {
+        return this._powered ? ROLLER_SPEED * this._direction : null;
+    }
+
+    get driveSpeed() {
+        return this._driveSpeed;
+    }
+
+    setDriveSpeed(speed) {
+        this._driveSpeed = speed;
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._housing, { x, y });
+        Body.setPosition(this._roller, this._rollerPosition(x, y, this._angle));
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._housing, angle);
+        Body.setPosition(this._roller, this._rollerPosition(this._x, this._y, angle));
+    }
+
+    /**
+     * Turn the roller and drive whatever touches it along its rim.
+     * Unpowered, the roller still turns if the drivetrain drives it.
+     */
+    onBeforeUpdate(engine) {
+        const spin = this._driveSpeed;
+        if (spin === 0) return;
+
+        Body.setAngle(this._roller, this._roller.angle + spin);
+
+        const center = this._roller.position;
+        for (const body of Composite.allBodies(engine.world)) {
+            if (body.isStatic || body.isSensor) continue;
+            if (!Collision.collides(this._roller, body)) continue;
+
+            // Push along the rim, in the direction the surface is moving
+            const dx = body.position.x - center.x;
+            const dy = body.position.y - center.y;
+            const dist = Math.hypot(dx, dy) || 1;
+            const force = DRIVE_FORCE * body.mass * spin / ROLLER_SPEED;
+            Body.applyForce(body, body.position, { x: -dy / dist * force, y: dx / dist * force });
+        }
+    }
+
+    saveState() {
+        return { powered: this._powered, driveSpeed: this._driveSpeed };
+    }
+
+    restoreState(state) {
+        this._powered = state.powered;
+        this._driveSpeed = state.driveSpeed;
+    }
+
+    draw(ctx) {
+        const pos = this._housing.position;
+        const hw = HOUSING_WIDTH / 2;
+        const hh = HOUSING_HEIGHT / 2;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._housing.angle);
+
+        // Housing with cooling fins
+        ctx.fillStyle = HOUSING_COLOR;
+        ctx.fillRect(-hw, -hh, HOUSING_WIDTH, HOUSING_HEIGHT);
+        ctx.strokeStyle = '#2d452d';
+        ctx.lineWidth = 1;
+        for (let fx = -hw + 8; fx < hw - 4; fx += 6) {
+            ctx.beginPath();
+            ctx.moveTo(fx, -hh + 4);
+            ctx.lineTo(fx, hh - 10);
+            ctx.stroke();
+        }
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(-hw, -hh, HOUSING_WIDTH, HOUSING_HEIGHT);
+
+        // Socket, lit while powered
+        ctx.fillStyle = this._powered ? LIVE_COLOR : '#222';
+        ctx.beginPath();
+        ctx.arc(-hw + 8, hh - 6, 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+
+        // Roller with a spoke so its rotation shows
+        const rp = this._roller.position;
+        ctx.save();
+        ctx.translate(rp.x, rp.y);
+        ctx.rotate(this._roller.angle);
+        ctx.fillStyle = ROLLER_COLOR;
+        ctx.beginPath();
+        ctx.arc(0, 0, ROLLER_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(-ROLLER_RADIUS + 2, 0);
+        ctx.lineTo(ROLLER_RADIUS - 2, 0);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = HOUSING_COLOR;
+        ctx.fillRect(w * 0.15, h * 0.3, w * 0.5, h * 0.4);
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(w * 0.15, h * 0.3, w * 0.5, h * 0.4);
+        ctx.fillStyle = ROLLER_COLOR;
+        ctx.beginPath();
+        ctx.arc(w * 0.75, h * 0.5, w * 0.12, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, direction: this._direction },
+        };
+    }
+
+    static deserialize(data) {
+        return new Motor(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            direction: data.options?.direction ?? 1,
+        });
+    }
+
+    dispose() {
+        this._housing = null;
+        this._roller = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Roller sits on the housing's right end. */
+    _rollerPosition(x, y, angle) {
+        const offset = HOUSING_WIDTH / 2 + ROLLER_RADIUS - 2;
+        return { x: x + Math.cos(angle) * offset, y: y + Math.sin(angle) * offset };
+    }
+}
@@ -2,7 +2,8 @@
  * Mouse — Autonomous walking agent
  *
  * Walks left/right, changes direction when hitting walls.
- * A classic TIM object that adds life to puzzles.
+ * A classic TIM object that adds life to puzzles. Cats chase it, and it
+ * leaves the board when one catches it or it reaches a mouse hole.
  */
 
 import Matter from 'matter-js';
@@ -16,6 +17,30 @@ const MOUSE_SPEED = 1.2;
 const BODY_COLOR = '#b0b0b0';
 const EAR_COLOR = '#e0a0a0';
 
+/**
+ * Look around a walking animal's feet the way the mouse does: static
+ * ground underfoot, a static wall just ahead, and whether the ground
+ * carries on ahead or drops away.
+ * @param {import('../engine/PhysicsEngine.js').PhysicsEngine} engine
+ * @param {Matter.Body} body - The walker's body
+ * @param {number} width
+ * @param {number} height
+ * @param {number} direction - 1 = facing right, -1 = facing left
+ * @returns {{ grounded: boolean, wallAhead: boolean, groundAhead: boolean }}
+ */
+export function surveyGround(engine, body, width, height, direction) {
+    const pos = body.position;
+    const allBodies = Composite.allBodies(engine.world);
+    const solidAt = (x, y) => Matter.Query.point(allBodies, { x, y }).some(b => b !== body && b.isStatic);
+    const aheadX = pos.x + direction * (width / 2 + 5);
+
+    return {
+        grounded: solidAt(pos.x, pos.y + height / 2 + 2),
+        wallAhead: solidAt(aheadX, pos.y),
+        groundAhead: solidAt(aheadX, pos.y + height / 2 + 5),
+    };
+}
+
 export default class Mouse extends BaseObject {
     constructor(x, y, options = {}) {
         super(x, y, options);
@@ -24,17 +49,22 @@ export default class Mouse extends BaseObject {
         this._isWalking = false;
         this._walkPhase = 0;
 
+        /** @type {'caught'|'home'|null} How it left the board, if it has */
+        this._fate = null;
+
         this._body = Bodies.rectangle(x, y, MOUSE_WIDTH, MOUSE_HEIGHT, {
             density: 0.002,
             friction: 0.5,
             frictionAir: 0.01,
             restitution: 0.1,
+            // Walkers stay on their feet instead of tipping over as they go
+            inertia: Infinity,
             label: 'mouse',
         });
     }
 
     get type() { return 'mouse'; }
-    get bodies() { return [this._body]; }
+    get bodies() { return this._fate ? [] : [this._body]; }
 
     get bounds() {
         const pos = this._body.position;
@@ -56,19 +86,31 @@ export default class Mouse extends BaseObject {
         Body.setAngle(this._body, angle);
     }
 
-    /** Check if the mouse is on a surface (grounded). */
-    _isGrounded(engine) {
-        const pos = this._body.position;
-        const feetY = pos.y + MOUSE_HEIGHT / 2 + 2;
+    /** @returns {boolean} True once a cat has caught it */
+    get isCaught() { return this._fate === 'caught'; }
+
+    /** @returns {boolean} True once it has slipped into a mouse hole */
+    get isHome() { return this._fate === 'home'; }
 
-        const allBodies = Composite.allBodies(engine.world);
-        const testBodies = Matter.Query.point(allBodies, { x: pos.x, y: feetY });
+    /** Caught by a cat — gone from the board until reset. */
+    capture() {
+        if (this._fate) return false;
+        this._fate = 'caught';
+        return true;
+    }
 
-        return testBodies.some(b => b !== this._body && b.isStatic);
+    /** Safe in its hole — gone from the board until reset. */
+    enterHole() {
+        if (this._fate) return false;
+        this._fate = 'home';
+        return true;
     }
 
     onBeforeUpdate(engine) {
-        this._isWalking = this._isGrounded(engine);
+        if (this._fate) return;
+
+        const ground = surveyGround(engine, this._body, MOUSE_WIDTH, MOUSE_HEIGHT, this._direction);
+        this._isWalking = ground.grounded;
 
         if (!this._isWalking) return;
 
@@ -80,26 +122,11 @@ export default class Mouse extends BaseObject {
             y: this._body.velocity.y,
         });
 
-        // Check for wall or edge ahead
-        const pos = this._body.position;
-        const aheadX = pos.x + this._direction * (MOUSE_WIDTH / 2 + 5);
-        const aheadY = pos.y;
-
-        // Check wall collision
-        const allBodies = Composite.allBodies(engine.world);
-        const wallCheck = Matter.Query.point(allBodies, { x: aheadX, y: aheadY });
-        const hitWall = wallCheck.some(b => b !== this._body && b.isStatic);
-
-        if (hitWall) {
+        // Turn at walls and edges
+        if (ground.wallAhead) {
             this._direction *= -1;
         }
-
-        // Check for edge (no ground ahead)
-        const edgeCheckY = pos.y + MOUSE_HEIGHT / 2 + 5;
-        const groundAhead = Matter.Query.point(allBodies, { x: aheadX, y: edgeCheckY });
-        const hasGround = groundAhead.some(b => b !== this._body && b.isStatic);
-
-        if (!hasGround) {
+        if (!ground.groundAhead) {
             this._direction *= -1;
         }
     }
@@ -111,7 +138,20 @@ export default class Mouse extends BaseObject {
         }
     }
 
+    saveState() {
+        return { direction: this._direction, isWalking: this._isWalking, walkPhase: this._walkPhase, fate: this._fate };
+    }
+
+    restoreState(state) {
+        this._direction = state.direction;
+        this._isWalking = state.isWalking;
+        this._walkPhase = state.walkPhase;
+        this._fate = state.fate ?? null;
+    }
+
     draw(ctx) {
+        if (this._fate) return;
+
         const pos = this._body.position;
         const dir = this._direction;
 
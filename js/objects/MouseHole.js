@@ -0,0 +1,101 @@
+/**
+ * MouseHole — Where a mouse runs to be safe
+ *
+ * An arched hole at the foot of a wall or floor. A mouse that walks into
+ * it disappears inside, out of any cat's reach. Cats are too big to
+ * follow. Like a fuse it has no physical body — place it where the mouse
+ * walks. Emits 'mouse:home' when a mouse gets in.
+ */
+
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+
+const HOLE_WIDTH = 24;
+const HOLE_HEIGHT = 18;
+const FRAME_COLOR = '#6b4a2b';
+const HOLE_COLOR = '#1a1208';
+
+export default class MouseHole extends BaseObject {
+    /**
+     * @param {number} x - Centre of the hole's opening
+     * @param {number} y - Bottom of the hole, where it meets the ground
+     * @param {object} [options={}]
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+    }
+
+    get type() { return 'mouse-hole'; }
+    get bodies() { return []; }
+
+    get bounds() {
+        return {
+            x: this._x - HOLE_WIDTH / 2 - 3,
+            y: this._y - HOLE_HEIGHT - 3,
+            width: HOLE_WIDTH + 6,
+            height: HOLE_HEIGHT + 3,
+        };
+    }
+
+    onBeforeUpdate(engine) {
+        for (const obj of engine.getObjects()) {
+            if (obj.type !== 'mouse' || obj.bodies.length === 0) continue;
+            const { x, y } = obj.bodies[0].position;
+            const inside = Math.abs(x - this._x) <= HOLE_WIDTH / 2
+                && y <= this._y && y >= this._y - HOLE_HEIGHT;
+            if (inside && obj.enterHole()) {
+                eventBus.emit('mouse:home', { mouse: obj, hole: this });
+            }
+        }
+    }
+
+    draw(ctx) {
+        const hw = HOLE_WIDTH / 2;
+
+        ctx.save();
+        ctx.translate(this._x, this._y);
+
+        // Frame
+        ctx.fillStyle = FRAME_COLOR;
+        this._arch(ctx, hw + 3, HOLE_HEIGHT + 3);
+        ctx.fill();
+
+        // Opening
+        ctx.fillStyle = HOLE_COLOR;
+        this._arch(ctx, hw, HOLE_HEIGHT);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.save();
+        ctx.translate(w / 2, h * 0.75);
+        ctx.fillStyle = FRAME_COLOR;
+        this._arch(ctx, 11, 17);
+        ctx.fill();
+        ctx.fillStyle = HOLE_COLOR;
+        this._arch(ctx, 8, 14);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    static deserialize(data) {
+        return new MouseHole(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Trace an arch standing on the origin. */
+    _arch(ctx, hw, height) {
+        ctx.beginPath();
+        ctx.moveTo(-hw, 0);
+        ctx.lineTo(-hw, -height + hw);
+        ctx.arc(0, -height + hw, hw, Math.PI, 0);
+        ctx.lineTo(hw, 0);
+        ctx.closePath();
+    }
+}
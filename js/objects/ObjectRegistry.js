@@ -24,6 +24,7 @@ class ObjectRegistry {
      * @param {string} metadata.displayName - Human-readable name
      * @param {string} metadata.category - Category for toolbox grouping
      * @param {string} [metadata.description] - Tooltip description
+     * @param {string} [metadata.material] - What objects of this type are made of — a key of MATERIALS (see Materials)
      */
     register(type, ObjectClass, metadata) {
         if (this._registry.has(type)) {
@@ -58,7 +59,36 @@ class ObjectRegistry {
         if (!entry) {
             throw new Error(`[ObjectRegistry] Cannot deserialize unknown type: "${data.type}"`);
         }
-        return entry.ObjectClass.deserialize(data);
+        const obj = entry.ObjectClass.deserialize(data);
+        // Every object can be made of another material, whatever options its class reads back
+        if (data.options?.material) obj.setMaterial(data.options.material);
+        return obj;
+    }
+
+    /**
+     * Let objects that refer to others by level id (a rope tied to a
+     * balloon, ...) find them: each gets resolveLinks(lookup), if it has
+     * one. Call once a whole board has been created, and again after the
+     * editor changes what is on it.
+     * @param {BaseObject[]} objects
+     */
+    linkObjects(objects) {
+        const byId = new Map();
+        for (const obj of objects) {
+            if (obj._goalId) byId.set(obj._goalId, obj);
+        }
+        for (const obj of objects) {
+            obj.resolveLinks?.(id => byId.get(id) ?? null);
+        }
+    }
+
+    /**
+     * Get the metadata a type was registered with.
+     * @param {string} type
+     * @returns {object|null}
+     */
+    getMetadata(type) {
+        return this._registry.get(type)?.metadata ?? null;
     }
 
     /**
@@ -0,0 +1,134 @@
+/**
+ * Outlet — Wall outlet that supplies electricity
+ *
+ * A wall plate with two live sockets. Plug a cord into either one to
+ * carry power to a switch, fan, conveyor or motor. Things pass in
+ * front of the plate without hitting it.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+import { terminalAt } from '../engine/PowerNetwork.js';
+
+const { Bodies, Body } = Matter;
+
+const OUTLET_WIDTH = 24;
+const OUTLET_HEIGHT = 36;
+const SOCKET_OFFSET = 8;
+const PLATE_COLOR = '#f2ecd8';
+const SLOT_COLOR = '#3a3a3a';
+
+export default class Outlet extends BaseObject {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._powered = false;
+
+        this._body = Bodies.rectangle(x, y, OUTLET_WIDTH, OUTLET_HEIGHT, {
+            isStatic: true,
+            isSensor: true,
+            label: 'outlet',
+            angle: this._angle,
+        });
+    }
+
+    get type() { return 'outlet'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    get powerTerminals() {
+        const pos = this._body.position;
+        const angle = this._body.angle;
+        return [
+            terminalAt(pos, angle, 0, -SOCKET_OFFSET, 'socket', true),
+            terminalAt(pos, angle, 0, SOCKET_OFFSET, 'socket', true),
+        ];
+    }
+
+    get isPowered() {
+        return this._powered;
+    }
+
+    setPowered(powered) {
+        this._powered = powered;
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    saveState() {
+        return { powered: this._powered };
+    }
+
+    restoreState(state) {
+        this._powered = state.powered;
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        const hw = OUTLET_WIDTH / 2;
+        const hh = OUTLET_HEIGHT / 2;
+
+        // Wall plate
+        ctx.fillStyle = PLATE_COLOR;
+        ctx.fillRect(-hw, -hh, OUTLET_WIDTH, OUTLET_HEIGHT);
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(-hw, -hh, OUTLET_WIDTH, OUTLET_HEIGHT);
+
+        // Two sockets, each with two slots and a ground hole
+        for (const sy of [-SOCKET_OFFSET, SOCKET_OFFSET]) {
+            ctx.fillStyle = '#e0d8c0';
+            ctx.beginPath();
+            ctx.arc(0, sy, 6, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = SLOT_COLOR;
+            ctx.fillRect(-3.5, sy - 3, 1.5, 4);
+            ctx.fillRect(2, sy - 3, 1.5, 4);
+            ctx.beginPath();
+            ctx.arc(0, sy + 3, 1, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = PLATE_COLOR;
+        ctx.fillRect(w * 0.32, h * 0.2, w * 0.36, h * 0.6);
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(w * 0.32, h * 0.2, w * 0.36, h * 0.6);
+        ctx.fillStyle = SLOT_COLOR;
+        for (const sy of [h * 0.38, h * 0.62]) {
+            ctx.fillRect(w * 0.43, sy - 2, 1.5, 4);
+            ctx.fillRect(w * 0.55, sy - 2, 1.5, 4);
+        }
+    }
+
+    static deserialize(data) {
+        return new Outlet(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Paper — Light sheet that flutters down and burns up in a big flame
+ *
+ * Catches fire quickly and burns hot for a couple of seconds, lighting
+ * anything flammable around it, then is gone.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const PAPER_WIDTH = 50;
+const PAPER_HEIGHT = 4;
+const IGNITION_TIME = 8;
+const BURN_TIME = 120;
+const BURN_HEAT_RADIUS = 24;
+const PAPER_COLOR = '#f4f1e6';
+const CHAR_COLOR = '#3a3028';
+const FLAME_COLORS = ['#ff4400', '#ffaa00'];
+
+export default class Paper extends BaseObject {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._heat = 0;
+
+        this._body = Bodies.rectangle(x, y, PAPER_WIDTH, PAPER_HEIGHT, {
+            density: 0.0005,
+            friction: 0.6,
+            frictionAir: 0.08,
+            label: 'paper',
+            angle: this._angle,
+        });
+
+        /** @type {number} Steps left to burn (0 = not burning) */
+        this._burnTimer = 0;
+        this._burntUp = false;
+    }
+
+    get type() { return 'paper'; }
+    get bodies() { return this._burntUp ? [] : [this._body]; }
+
+    /** @returns {boolean} */
+    get isBurning() { return this._burnTimer > 0; }
+
+    /** @returns {boolean} True while it burns or a flame is heating it */
+    get isBusy() { return this.isBurning || this._heat > 0; }
+
+    /** @returns {boolean} True once it has burnt away */
+    get isBurntUp() { return this._burntUp; }
+
+    get bounds() {
+        if (this._burntUp) return { x: 0, y: 0, width: 0, height: 0 };
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    get fuelPoints() {
+        if (this._burntUp || this._burnTimer > 0) return [];
+        const pos = this._body.position;
+        const dx = Math.cos(this._body.angle) * PAPER_WIDTH / 2;
+        const dy = Math.sin(this._body.angle) * PAPER_WIDTH / 2;
+        return [
+            { x: pos.x - dx, y: pos.y - dy },
+            { x: pos.x, y: pos.y },
+            { x: pos.x + dx, y: pos.y + dy },
+        ];
+    }
+
+    get ignitionTime() {
+        return IGNITION_TIME;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
+    get heatSources() {
+        if (this._burnTimer === 0) return [];
+        const pos = this._body.position;
+        return [{ x: pos.x, y: pos.y, radius: BURN_HEAT_RADIUS }];
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    ignite() {
+        this._burnTimer = BURN_TIME;
+    }
+
+    onBeforeUpdate(engine) {
+        if (this._burnTimer === 0) return;
+        if (--this._burnTimer === 0) this._burntUp = true;
+    }
+
+    saveState() {
+        return { burnTimer: this._burnTimer, burntUp: this._burntUp, heat: this._heat };
+    }
+
+    restoreState(state) {
+        this._burnTimer = state.burnTimer;
+        this._burntUp = state.burntUp;
+        this._heat = state.heat;
+    }
+
+    draw(ctx) {
+        if (this._burntUp) return;
+
+        const pos = this._body.position;
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        // Chars from the middle outward as it burns
+        const burnt = this._burnTimer > 0 ? 1 - this._burnTimer / BURN_TIME : 0;
+        ctx.fillStyle = PAPER_COLOR;
+        ctx.fillRect(-PAPER_WIDTH / 2, -PAPER_HEIGHT / 2, PAPER_WIDTH, PAPER_HEIGHT);
+        ctx.fillStyle = CHAR_COLOR;
+        ctx.fillRect(-PAPER_WIDTH / 2 * burnt, -PAPER_HEIGHT / 2, PAPER_WIDTH * burnt, PAPER_HEIGHT);
+        ctx.strokeStyle = '#bbb';
+        ctx.lineWidth = 0.5;
+        ctx.strokeRect(-PAPER_WIDTH / 2, -PAPER_HEIGHT / 2, PAPER_WIDTH, PAPER_HEIGHT);
+
+        if (this._burnTimer > 0) {
+            ctx.rotate(-this._body.angle);
+            const flicker = Math.sin(this._burnTimer * 0.4) * 3;
+            for (const [i, color] of FLAME_COLORS.entries()) {
+                ctx.fillStyle = color;
+                ctx.globalAlpha = 0.5 + i * 0.3;
+                ctx.beginPath();
+                ctx.ellipse(0, -10 - i * 2, 16 - i * 8, 14 + flicker - i * 5, 0, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.fillStyle = PAPER_COLOR;
+        ctx.fillRect(w * 0.2, h * 0.25, w * 0.6, h * 0.5);
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(w * 0.2, h * 0.25, w * 0.6, h * 0.5);
+        ctx.strokeStyle = '#bbb';
+        for (let i = 1; i < 4; i++) {
+            ctx.beginPath();
+            ctx.moveTo(w * 0.28, h * (0.25 + i * 0.12));
+            ctx.lineTo(w * 0.72, h * (0.25 + i * 0.12));
+            ctx.stroke();
+        }
+    }
+
+    static deserialize(data) {
+        return new Paper(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * Portal — One of a linked pair: what goes in one comes out the other
+ *
+ * A body going in through the open face (the portal's "up") comes out
+ * of the partner's open face, its velocity turned to match — drop a
+ * ball into a floor portal and it shoots out sideways from a wall one.
+ * Portals are sensors, so nothing bumps into them; the back and the
+ * unpaired ones let things straight through.
+ *
+ * Pairs are linked by level id: each portal names its partner in
+ * `options.link`. A portal whose partner doesn't name it back is
+ * one-way. In the editor, drag the link handle onto another portal.
+ */
+
+import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
+import BaseObject from './BaseObject.js';
+
+const { Bodies, Body } = Matter;
+
+const PORTAL_WIDTH = 50;
+const PORTAL_DEPTH = 12;
+const EXIT_GAP = 2;          // clearance between the partner and what comes out of it
+const HANDLE_REACH = 30;     // where the link handle of an unpaired portal sits
+const PAIR_COLORS = ['#2a7fff', '#ff8a1f'];
+const IDLE_COLOR = '#8a8a8a';
+const HOLE_COLOR = '#1a1a24';
+
+export default class Portal extends BaseObject {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options={}]
+     * @param {string} [options.link] - Level id of the partner portal
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._linkId = options.link || null;
+
+        this._body = Bodies.rectangle(x, y, PORTAL_WIDTH, PORTAL_DEPTH, {
+            isStatic: true,
+            isSensor: true,
+            label: 'portal',
+            angle: this._angle,
+        });
+
+        /** @type {Portal|null} Resolved from _linkId by resolveLinks */
+        this._partner = null;
+        /** @type {{ x: number, y: number }|null} Link handle while unpaired, relative to the portal */
+        this._handle = null;
+    }
+
+    get type() { return 'portal'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    /** @returns {Portal|null} Where things that go in come out */
+    get partner() { return this._partner; }
+
+    /**
+     * Unit normal out of the open face, in world coordinates.
+     * @returns {{ x: number, y: number }}
+     */
+    get facing() {
+        const angle = this._body.angle;
+        return { x: Math.sin(angle), y: -Math.cos(angle) };
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    // ── Pairing ──────────────────────────────────
+
+    get linkEnds() {
+        if (this._partner) return [{ ...this._partner._body.position }];
+
+        const pos = this._body.position;
+        if (this._handle) return [{ x: pos.x + this._handle.x, y: pos.y + this._handle.y }];
+        const out = this.facing;
+        return [{ x: pos.x + out.x * HANDLE_REACH, y: pos.y + out.y * HANDLE_REACH }];
+    }
+
+    /** Pair with `target` if it is another portal; anywhere else unpairs. */
+    setLinkEnd(end, point, target) {
+        this._unpair();
+        if (target instanceof Portal && target !== this) {
+            target._unpair();
+            this._pairWith(target);
+            target._pairWith(this);
+            this._handle = null;
+        } else {
+            this._handle = { x: point.x - this._body.position.x, y: point.y - this._body.position.y };
+        }
+    }
+
+    resolveLinks(lookup) {
+        const target = this._linkId && lookup(this._linkId);
+        // The partner is gone, or was never a portal
+        if (!(target instanceof Portal) || target === this) this._linkId = null;
+        this._partner = this._linkId ? target : null;
+    }
+
+    // ── Teleporting ──────────────────────────────
+
+    /** Send a body that came in through the open face out of the partner. */
+    teleport(body, obj) {
+        if (!this._partner) return null;
+
+        const into = this.facing;
+        const v = body.velocity;
+        if (v.x * into.x + v.y * into.y >= 0) return null;
+
+        // Turn everything so "into this face" becomes "out of the partner's"
+        const exit = this._partner;
+        const turn = exit._body.angle - this._body.angle + Math.PI;
+        const cos = Math.cos(turn);
+        const sin = Math.sin(turn);
+
+        // Where across the mouth it went in — it comes out as far from the middle
+        const pos = this._body.position;
+        const across = Math.max(-PORTAL_WIDTH / 2, Math.min(PORTAL_WIDTH / 2,
+            (body.position.x - pos.x) * Math.cos(this._body.angle) + (body.position.y - pos.y) * Math.sin(this._body.angle)));
+
+        // Out far enough to clear the partner, so it can't fall straight back in
+        const b = body.bounds;
+        const clearance = PORTAL_DEPTH / 2 + Math.max(b.max.x - b.min.x, b.max.y - b.min.y) / 2 + EXIT_GAP;
+        const exitPos = exit._body.position;
+        const out = exit.facing;
+
+        eventBus.emit('portal:teleported', { portal: this, exit, object: obj });
+        return {
+            position: {
+                x: exitPos.x - Math.cos(exit._body.angle) * across + out.x * clearance,
+                y: exitPos.y - Math.sin(exit._body.angle) * across + out.y * clearance,
+            },
+            velocity: { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos },
+            angle: body.angle + turn,
+        };
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+        const rx = PORTAL_WIDTH / 2;
+        const ry = PORTAL_DEPTH / 2;
+        const color = this._color();
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(this._body.angle);
+
+        // Glow spilling out of the open face
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.2;
+        ctx.beginPath();
+        ctx.ellipse(0, -ry, rx, ry * 2, 0, Math.PI, 0);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        // Rim round a dark hole
+        ctx.fillStyle = HOLE_COLOR;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, rx, ry, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        for (const [i, color] of PAIR_COLORS.entries()) {
+            ctx.fillStyle = HOLE_COLOR;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.ellipse(w * (0.3 + i * 0.4), h / 2, w * 0.14, h * 0.3, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            options: { ...this._options, link: this._linkId },
+        };
+    }
+
+    static deserialize(data) {
+        return new Portal(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+            link: data.options?.link || null,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    _pairWith(target) {
+        this._partner = target;
+        this._linkId = target._goalId ?? null;
+    }
+
+    /** Drop the current partner — and its link back here. */
+    _unpair() {
+        const partner = this._partner;
+        if (partner && partner._partner === this) {
+            partner._partner = null;
+            partner._linkId = null;
+        }
+        this._partner = null;
+        this._linkId = null;
+    }
+
+    /** Blue and orange for a pair (which is which is fixed by id), grey unpaired. */
+    _color() {
+        if (!this._partner) return IDLE_COLOR;
+        return PAIR_COLORS[this.id < this._partner.id ? 0 : 1];
+    }
+}
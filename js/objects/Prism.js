@@ -0,0 +1,109 @@
+/**
+ * Prism — Glass triangle that bends laser beams
+ *
+ * A beam is refracted going into the glass and again coming out, so it
+ * leaves heading a different way to how it came in. Hit a face too
+ * steeply from inside and the beam is reflected back into the glass
+ * instead (total internal reflection).
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+import { reflect, rayFrom } from '../engine/Optics.js';
+
+const { Bodies, Body } = Matter;
+
+const PRISM_RADIUS = 24;
+const REFRACTIVE_INDEX = 1.5;
+const GLASS_COLOR = 'rgba(190, 225, 245, 0.75)';
+const EDGE_COLOR = '#5a7a90';
+
+export default class Prism extends BaseObject {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+
+        this._body = Bodies.polygon(x, y, 3, PRISM_RADIUS, {
+            isStatic: true,
+            friction: 0.3,
+            label: 'prism',
+            angle: this._angle,
+        });
+    }
+
+    get type() { return 'prism'; }
+    get bodies() { return [this._body]; }
+
+    get bounds() {
+        const b = this._body.bounds;
+        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    /** Refract the beam through the face it hit (Snell's law). */
+    bendLight(ray, hit) {
+        const dx = Math.cos(ray.angle);
+        const dy = Math.sin(ray.angle);
+
+        // Normal against the beam, and the ratio of indices across the face
+        const sign = hit.entering ? 1 : -1;
+        const nx = hit.normal.x * sign;
+        const ny = hit.normal.y * sign;
+        const eta = hit.entering ? 1 / REFRACTIVE_INDEX : REFRACTIVE_INDEX;
+
+        const cosIn = -(dx * nx + dy * ny);
+        const k = 1 - eta * eta * (1 - cosIn * cosIn);
+        if (k < 0) return [reflect(ray, hit)];
+
+        const along = eta * cosIn - Math.sqrt(k);
+        return [rayFrom(hit.point, Math.atan2(eta * dy + along * ny, eta * dx + along * nx))];
+    }
+
+    draw(ctx) {
+        const verts = this._body.vertices;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(verts[0].x, verts[0].y);
+        for (let i = 1; i < verts.length; i++) ctx.lineTo(verts[i].x, verts[i].y);
+        ctx.closePath();
+        ctx.fillStyle = GLASS_COLOR;
+        ctx.fill();
+        ctx.strokeStyle = EDGE_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        ctx.beginPath();
+        ctx.moveTo(w / 2, h * 0.18);
+        ctx.lineTo(w * 0.82, h * 0.78);
+        ctx.lineTo(w * 0.18, h * 0.78);
+        ctx.closePath();
+        ctx.fillStyle = GLASS_COLOR;
+        ctx.fill();
+        ctx.strokeStyle = EDGE_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    static deserialize(data) {
+        return new Prism(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
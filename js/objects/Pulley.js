@@ -1,221 +1,384 @@
 /**
- * Pulley — Rope with two platforms over a pivot
+ * Pulley — Rope over a wheel with a load on each end
  *
- * One side goes up when the other side goes down.
- * Uses Matter.js constraints to link two platforms.
+ * One side goes up when the other side goes down: the two sides share one
+ * rope of fixed length, so pulling one end down lifts the other. The rope
+ * can go slack but never stretches. Each end carries a platform, or is
+ * tied to another object (a bucket, a balloon, a rope) instead.
+ * The rope is cut when scissors close on it and burns through in a
+ * flame; once cut, both ends fall free.
  */
 
 import Matter from 'matter-js';
 import BaseObject from './BaseObject.js';
+import { eventBus } from '../EventBus.js';
+import { makeTie, tieOffset } from './Rope.js';
+import { bladeCrosses } from './Scissors.js';
 
-const { Bodies, Body, Constraint, Composite } = Matter;
+const { Bodies, Body, Sleeping } = Matter;
 
 const PLATFORM_WIDTH = 60;
 const PLATFORM_HEIGHT = 8;
 const ROPE_COLOR = '#8B6914';
 const PLATFORM_COLOR = '#7B6B5A';
 const WHEEL_COLOR = '#888';
-const WHEEL_RADIUS = 10;
+const WHEEL_RADIUS = 36;
+const MIN_SIDE = 10;
+const FUEL_POINTS_PER_SIDE = 4;
+const IGNITION_TIME = 20;
+const BURN_TIME = 30;
+const BURN_HEAT_RADIUS = 8;
+const FLAME_COLOR = '#ff8800';
+const ROPE_RADIUS = 2;
+const STUB_LENGTH = 16;
 
 export default class Pulley extends BaseObject {
     /**
-     * @param {number} x - Pivot point x (top center)
-     * @param {number} y - Pivot point y
+     * @param {number} x - Wheel centre x
+     * @param {number} y - Wheel centre y
      * @param {object} [options={}]
-     * @param {number} [options.ropeLength=150] - Total rope length
+     * @param {number} [options.ropeLength=150] - Total rope length, both sides together
+     * @param {number} [options.leftLength] - Length of the left side (default: half the rope)
+     * @param {import('./Rope.js').RopeTie|null} [options.leftAttach] - Object the left end is tied to (instead of its platform)
+     * @param {import('./Rope.js').RopeTie|null} [options.rightAttach] - Object the right end is tied to
      */
     constructor(x, y, options = {}) {
         super(x, y, options);
+        this._heat = 0;
         this._ropeLength = options.ropeLength || 150;
-        const halfRope = this._ropeLength / 2;
-
-        // Pivot wheel (static)
+        this._leftLength = Math.min(Math.max(options.leftLength ?? this._ropeLength / 2, MIN_SIDE), this._ropeLength - MIN_SIDE);
+        /** @type {Array<import('./Rope.js').RopeTie|null>} What each end is tied to, by level id */
+        this._attach = [options.leftAttach || null, options.rightAttach || null];
+        /** @type {Array<{ object: BaseObject, body: Matter.Body }|null>} Tied objects, once resolved */
+        this._tied = [null, null];
+
+        /** @type {number} Side the rope was cut on (-1 = intact) */
+        this._cutSide = -1;
+        /** @type {number} Index into fuelPoints of the spot on fire (-1 = not burning) */
+        this._burningPoint = -1;
+        /** @type {number} Steps until the burning spot burns through */
+        this._burnTimer = 0;
+
+        // Wheel (static, collides with nothing)
         this._wheel = Bodies.circle(x, y, WHEEL_RADIUS, {
             isStatic: true,
             label: 'pulley-wheel',
             collisionFilter: { category: 0x0002, mask: 0 }, // no collision
         });
 
-        // Left platform
-        this._leftPlatform = Bodies.rectangle(
-            x - 60, y + halfRope / 2, PLATFORM_WIDTH, PLATFORM_HEIGHT, {
-            density: 0.002,
-            friction: 0.6,
-            label: 'pulley-left',
-        }
-        );
-
-        // Right platform
-        this._rightPlatform = Bodies.rectangle(
-            x + 60, y + halfRope / 2, PLATFORM_WIDTH, PLATFORM_HEIGHT, {
+        // Platforms hang straight down from either side of the wheel
+        const sides = [this._leftLength, this._ropeLength - this._leftLength];
+        this._platforms = [-1, 1].map((dir, i) => Bodies.rectangle(
+            x + dir * WHEEL_RADIUS, y + sides[i] + PLATFORM_HEIGHT / 2, PLATFORM_WIDTH, PLATFORM_HEIGHT, {
             density: 0.002,
             friction: 0.6,
-            label: 'pulley-right',
+            label: i === 0 ? 'pulley-left' : 'pulley-right',
         }
-        );
-
-        // Constraints — connect each platform to the pivot point
-        this._leftConstraint = Constraint.create({
-            bodyA: this._leftPlatform,
-            pointB: { x: x - 60, y },
-            stiffness: 0.9,
-            damping: 0.05,
-            length: halfRope / 2,
-            label: 'pulley-rope-left',
-            render: { strokeStyle: ROPE_COLOR },
-        });
-
-        this._rightConstraint = Constraint.create({
-            bodyA: this._rightPlatform,
-            pointB: { x: x + 60, y },
-            stiffness: 0.9,
-            damping: 0.05,
-            length: halfRope / 2,
-            label: 'pulley-rope-right',
-            render: { strokeStyle: ROPE_COLOR },
-        });
+        ));
     }
 
     get type() { return 'pulley'; }
 
     get bodies() {
-        return [this._wheel, this._leftPlatform, this._rightPlatform];
-    }
-
-    get constraints() {
-        return [this._leftConstraint, this._rightConstraint];
+        // A tied end hangs on the object, not on a platform
+        return [this._wheel, ...this._platforms.filter((p, i) => !this._tied[i])];
     }
 
     get bounds() {
+        let maxY = this._y + WHEEL_RADIUS;
+        for (let end = 0; end < 2; end++) {
+            maxY = Math.max(maxY, this._endPoint(end).y + (this._tied[end] ? 0 : PLATFORM_HEIGHT));
+        }
+        const reach = WHEEL_RADIUS + PLATFORM_WIDTH / 2;
         return {
-            x: this._x - 100,
+            x: this._x - reach,
             y: this._y - WHEEL_RADIUS,
-            width: 200,
-            height: this._ropeLength + WHEEL_RADIUS,
+            width: reach * 2,
+            height: maxY - this._y + WHEEL_RADIUS,
         };
     }
 
+    /** @returns {boolean} */
+    get isSevered() {
+        return this._cutSide !== -1;
+    }
+
+    /** @returns {boolean} True while the rope is on fire */
+    get isBurning() {
+        return this._burningPoint !== -1;
+    }
+
+    /**
+     * Objects the two ends are tied to (left, right).
+     * @returns {Array<BaseObject|null>}
+     */
+    get attachedObjects() {
+        return this._tied.map(tie => tie && tie.object);
+    }
+
     setPosition(x, y) {
         const dx = x - this._x;
         const dy = y - this._y;
         super.setPosition(x, y);
 
         Body.setPosition(this._wheel, { x, y });
-        Body.translate(this._leftPlatform, { x: dx, y: dy });
-        Body.translate(this._rightPlatform, { x: dx, y: dy });
+        for (const platform of this._platforms) {
+            Body.translate(platform, { x: dx, y: dy });
+        }
+    }
+
+    // ── Ties ──────────────────────────────────────
+
+    get linkEnds() {
+        return [this._endPoint(0), this._endPoint(1)];
+    }
+
+    /**
+     * Move one end of the rope and tie it to `target` there, or hang its
+     * platform there. The rope is re-cut to fit.
+     */
+    setLinkEnd(end, point, target) {
+        this._attach[end] = target && makeTie(target, point);
+        this._tie(end, target);
+
+        const rim = this._rim(end);
+        const side = Math.max(Math.hypot(point.x - rim.x, point.y - rim.y), MIN_SIDE);
+        const other = this._sideLength(1 - end);
+        this._ropeLength = side + other;
+        this._leftLength = end === 0 ? side : other;
+
+        // An untied end hangs its platform straight down at that length
+        if (!this._tied[end]) this._hangPlatform(end, side);
+        if (!this._tied[1 - end]) this._hangPlatform(1 - end, other);
+    }
+
+    resolveLinks(lookup) {
+        for (let end = 0; end < 2; end++) {
+            const target = this._attach[end] && lookup(this._attach[end].id);
+            // The object it was tied to is gone
+            if (!target) this._attach[end] = null;
+            this._tie(end, target);
+        }
+    }
+
+    // ── Fire ──────────────────────────────────────
+
+    get fuelPoints() {
+        if (this.isSevered || this.isBurning) return [];
+        return this._ropePoints().map(p => ({ ...p, radius: ROPE_RADIUS }));
+    }
+
+    get ignitionTime() {
+        return IGNITION_TIME;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
+    /** @returns {boolean} True while the rope burns or a flame is heating it */
+    get isBusy() {
+        return this.isBurning || this._heat > 0;
+    }
+
+    get heatSources() {
+        if (!this.isBurning) return [];
+        return [{ ...this._ropePoints()[this._burningPoint], radius: BURN_HEAT_RADIUS }];
+    }
+
+    ignite(point) {
+        this._burningPoint = point;
+        this._burnTimer = BURN_TIME;
+    }
+
+    // ── Simulation ────────────────────────────────
+
+    onBeforeUpdate(engine) {
+        if (!this.isBurning) return;
+        if (--this._burnTimer > 0) return;
+
+        // Burnt through
+        const side = this._burningPoint < FUEL_POINTS_PER_SIDE ? 0 : 1;
+        this._burningPoint = -1;
+        this.sever(side);
+    }
+
+    onAfterUpdate(engine) {
+        if (this.isSevered) return;
+
+        this._solveRope();
+    }
+
+    /**
+     * Cut the rope; both ends fall free.
+     * @param {number} [side=0] - 0 = left, 1 = right
+     */
+    sever(side = 0) {
+        if (this.isSevered) return;
+        const released = this._tied.filter(Boolean).map(tie => tie.object);
+        this._cutSide = side;
+        this._burningPoint = -1;
+        eventBus.emit('rope:severed', { rope: this, released });
+    }
+
+    cut(blade) {
+        if (this.isSevered) return false;
+        const side = [0, 1].find(end => bladeCrosses(blade, this._rim(end), this._endPoint(end)));
+        if (side === undefined) return false;
+        this.sever(side);
+        return true;
+    }
 
-        this._leftConstraint.pointB.x += dx;
-        this._leftConstraint.pointB.y += dy;
-        this._rightConstraint.pointB.x += dx;
-        this._rightConstraint.pointB.y += dy;
+    saveState() {
+        return {
+            cutSide: this._cutSide,
+            burningPoint: this._burningPoint,
+            burnTimer: this._burnTimer,
+            heat: this._heat,
+        };
+    }
+
+    restoreState(state) {
+        this._cutSide = state.cutSide;
+        this._burningPoint = state.burningPoint;
+        this._burnTimer = state.burnTimer;
+        this._heat = state.heat;
     }
 
+    // ── Rendering ─────────────────────────────────
+
     draw(ctx) {
         const pivotPos = this._wheel.position;
-        const leftPos = this._leftPlatform.position;
-        const rightPos = this._rightPlatform.position;
 
         ctx.save();
 
-        // Ropes
-        ctx.strokeStyle = ROPE_COLOR;
+        // Ropes — over the top of the wheel, or stubs left on the loads once cut
+        ctx.strokeStyle = this.isSevered ? '#aaa' : ROPE_COLOR;
         ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        for (let end = 0; end < 2; end++) {
+            const p = this._endPoint(end);
+            const from = this.isSevered ? { x: p.x, y: p.y - STUB_LENGTH } : this._rim(end);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(p.x, p.y);
+            ctx.stroke();
+        }
+        if (!this.isSevered) {
+            ctx.beginPath();
+            ctx.arc(pivotPos.x, pivotPos.y, WHEEL_RADIUS, Math.PI, Math.PI * 2);
+            ctx.stroke();
+        }
 
-        // Left rope
-        ctx.beginPath();
-        ctx.moveTo(pivotPos.x - 6, pivotPos.y);
-        ctx.lineTo(leftPos.x, leftPos.y);
-        ctx.stroke();
+        // Flame on the burning spot
+        if (this.isBurning) {
+            const p = this._ropePoints()[this._burningPoint];
+            ctx.fillStyle = FLAME_COLOR;
+            ctx.globalAlpha = 0.8;
+            ctx.beginPath();
+            ctx.ellipse(p.x, p.y - 4, 4, 7, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
 
-        // Right rope
+        // Wheel with spokes
         ctx.beginPath();
-        ctx.moveTo(pivotPos.x + 6, pivotPos.y);
-        ctx.lineTo(rightPos.x, rightPos.y);
+        ctx.arc(pivotPos.x, pivotPos.y, WHEEL_RADIUS - 2, 0, Math.PI * 2);
+        ctx.strokeStyle = WHEEL_COLOR;
+        ctx.lineWidth = 4;
         ctx.stroke();
-
-        // Pivot wheel
-        ctx.beginPath();
-        ctx.arc(pivotPos.x, pivotPos.y, WHEEL_RADIUS, 0, Math.PI * 2);
-        ctx.fillStyle = WHEEL_COLOR;
-        ctx.fill();
-        ctx.strokeStyle = '#666';
         ctx.lineWidth = 2;
-        ctx.stroke();
-
-        // Wheel groove
-        ctx.beginPath();
-        ctx.arc(pivotPos.x, pivotPos.y, WHEEL_RADIUS - 3, 0, Math.PI * 2);
-        ctx.strokeStyle = '#999';
-        ctx.lineWidth = 1;
-        ctx.stroke();
+        for (let i = 0; i < 3; i++) {
+            const a = (i * Math.PI) / 3;
+            const rx = Math.cos(a) * (WHEEL_RADIUS - 3);
+            const ry = Math.sin(a) * (WHEEL_RADIUS - 3);
+            ctx.beginPath();
+            ctx.moveTo(pivotPos.x - rx, pivotPos.y - ry);
+            ctx.lineTo(pivotPos.x + rx, pivotPos.y + ry);
+            ctx.stroke();
+        }
 
         // Center axle
         ctx.beginPath();
-        ctx.arc(pivotPos.x, pivotPos.y, 3, 0, Math.PI * 2);
+        ctx.arc(pivotPos.x, pivotPos.y, 4, 0, Math.PI * 2);
         ctx.fillStyle = '#555';
         ctx.fill();
 
-        // Left platform
-        this._drawPlatform(ctx, leftPos);
-
-        // Right platform
-        this._drawPlatform(ctx, rightPos);
+        // Platforms on the untied ends
+        for (let end = 0; end < 2; end++) {
+            if (!this._tied[end]) this._drawPlatform(ctx, this._platforms[end]);
+        }
 
         ctx.restore();
     }
 
-    _drawPlatform(ctx, pos) {
+    _drawPlatform(ctx, platform) {
+        const pos = platform.position;
         const hw = PLATFORM_WIDTH / 2;
         const hh = PLATFORM_HEIGHT / 2;
 
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(platform.angle);
+
         ctx.fillStyle = PLATFORM_COLOR;
-        ctx.fillRect(pos.x - hw, pos.y - hh, PLATFORM_WIDTH, PLATFORM_HEIGHT);
+        ctx.fillRect(-hw, -hh, PLATFORM_WIDTH, PLATFORM_HEIGHT);
         ctx.strokeStyle = '#555';
         ctx.lineWidth = 1.5;
-        ctx.strokeRect(pos.x - hw, pos.y - hh, PLATFORM_WIDTH, PLATFORM_HEIGHT);
+        ctx.strokeRect(-hw, -hh, PLATFORM_WIDTH, PLATFORM_HEIGHT);
 
         // Rope attachment point
         ctx.fillStyle = ROPE_COLOR;
         ctx.beginPath();
-        ctx.arc(pos.x, pos.y - hh, 3, 0, Math.PI * 2);
+        ctx.arc(0, -hh, 3, 0, Math.PI * 2);
         ctx.fill();
+
+        ctx.restore();
     }
 
     drawToolboxIcon(ctx, w, h) {
         const cx = w / 2;
-        const top = h * 0.2;
+        const top = h * 0.25;
 
         // Wheel
         ctx.beginPath();
-        ctx.arc(cx, top, 5, 0, Math.PI * 2);
-        ctx.fillStyle = WHEEL_COLOR;
-        ctx.fill();
-        ctx.strokeStyle = '#666';
-        ctx.lineWidth = 1;
+        ctx.arc(cx, top, 7, 0, Math.PI * 2);
+        ctx.strokeStyle = WHEEL_COLOR;
+        ctx.lineWidth = 2;
         ctx.stroke();
 
         // Ropes
         ctx.strokeStyle = ROPE_COLOR;
         ctx.lineWidth = 1;
         ctx.beginPath();
-        ctx.moveTo(cx - 3, top);
-        ctx.lineTo(cx - 10, h * 0.65);
+        ctx.moveTo(cx - 7, top);
+        ctx.lineTo(cx - 7, h * 0.55);
         ctx.stroke();
         ctx.beginPath();
-        ctx.moveTo(cx + 3, top);
-        ctx.lineTo(cx + 10, h * 0.65);
+        ctx.moveTo(cx + 7, top);
+        ctx.lineTo(cx + 7, h * 0.75);
         ctx.stroke();
 
         // Platforms
         ctx.fillStyle = PLATFORM_COLOR;
-        ctx.fillRect(cx - 17, h * 0.65, 14, 3);
-        ctx.fillRect(cx + 3, h * 0.65, 14, 3);
+        ctx.fillRect(cx - 13, h * 0.55, 12, 3);
+        ctx.fillRect(cx + 1, h * 0.75, 12, 3);
     }
 
     serialize() {
         return {
             ...super.serialize(),
-            options: { ...this._options, ropeLength: this._ropeLength },
+            options: {
+                ...this._options,
+                ropeLength: this._ropeLength,
+                leftLength: this._leftLength,
+                leftAttach: this._attach[0],
+                rightAttach: this._attach[1],
+            },
         };
     }
 
@@ -224,14 +387,131 @@ export default class Pulley extends BaseObject {
             angle: data.angle,
             isFixed: data.isFixed,
             ropeLength: data.options?.ropeLength || 150,
+            leftLength: data.options?.leftLength,
+            leftAttach: data.options?.leftAttach,
+            rightAttach: data.options?.rightAttach,
         });
     }
 
     dispose() {
         this._wheel = null;
-        this._leftPlatform = null;
-        this._rightPlatform = null;
-        this._leftConstraint = null;
-        this._rightConstraint = null;
+        this._platforms = [];
+        this._tied = [null, null];
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Where a side of the rope leaves the wheel. */
+    _rim(end) {
+        return { x: this._x + (end === 0 ? -WHEEL_RADIUS : WHEEL_RADIUS), y: this._y };
+    }
+
+    /** The body an end of the rope pulls on. */
+    _endBody(end) {
+        return this._tied[end] ? this._tied[end].body : this._platforms[end];
+    }
+
+    /** World point an end of the rope is tied to. */
+    _endPoint(end) {
+        const tie = this._tied[end];
+        if (tie) {
+            const offset = tieOffset(this._attach[end], tie.body);
+            return { x: tie.body.position.x + offset.x, y: tie.body.position.y + offset.y };
+        }
+        const platform = this._platforms[end];
+        const hh = PLATFORM_HEIGHT / 2;
+        return {
+            x: platform.position.x + Math.sin(platform.angle) * hh,
+            y: platform.position.y - Math.cos(platform.angle) * hh,
+        };
+    }
+
+    _sideLength(end) {
+        const rim = this._rim(end);
+        const p = this._endPoint(end);
+        return Math.max(Math.hypot(p.x - rim.x, p.y - rim.y), MIN_SIDE);
+    }
+
+    /** Points along both sides of the rope — left side first. */
+    _ropePoints() {
+        const points = [];
+        for (let end = 0; end < 2; end++) {
+            const rim = this._rim(end);
+            const p = this._endPoint(end);
+            for (let i = 1; i <= FUEL_POINTS_PER_SIDE; i++) {
+                const t = i / (FUEL_POINTS_PER_SIDE + 1);
+                points.push({ x: rim.x + (p.x - rim.x) * t, y: rim.y + (p.y - rim.y) * t });
+            }
+        }
+        return points;
+    }
+
+    /** Tie an end to the body named by its RopeTie on `target` (null = untie). */
+    _tie(end, target) {
+        const spec = this._attach[end];
+        const body = target && spec && target.bodies[spec.body ?? 0];
+        this._tied[end] = body ? { object: target, body } : null;
+    }
+
+    /** Hang an end's platform straight below the wheel (edit mode). */
+    _hangPlatform(end, length) {
+        const rim = this._rim(end);
+        const platform = this._platforms[end];
+        Body.setAngle(platform, 0);
+        Body.setPosition(platform, { x: rim.x, y: rim.y + length + PLATFORM_HEIGHT / 2 });
+        Body.setVelocity(platform, { x: 0, y: 0 });
+    }
+
+    /**
+     * Keep the two sides from adding up to more than the rope: pull
+     * whichever ends can move back along their side of the rope, and stop
+     * them moving apart any further.
+     */
+    _solveRope() {
+        // A load pulled right up to the wheel stops there, and can't give
+        // the other side any more rope
+        const jammed = [0, 1].map(end => {
+            const body = this._endBody(end);
+            const gap = this._rim(end).y + MIN_SIDE - this._endPoint(end).y;
+            if (gap < 0 || body.isStatic) return false;
+            Body.translate(body, { x: 0, y: gap });
+            if (body.velocity.y < 0) Body.setVelocity(body, { x: body.velocity.x, y: 0 });
+            return true;
+        });
+
+        const ends = [0, 1].map(end => {
+            const body = this._endBody(end);
+            const rim = this._rim(end);
+            const p = this._endPoint(end);
+            const length = Math.hypot(p.x - rim.x, p.y - rim.y) || 1;
+            return {
+                body,
+                length,
+                // Unit vector from the wheel out to the end
+                dir: { x: (p.x - rim.x) / length, y: (p.y - rim.y) / length },
+                invMass: body.isStatic || jammed[end] ? 0 : body.inverseMass,
+            };
+        });
+
+        const stretch = ends[0].length + ends[1].length - this._ropeLength;
+        const totalInvMass = ends[0].invMass + ends[1].invMass;
+        if (stretch <= 0 || totalInvMass === 0) return;
+
+        // How fast the ends are moving apart along the rope
+        const rate = ends.reduce((sum, e) => sum + e.body.velocity.x * e.dir.x + e.body.velocity.y * e.dir.y, 0);
+
+        for (const e of ends) {
+            if (e.invMass === 0) continue;
+            if (e.body.isSleeping) Sleeping.set(e.body, false);
+
+            const share = e.invMass / totalInvMass;
+            Body.translate(e.body, { x: -e.dir.x * stretch * share, y: -e.dir.y * stretch * share });
+            if (rate > 0) {
+                Body.setVelocity(e.body, {
+                    x: e.body.velocity.x - e.dir.x * rate * share,
+                    y: e.body.velocity.y - e.dir.y * rate * share,
+                });
+            }
+        }
     }
 }
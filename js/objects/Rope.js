@@ -1,19 +1,31 @@
 /**
  * Rope — Flexible connector between two points
  *
- * Connects two objects or an object to a fixed point.
- * Can be burned by candle flame (severs the constraint).
+ * Hangs from a fixed anchor at its start point, or ties two objects
+ * together: either end can be tied to any body of another object, which
+ * is referred to by its level id so the tie survives save and load.
+ * Flammable: a segment held in a flame, or touching a lit candle,
+ * catches fire and burns through the link above it (severs the
+ * constraint). Scissors closing on it cut the link between their blades.
+ * A severed rope lets go of whatever it was tied to.
  */
 
 import Matter from 'matter-js';
 import BaseObject from './BaseObject.js';
 import { eventBus } from '../EventBus.js';
+import { bladeCrosses } from './Scissors.js';
 
-const { Bodies, Body, Constraint } = Matter;
+const { Bodies, Body, Constraint, Query } = Matter;
 
 const ROPE_COLOR = '#8B6914';
 const SEGMENTS = 6;
 const SEGMENT_RADIUS = 3;
+const MIN_LENGTH = 20;
+const COLLIDE_ALL = 0xFFFFFFFF;
+const IGNITION_TIME = 20;
+const BURN_TIME = 30;
+const BURN_HEAT_RADIUS = 8;
+const FLAME_COLOR = '#ff8800';
 
 export default class Rope extends BaseObject {
     /**
@@ -22,12 +34,27 @@ export default class Rope extends BaseObject {
      * @param {object} [options={}]
      * @param {number} [options.length=100] - Rope length
      * @param {{x:number, y:number}} [options.endPoint] - End anchor point (default: straight down)
+     * @param {RopeTie|null} [options.startAttach] - Object the start is tied to (instead of the anchor)
+     * @param {RopeTie|null} [options.endAttach] - Object the end is tied to (default: dangles free)
      */
     constructor(x, y, options = {}) {
         super(x, y, options);
+        this._heat = 0;
         this._length = options.length || 100;
         this._endPoint = options.endPoint || { x, y: y + this._length };
+        /** @type {Array<RopeTie|null>} What each end is tied to, by level id */
+        this._attach = [options.startAttach || null, options.endAttach || null];
+        /** @type {Array<{ object: BaseObject, body: Matter.Body }|null>} Tied objects, once resolved */
+        this._tied = [null, null];
+        /** @type {Array<Matter.Constraint|null>} Links from the tied bodies to the end segments */
+        this._ties = [null, null];
         this._severed = false;
+        /** @type {number} Index into _constraints of the burnt link (-1 = intact) */
+        this._cutIndex = -1;
+        /** @type {number} Segment on fire (-1 = not burning) */
+        this._burningSegment = -1;
+        /** @type {number} Steps until the burning segment burns through */
+        this._burnTimer = 0;
 
         this._segments = [];
         this._constraints = [];
@@ -84,11 +111,16 @@ export default class Rope extends BaseObject {
     get type() { return 'rope'; }
 
     get bodies() {
-        return [this._anchor, ...this._segments];
+        // A tied start hangs from the object, not the anchor
+        return this._tied[0] ? this._segments : [this._anchor, ...this._segments];
     }
 
     get constraints() {
-        return this._constraints;
+        const links = this._constraints.filter((c, i) => i !== this._cutIndex && !(i === 0 && this._tied[0]));
+        for (let end = 0; end < 2; end++) {
+            if (this._isHolding(end)) links.push(this._ties[end]);
+        }
+        return links;
     }
 
     get bounds() {
@@ -107,40 +139,269 @@ export default class Rope extends BaseObject {
         const dx = x - this._x;
         const dy = y - this._y;
         super.setPosition(x, y);
+        this._endPoint = { x: this._endPoint.x + dx, y: this._endPoint.y + dy };
         Body.setPosition(this._anchor, { x, y });
         for (const seg of this._segments) {
             Body.translate(seg, { x: dx, y: dy });
         }
     }
 
-    onCollision(other, pair) {
-        if (other.type === 'candle' && !this._severed) {
-            this.sever();
+    // ── Ties ──────────────────────────────────────
+
+    get linkEnds() {
+        return [{ x: this._x, y: this._y }, { ...this._endPoint }];
+    }
+
+    /**
+     * Move one end of the rope and tie it to `target` there, or leave it
+     * free (the start then hangs from its anchor). The rope is re-cut to
+     * the distance between its ends and stretched straight.
+     */
+    setLinkEnd(end, point, target) {
+        if (end === 0) {
+            super.setPosition(point.x, point.y);
+        } else {
+            this._endPoint = { x: point.x, y: point.y };
         }
+        this._length = Math.max(Math.hypot(this._endPoint.x - this._x, this._endPoint.y - this._y), MIN_LENGTH);
+
+        this._attach[end] = target && makeTie(target, point);
+        this._tie(end, target);
+        this._layOut();
+    }
+
+    resolveLinks(lookup) {
+        for (let end = 0; end < 2; end++) {
+            const target = this._attach[end] && lookup(this._attach[end].id);
+            // The object it was tied to is gone
+            if (!target) this._attach[end] = null;
+            this._tie(end, target);
+            if (!this._tied[end]) continue;
+
+            // Follow the object if it has moved since the rope was tied on
+            const p = Constraint.pointAWorld(this._ties[end]);
+            if (end === 0) super.setPosition(p.x, p.y);
+            else this._endPoint = p;
+        }
+        if (this._tied[0] || this._tied[1]) this._layOut();
+    }
+
+    /**
+     * Objects this rope's ends are tied to (start, end).
+     * @returns {Array<BaseObject|null>}
+     */
+    get attachedObjects() {
+        return this._tied.map(tie => tie && tie.object);
+    }
+
+    get fuelPoints() {
+        if (this._severed || this._burningSegment !== -1) return [];
+        return this._segments.map(seg => ({ x: seg.position.x, y: seg.position.y, radius: SEGMENT_RADIUS }));
     }
 
-    /** Sever the rope (e.g., by candle flame). */
-    sever() {
+    get ignitionTime() {
+        return IGNITION_TIME;
+    }
+
+    get heat() {
+        return this._heat;
+    }
+
+    setHeat(heat) {
+        this._heat = heat;
+    }
+
+    get heatSources() {
+        if (this._burningSegment === -1) return [];
+        const pos = this._segments[this._burningSegment].position;
+        return [{ x: pos.x, y: pos.y, radius: BURN_HEAT_RADIUS }];
+    }
+
+    /** @returns {boolean} True while a segment is on fire */
+    get isBurning() {
+        return this._burningSegment !== -1;
+    }
+
+    /** @returns {boolean} True while it burns or a flame is heating it */
+    get isBusy() {
+        return this.isBurning || this._heat > 0;
+    }
+
+    ignite(point) {
+        this._burningSegment = point;
+        this._burnTimer = BURN_TIME;
+    }
+
+    onBeforeUpdate(engine) {
+        // A tied rope passes through things — its end segments sit inside
+        // the bodies they are tied to
+        const mask = this._isHolding(0) || this._isHolding(1) ? 0 : COLLIDE_ALL;
+        for (const seg of this._segments) seg.collisionFilter.mask = mask;
+
+        if (this._burningSegment === -1) return;
+        if (--this._burnTimer > 0) return;
+
+        // Burnt through the link above the segment that caught
+        const link = this._burningSegment;
+        this._burningSegment = -1;
+        this.sever(link);
+    }
+
+    /**
+     * Sever the rope (e.g., burnt through or cut).
+     * @param {number} [link=0] - Which link to cut: 0 = at the anchor,
+     *   i = between segment i-1 and segment i, SEGMENTS = at the end tie
+     */
+    sever(link = 0) {
         if (this._severed) return;
+        const released = [0, 1].filter(end => this._isHolding(end)).map(end => this._tied[end].object);
         this._severed = true;
-        eventBus.emit('rope:severed', { rope: this });
+        this._cutIndex = Math.min(Math.max(link, 0), this._constraints.length);
+        eventBus.emit('rope:severed', { rope: this, released });
     }
 
     get isSevered() {
         return this._severed;
     }
 
+    cut(blade) {
+        if (this._severed) return false;
+        const start = this._tied[0] ? this._tiePoint(0) : this._anchor.position;
+        const points = [start, ...this._segments.map(seg => seg.position), this._tiePoint(1)];
+        // Link i runs from points[i] to points[i + 1]
+        const link = points.findIndex((p, i) => p && points[i + 1] && bladeCrosses(blade, p, points[i + 1]));
+        if (link === -1) return false;
+        this.sever(link);
+        return true;
+    }
+
+    saveState() {
+        return {
+            severed: this._severed,
+            cutIndex: this._cutIndex,
+            burningSegment: this._burningSegment,
+            burnTimer: this._burnTimer,
+            heat: this._heat,
+        };
+    }
+
+    restoreState(state) {
+        this._severed = state.severed;
+        this._cutIndex = state.cutIndex;
+        this._burningSegment = state.burningSegment;
+        this._burnTimer = state.burnTimer;
+        this._heat = state.heat;
+    }
+
     draw(ctx) {
         ctx.save();
 
         // Draw the rope as a smooth curve through segment positions
-        const points = [this._anchor.position, ...this._segments.map(s => s.position)];
+        const segs = this._segments.map(s => s.position);
+        const start = this._tied[0] ? this._tiePoint(0) : this._anchor.position;
+        const end = this._tiePoint(1);
 
         ctx.strokeStyle = this._severed ? '#aaa' : ROPE_COLOR;
         ctx.lineWidth = 3;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
 
+        // Link i joins the start (i = 0) or segment i-1 to segment i — a severed rope is two pieces
+        if (this._severed) {
+            this._strokeCurve(ctx, [start, ...segs.slice(0, this._cutIndex)].filter(Boolean));
+            this._strokeCurve(ctx, [...segs.slice(this._cutIndex), end].filter(Boolean));
+        } else {
+            this._strokeCurve(ctx, [start, ...segs, end].filter(Boolean));
+        }
+
+        // Flame on the burning segment
+        if (this._burningSegment !== -1) {
+            const pos = this._segments[this._burningSegment].position;
+            ctx.fillStyle = FLAME_COLOR;
+            ctx.globalAlpha = 0.8;
+            ctx.beginPath();
+            ctx.ellipse(pos.x, pos.y - 4, 4, 7, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+
+        // Knots where it is tied on
+        ctx.fillStyle = ROPE_COLOR;
+        for (const knot of [start, end]) {
+            if (!knot || knot === this._anchor.position) continue;
+            ctx.beginPath();
+            ctx.arc(knot.x, knot.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Anchor point
+        if (!this._tied[0]) {
+            ctx.fillStyle = '#555';
+            ctx.beginPath();
+            ctx.arc(this._anchor.position.x, this._anchor.position.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /** World point where an end is tied on, or null while it isn't holding anything. */
+    _tiePoint(end) {
+        return this._isHolding(end) ? Constraint.pointAWorld(this._ties[end]) : null;
+    }
+
+    /** True while an end is tied to an object that is still there (not popped, burnt up, ...). */
+    _isHolding(end) {
+        const tie = this._tied[end];
+        return !this._severed && !!tie && tie.object.bodies.includes(tie.body);
+    }
+
+    /** Tie an end to the body named by its RopeTie on `target` (null = untie). */
+    _tie(end, target) {
+        const spec = this._attach[end];
+        const body = target && spec && target.bodies[spec.body ?? 0];
+        if (!body) {
+            this._tied[end] = null;
+            this._ties[end] = null;
+            return;
+        }
+
+        this._tied[end] = { object: target, body };
+        this._ties[end] = Constraint.create({
+            bodyA: body,
+            pointA: tieOffset(spec, body),
+            bodyB: end === 0 ? this._segments[0] : this._segments[SEGMENTS - 1],
+            stiffness: 0.8,
+            damping: 0.1,
+            length: 0,
+        });
+    }
+
+    /** Stretch the rope straight between its ends (edit mode). */
+    _layOut() {
+        const x = this._x;
+        const y = this._y;
+        const dx = (this._endPoint.x - x) / SEGMENTS;
+        const dy = (this._endPoint.y - y) / SEGMENTS;
+        const segLength = this._length / SEGMENTS;
+
+        Body.setPosition(this._anchor, { x, y });
+        this._segments.forEach((seg, i) => {
+            Body.setPosition(seg, { x: x + dx * (i + 0.5), y: y + dy * (i + 0.5) });
+            Body.setVelocity(seg, { x: 0, y: 0 });
+        });
+        this._constraints.forEach((c, i) => {
+            c.length = segLength * (i === 0 ? 0.5 : 0.6);
+        });
+    }
+
+    /** Stroke a smooth curve through the given points. */
+    _strokeCurve(ctx, points) {
+        if (points.length < 2) return;
+
         ctx.beginPath();
         ctx.moveTo(points[0].x, points[0].y);
         for (let i = 1; i < points.length; i++) {
@@ -153,17 +414,6 @@ export default class Rope extends BaseObject {
         const last = points[points.length - 1];
         ctx.lineTo(last.x, last.y);
         ctx.stroke();
-
-        // Anchor point
-        ctx.fillStyle = '#555';
-        ctx.beginPath();
-        ctx.arc(this._anchor.position.x, this._anchor.position.y, 4, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-
-        ctx.restore();
     }
 
     drawToolboxIcon(ctx, w, h) {
@@ -188,6 +438,8 @@ export default class Rope extends BaseObject {
                 ...this._options,
                 length: this._length,
                 endPoint: this._endPoint,
+                startAttach: this._attach[0],
+                endAttach: this._attach[1],
             },
         };
     }
@@ -198,6 +450,8 @@ export default class Rope extends BaseObject {
             isFixed: data.isFixed,
             length: data.options?.length || 100,
             endPoint: data.options?.endPoint,
+            startAttach: data.options?.startAttach,
+            endAttach: data.options?.endAttach,
         });
     }
 
@@ -205,5 +459,59 @@ export default class Rope extends BaseObject {
         this._anchor = null;
         this._segments = [];
         this._constraints = [];
+        this._tied = [null, null];
+        this._ties = [null, null];
     }
 }
+
+/**
+ * @typedef {object} RopeTie
+ * @property {string} id - Level id of the object the end is tied to
+ * @property {number} body - Index into that object's bodies
+ * @property {{ x: number, y: number }} offset - Tie point in the body's own frame
+ */
+
+/**
+ * Describe a tie to `target` at a world point — on the body under the
+ * point, or the nearest one. The target must have a level id.
+ * @param {BaseObject} target
+ * @param {{ x: number, y: number }} point
+ * @returns {RopeTie|null} null if the target has no bodies
+ */
+export function makeTie(target, point) {
+    const bodies = target.bodies;
+    let body = Query.point(bodies, point)[0];
+    if (!body) {
+        let best = Infinity;
+        for (const b of bodies) {
+            const d = Math.hypot(b.position.x - point.x, b.position.y - point.y);
+            if (d < best) {
+                best = d;
+                body = b;
+            }
+        }
+    }
+    if (!body) return null;
+
+    return {
+        id: target._goalId,
+        body: bodies.indexOf(body),
+        offset: rotate({ x: point.x - body.position.x, y: point.y - body.position.y }, -body.angle),
+    };
+}
+
+/**
+ * Offset of a tie point from its body's centre, in world axes.
+ * @param {RopeTie} tie
+ * @param {Matter.Body} body
+ * @returns {{ x: number, y: number }}
+ */
+export function tieOffset(tie, body) {
+    return rotate(tie.offset, body.angle);
+}
+
+function rotate({ x, y }, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: x * cos - y * sin, y: x * sin + y * cos };
+}
@@ -1,117 +1,197 @@
 /**
- * Scissors — Sharp cutting tool that severs ropes and pops balloons
+ * Scissors — Snap shut when their trigger is pushed, cutting what lies between the blades
  *
- * Static object that acts as a hazard trigger.
- * Balloons and ropes that touch scissors are destroyed/severed.
+ * Scissors sit open until something bumps their handles or knocks the
+ * trigger lever hanging below them. They then snap shut over a few steps
+ * and, the moment the blades meet, cut every rope and pop every balloon
+ * lying in the jaws between them — anything with a cut(blade) method. Once closed they
+ * stay closed. The blades themselves are not solid — ropes can hang
+ * through the open jaws.
+ * Emits 'scissors:closed' when they shut.
  */
 
 import Matter from 'matter-js';
+import { eventBus } from '../EventBus.js';
 import BaseObject from './BaseObject.js';
 
-const { Bodies, Body } = Matter;
+const { Bodies, Body, Vertices } = Matter;
 
+const BLADE_LENGTH = 32;
+const OPEN_ANGLE = 0.4;
+const HANDLE_LENGTH = 28;
+const HANDLE_THICKNESS = 12;
+const TRIGGER_LENGTH = 22;
+const TRIGGER_WIDTH = 5;
+const CLOSE_STEPS = 6;
 const SCISSORS_COLOR = '#c0c0c0';
 const HANDLE_COLOR = '#cc4444';
 const BLADE_COLOR = '#d0d0d0';
 
+/** Where the trigger lever hangs from, along the handles (local x) */
+const TRIGGER_X = -HANDLE_LENGTH + TRIGGER_WIDTH;
+
 export default class Scissors extends BaseObject {
+    /**
+     * @param {number} x - The pivot screw; the blades point along the angle
+     * @param {number} y
+     * @param {object} [options={}]
+     */
     constructor(x, y, options = {}) {
         super(x, y, options);
 
-        // Use a simple rectangle body for physics
-        this._body = Bodies.rectangle(x, y, 30, 8, {
+        this._handle = Bodies.rectangle(0, 0, HANDLE_LENGTH, HANDLE_THICKNESS, {
+            isStatic: true,
+            label: 'scissors-handle',
+        });
+        this._trigger = Bodies.rectangle(0, 0, TRIGGER_WIDTH, TRIGGER_LENGTH, {
             isStatic: true,
-            label: 'scissors',
-            angle: this._angle,
+            label: 'scissors-trigger',
         });
+        this._place();
+
+        /** @type {number} Steps spent closing so far (CLOSE_STEPS = shut) */
+        this._shut = 0;
+
+        /** @type {boolean} True once triggered */
+        this._closing = false;
     }
 
     get type() { return 'scissors'; }
-    get bodies() { return [this._body]; }
+    get bodies() { return [this._handle, this._trigger]; }
 
     get bounds() {
-        const b = this._body.bounds;
-        return { x: b.min.x, y: b.min.y, width: b.max.x - b.min.x, height: b.max.y - b.min.y };
+        const points = [
+            ...this._handle.vertices,
+            ...this._trigger.vertices,
+            ...this.blade,
+        ];
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /** @returns {boolean} True once the blades have met */
+    get isClosed() { return this._shut >= CLOSE_STEPS; }
+
+    /** @returns {boolean} True from the moment they are triggered */
+    get isTriggered() { return this._closing; }
+
+    /**
+     * The jaws of the open scissors — the region cut when they close —
+     * as a convex polygon in world coordinates.
+     * @returns {{ x: number, y: number }[]}
+     */
+    get blade() {
+        const tip = (side) => this._toWorld(
+            Math.cos(OPEN_ANGLE) * BLADE_LENGTH,
+            side * Math.sin(OPEN_ANGLE) * BLADE_LENGTH,
+        );
+        return [this._toWorld(0, 0), tip(-1), tip(1)];
     }
 
     setPosition(x, y) {
         super.setPosition(x, y);
-        Body.setPosition(this._body, { x, y });
+        this._place();
     }
 
     setAngle(angle) {
         super.setAngle(angle);
-        Body.setAngle(this._body, angle);
+        this._place();
+    }
+
+    /** Start snapping shut. */
+    close() {
+        this._closing = true;
+    }
+
+    onCollision(other, pair) {
+        if (this._closing) return;
+        const otherBody = pair.bodyA.parent === this._handle || pair.bodyA.parent === this._trigger
+            ? pair.bodyB.parent
+            : pair.bodyA.parent;
+        if (otherBody.isStatic || otherBody.isSensor) return;
+        this.close();
+    }
+
+    onBeforeUpdate(engine) {
+        if (!this._closing || this.isClosed) return;
+
+        this._shut++;
+        if (!this.isClosed) return;
+
+        // Snip — everything lying in the jaws is cut at once
+        const blade = this.blade;
+        const cut = [...engine.getObjects()].filter(obj => obj !== this && obj.cut?.(blade));
+        eventBus.emit('scissors:closed', { scissors: this, cut });
+    }
+
+    saveState() {
+        return { shut: this._shut, closing: this._closing };
+    }
+
+    restoreState(state) {
+        this._shut = state.shut;
+        this._closing = state.closing;
     }
 
     draw(ctx) {
-        const pos = this._body.position;
-        const angle = this._body.angle;
+        const open = OPEN_ANGLE * (1 - this._shut / CLOSE_STEPS);
 
         ctx.save();
-        ctx.translate(pos.x, pos.y);
-        ctx.rotate(angle);
+        ctx.translate(this._x, this._y);
+        ctx.rotate(this._angle);
 
-        // Top blade
+        // Trigger lever hanging below the handles
+        ctx.fillStyle = '#777';
+        ctx.fillRect(TRIGGER_X - TRIGGER_WIDTH / 2, HANDLE_THICKNESS / 2 - 2, TRIGGER_WIDTH, TRIGGER_LENGTH);
+        ctx.fillStyle = HANDLE_COLOR;
         ctx.beginPath();
-        ctx.moveTo(-15, -1);
-        ctx.lineTo(12, -4);
-        ctx.lineTo(15, -2);
-        ctx.lineTo(12, 0);
-        ctx.closePath();
-        ctx.fillStyle = BLADE_COLOR;
+        ctx.arc(TRIGGER_X, HANDLE_THICKNESS / 2 + TRIGGER_LENGTH - 2, 4, 0, Math.PI * 2);
         ctx.fill();
-        ctx.strokeStyle = '#888';
-        ctx.lineWidth = 1;
-        ctx.stroke();
 
-        // Bottom blade
-        ctx.beginPath();
-        ctx.moveTo(-15, 1);
-        ctx.lineTo(12, 4);
-        ctx.lineTo(15, 2);
-        ctx.lineTo(12, 0);
-        ctx.closePath();
-        ctx.fillStyle = SCISSORS_COLOR;
-        ctx.fill();
-        ctx.strokeStyle = '#888';
-        ctx.lineWidth = 1;
-        ctx.stroke();
+        // Each blade turns with the handle on the other side of the pivot
+        for (const side of [-1, 1]) {
+            ctx.save();
+            ctx.rotate(side * open);
+
+            ctx.beginPath();
+            ctx.moveTo(-4, side);
+            ctx.lineTo(BLADE_LENGTH - 4, side * 3);
+            ctx.lineTo(BLADE_LENGTH, 0);
+            ctx.lineTo(-4, 0);
+            ctx.closePath();
+            ctx.fillStyle = side < 0 ? BLADE_COLOR : SCISSORS_COLOR;
+            ctx.fill();
+            ctx.strokeStyle = '#888';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+
+            // Handle loop
+            ctx.beginPath();
+            ctx.ellipse(-HANDLE_LENGTH + 8, -side * 3, 8, 5, -side * 0.2, 0, Math.PI * 2);
+            ctx.fillStyle = HANDLE_COLOR;
+            ctx.fill();
+            ctx.strokeStyle = '#993333';
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.ellipse(-HANDLE_LENGTH + 7, -side * 3, 4, 2.5, -side * 0.2, 0, Math.PI * 2);
+            ctx.fillStyle = '#e8e0d0';
+            ctx.fill();
+
+            ctx.restore();
+        }
 
         // Pivot screw
         ctx.beginPath();
-        ctx.arc(-2, 0, 2.5, 0, Math.PI * 2);
+        ctx.arc(0, 0, 2.5, 0, Math.PI * 2);
         ctx.fillStyle = '#777';
         ctx.fill();
         ctx.strokeStyle = '#555';
         ctx.lineWidth = 1;
         ctx.stroke();
 
-        // Top handle
-        ctx.beginPath();
-        ctx.ellipse(-22, -3, 8, 5, 0.2, 0, Math.PI * 2);
-        ctx.fillStyle = HANDLE_COLOR;
-        ctx.fill();
-        ctx.strokeStyle = '#993333';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-
-        // Bottom handle
-        ctx.beginPath();
-        ctx.ellipse(-22, 3, 8, 5, -0.2, 0, Math.PI * 2);
-        ctx.fillStyle = HANDLE_COLOR;
-        ctx.fill();
-        ctx.stroke();
-
-        // Handle holes
-        ctx.beginPath();
-        ctx.ellipse(-23, -3, 4, 2.5, 0.2, 0, Math.PI * 2);
-        ctx.fillStyle = '#e8e0d0';
-        ctx.fill();
-        ctx.beginPath();
-        ctx.ellipse(-23, 3, 4, 2.5, -0.2, 0, Math.PI * 2);
-        ctx.fill();
-
         ctx.restore();
     }
 
@@ -145,6 +225,13 @@ export default class Scissors extends BaseObject {
         ctx.ellipse(-11, 2, 4, 3, 0, 0, Math.PI * 2);
         ctx.stroke();
 
+        // Trigger
+        ctx.strokeStyle = '#777';
+        ctx.beginPath();
+        ctx.moveTo(-13, 4);
+        ctx.lineTo(-13, 10);
+        ctx.stroke();
+
         ctx.restore();
     }
 
@@ -160,6 +247,77 @@ export default class Scissors extends BaseObject {
     }
 
     dispose() {
-        this._body = null;
+        this._handle = null;
+        this._trigger = null;
+    }
+
+    // ── Private ──────────────────────────────────
+
+    /** Local point (pivot at the origin, blades along +x) to world coordinates. */
+    _toWorld(lx, ly) {
+        const cos = Math.cos(this._angle);
+        const sin = Math.sin(this._angle);
+        return { x: this._x + lx * cos - ly * sin, y: this._y + lx * sin + ly * cos };
     }
+
+    /** Put the handles and trigger lever where the pivot and angle say. */
+    _place() {
+        const parts = [
+            [this._handle, -HANDLE_LENGTH / 2, 0],
+            [this._trigger, TRIGGER_X, HANDLE_THICKNESS / 2 + TRIGGER_LENGTH / 2 - 2],
+        ];
+        for (const [body, lx, ly] of parts) {
+            Body.setAngle(body, this._angle);
+            Body.setPosition(body, this._toWorld(lx, ly));
+        }
+    }
+}
+
+// ── Cutting geometry ─────────────────────────────
+
+/**
+ * True if the segment a–b passes through the convex polygon `blade`.
+ * @param {{ x: number, y: number }[]} blade
+ * @param {{ x: number, y: number }} a
+ * @param {{ x: number, y: number }} b
+ * @returns {boolean}
+ */
+export function bladeCrosses(blade, a, b) {
+    if (Vertices.contains(blade, a) || Vertices.contains(blade, b)) return true;
+    for (let i = 0; i < blade.length; i++) {
+        if (segmentsCross(a, b, blade[i], blade[(i + 1) % blade.length])) return true;
+    }
+    return false;
+}
+
+/**
+ * True if a circle overlaps the convex polygon `blade`.
+ * @param {{ x: number, y: number }[]} blade
+ * @param {{ x: number, y: number }} centre
+ * @param {number} radius
+ * @returns {boolean}
+ */
+export function bladeReaches(blade, centre, radius) {
+    if (Vertices.contains(blade, centre)) return true;
+    for (let i = 0; i < blade.length; i++) {
+        if (distanceToSegment(centre, blade[i], blade[(i + 1) % blade.length]) <= radius) return true;
+    }
+    return false;
+}
+
+function segmentsCross(a, b, c, d) {
+    const side = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+    const d1 = side(c, d, a);
+    const d2 = side(c, d, b);
+    const d3 = side(a, b, c);
+    const d4 = side(a, b, d);
+    return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+    return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
 }
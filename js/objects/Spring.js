@@ -115,6 +115,16 @@ export default class Spring extends BaseObject {
         }
     }
 
+    saveState() {
+        return { compression: this._compression, triggered: this._triggered, cooldown: this._cooldown };
+    }
+
+    restoreState(state) {
+        this._compression = state.compression;
+        this._triggered = state.triggered;
+        this._cooldown = state.cooldown;
+    }
+
     draw(ctx) {
         const basePos = this._base.position;
         const platPos = this._platform.position;
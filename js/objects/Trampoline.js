@@ -77,6 +77,14 @@ export default class Trampoline extends BaseObject {
         }
     }
 
+    saveState() {
+        return { stretch: this._stretch };
+    }
+
+    restoreState(state) {
+        this._stretch = state.stretch;
+    }
+
     draw(ctx) {
         const pos = this._body.position;
         const angle = this._body.angle;
@@ -0,0 +1,200 @@
+/**
+ * WaterWheel — Paddle wheel turned by falling water
+ *
+ * Pour water onto one side of the wheel and it turns, faster the harder
+ * the stream hits it, and coasts to a stop once the water stops. Run a
+ * drive belt from it, or mesh a gear with its rim, to power other
+ * machines.
+ */
+
+import Matter from 'matter-js';
+import BaseObject from './BaseObject.js';
+import { DROP_MASS } from '../engine/WaterSystem.js';
+
+const { Bodies, Body } = Matter;
+
+const WHEEL_RADIUS = 32;
+const PADDLES = 8;
+const PADDLE_LENGTH = 10;
+const HIT_GAIN = 0.04;  // spin per drop, per px/step of r × v over r²
+const COAST = 0.95;
+const MAX_SPIN = 0.1;
+const MIN_SPIN = 0.002;
+const WOOD_COLOR = '#8b5a2b';
+const PADDLE_COLOR = '#a8733f';
+
+export default class WaterWheel extends BaseObject {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this._driveSpeed = 0;
+
+        this._body = Bodies.circle(x, y, WHEEL_RADIUS, {
+            isStatic: true,
+            friction: 0.6,
+            label: 'water-wheel',
+        });
+
+        /** @type {number} Speed the water gives it, radians per step (positive = clockwise) */
+        this._spin = 0;
+
+        /** @type {number} Spin added by drops since the last step */
+        this._push = 0;
+    }
+
+    get type() { return 'water-wheel'; }
+    get bodies() { return [this._body]; }
+
+    /** @returns {number} Radians per step the water is turning it */
+    get spin() { return this._spin; }
+
+    get bounds() {
+        const pos = this._body.position;
+        const r = WHEEL_RADIUS + PADDLE_LENGTH;
+        return { x: pos.x - r, y: pos.y - r, width: r * 2, height: r * 2 };
+    }
+
+    get driveWheels() {
+        const pos = this._body.position;
+        return [{ x: pos.x, y: pos.y, radius: WHEEL_RADIUS, teeth: 0 }];
+    }
+
+    get driveSource() {
+        return Math.abs(this._spin) >= MIN_SPIN ? this._spin : null;
+    }
+
+    get driveSpeed() {
+        return this._driveSpeed;
+    }
+
+    setDriveSpeed(speed) {
+        this._driveSpeed = speed;
+    }
+
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        Body.setPosition(this._body, { x, y });
+    }
+
+    setAngle(angle) {
+        super.setAngle(angle);
+        Body.setAngle(this._body, angle);
+    }
+
+    onWaterHit({ point, velocity, mass }) {
+        // Water hitting the rim off-centre turns it: r × v, over r²
+        const pos = this._body.position;
+        const rx = point.x - pos.x;
+        const ry = point.y - pos.y;
+        const r2 = rx * rx + ry * ry;
+        if (r2 === 0) return;
+        this._push += HIT_GAIN * (mass / DROP_MASS) * (rx * velocity.y - ry * velocity.x) / r2;
+    }
+
+    onBeforeUpdate() {
+        this._spin = Math.max(-MAX_SPIN, Math.min(MAX_SPIN, this._spin * COAST + this._push));
+        this._push = 0;
+        if (this._driveSpeed === 0) return;
+        Body.setAngle(this._body, this._body.angle + this._driveSpeed);
+    }
+
+    saveState() {
+        return { spin: this._spin, push: this._push, driveSpeed: this._driveSpeed };
+    }
+
+    restoreState(state) {
+        this._spin = state.spin;
+        this._push = state.push;
+        this._driveSpeed = state.driveSpeed;
+    }
+
+    draw(ctx) {
+        const pos = this._body.position;
+
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+
+        // Stand
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(-WHEEL_RADIUS * 0.6, WHEEL_RADIUS + 8);
+        ctx.lineTo(0, 0);
+        ctx.lineTo(WHEEL_RADIUS * 0.6, WHEEL_RADIUS + 8);
+        ctx.stroke();
+
+        ctx.rotate(this._body.angle);
+
+        // Paddles
+        ctx.fillStyle = PADDLE_COLOR;
+        ctx.strokeStyle = '#5a3a1a';
+        ctx.lineWidth = 1;
+        for (let i = 0; i < PADDLES; i++) {
+            ctx.save();
+            ctx.rotate((i / PADDLES) * Math.PI * 2);
+            ctx.fillRect(WHEEL_RADIUS - 4, -3, PADDLE_LENGTH + 4, 6);
+            ctx.strokeRect(WHEEL_RADIUS - 4, -3, PADDLE_LENGTH + 4, 6);
+            ctx.restore();
+        }
+
+        // Rim and spokes
+        ctx.strokeStyle = WOOD_COLOR;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(0, 0, WHEEL_RADIUS - 2, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.lineWidth = 2;
+        for (let i = 0; i < PADDLES / 2; i++) {
+            const a = (i / (PADDLES / 2)) * Math.PI;
+            ctx.beginPath();
+            ctx.moveTo(Math.cos(a) * WHEEL_RADIUS, Math.sin(a) * WHEEL_RADIUS);
+            ctx.lineTo(-Math.cos(a) * WHEEL_RADIUS, -Math.sin(a) * WHEEL_RADIUS);
+            ctx.stroke();
+        }
+
+        // Hub
+        ctx.fillStyle = '#333';
+        ctx.beginPath();
+        ctx.arc(0, 0, 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    drawToolboxIcon(ctx, w, h) {
+        const cx = w / 2;
+        const cy = h / 2;
+        const r = Math.min(w, h) * 0.28;
+
+        ctx.strokeStyle = WOOD_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = PADDLE_COLOR;
+        for (let i = 0; i < PADDLES; i++) {
+            const a = (i / PADDLES) * Math.PI * 2;
+            ctx.save();
+            ctx.translate(cx, cy);
+            ctx.rotate(a);
+            ctx.fillRect(r - 1, -2, 6, 4);
+            ctx.restore();
+        }
+
+        ctx.fillStyle = '#3a8fd8';
+        ctx.beginPath();
+        ctx.arc(cx + r + 2, cy - r - 4, 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    static deserialize(data) {
+        return new WaterWheel(data.x, data.y, {
+            angle: data.angle,
+            isFixed: data.isFixed,
+        });
+    }
+
+    dispose() {
+        this._body = null;
+    }
+}
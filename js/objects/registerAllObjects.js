@@ -16,12 +16,38 @@ import Spring from './Spring.js';
 import Domino from './Domino.js';
 import Gear from './Gear.js';
 import Pulley from './Pulley.js';
+import Lever from './Lever.js';
 import Balloon from './Balloon.js';
 import Bucket from './Bucket.js';
 import Candle from './Candle.js';
 import Rope from './Rope.js';
 import Scissors from './Scissors.js';
 import Mouse from './Mouse.js';
+import Outlet from './Outlet.js';
+import Cord from './Cord.js';
+import LightSwitch from './LightSwitch.js';
+import Motor from './Motor.js';
+import DriveBelt from './DriveBelt.js';
+import HamsterWheel from './HamsterWheel.js';
+import Fuse from './Fuse.js';
+import Paper from './Paper.js';
+import Match from './Match.js';
+import Dynamite from './Dynamite.js';
+import GunpowderKeg from './GunpowderKeg.js';
+import BlastBalloon from './BlastBalloon.js';
+import Cat from './Cat.js';
+import MouseHole from './MouseHole.js';
+import Faucet from './Faucet.js';
+import WaterWheel from './WaterWheel.js';
+import Magnet from './Magnet.js';
+import ElectroMagnet from './ElectroMagnet.js';
+import Laser from './Laser.js';
+import Mirror from './Mirror.js';
+import Prism from './Prism.js';
+import BeamSplitter from './BeamSplitter.js';
+import LightSensor from './LightSensor.js';
+import Portal from './Portal.js';
+import Breakable from './Breakable.js';
 
 /**
  * Register all game objects with the central ObjectRegistry.
@@ -33,6 +59,7 @@ export function registerAllObjects() {
         displayName: 'Bowling Ball',
         category: 'balls',
         description: 'Heavy ball — rolls, bounces, and smashes.',
+        material: 'metal',
     });
 
     objectRegistry.register('tennis-ball', class TennisBall extends Ball {
@@ -43,6 +70,7 @@ export function registerAllObjects() {
         displayName: 'Tennis Ball',
         category: 'balls',
         description: 'Light bouncy ball.',
+        material: 'rubber',
     });
 
     objectRegistry.register('baseball', class Baseball extends Ball {
@@ -53,6 +81,7 @@ export function registerAllObjects() {
         displayName: 'Baseball',
         category: 'balls',
         description: 'Medium-weight ball.',
+        material: 'leather',
     });
 
     // ── Surfaces ─────────────────────────────────
@@ -65,7 +94,7 @@ export function registerAllObjects() {
     objectRegistry.register('conveyor', Conveyor, {
         displayName: 'Conveyor Belt',
         category: 'surfaces',
-        description: 'Moving belt that pushes objects along.',
+        description: 'Moving belt that pushes objects along — needs power or a drive belt.',
     });
 
     objectRegistry.register('trampoline', Trampoline, {
@@ -78,7 +107,14 @@ export function registerAllObjects() {
     objectRegistry.register('fan', Fan, {
         displayName: 'Fan',
         category: 'machines',
-        description: 'Blows wind to push objects away.',
+        description: 'Blows wind to push objects away — needs power.',
+    });
+
+    objectRegistry.register('magnet', Magnet, {
+        displayName: 'Magnet',
+        category: 'machines',
+        description: 'Pulls metal things toward its poles — bowling balls, scissors.',
+        material: 'metal',
     });
 
     objectRegistry.register('spring', Spring, {
@@ -90,13 +126,180 @@ export function registerAllObjects() {
     objectRegistry.register('gear', Gear, {
         displayName: 'Gear',
         category: 'machines',
-        description: 'Rotating wheel — meshes with adjacent gears.',
+        description: 'Toothed wheel — turns when meshed with a driven gear or motor.',
+    });
+
+    objectRegistry.register('belt', DriveBelt, {
+        displayName: 'Drive Belt',
+        category: 'machines',
+        description: 'Links two wheels at a distance — both turn the same way.',
+    });
+
+    objectRegistry.register('hamster-wheel', HamsterWheel, {
+        displayName: 'Hamster Wheel',
+        category: 'machines',
+        description: 'Bump it and the hamster runs — drives belts and gears.',
     });
 
     objectRegistry.register('pulley', Pulley, {
         displayName: 'Pulley',
         category: 'machines',
-        description: 'Two platforms linked by ropes — one goes up, the other goes down.',
+        description: 'One rope over a wheel — pull one end down and the other goes up. Tie loads to either end.',
+    });
+
+    objectRegistry.register('lever', Lever, {
+        displayName: 'Lever',
+        category: 'machines',
+        description: 'See-saw plank on a fulcrum — drop a weight on one end to fling the other up.',
+    });
+
+    objectRegistry.register('portal', Portal, {
+        displayName: 'Portal',
+        category: 'machines',
+        description: 'Whatever goes in comes out of its partner — drag its handle onto another portal to pair them.',
+    });
+
+    // ── Electrical ───────────────────────────────
+    objectRegistry.register('outlet', Outlet, {
+        displayName: 'Wall Outlet',
+        category: 'electrical',
+        description: 'Power source — plug cords into its sockets.',
+    });
+
+    objectRegistry.register('cord', Cord, {
+        displayName: 'Electrical Cord',
+        category: 'electrical',
+        description: 'Carries power between the sockets its plugs sit in.',
+    });
+
+    objectRegistry.register('switch', LightSwitch, {
+        displayName: 'Light Switch',
+        category: 'electrical',
+        description: 'Passes power through while on — flips when hit.',
+    });
+
+    objectRegistry.register('motor', Motor, {
+        displayName: 'Motor',
+        category: 'electrical',
+        description: 'Spins its toothed roller while powered — drives gears and belts.',
+    });
+
+    objectRegistry.register('electromagnet', ElectroMagnet, {
+        displayName: 'Electromagnet',
+        category: 'electrical',
+        description: 'Pulls metal things toward its poles while powered.',
+        material: 'metal',
+    });
+
+    // ── Fire ─────────────────────────────────────
+    objectRegistry.register('match', Match, {
+        displayName: 'Match',
+        category: 'fire',
+        description: 'Lights when it strikes something — burns for a few seconds.',
+    });
+
+    objectRegistry.register('fuse', Fuse, {
+        displayName: 'Fuse',
+        category: 'fire',
+        description: 'Carries fire along its length — light it anywhere.',
+    });
+
+    objectRegistry.register('paper', Paper, {
+        displayName: 'Paper',
+        category: 'fire',
+        description: 'Light sheet — catches fast and burns hot.',
+    });
+
+    objectRegistry.register('dynamite', Dynamite, {
+        displayName: 'Dynamite',
+        category: 'fire',
+        description: 'Light the fuse and stand back — blasts flung things away.',
+    });
+
+    objectRegistry.register('keg', GunpowderKeg, {
+        displayName: 'Gunpowder Keg',
+        category: 'fire',
+        description: 'No fuse — goes up the moment fire or a blast reaches it.',
+    });
+
+    // ── Water ────────────────────────────────────
+    objectRegistry.register('faucet', Faucet, {
+        displayName: 'Faucet',
+        category: 'water',
+        description: 'Pours water — fills buckets, douses candles, turns water wheels.',
+    });
+
+    objectRegistry.register('water-wheel', WaterWheel, {
+        displayName: 'Water Wheel',
+        category: 'water',
+        description: 'Turned by falling water — drives belts and gears.',
+    });
+
+    // ── Light ────────────────────────────────────
+    objectRegistry.register('laser', Laser, {
+        displayName: 'Laser',
+        category: 'light',
+        description: 'Shines a beam straight out of its muzzle — stopped by anything in the way.',
+        material: 'metal',
+    });
+
+    objectRegistry.register('mirror', Mirror, {
+        displayName: 'Mirror',
+        category: 'light',
+        description: 'Bounces laser beams off either face — rotate it to aim.',
+    });
+
+    objectRegistry.register('prism', Prism, {
+        displayName: 'Prism',
+        category: 'light',
+        description: 'Glass triangle — bends beams passing through it.',
+    });
+
+    objectRegistry.register('splitter', BeamSplitter, {
+        displayName: 'Beam Splitter',
+        category: 'light',
+        description: 'Half-silvered glass — lets a beam through and reflects a copy.',
+    });
+
+    objectRegistry.register('light-sensor', LightSensor, {
+        displayName: 'Light Sensor',
+        category: 'light',
+        description: 'Fires when a laser beam reaches it.',
+    });
+
+    // ── Breakables ───────────────────────────────
+
+    objectRegistry.register('glass-pane', Breakable, {
+        displayName: 'Glass Pane',
+        category: 'breakables',
+        description: 'Shatters at the lightest knock — and lets whatever broke it through.',
+    });
+
+    objectRegistry.register('brick-wall', class BrickWall extends Breakable {
+        constructor(x, y, opts = {}) { super(x, y, { ...opts, variant: 'brick' }); }
+        static deserialize(data) { return new BrickWall(data.x, data.y, { ...data.options, angle: data.angle, isFixed: data.isFixed }); }
+    }, {
+        displayName: 'Brick Wall',
+        category: 'breakables',
+        description: 'Stops most things — only a heavy, fast hit or a blast knocks it down.',
+    });
+
+    objectRegistry.register('egg-crate', class EggCrate extends Breakable {
+        constructor(x, y, opts = {}) { super(x, y, { ...opts, variant: 'crate' }); }
+        static deserialize(data) { return new EggCrate(data.x, data.y, { ...data.options, angle: data.angle, isFixed: data.isFixed }); }
+    }, {
+        displayName: 'Egg Crate',
+        category: 'breakables',
+        description: 'Cracks open if it is dropped or anything lands on it.',
+    });
+
+    objectRegistry.register('vase', class Vase extends Breakable {
+        constructor(x, y, opts = {}) { super(x, y, { ...opts, variant: 'vase' }); }
+        static deserialize(data) { return new Vase(data.x, data.y, { ...data.options, angle: data.angle, isFixed: data.isFixed }); }
+    }, {
+        displayName: 'Vase',
+        category: 'breakables',
+        description: 'Stands up to a nudge, but smashes if it falls off anything.',
     });
 
     // ── Triggers / Special ───────────────────────
@@ -104,24 +307,51 @@ export function registerAllObjects() {
         displayName: 'Domino',
         category: 'triggers',
         description: 'Thin tile that topples over — chain reaction!',
+        material: 'wood',
     });
 
     objectRegistry.register('balloon', Balloon, {
         displayName: 'Balloon',
         category: 'triggers',
-        description: 'Floats upward — pop with scissors or flame.',
+        description: 'Floats upward and lifts whatever its string is tied to — pop with scissors or flame.',
+    });
+
+    objectRegistry.register('mini-balloon', class MiniBalloon extends Balloon {
+        constructor(x, y, opts = {}) { super(x, y, { ...opts, variant: 'mini' }); }
+        get type() { return 'mini-balloon'; }
+        static deserialize(data) { return new MiniBalloon(data.x, data.y, data.options); }
+    }, {
+        displayName: 'Mini Balloon',
+        category: 'triggers',
+        description: 'Small balloon — only lifts light things.',
+    });
+
+    objectRegistry.register('helium-balloon', class HeliumBalloon extends Balloon {
+        constructor(x, y, opts = {}) { super(x, y, { ...opts, variant: 'helium' }); }
+        get type() { return 'helium-balloon'; }
+        static deserialize(data) { return new HeliumBalloon(data.x, data.y, data.options); }
+    }, {
+        displayName: 'Helium Balloon',
+        category: 'triggers',
+        description: 'Big balloon — lifts heavy loads quickly.',
+    });
+
+    objectRegistry.register('blast-balloon', BlastBalloon, {
+        displayName: 'Blast Balloon',
+        category: 'triggers',
+        description: 'Over-inflated balloon — bursts with a shockwave.',
     });
 
     objectRegistry.register('bucket', Bucket, {
         displayName: 'Bucket',
         category: 'triggers',
-        description: 'Goal container — catch objects inside.',
+        description: 'Goal container — catch objects inside. Holds water, too.',
     });
 
     objectRegistry.register('candle', Candle, {
         displayName: 'Candle',
         category: 'triggers',
-        description: 'Flickering flame — burns ropes, pops balloons.',
+        description: 'Flame that burns ropes, fuses and paper, and pops balloons held over it.',
     });
 
     objectRegistry.register('rope', Rope, {
@@ -133,7 +363,8 @@ export function registerAllObjects() {
     objectRegistry.register('scissors', Scissors, {
         displayName: 'Scissors',
         category: 'triggers',
-        description: 'Sharp blades — cut ropes, pop balloons.',
+        description: 'Snap shut when bumped — cut ropes, pop balloons.',
+        material: 'metal',
     });
 
     objectRegistry.register('mouse', Mouse, {
@@ -142,6 +373,18 @@ export function registerAllObjects() {
         description: 'Walks left and right — adds life to puzzles.',
     });
 
+    objectRegistry.register('cat', Cat, {
+        displayName: 'Cat',
+        category: 'triggers',
+        description: 'Naps until it spots a mouse, then gives chase. Fire and bangs scare it off.',
+    });
+
+    objectRegistry.register('mouse-hole', MouseHole, {
+        displayName: 'Mouse Hole',
+        category: 'triggers',
+        description: 'A mouse that reaches it is safe from the cat.',
+    });
+
     console.log(`[ObjectRegistry] Registered ${objectRegistry.getAll().length} object types across ${objectRegistry.getCategories().length} categories.`);
 }
 
@@ -1,13 +1,15 @@
 /**
  * Renderer — Canvas 2D drawing orchestrator
  *
- * Manages the <canvas> element, draws all game objects each frame,
- * handles selection UI and ghost drag previews, and provides
+ * Manages the <canvas> element, draws all game objects, the water and
+ * the laser beams each frame, handles selection UI and ghost drag previews, and provides
  * hit-testing for click-to-select.
  */
 
 import { eventBus } from '../EventBus.js';
 import { objectRegistry } from '../objects/ObjectRegistry.js';
+import { DROP_RADIUS } from '../engine/WaterSystem.js';
+import { getMaterial } from '../objects/Materials.js';
 
 class Renderer {
     constructor() {
@@ -31,17 +33,30 @@ class Renderer {
         /** Objects list reference (set each frame) */
         this._objects = [];
 
+        /** @type {import('../engine/WaterSystem.js').WaterSystem|null} Drops to draw over the objects */
+        this._water = null;
+
+        /** @type {import('../engine/Optics.js').Optics|null} Beams to draw over the objects */
+        this._optics = null;
+
         /** Animation frame ID */
         this._rafId = null;
 
         /** Playfield background color (TIM warm off-white) */
         this.BG_COLOR = '#e8e0d0';
 
+        /** Water drop color */
+        this.WATER_COLOR = 'rgba(58, 143, 216, 0.75)';
+
+        /** Laser beam color, for beams that don't carry their own */
+        this.BEAM_COLOR = '#ff2020';
+
         /** Selection handle colors */
         this.HANDLE_COLORS = {
             move: '#4080ff',
             rotate: '#40c040',
             delete: '#e04040',
+            end: '#c08020',
         };
     }
 
@@ -56,7 +71,7 @@ class Renderer {
         // Listen for mode changes
         eventBus.on('mode:changed', ({ newMode }) => {
             this._mode = newMode;
-            if (newMode === 'PLAYING' || newMode === 'PAUSED') {
+            if (newMode === 'PLAYING' || newMode === 'PAUSED' || newMode === 'REPLAY') {
                 this.selectedObject = null;
             }
         });
@@ -100,6 +115,22 @@ class Renderer {
         this._objects = objects;
     }
 
+    /**
+     * Set the water to draw each frame.
+     * @param {import('../engine/WaterSystem.js').WaterSystem|null} water
+     */
+    setWater(water) {
+        this._water = water;
+    }
+
+    /**
+     * Set the laser beams to draw each frame.
+     * @param {import('../engine/Optics.js').Optics|null} optics
+     */
+    setOptics(optics) {
+        this._optics = optics;
+    }
+
     /**
      * Main render call — draw one frame.
      * @param {BaseObject[]} [objects] - Optional override
@@ -124,14 +155,27 @@ class Renderer {
             ctx.save();
             obj.draw(ctx);
             ctx.restore();
+
+            // Objects made of something else than usual wear its colour
+            if (obj.materialOverride) this._drawMaterialTint(ctx, obj);
+        }
+
+        // 4. Draw the water over everything it has poured into
+        if (this._water && this._water.count > 0) {
+            this._drawWater(ctx, this._water);
         }
 
-        // 4. Draw selection handles on the selected object (edit modes only)
+        // 5. Draw the laser beams on top, so nothing hides where they go
+        if (this._optics && this._optics.beams.length > 0) {
+            this._drawBeams(ctx, this._optics.beams);
+        }
+
+        // 6. Draw selection handles on the selected object (edit modes only)
         if (this.selectedObject && (this._mode === 'EDITING' || this._mode === 'SANDBOX')) {
             this._drawSelectionHandles(ctx, this.selectedObject);
         }
 
-        // 5. Draw drag ghost
+        // 7. Draw drag ghost
         if (this._ghostObj && this.ghostState) {
             ctx.save();
             ctx.globalAlpha = 0.5;
@@ -203,7 +247,8 @@ class Renderer {
      * Get the selection handle hit at a canvas point.
      * @param {number} x
      * @param {number} y
-     * @returns {'move'|'rotate'|'delete'|null}
+     * @returns {string|null} 'move', 'rotate', 'delete', or 'end-<i>' for
+     *   one of the object's linkEnds
      */
     getHandleAtPoint(x, y) {
         if (!this.selectedObject) return null;
@@ -239,6 +284,61 @@ class Renderer {
         ctx.restore();
     }
 
+    _drawWater(ctx, water) {
+        // One path for every drop keeps hundreds of them cheap to draw
+        const r = DROP_RADIUS + 0.5;
+        ctx.save();
+        ctx.fillStyle = this.WATER_COLOR;
+        ctx.beginPath();
+        water.forEachDrop((x, y) => {
+            ctx.moveTo(x + r, y);
+            ctx.arc(x, y, r, 0, Math.PI * 2);
+        });
+        ctx.fill();
+        ctx.restore();
+    }
+
+    _drawMaterialTint(ctx, obj) {
+        const tint = getMaterial(obj.materialOverride)?.tint;
+        if (!tint) return;
+
+        ctx.save();
+        ctx.fillStyle = tint;
+        ctx.globalAlpha = 0.45;
+        ctx.beginPath();
+        for (const body of obj.bodies) {
+            if (body.isSensor) continue;
+            for (const part of body.parts.length > 1 ? body.parts.slice(1) : body.parts) {
+                const verts = part.vertices;
+                ctx.moveTo(verts[0].x, verts[0].y);
+                for (let i = 1; i < verts.length; i++) ctx.lineTo(verts[i].x, verts[i].y);
+                ctx.closePath();
+            }
+        }
+        ctx.fill();
+        ctx.restore();
+    }
+
+    _drawBeams(ctx, beams) {
+        ctx.save();
+        ctx.lineCap = 'round';
+        for (const beam of beams) {
+            // Soft glow, then a bright core
+            ctx.strokeStyle = beam.color || this.BEAM_COLOR;
+            ctx.globalAlpha = 0.25;
+            ctx.lineWidth = 6;
+            ctx.beginPath();
+            ctx.moveTo(beam.from.x, beam.from.y);
+            ctx.lineTo(beam.to.x, beam.to.y);
+            ctx.stroke();
+
+            ctx.globalAlpha = 1;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
     _drawSelectionHandles(ctx, obj) {
         const b = obj.bounds;
 
@@ -255,7 +355,7 @@ class Renderer {
         for (const [name, hx, hy] of handles) {
             ctx.beginPath();
             ctx.arc(hx, hy, 8, 0, Math.PI * 2);
-            ctx.fillStyle = this.HANDLE_COLORS[name];
+            ctx.fillStyle = this.HANDLE_COLORS[name] ?? this.HANDLE_COLORS.end;
             ctx.fill();
             ctx.strokeStyle = '#fff';
             ctx.lineWidth = 2;
@@ -280,6 +380,7 @@ class Renderer {
             ['move', b.x + b.width / 2, b.y - 14],
             ['rotate', b.x + b.width + 14, b.y + b.height / 2],
             ['delete', b.x - 14, b.y + b.height / 2],
+            ...(obj.linkEnds ?? []).map((p, i) => [`end-${i}`, p.x, p.y]),
         ];
     }
 }
@@ -6,6 +6,7 @@
  * - Clicking placed objects to select them
  * - Moving selected objects by dragging
  * - Rotating selected objects via handle
+ * - Dragging the ends of ropes onto other objects to tie them on
  * - Deleting selected objects (right-click or Delete key)
  *
  * Coordinates between the Toolbox (inventory) and Renderer (canvas).
@@ -27,12 +28,13 @@ class DragDropManager {
 
         /** Drag state */
         this._dragging = false;
-        this._dragType = null;       // 'toolbox' | 'move' | 'rotate'
+        this._dragType = null;       // 'toolbox' | 'move' | 'rotate' | 'link-end'
         this._dragObjType = null;    // object type from registry (for toolbox drags)
         this._dragObject = null;     // object being moved/rotated
         this._dragStartX = 0;
         this._dragStartY = 0;
         this._dragStartAngle = 0;
+        this._dragEnd = 0;           // index into linkEnds (for link-end drags)
 
         /** @type {BaseObject|null} */
         this._selectedObject = null;
@@ -82,6 +84,10 @@ class DragDropManager {
                     this._startRotateObject(pos.x, pos.y);
                     return;
                 }
+                if (handle?.startsWith('end-')) {
+                    this._startDragLinkEnd(Number(handle.slice(4)));
+                    return;
+                }
             }
 
             // Check for clicking on an object
@@ -114,6 +120,8 @@ class DragDropManager {
                 const objY = this._dragObject.y;
                 const angle = Math.atan2(pos.y - objY, pos.x - objX);
                 this._dragObject.setAngle(angle);
+            } else if (this._dragType === 'link-end' && this._dragObject) {
+                this._dragObject.setLinkEnd(this._dragEnd, pos, null);
             }
         });
 
@@ -127,11 +135,16 @@ class DragDropManager {
                 this._placeObject(this._dragObjType, pos.x, pos.y);
                 eventBus.emit('drag:ghost-clear');
             } else if (this._dragType === 'move' && this._dragObject) {
+                // Ropes tied to it follow
+                objectRegistry.linkObjects(this._objects);
                 eventBus.emit('object:moved', {
                     id: this._dragObject.id,
                     x: this._dragObject.x,
                     y: this._dragObject.y,
                 });
+            } else if (this._dragType === 'link-end' && this._dragObject) {
+                const pos = renderer.pageToCanvas(e.pageX, e.pageY);
+                this._tieLinkEnd(pos.x, pos.y);
             }
 
             this._dragging = false;
@@ -197,6 +210,7 @@ class DragDropManager {
                 this._objects.splice(i, 1);
             }
         }
+        objectRegistry.linkObjects(this._objects);
         this._selectObject(null);
     }
 
@@ -236,6 +250,47 @@ class DragDropManager {
         this._dragStartAngle = this._selectedObject.angle;
     }
 
+    _startDragLinkEnd(end) {
+        if (!this._selectedObject || this._selectedObject.isFixed) return;
+        this._dragging = true;
+        this._dragType = 'link-end';
+        this._dragObject = this._selectedObject;
+        this._dragEnd = end;
+    }
+
+    /**
+     * Drop the dragged end: tie it to whatever is under it, or leave it
+     * free. Objects with linkEnds move them through setLinkEnd(end, point, target).
+     */
+    _tieLinkEnd(x, y) {
+        const obj = this._dragObject;
+        const target = renderer.getObjectAtPoint(x, y, this._objects.filter(o => o !== obj));
+
+        // Ties refer to objects by level id — give placed objects one.
+        // Some links point back as well (portal pairs), so both ends get one.
+        if (target && !target._goalId) {
+            target._goalId = this._newLinkId(target);
+        }
+        if (target && !obj._goalId) {
+            obj._goalId = this._newLinkId(obj);
+        }
+
+        obj.setLinkEnd(this._dragEnd, { x, y }, target);
+        eventBus.emit('object:linked', {
+            id: obj.id,
+            end: this._dragEnd,
+            targetId: target ? target._goalId : null,
+        });
+    }
+
+    /** A level id for `obj` that nothing on the board uses yet. */
+    _newLinkId(obj) {
+        const taken = new Set(this._objects.map(o => o._goalId));
+        let n = obj.id;
+        while (taken.has(`${obj.type}-${n}`)) n++;
+        return `${obj.type}-${n}`;
+    }
+
     _placeObject(type, x, y) {
         // Check inventory
         const remaining = toolbox.getCount(type);
@@ -263,6 +318,9 @@ class DragDropManager {
         eventBus.emit('object:removed', { type: obj.type, id: obj.id });
         obj.dispose();
 
+        // Untie ropes that were tied to it
+        objectRegistry.linkObjects(this._objects);
+
         this._selectObject(null);
     }
 }
@@ -1,15 +1,35 @@
 /**
  * EditorPanel — Sandbox / level editor controls
  *
- * Provides save/load level, set goal, set available parts,
+ * Provides save/load level, set goal, set available parts, the
+ * material of the selected object, the level's gravity, air and wind,
  * and test functionality. Only visible in SANDBOX mode.
  */
 
 import { eventBus } from '../EventBus.js';
 import { objectRegistry } from '../objects/ObjectRegistry.js';
+import { MATERIALS, DEFAULT_MATERIAL } from '../objects/Materials.js';
+import { normalizeEnvironment } from '../engine/Environment.js';
+import { levelManager } from '../levels/LevelManager.js';
 import { dragDropManager } from './DragDropManager.js';
 import { setMode, AppMode } from '../main.js';
 
+/** Starting points for the environment fields */
+const ENVIRONMENT_PRESETS = {
+    earth: { label: 'Earth' },
+    moon: { label: 'Moon', gravity: { x: 0, y: 0.17 } },
+    underwater: { label: 'Underwater', airDensity: 8 },
+};
+
+/** The environment fields: [label, setting, axis] */
+const ENVIRONMENT_FIELDS = [
+    ['Gravity X', 'gravity', 'x'],
+    ['Gravity Y', 'gravity', 'y'],
+    ['Air density', 'airDensity', null],
+    ['Wind X', 'wind', 'x'],
+    ['Wind Y', 'wind', 'y'],
+];
+
 class EditorPanel {
     constructor() {
         /** @type {HTMLElement} */
@@ -20,6 +40,9 @@ class EditorPanel {
 
         /** Whether the panel is built */
         this._built = false;
+
+        /** @type {import('../objects/BaseObject.js').default|null} Object whose material the panel edits */
+        this._selected = null;
     }
 
     /**
@@ -44,9 +67,41 @@ class EditorPanel {
             }
         });
 
+        eventBus.on('object:selected', (obj) => {
+            this._selected = obj;
+            this._syncMaterialSelect();
+        });
+
         console.log('[EditorPanel] Initialized');
     }
 
+    /**
+     * Build the goal block for the puzzle being edited.
+     * No zoneId is set, so any bucket on the board counts as the goal zone.
+     * @returns {object}
+     */
+    getGoal() {
+        const type = this._goalSelect ? this._goalSelect.value : 'object_in_zone';
+        // Everything breakable has to go, not just balls
+        if (type === 'break_object') return { type };
+        return { type, targetType: 'ball' };
+    }
+
+    /**
+     * Build the environment block for the puzzle being edited.
+     * @returns {import('../engine/Environment.js').EnvironmentSettings}
+     */
+    getEnvironment() {
+        const block = {};
+        for (const { setting, axis, input } of this._envInputs ?? []) {
+            const value = parseFloat(input.value);
+            if (!Number.isFinite(value)) continue;
+            if (axis) block[setting] = { ...block[setting], [axis]: value };
+            else block[setting] = setting === 'airDensity' ? Math.max(0, value) : value;
+        }
+        return normalizeEnvironment(block);
+    }
+
     // ── Private ──────────────────────────────────
 
     _build() {
@@ -113,8 +168,13 @@ class EditorPanel {
         const goalTypes = [
             'object_in_zone',
             'pop_all_balloons',
+            'tilt_lever',
             'chain_complete',
             'mouse_in_zone',
+            'mouse_in_hole',
+            'cat_catches_mouse',
+            'light_sensor',
+            'break_object',
             'custom',
         ];
         for (const gt of goalTypes) {
@@ -127,6 +187,72 @@ class EditorPanel {
 
         this.container.appendChild(this._makeSep());
 
+        // Material of the selected object
+        const materialLabel = document.createElement('label');
+        materialLabel.textContent = 'Material:';
+        materialLabel.style.cssText = 'display: block; margin-bottom: 4px; font-weight: bold;';
+        this.container.appendChild(materialLabel);
+
+        this._materialSelect = document.createElement('select');
+        this._materialSelect.style.cssText = 'width: 100%; padding: 4px; margin-bottom: 8px; border-radius: 4px; border: 1px solid #404040;';
+        const defaultOpt = document.createElement('option');
+        defaultOpt.value = '';
+        defaultOpt.textContent = 'object default';
+        this._materialSelect.appendChild(defaultOpt);
+        for (const [name, material] of Object.entries(MATERIALS)) {
+            if (name === DEFAULT_MATERIAL) continue;
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = material.displayName;
+            this._materialSelect.appendChild(opt);
+        }
+        this._materialSelect.addEventListener('change', () => {
+            if (this._selected) this._selected.setMaterial(this._materialSelect.value || null);
+        });
+        this.container.appendChild(this._materialSelect);
+        this._syncMaterialSelect();
+
+        this.container.appendChild(this._makeSep());
+
+        // Gravity, air and wind
+        const envLabel = document.createElement('label');
+        envLabel.textContent = 'Environment:';
+        envLabel.style.cssText = 'display: block; margin-bottom: 4px; font-weight: bold;';
+        this.container.appendChild(envLabel);
+
+        const presetSelect = document.createElement('select');
+        presetSelect.style.cssText = 'width: 100%; padding: 4px; margin-bottom: 6px; border-radius: 4px; border: 1px solid #404040;';
+        for (const [name, preset] of Object.entries(ENVIRONMENT_PRESETS)) {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = preset.label;
+            presetSelect.appendChild(opt);
+        }
+        presetSelect.addEventListener('change', () => {
+            this._setEnvironmentInputs(ENVIRONMENT_PRESETS[presetSelect.value]);
+        });
+        this.container.appendChild(presetSelect);
+
+        const envGrid = document.createElement('div');
+        envGrid.style.cssText = 'display: grid; grid-template-columns: auto 1fr; gap: 4px 8px; align-items: center; margin-bottom: 8px;';
+        /** @type {{ setting: string, axis: string|null, input: HTMLInputElement }[]} */
+        this._envInputs = [];
+        for (const [label, setting, axis] of ENVIRONMENT_FIELDS) {
+            const name = document.createElement('span');
+            name.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '0.05';
+            if (setting === 'airDensity') input.min = '0';
+            input.style.cssText = 'width: 100%; padding: 2px 4px; border-radius: 4px; border: 1px solid #404040;';
+            envGrid.append(name, input);
+            this._envInputs.push({ setting, axis, input });
+        }
+        this.container.appendChild(envGrid);
+        this._setEnvironmentInputs();
+
+        this.container.appendChild(this._makeSep());
+
         // Test button
         const testBtn = document.createElement('button');
         testBtn.className = 'btn btn-success';
@@ -148,6 +274,23 @@ class EditorPanel {
         this.container.appendChild(menuBtn);
     }
 
+    /** Show the selected object's material; nothing selected, nothing to edit. */
+    _syncMaterialSelect() {
+        if (!this._materialSelect) return;
+        const obj = this._selected;
+        this._materialSelect.disabled = !obj;
+        this._materialSelect.value = obj?.materialOverride ?? '';
+    }
+
+    /** Fill the environment fields in from a level's block (Earth for missing fields). */
+    _setEnvironmentInputs(block) {
+        if (!this._envInputs) return;
+        const env = normalizeEnvironment(block);
+        for (const { setting, axis, input } of this._envInputs) {
+            input.value = String(axis ? env[setting][axis] : env[setting]);
+        }
+    }
+
     _makeSep() {
         const hr = document.createElement('hr');
         hr.style.cssText = 'border: none; border-top: 1px solid rgba(255,255,255,0.2); margin: 8px 0;';
@@ -166,29 +309,16 @@ class EditorPanel {
     }
 
     _saveLevel() {
-        const objects = dragDropManager.getObjects();
-        const fixedObjects = [];
-        const placedObjects = [];
-
-        for (const obj of objects) {
-            const data = obj.serialize();
-            if (obj.isFixed) {
-                fixedObjects.push(data);
-            } else {
-                placedObjects.push(data);
-            }
-        }
+        // Everything on the board is part of the level, whoever put it there
+        const fixedObjects = levelManager.serializeFixedObjects(dragDropManager.getObjects());
 
         const levelData = {
             id: `custom-${Date.now()}`,
             name: 'Custom Level',
             description: 'A custom puzzle created in the editor',
             difficulty: 1,
-            goal: {
-                type: this._goalSelect ? this._goalSelect.value : 'object_in_zone',
-                targetType: 'ball',
-                zoneId: 'bucket-goal',
-            },
+            goal: this.getGoal(),
+            environment: this.getEnvironment(),
             fixedObjects,
             availableParts: this._inferAvailableParts(),
             hints: [],
@@ -238,10 +368,11 @@ class EditorPanel {
             for (const objData of data.fixedObjects) {
                 try {
                     const obj = objectRegistry.create(objData.type, objData.x, objData.y, {
+                        ...objData.options,
                         angle: objData.angle,
                         isFixed: true,
                     });
-                    if (objData.id) obj._id = objData.id; // Preserve goal IDs
+                    if (objData.id) obj._goalId = objData.id; // Preserve goal IDs
                     objects.push(obj);
                 } catch (err) {
                     console.warn(`[EditorPanel] Could not create object: ${objData.type}`, err);
@@ -249,7 +380,9 @@ class EditorPanel {
             }
         }
 
+        objectRegistry.linkObjects(objects);
         dragDropManager.setObjects(objects);
+        this._setEnvironmentInputs(data.environment);
 
         // Emit level loaded for toolbox
         eventBus.emit('level:loaded', data);
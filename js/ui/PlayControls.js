@@ -1,11 +1,14 @@
 /**
- * PlayControls — Play / Pause / Reset / Speed UI
+ * PlayControls — Play / Pause / Reset / Step / Speed / Replay UI
  *
  * Renders transport-style control buttons into the #play-controls
- * DOM element and emits events on the EventBus.
+ * DOM element and emits events on the EventBus. The step buttons and
+ * the timeline scrubber move a paused run (see GameLoop.seekStep); the
+ * replay buttons watch, download, or load a recorded run (see RunRecorder).
  */
 
 import { eventBus } from '../EventBus.js';
+import { SPEEDS } from '../engine/GameLoop.js';
 
 class PlayControls {
     constructor() {
@@ -18,8 +21,20 @@ class PlayControls {
         /** Current speed multiplier */
         this._speed = 1;
 
+        /** @type {HTMLSelectElement|null} Speed selector */
+        this.speedSelect = null;
+
         /** Current mode */
         this._mode = 'MENU';
+
+        /** @type {object|null} Most recently recorded replay */
+        this._lastReplay = null;
+
+        /** True while a replay is playing (not paused) */
+        this._replayRunning = false;
+
+        /** @type {HTMLInputElement|null} Timeline scrubber (ms of simulation time) */
+        this.scrubber = null;
     }
 
     /**
@@ -39,13 +54,31 @@ class PlayControls {
         this._createButton('play', '▶', 'Play');
         this._createButton('pause', '⏸', 'Pause');
         this._createButton('reset', '⏹', 'Reset');
-        this._createButton('speed', '1×', 'Speed Toggle');
+        this._createButton('stepBack', '⏮', 'Step Back');
+        this._createButton('stepForward', '⏭', 'Step Forward');
+        this._createScrubber();
+        this._createSpeedSelect();
+        this._createButton('replay', '🎬', 'Watch Replay');
+        this._createButton('saveReplay', '💾', 'Download Replay');
+        this._createButton('loadReplay', '📂', 'Load Replay');
+
+        // Hidden file input for loading replays
+        this._fileInput = document.createElement('input');
+        this._fileInput.type = 'file';
+        this._fileInput.accept = '.json';
+        this._fileInput.style.display = 'none';
+        this._fileInput.addEventListener('change', (e) => this._onReplayFileSelected(e));
+        this.container.appendChild(this._fileInput);
 
         // Button click handlers
         this.buttons.play.addEventListener('click', () => this._onPlay());
         this.buttons.pause.addEventListener('click', () => this._onPause());
         this.buttons.reset.addEventListener('click', () => this._onReset());
-        this.buttons.speed.addEventListener('click', () => this._onSpeed());
+        this.buttons.stepBack.addEventListener('click', () => this._onStep(-1));
+        this.buttons.stepForward.addEventListener('click', () => this._onStep(1));
+        this.buttons.replay.addEventListener('click', () => this._onReplay());
+        this.buttons.saveReplay.addEventListener('click', () => this._onSaveReplay());
+        this.buttons.loadReplay.addEventListener('click', () => this._fileInput.click());
 
         // Keyboard shortcuts
         this._keyHandler = (e) => {
@@ -54,14 +87,23 @@ class PlayControls {
 
             if (e.code === 'Space') {
                 e.preventDefault();
-                if (this._mode === 'PLAYING') {
+                if (this._mode === 'PLAYING' || (this._mode === 'REPLAY' && this._replayRunning)) {
                     this._onPause();
+                } else if (this._mode === 'REPLAY') {
+                    this._onPlay();
                 } else if (this._mode === 'EDITING' || this._mode === 'PAUSED' || this._mode === 'SANDBOX') {
                     this._onPlay();
                 }
             } else if (e.code === 'KeyR' && !e.ctrlKey && !e.metaKey) {
                 e.preventDefault();
                 this._onReset();
+            } else if ((e.code === 'ArrowLeft' || e.code === 'ArrowRight') && (this._mode === 'PLAYING' || this._mode === 'PAUSED')) {
+                e.preventDefault();
+                this._onStep(e.code === 'ArrowLeft' ? -1 : 1);
+            } else if ((e.code === 'BracketLeft' || e.code === 'BracketRight') && !this.speedSelect.disabled) {
+                e.preventDefault();
+                const index = SPEEDS.indexOf(this._speed) + (e.code === 'BracketLeft' ? -1 : 1);
+                if (index >= 0 && index < SPEEDS.length) this._onSpeed(SPEEDS[index]);
             }
         };
         document.addEventListener('keydown', this._keyHandler);
@@ -72,6 +114,23 @@ class PlayControls {
             this._updateButtonStates();
         });
 
+        // Track the latest recording and replay playback
+        eventBus.on('replay:recorded', ({ replay }) => {
+            this._lastReplay = replay;
+            this._updateButtonStates();
+        });
+        eventBus.on('loop:play', () => { this._replayRunning = this._mode === 'REPLAY'; });
+        eventBus.on('loop:pause', () => { this._replayRunning = false; });
+        eventBus.on('replay:ended', () => { this._replayRunning = false; });
+
+        // Show the speed the loop is actually running at
+        eventBus.on('loop:speed', ({ speed }) => this._showSpeed(speed));
+
+        // Keep the scrubber on the run's current time
+        eventBus.on('loop:frame', ({ elapsed }) => this._setTimeline(elapsed, Math.max(elapsed, +this.scrubber.max)));
+        eventBus.on('loop:seek', ({ elapsed, maxElapsed }) => this._setTimeline(elapsed, maxElapsed));
+        eventBus.on('loop:reset', () => this._setTimeline(0, 0));
+
         // Initial state
         this._updateButtonStates();
 
@@ -91,6 +150,47 @@ class PlayControls {
         this.buttons[name] = btn;
     }
 
+    _createSpeedSelect() {
+        const select = document.createElement('select');
+        select.className = 'speed-select';
+        select.id = 'speed-select';
+        select.title = 'Simulation Speed';
+        select.setAttribute('aria-label', 'Simulation Speed');
+        for (const speed of SPEEDS) {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}×`;
+            select.appendChild(option);
+        }
+        select.value = String(this._speed);
+        select.addEventListener('change', () => this._onSpeed(Number(select.value)));
+        this.container.appendChild(select);
+        this.speedSelect = select;
+    }
+
+    _createScrubber() {
+        const scrubber = document.createElement('input');
+        scrubber.type = 'range';
+        scrubber.className = 'scrubber';
+        scrubber.id = 'scrubber';
+        scrubber.min = '0';
+        scrubber.max = '0';
+        scrubber.step = 'any';
+        scrubber.value = '0';
+        scrubber.title = 'Timeline';
+        scrubber.setAttribute('aria-label', 'Timeline');
+        scrubber.addEventListener('input', () => {
+            eventBus.emit('controls:seek', { elapsed: Number(scrubber.value) });
+        });
+        this.container.appendChild(scrubber);
+        this.scrubber = scrubber;
+    }
+
+    _setTimeline(elapsed, maxElapsed) {
+        this.scrubber.max = String(maxElapsed);
+        this.scrubber.value = String(elapsed);
+    }
+
     _onPlay() {
         eventBus.emit('controls:play');
     }
@@ -103,11 +203,56 @@ class PlayControls {
         eventBus.emit('controls:reset');
     }
 
-    _onSpeed() {
-        this._speed = this._speed === 1 ? 2 : 1;
-        this.buttons.speed.textContent = `${this._speed}×`;
-        this.buttons.speed.classList.toggle('btn-active', this._speed === 2);
-        eventBus.emit('controls:speed', { speed: this._speed });
+    /** @param {number} direction - -1 for back, 1 for forward */
+    _onStep(direction) {
+        eventBus.emit('controls:step', { direction });
+    }
+
+    /** @param {number} speed - One of SPEEDS */
+    _onSpeed(speed) {
+        this._showSpeed(speed);
+        eventBus.emit('controls:speed', { speed });
+    }
+
+    _showSpeed(speed) {
+        this._speed = speed;
+        this.speedSelect.value = String(speed);
+        this.speedSelect.classList.toggle('btn-active', speed !== 1);
+    }
+
+    _onReplay() {
+        eventBus.emit('controls:replay');
+    }
+
+    _onSaveReplay() {
+        if (!this._lastReplay) return;
+
+        const blob = new Blob([JSON.stringify(this._lastReplay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `replay-${this._lastReplay.levelId || 'sandbox'}-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    _onReplayFileSelected(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (ev) => {
+            try {
+                const replay = JSON.parse(ev.target.result);
+                eventBus.emit('controls:replay-load', { replay });
+            } catch (err) {
+                console.error('[PlayControls] Failed to parse replay JSON:', err);
+            }
+        };
+        reader.readAsText(file);
+
+        // Reset input so same file can be selected again
+        this._fileInput.value = '';
     }
 
     _updateButtonStates() {
@@ -118,6 +263,7 @@ class PlayControls {
             btn.classList.remove('btn-active', 'btn-pressed');
             btn.disabled = false;
         }
+        this.speedSelect.disabled = false;
 
         switch (mode) {
             case 'MENU':
@@ -125,6 +271,7 @@ class PlayControls {
                 for (const btn of Object.values(this.buttons)) {
                     btn.disabled = true;
                 }
+                this.speedSelect.disabled = true;
                 break;
 
             case 'EDITING':
@@ -144,11 +291,29 @@ class PlayControls {
                 break;
 
             case 'WON':
-                // Only reset is meaningful
+                // Only reset (and replays) are meaningful
                 this.buttons.play.disabled = true;
                 this.buttons.pause.disabled = true;
-                this.buttons.speed.disabled = true;
+                this.speedSelect.disabled = true;
                 break;
+
+            case 'REPLAY':
+                // Transport drives the replay; reset leaves it
+                this.buttons.replay.classList.add('btn-pressed');
+                break;
+        }
+
+        // Stepping pauses a playing run; scrubbing needs a paused one
+        const canStep = mode === 'PLAYING' || mode === 'PAUSED';
+        this.buttons.stepBack.disabled = !canStep;
+        this.buttons.stepForward.disabled = !canStep;
+        this.scrubber.disabled = mode !== 'PAUSED';
+
+        // Replay buttons need something recorded (a live run is being recorded)
+        if (mode !== 'MENU') {
+            const runInProgress = mode === 'PLAYING' || mode === 'PAUSED' || mode === 'WON';
+            this.buttons.replay.disabled = !this._lastReplay && !runInProgress;
+            this.buttons.saveReplay.disabled = !this._lastReplay;
         }
     }
 }
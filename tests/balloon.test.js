@@ -0,0 +1,109 @@
+/**
+ * Unit tests for balloon strings — lifting a tied load, cutting the
+ * string, lift variants, and sticking to ceilings and coming loose.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { objectRegistry } from '../js/objects/ObjectRegistry.js';
+import { registerAllObjects } from '../js/objects/registerAllObjects.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Breakable from '../js/objects/Breakable.js';
+import Ramp from '../js/objects/Ramp.js';
+import Scissors from '../js/objects/Scissors.js';
+import { usePhysics, run } from './helpers.js';
+
+registerAllObjects();
+
+/** A balloon of `variant` with its string tied to the top of a ball resting on the floor. */
+function balloonWithLoad(physics, variant, ballVariant, x = 300) {
+    const ball = new Ball(x, 560, { variant: ballVariant });
+    ball._goalId = `load-${x}`;
+    const balloon = new Balloon(x, 480, { variant });
+    balloon.setLinkEnd(0, { x, y: 550 }, ball);
+    for (const obj of [ball, balloon]) physics.addObject(obj);
+    return { ball, balloon };
+}
+
+describe('Balloon strings', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should lift a tied load until scissors cut the string', () => {
+        const { ball, balloon } = balloonWithLoad(physics, 'party', 'tennis');
+        // Jaws open across where the string hangs once the balloon reaches the ceiling
+        const scissors = new Scissors(325, 65, { angle: Math.PI });
+        physics.addObject(scissors);
+        const released = vi.fn();
+        eventBus.on('balloon:released', released);
+
+        physics.takeSnapshot();
+        run(physics, 60);
+        expect(balloon.isLifting).toBe(true);
+        expect(balloon.isStuck).toBe(true);
+        expect(ball.bodies[0].position.y).toBeLessThan(150);
+
+        scissors.close();
+        run(physics, 6);
+        expect(balloon.isPopped).toBe(false);
+        expect(balloon.isLifting).toBe(false);
+        expect(released).toHaveBeenCalledWith({ balloon, payload: ball });
+
+        run(physics, 150);
+        expect(ball.bodies[0].position.y).toBeGreaterThan(450);
+
+        physics.restoreSnapshot();
+        expect(balloon.isLifting).toBe(true);
+        expect(balloon.attachedObjects).toEqual([ball]);
+    });
+
+    it('should lift more the bigger the balloon', () => {
+        const mini = balloonWithLoad(physics, 'mini', 'baseball', 200);
+        const party = balloonWithLoad(physics, 'party', 'baseball', 450);
+        const helium = balloonWithLoad(physics, 'helium', 'bowling', 700);
+
+        run(physics, 300);
+        expect(mini.ball.bodies[0].position.y).toBeGreaterThan(500);
+        expect(party.ball.bodies[0].position.y).toBeLessThan(150);
+        expect(helium.ball.bodies[0].position.y).toBeLessThan(150);
+    });
+
+    it('should get stuck under a static edge, and keep its string tie through save and load', () => {
+        const shelf = new Ramp(400, 200, { width: 200, isFixed: true });
+        const balloon = new Balloon(420, 400);
+        physics.addObject(shelf);
+        physics.addObject(balloon);
+
+        run(physics, 120);
+        expect(balloon.isStuck).toBe(true);
+        const stuck = { ...balloon.bodies[0].position };
+        run(physics, 60);
+        expect(balloon.bodies[0].position).toEqual(stuck);
+
+        const { ball, balloon: tied } = balloonWithLoad(physics, 'helium', 'tennis', 700);
+        const saved = tied.serialize();
+        const restored = objectRegistry.create('balloon', saved.x, saved.y, { ...saved.options });
+        objectRegistry.linkObjects([restored, ball]);
+        expect(restored.variant).toBe('helium');
+        expect(restored.attachedObjects).toEqual([ball]);
+    });
+
+    it('should come loose once what it was stuck under shatters', () => {
+        // Lying flat, like a skylight, and too strong for the balloon to break
+        const pane = new Breakable(420, 200, { variant: 'glass', angle: Math.PI / 2, strength: 100 });
+        const balloon = new Balloon(420, 240);
+        physics.addObject(pane);
+        physics.addObject(balloon);
+
+        run(physics, 60);
+        expect(balloon.isStuck).toBe(true);
+        const stuck = balloon.bodies[0].position.y;
+
+        pane.shatter();
+        run(physics, 5);
+        expect(balloon.isStuck).toBe(false);
+        expect(balloon.bodies[0].position.y).toBeLessThan(stuck - 20);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for breakables — shattering past their strength, fragments
+ * that leave on reset, and the break_object goal.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import Matter from 'matter-js';
+import { eventBus } from '../js/EventBus.js';
+import { PhysicsEngine } from '../js/engine/PhysicsEngine.js';
+import GoalEvaluator from '../js/levels/GoalEvaluator.js';
+import { objectRegistry } from '../js/objects/ObjectRegistry.js';
+import { registerAllObjects } from '../js/objects/registerAllObjects.js';
+import { MATERIALS } from '../js/objects/Materials.js';
+import Ball from '../js/objects/Ball.js';
+import Breakable from '../js/objects/Breakable.js';
+import { usePhysics, run } from './helpers.js';
+
+const { Composite } = Matter;
+
+registerAllObjects();
+
+describe('Breakables', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should shatter a glass pane under a falling ball, let it through and clear the fragments on reset', () => {
+        // Lying flat, like a skylight
+        const pane = new Breakable(450, 450, { angle: Math.PI / 2 });
+        const ball = new Ball(450, 250, { variant: 'tennis' });
+        for (const obj of [pane, ball]) physics.addObject(obj);
+        const broken = vi.fn();
+        const impacts = [];
+        eventBus.on('object:broken', broken);
+        eventBus.on('physics:collision', ({ objectA, objectB, impact }) => {
+            if (objectA === pane || objectB === pane) impacts.push(impact);
+        });
+
+        physics.takeSnapshot();
+        run(physics, 60);
+        expect(broken).toHaveBeenCalledWith({ object: pane, impact: impacts[0] });
+        expect(impacts[0]).toBeGreaterThanOrEqual(pane.strength);
+        expect(pane.isBroken).toBe(true);
+        expect(pane.bodies).toHaveLength(6);
+        expect(ball.bodies[0].position.y).toBeGreaterThan(470);
+
+        const world = () => Composite.allBodies(physics.world);
+        for (const piece of pane.bodies) expect(world()).toContain(piece);
+        const fragments = pane.bodies;
+        const landed = fragments.map(piece => ({ ...piece.position }));
+
+        physics.restoreSnapshot();
+        expect(pane.isBroken).toBe(false);
+        for (const piece of fragments) expect(world()).not.toContain(piece);
+        expect(world()).toContain(pane.bodies[0]);
+
+        // Run again, it breaks the same way
+        run(physics, 60);
+        expect(pane.bodies.map(piece => ({ ...piece.position }))).toEqual(landed);
+    });
+
+    it('should take gentle knocks, and break past its strength or in a blast', () => {
+        const drop = (height) => {
+            const physics = new PhysicsEngine(900, 600);
+            const vase = new Breakable(450, 600 - 22 - height, { variant: 'vase' });
+            physics.addObject(vase);
+            run(physics, 90);
+            physics.dispose();
+            return vase.isBroken;
+        };
+        // Set down just off the floor, it stays whole; knocked off a table, it doesn't
+        expect(drop(5)).toBe(false);
+        expect(drop(120)).toBe(true);
+
+        const wall = objectRegistry.create('brick-wall', 600, 555);
+        const ball = new Ball(400, 575, { variant: 'tennis' });
+        for (const obj of [wall, ball]) physics.addObject(obj);
+        Matter.Body.setVelocity(ball.bodies[0], { x: 12, y: 0 });
+        run(physics, 30);
+        expect(wall.isBroken).toBe(false);
+
+        physics.explode({ x: 620, y: 555 });
+        expect(wall.isBroken).toBe(true);
+        run(physics, 1);
+        expect(wall.bodies).toHaveLength(12);
+
+        // The rubble clears away by itself
+        run(physics, 200);
+        expect(wall.bodies).toEqual([]);
+    });
+
+    it('should go back to what its variant is made of once a material set on it is unset', () => {
+        const vase = new Breakable(450, 300, { variant: 'vase', material: 'ice' });
+        physics.addObject(vase);
+        expect(vase.bodies[0].friction).toBe(MATERIALS.ice.friction);
+
+        vase.setMaterial(null);
+        vase.applyMaterial();
+        expect(vase.material).toBe('ceramic');
+        expect(vase.bodies[0].friction).toBe(MATERIALS.ceramic.friction);
+        expect(vase.bodies[0].density).toBe(MATERIALS.ceramic.density);
+    });
+
+    it('should save and count as the type of its variant, however it was made', () => {
+        const vase = new Breakable(450, 300, { variant: 'vase' });
+        expect(vase.type).toBe('vase');
+        expect(new Breakable(0, 0, { variant: 'brick' }).type).toBe('brick-wall');
+        expect(new Breakable(0, 0).type).toBe('glass-pane');
+
+        const loaded = objectRegistry.deserialize(JSON.parse(JSON.stringify(vase.serialize())));
+        expect(loaded.type).toBe('vase');
+        expect(loaded.variant).toBe('vase');
+        expect(loaded.material).toBe('ceramic');
+
+        const evaluator = new GoalEvaluator();
+        const reached = vi.fn();
+        eventBus.on('goal:reached', reached);
+        evaluator.start({ type: 'break_object', targetType: 'vase' }, [loaded]);
+        loaded.shatter();
+        expect(reached).toHaveBeenCalledTimes(1);
+        evaluator.stop();
+    });
+
+    it('should reach a break_object goal when the named object, or every breakable, breaks', () => {
+        const crate = objectRegistry.create('egg-crate', 200, 300);
+        const vase = objectRegistry.deserialize({ ...objectRegistry.create('vase', 600, 300).serialize() });
+        expect(vase.type).toBe('vase');
+        expect(vase.variant).toBe('vase');
+        crate._goalId = 'eggs';
+        const objects = [crate, vase];
+        const evaluator = new GoalEvaluator();
+        const reached = vi.fn();
+        const failed = vi.fn();
+        eventBus.on('goal:reached', reached);
+        eventBus.on('goal:failed', failed);
+
+        evaluator.start({ type: 'break_object', zoneId: 'eggs' }, objects);
+        vase.shatter();
+        expect(reached).not.toHaveBeenCalled();
+        crate.shatter();
+        expect(reached).toHaveBeenCalledWith(expect.objectContaining({ reason: 'the egg-crate broke' }));
+
+        for (const obj of objects) obj.restoreState({ broken: false, age: 0 });
+        evaluator.start({ type: 'break_object' }, objects);
+        crate.shatter();
+        expect(reached).toHaveBeenCalledTimes(1);
+        vase.shatter();
+        expect(reached).toHaveBeenCalledTimes(2);
+
+        evaluator.start({ type: 'break_object' }, [new Ball(0, 0)]);
+        expect(failed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'There is nothing breakable on the board.' }));
+        evaluator.stop();
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the cat — spotting and chasing a mouse, being scared
+ * off, and the mouse getting home to its hole.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import GoalEvaluator from '../js/levels/GoalEvaluator.js';
+import Cat from '../js/objects/Cat.js';
+import Candle from '../js/objects/Candle.js';
+import Mouse from '../js/objects/Mouse.js';
+import MouseHole from '../js/objects/MouseHole.js';
+import { usePhysics, run } from './helpers.js';
+
+describe('Cat', () => {
+    let physics;
+
+    // Candle flicker is random — pin it
+    usePhysics(engine => { physics = engine; }, { random: 0.25 });
+
+    it('should sleep until a mouse comes into sight, then chase and catch it', () => {
+        const cat = new Cat(100, 590);
+        const mouse = new Mouse(500, 594, { direction: -1 });
+        for (const obj of [cat, mouse]) physics.addObject(obj);
+        const caught = vi.fn();
+        eventBus.on('cat:caught', caught);
+
+        physics.takeSnapshot();
+        run(physics, 60);
+        expect(cat.mood).toBe('asleep');
+        expect(cat.bodies[0].position.x).toBeCloseTo(100, 0);
+
+        run(physics, 300);
+        expect(caught).toHaveBeenCalledWith({ cat, mouse });
+        expect(mouse.isCaught).toBe(true);
+        expect(mouse.bodies).toHaveLength(0);
+        expect(physics.world.bodies.some(b => b.label === 'mouse')).toBe(false);
+
+        physics.restoreSnapshot();
+        expect(cat.mood).toBe('asleep');
+        expect(mouse.isCaught).toBe(false);
+        expect(mouse.bodies[0].position.x).toBeCloseTo(500, 0);
+    });
+
+    it('should turn tail and bolt from a blast or a flame', () => {
+        const bolter = new Cat(300, 590);
+        const napper = new Cat(700, 590, { direction: -1 });
+        const candle = new Candle(660, 585);
+        for (const obj of [bolter, napper, candle]) physics.addObject(obj);
+
+        physics.explode({ x: 340, y: 580 }, { radius: 100 });
+        expect(bolter.mood).toBe('scared');
+        expect(bolter.direction).toBe(-1);
+
+        run(physics, 30);
+        expect(bolter.bodies[0].position.x).toBeLessThan(260);
+        expect(napper.mood).toBe('scared');
+        expect(napper.direction).toBe(1);
+        expect(napper.bodies[0].position.x).toBeGreaterThan(730);
+    });
+
+    it('should let a mouse reach its hole and score mouse_in_hole and cat_catches_mouse goals', () => {
+        const mouse = new Mouse(700, 594);
+        const hole = new MouseHole(800, 600);
+        hole._goalId = 'home';
+        for (const obj of [mouse, hole]) physics.addObject(obj);
+        const evaluator = new GoalEvaluator();
+        const reached = vi.fn();
+        const failed = vi.fn();
+        eventBus.on('goal:reached', reached);
+        eventBus.on('goal:failed', failed);
+
+        evaluator.start({ type: 'mouse_in_hole', zoneId: 'home' }, physics.getObjects());
+        run(physics, 120);
+        expect(mouse.isHome).toBe(true);
+        expect(reached).toHaveBeenCalledOnce();
+
+        // Every mouse caught — the hole goal is lost, the cat's is won
+        const cat = new Cat(100, 590);
+        const prey = new Mouse(120, 594);
+        evaluator.start({ type: 'mouse_in_hole' }, [cat, prey, hole]);
+        prey.capture();
+        eventBus.emit('cat:caught', { cat, mouse: prey });
+        expect(failed).toHaveBeenCalledOnce();
+
+        evaluator.start({ type: 'cat_catches_mouse' }, [cat, prey]);
+        eventBus.emit('cat:caught', { cat, mouse: prey });
+        expect(reached).toHaveBeenCalledTimes(2);
+        evaluator.stop();
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the drivetrain — meshing gears, drive belts, and the
+ * motors and hamster wheels that drive them.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import Ball from '../js/objects/Ball.js';
+import Conveyor from '../js/objects/Conveyor.js';
+import Cord from '../js/objects/Cord.js';
+import DriveBelt from '../js/objects/DriveBelt.js';
+import Gear from '../js/objects/Gear.js';
+import HamsterWheel from '../js/objects/HamsterWheel.js';
+import Motor from '../js/objects/Motor.js';
+import Outlet from '../js/objects/Outlet.js';
+import { usePhysics, run } from './helpers.js';
+
+/** A belt whose ends sit exactly on two points. */
+function beltBetween(a, b) {
+    return new DriveBelt((a.x + b.x) / 2, (a.y + b.y) / 2, {
+        length: Math.hypot(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+    });
+}
+
+/** A motor plugged into a fresh outlet to its left. */
+function poweredMotor(physics, x, y) {
+    const motor = new Motor(x, y);
+    const outlet = new Outlet(x - 100, y);
+    const a = outlet.powerTerminals[0];
+    const b = motor.powerTerminals[0];
+    const cord = new Cord((a.x + b.x) / 2, (a.y + b.y) / 2, {
+        length: Math.hypot(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+    });
+    for (const obj of [motor, outlet, cord]) physics.addObject(obj);
+    return motor;
+}
+
+describe('Drivetrain', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should leave a gear still until something drives it', () => {
+        const gear = new Gear(300, 300);
+        physics.addObject(gear);
+
+        run(physics, 10);
+        expect(gear.driveSpeed).toBe(0);
+        expect(gear.bodies[0].angle).toBe(0);
+    });
+
+    it('should turn meshed gears the opposite way at the tooth ratio', () => {
+        const motor = poweredMotor(physics, 400, 300);
+        const [roller] = motor.driveWheels;
+        const small = new Gear(roller.x + roller.radius + 28, 300, { teeth: 10 });
+        const large = new Gear(small.x, 300 + 28 + 40, { radius: 40, teeth: 20 });
+        physics.addObject(small);
+        physics.addObject(large);
+
+        run(physics, 5);
+        expect(motor.driveSpeed).toBeCloseTo(0.15);
+        expect(small.driveSpeed).toBeCloseTo(-0.15 * 8 / 10);
+        expect(large.driveSpeed).toBeCloseTo(0.15 * 8 / 20);
+        expect(large.bodies[0].angle).toBeGreaterThan(0);
+    });
+
+    it('should turn belted wheels the same way at the radius ratio', () => {
+        const hamster = new HamsterWheel(200, 300, { running: true });
+        const gear = new Gear(400, 300);
+        const belt = beltBetween(hamster, gear);
+        for (const obj of [hamster, gear, belt]) physics.addObject(obj);
+
+        run(physics, 5);
+        expect(belt.isAttached).toBe(true);
+        expect(gear.driveSpeed).toBeCloseTo(hamster.driveSpeed * 30 / 28);
+        expect(gear.driveSpeed).toBeGreaterThan(0);
+
+        // Slip the belt off the gear — it coasts to a stop
+        belt.setPosition(belt.x - 60, belt.y);
+        run(physics, 1);
+        expect(belt.isAttached).toBe(false);
+        expect(gear.driveSpeed).toBe(0);
+    });
+
+    it('should run an unpowered conveyor from a belt', () => {
+        const hamster = new HamsterWheel(300, 200, { running: true });
+        const conveyor = new Conveyor(500, 400);
+        const ball = new Ball(500, 380, { variant: 'tennis' });
+        const belt = beltBetween(hamster, conveyor.driveWheels[0]);
+        for (const obj of [hamster, conveyor, ball, belt]) physics.addObject(obj);
+
+        run(physics, 40);
+        expect(conveyor.isPowered).toBe(false);
+        expect(conveyor.beltSpeed).toBeCloseTo(0.06 * 30);
+        expect(ball.bodies[0].position.x).toBeGreaterThan(505);
+    });
+
+    it('should jam a loop of gears that cannot all turn', () => {
+        const motor = poweredMotor(physics, 400, 300);
+        const [roller] = motor.driveWheels;
+        const a = new Gear(roller.x + roller.radius + 28, 300);
+        const b = new Gear(a.x + 56, 300);
+        const c = new Gear(a.x + 28, 300 - 56 * Math.sin(Math.PI / 3));
+        for (const obj of [a, b, c]) physics.addObject(obj);
+
+        run(physics, 5);
+        for (const gear of [a, b, c]) expect(gear.driveSpeed).toBe(0);
+        expect(motor.isRunning).toBe(false);
+    });
+
+    it('should start the hamster when something bumps the wheel', () => {
+        const hamster = new HamsterWheel(300, 500);
+        physics.addObject(hamster);
+        physics.addObject(new Ball(300, 420, { variant: 'tennis' }));
+        const startled = vi.fn();
+        eventBus.on('hamster:startled', startled);
+
+        physics.takeSnapshot();
+        run(physics, 5);
+        expect(hamster.isRunning).toBe(false);
+
+        run(physics, 40);
+        expect(startled).toHaveBeenCalledWith({ hamsterWheel: hamster });
+        expect(hamster.isRunning).toBe(true);
+        expect(hamster.driveSpeed).toBeGreaterThan(0);
+
+        physics.restoreSnapshot();
+        expect(hamster.isRunning).toBe(false);
+        expect(hamster.driveSpeed).toBe(0);
+    });
+
+    it('should round-trip drivetrain parts through serialization', () => {
+        const belt = DriveBelt.deserialize(new DriveBelt(10, 20, { length: 200 }).serialize());
+        const hamster = HamsterWheel.deserialize(new HamsterWheel(10, 20, { running: true }).serialize());
+        const gear = Gear.deserialize(new Gear(10, 20, { radius: 40, teeth: 16 }).serialize());
+
+        const [a, b] = belt.driveBeltEnds;
+        expect(b.x - a.x).toBeCloseTo(200);
+        expect(hamster.isRunning).toBe(true);
+        expect(gear.driveWheels[0]).toMatchObject({ radius: 40, teeth: 16 });
+    });
+});
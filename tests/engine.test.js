@@ -68,7 +68,7 @@ describe('PhysicsEngine', () => {
 // ── GameLoop Tests ─────────────────────────────────
 
 describe('GameLoop', () => {
-    let GameLoop, PhysicsEngine, LoopState;
+    let GameLoop, PhysicsEngine, LoopState, SPEEDS;
 
     beforeEach(async () => {
         const engineMod = await import('../js/engine/PhysicsEngine.js');
@@ -76,6 +76,7 @@ describe('GameLoop', () => {
         PhysicsEngine = engineMod.PhysicsEngine;
         GameLoop = loopMod.GameLoop;
         LoopState = loopMod.LoopState;
+        SPEEDS = loopMod.SPEEDS;
 
         // Stub browser animation globals for Node environment
         vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
@@ -137,19 +138,242 @@ describe('GameLoop', () => {
         physics.dispose();
     });
 
-    it('should cycle speed between 1× and 2×', () => {
+    it('should cycle through the selectable speeds and wrap to the slowest', () => {
         const physics = new PhysicsEngine(800, 600);
         const loop = new GameLoop(physics, () => { });
 
         expect(loop.speed).toBe(1);
         loop.cycleSpeed();
         expect(loop.speed).toBe(2);
+        loop.setSpeed(8);
         loop.cycleSpeed();
-        expect(loop.speed).toBe(1);
+        expect(loop.speed).toBe(SPEEDS[0]);
+
+        loop.dispose();
+        physics.dispose();
+    });
+
+    it('should snap requested speeds to the nearest selectable one', () => {
+        const physics = new PhysicsEngine(800, 600);
+        const loop = new GameLoop(physics, () => { });
+
+        loop.setSpeed(0.3);
+        expect(loop.speed).toBe(0.25);
+        loop.setSpeed(100);
+        expect(loop.speed).toBe(8);
+        loop.setSpeed(NaN);
+        expect(loop.speed).toBe(8);
+
+        loop.dispose();
+        physics.dispose();
+    });
+
+    it('should fail the run when the time limit runs out', async () => {
+        const { eventBus } = await import('../js/EventBus.js');
+        const { default: Mouse } = await import('../js/objects/Mouse.js');
+        const physics = new PhysicsEngine(800, 600);
+        physics.addObject(new Mouse(400, 590));
+        const loop = new GameLoop(physics, () => { });
+        const failed = vi.fn();
+        const off = eventBus.on('goal:failed', failed);
+
+        loop.setFailureLimits({ timeLimit: 0.5, settleTime: 0 });
+        loop.play();
+        for (let t = 1; t <= 40 && loop.isRunning; t++) loop._frame(t * 16);
+
+        expect(failed).toHaveBeenCalledTimes(1);
+        expect(failed.mock.calls[0][0].cause).toBe('timeout');
+        expect(failed.mock.calls[0][0].reason).toMatch(/Time's up/);
+
+        off();
+        loop.dispose();
+        physics.dispose();
+    });
+
+    it('should fail the run once every body has been asleep long enough', async () => {
+        const { eventBus } = await import('../js/EventBus.js');
+        const physics = new PhysicsEngine(800, 600);
+        const loop = new GameLoop(physics, () => { });
+        const failed = vi.fn();
+        const off = eventBus.on('goal:failed', failed);
+
+        // An empty board is settled from the first frame
+        loop.setFailureLimits({ settleTime: 0.1 });
+        loop.play();
+        for (let t = 1; t <= 5; t++) loop._frame(t * 16);
+        expect(failed).not.toHaveBeenCalled();
+        for (let t = 6; t <= 20; t++) loop._frame(t * 16);
+
+        expect(failed).toHaveBeenCalledTimes(1);
+        expect(failed.mock.calls[0][0].cause).toBe('settled');
+
+        off();
+        loop.dispose();
+        physics.dispose();
+    });
+
+    it('should not count a busy object as settled', async () => {
+        const { eventBus } = await import('../js/EventBus.js');
+        const { default: BaseObject } = await import('../js/objects/BaseObject.js');
+        const physics = new PhysicsEngine(800, 600);
+        const timer = new (class extends BaseObject {
+            get type() { return 'timer'; }
+            get bodies() { return []; }
+            get isBusy() { return this.ticking; }
+        })(400, 300);
+        timer.ticking = true;
+        physics.addObject(timer);
+        const loop = new GameLoop(physics, () => { });
+        const failed = vi.fn();
+        const off = eventBus.on('goal:failed', failed);
+
+        expect(physics.isSettled()).toBe(false);
+        loop.setFailureLimits({ settleTime: 0.1 });
+        loop.play();
+        for (let t = 1; t <= 20; t++) loop._frame(t * 16);
+        expect(failed).not.toHaveBeenCalled();
+
+        timer.ticking = false;
+        for (let t = 21; t <= 40; t++) loop._frame(t * 16);
+        expect(failed).toHaveBeenCalledTimes(1);
+        expect(failed.mock.calls[0][0].cause).toBe('settled');
+
+        off();
+        loop.dispose();
+        physics.dispose();
+    });
+});
+
+// ── Fixed Timestep Tests ──────────────────────────
+
+describe('Fixed timestep', () => {
+    let GameLoop, PhysicsEngine, FIXED_DT, Ball, Domino, eventBus, Matter;
+
+    beforeEach(async () => {
+        ({ PhysicsEngine } = await import('../js/engine/PhysicsEngine.js'));
+        ({ GameLoop, FIXED_DT } = await import('../js/engine/GameLoop.js'));
+        ({ default: Ball } = await import('../js/objects/Ball.js'));
+        ({ default: Domino } = await import('../js/objects/Domino.js'));
+        ({ eventBus } = await import('../js/EventBus.js'));
+        ({ default: Matter } = await import('matter-js'));
+
+        vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+        vi.stubGlobal('cancelAnimationFrame', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    /**
+     * Run the same board with a given frame interval and speed and
+     * return the ball's transform after a fixed number of physics steps.
+     */
+    function simulate(frameMs, speed = 1) {
+        const physics = new PhysicsEngine(800, 600);
+        const ball = new Ball(100, 500, { variant: 'tennis' });
+        physics.addObject(ball);
+        for (let i = 0; i < 5; i++) physics.addObject(new Domino(200 + i * 25, 582));
+        Matter.Body.setVelocity(ball.bodies[0], { x: 6, y: 0 });
+
+        const loop = new GameLoop(physics, () => { });
+        loop.setFailureLimits({ settleTime: 0 });
+        loop.setSpeed(speed);
+
+        const targetStep = 90;
+        let steps = 0;
+        let result = null;
+        const off = eventBus.on('loop:frame', () => {
+            if (++steps === targetStep) {
+                const b = ball.bodies[0];
+                result = { x: b.position.x, y: b.position.y, angle: b.angle };
+            }
+        });
+
+        loop.play();
+        for (let t = 1; !result && t < 1000; t++) loop._frame(t * frameMs);
+
+        off();
+        loop.dispose();
+        physics.dispose();
+        return result;
+    }
+
+    it('should produce identical results regardless of frame rate or speed', () => {
+        const at60fps = simulate(1000 / 60);
+        const at30fps = simulate(1000 / 30);
+        const at144fps = simulate(1000 / 144);
+        const doubled = simulate(1000 / 60, 2);
+
+        expect(at60fps).not.toBeNull();
+        expect(at30fps).toEqual(at60fps);
+        expect(at144fps).toEqual(at60fps);
+        expect(doubled).toEqual(at60fps);
+    });
+
+    it('should sub-step at high speed and slow motion instead of changing dt', () => {
+        const at60fps = simulate(1000 / 60);
+
+        // 8× at a slow 30 fps needs 16 steps per frame, beyond the 1× cap
+        expect(simulate(1000 / 30, 8)).toEqual(at60fps);
+        expect(simulate(1000 / 60, 0.1)).toEqual(at60fps);
+        expect(simulate(1000 / 60, 0.25)).toEqual(at60fps);
+    });
+
+    it('should keep up with 8× speed and take a step every few frames at 0.1×', () => {
+        const physics = new PhysicsEngine(800, 600);
+        const loop = new GameLoop(physics, () => { });
+        const frameMs = 1000 / 60;
+
+        loop.setSpeed(8);
+        loop.play();
+        // Eight whole steps every frame, with no backlog dropped
+        for (let t = 1; t <= 10; t++) loop._frame(t * frameMs);
+        expect(loop.elapsed / FIXED_DT).toBeCloseTo(80, 6);
+
+        loop.reset();
+        loop.setSpeed(0.1);
+        loop.play();
+        for (let t = 1; t <= 21; t++) loop._frame(t * frameMs);
+        expect(Math.round(loop.elapsed / FIXED_DT)).toBe(2);
 
         loop.dispose();
         physics.dispose();
     });
+
+    it('should advance elapsed time in whole fixed steps', () => {
+        const physics = new PhysicsEngine(800, 600);
+        const loop = new GameLoop(physics, () => { });
+        loop.play();
+        for (let t = 1; t <= 10; t++) loop._frame(t * 7);
+
+        const steps = loop.elapsed / FIXED_DT;
+        expect(Math.abs(steps - Math.round(steps))).toBeLessThan(1e-9);
+
+        loop.dispose();
+        physics.dispose();
+    });
+
+    it('should leave bodies untouched after an interpolated render', () => {
+        const physics = new PhysicsEngine(800, 600);
+        const ball = new Ball(100, 100);
+        physics.addObject(ball);
+        for (let i = 0; i < 10; i++) physics.step(FIXED_DT);
+
+        const body = ball.bodies[0];
+        const capture = () => JSON.stringify([
+            body.position, body.positionPrev, body.angle, body.bounds,
+            body.vertices.map(v => [v.x, v.y]),
+        ]);
+        const before = capture();
+        let drawnY = null;
+        physics.withInterpolation(0.5, () => { drawnY = body.position.y; });
+
+        expect(drawnY).toBeLessThan(body.position.y);
+        expect(capture()).toBe(before);
+
+        physics.dispose();
+    });
 });
 
 // ── Object Serialization Tests ────────────────────
@@ -280,6 +504,8 @@ describe('ObjectRegistry', () => {
         expect(categories).toContain('surfaces');
         expect(categories).toContain('machines');
         expect(categories).toContain('triggers');
+        expect(categories).toContain('electrical');
+        expect(categories).toContain('fire');
     });
 
     it('should register all 17 object types', async () => {
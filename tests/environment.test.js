@@ -0,0 +1,107 @@
+/**
+ * Unit tests for level environments — gravity, air density and wind,
+ * as moon and underwater levels use them.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PhysicsEngine } from '../js/engine/PhysicsEngine.js';
+import { DEFAULT_ENVIRONMENT } from '../js/engine/Environment.js';
+import { levelManager } from '../js/levels/LevelManager.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Ramp from '../js/objects/Ramp.js';
+import { usePhysics, run } from './helpers.js';
+
+/** How far a body moves in `steps` steps in the given environment. */
+function drift(make, environment, steps) {
+    const physics = new PhysicsEngine(900, 600);
+    physics.setEnvironment(environment);
+    const obj = make();
+    physics.addObject(obj);
+    const start = { ...obj.bodies[0].position };
+    run(physics, steps);
+    const end = obj.bodies[0].position;
+    physics.dispose();
+    return { x: end.x - start.x, y: end.y - start.y };
+}
+
+describe('Environment', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should fall slower on the moon, and go back to Earth for a level without a block', () => {
+        const ball = () => new Ball(450, 100);
+        const earth = drift(ball, undefined, 30).y;
+        const moon = drift(ball, { gravity: { x: 0, y: 0.17 } }, 30).y;
+        expect(moon / earth).toBeCloseTo(0.17, 1);
+
+        physics.setEnvironment({ gravity: { y: 0.17 }, wind: { x: 2 } });
+        expect(physics.environment).toEqual({ gravity: { x: 0, y: 0.17 }, airDensity: 1, wind: { x: 2, y: 0 } });
+        expect(physics.engine.gravity.y).toBe(0.17);
+        physics.setEnvironment(undefined);
+        expect(physics.environment).toEqual(DEFAULT_ENVIRONMENT);
+        expect(physics.engine.gravity.y).toBe(1);
+
+        const level = { id: 'l', name: 'L', goal: { type: 'custom' }, fixedObjects: [], availableParts: {} };
+        expect(() => levelManager._validate({ ...level, environment: { airDensity: 8 } })).not.toThrow();
+        expect(() => levelManager._validate({ ...level, environment: { airDensity: -1 } })).toThrow(/airDensity/);
+        expect(() => levelManager._validate({ ...level, environment: { gravity: { y: '1' } } })).toThrow(/gravity/);
+    });
+
+    it('should make balloons lift harder and everything drag more underwater', () => {
+        const balloon = new Balloon(450, 300);
+        const ball = new Ball(200, 300);
+        for (const obj of [balloon, ball]) physics.addObject(obj);
+        expect(balloon.bodies[0].frictionAir).toBe(0.04);
+
+        physics.setEnvironment({ airDensity: 8 });
+        expect(balloon.bodies[0].frictionAir).toBeCloseTo(0.32);
+        expect(ball.bodies[0].frictionAir).toBeCloseTo(0.008);
+        physics.setEnvironment(undefined);
+        expect(balloon.bodies[0].frictionAir).toBe(0.04);
+
+        // First step out of rest: all lift, hardly any drag yet
+        const rise = (environment) => drift(() => new Balloon(450, 300), environment, 1).y;
+        expect(rise({ airDensity: 8 })).toBeLessThan(rise(undefined) * 4);
+        // No gravity, nothing to float up against
+        expect(Math.abs(rise({ gravity: { x: 0, y: 0 } }))).toBeLessThan(0.01);
+    });
+
+    it('should blow a balloon downwind and barely move a bowling ball', () => {
+        // No gravity, so nothing but the wind moves them
+        const calm = { gravity: { x: 0, y: 0 } };
+        const windy = { ...calm, wind: { x: 1, y: 0 } };
+        const balloon = () => new Balloon(450, 300);
+        const ball = () => new Ball(450, 300);
+
+        // Net of the balloon's own bobbing
+        const blown = drift(balloon, windy, 30).x - drift(balloon, calm, 30).x;
+        expect(blown).toBeGreaterThan(50);
+        const rolled = drift(ball, windy, 30).x;
+        expect(rolled).toBeGreaterThan(0);
+        expect(rolled).toBeLessThan(blown / 10);
+
+        // Thicker air blows harder
+        expect(drift(ball, { ...windy, airDensity: 8 }, 30).x).toBeGreaterThan(rolled * 4);
+    });
+
+    it('should wake a ball that had settled before the wind got up', () => {
+        const floor = new Ramp(450, 500, { width: 600 });
+        const ball = new Ball(450, 470);
+        for (const obj of [floor, ball]) physics.addObject(obj);
+        run(physics, 180);
+        expect(ball.bodies[0].isSleeping).toBe(true);
+
+        expect(physics.isSettled()).toBe(true);
+
+        // Awake as soon as it is blown on, so the run doesn't count it settled
+        const rested = ball.bodies[0].position.x;
+        physics.setEnvironment({ wind: { x: 2, y: 0 } });
+        run(physics, 1);
+        expect(ball.bodies[0].isSleeping).toBe(false);
+        expect(physics.isSettled()).toBe(false);
+        run(physics, 60);
+        expect(ball.bodies[0].position.x).toBeGreaterThan(rested + 1);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for explosions — the PhysicsEngine blast service and the
+ * dynamite, kegs and blast balloons built on it.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { PhysicsEngine } from '../js/engine/PhysicsEngine.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import BlastBalloon from '../js/objects/BlastBalloon.js';
+import Dynamite from '../js/objects/Dynamite.js';
+import GunpowderKeg from '../js/objects/GunpowderKeg.js';
+import Ramp from '../js/objects/Ramp.js';
+import { usePhysics, run } from './helpers.js';
+
+describe('Explosions', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should fling loose bodies away from the centre, weaker with distance', () => {
+        const near = new Ball(340, 300, { variant: 'tennis' });
+        const far = new Ball(200, 300, { variant: 'tennis' });
+        const outside = new Ball(600, 300, { variant: 'tennis' });
+        for (const obj of [near, far, outside]) physics.addObject(obj);
+        const onExplosion = vi.fn();
+        eventBus.on('physics:explosion', onExplosion);
+
+        const hit = physics.explode({ x: 300, y: 300 }, { radius: 160, strength: 18 });
+
+        expect(hit).toEqual([near, far]);
+        expect(near.bodies[0].velocity.x).toBeCloseTo(18 * (1 - 40 / 160));
+        expect(far.bodies[0].velocity.x).toBeCloseTo(-18 * (1 - 100 / 160));
+        expect(outside.bodies[0].velocity.x).toBe(0);
+        expect(onExplosion).toHaveBeenCalledWith(expect.objectContaining({ radius: 160, objects: [near, far] }));
+    });
+
+    it('should not reach bodies hidden behind something static', () => {
+        const wall = new Ramp(400, 300, { angle: Math.PI / 2 });
+        const hidden = new Ball(480, 300, { variant: 'tennis' });
+        const open = new Ball(300, 400, { variant: 'tennis' });
+        for (const obj of [wall, hidden, open]) physics.addObject(obj);
+
+        const hit = physics.explode({ x: 300, y: 300 });
+
+        expect(hit).toContain(open);
+        expect(hit).toContain(wall);
+        expect(hit).not.toContain(hidden);
+        expect(hidden.bodies[0].velocity.x).toBe(0);
+        expect(open.bodies[0].velocity.y).toBeGreaterThan(0);
+    });
+
+    it('should set off a keg and pop balloons caught in a dynamite blast', () => {
+        const dynamite = new Dynamite(300, 582, { fuseTime: 2 });
+        const keg = new GunpowderKeg(400, 579);
+        const balloon = new Balloon(300, 480);
+        const ball = new Ball(560, 585, { variant: 'tennis' });
+        for (const obj of [dynamite, keg, balloon, ball]) physics.addObject(obj);
+        const kegExploded = vi.fn();
+        eventBus.on('keg:exploded', kegExploded);
+
+        physics.takeSnapshot();
+        dynamite.ignite();
+        run(physics, 4);
+
+        expect(dynamite.isExploded).toBe(true);
+        expect(balloon.isPopped).toBe(true);
+        expect(keg.isExploded).toBe(true);
+        expect(kegExploded).toHaveBeenCalledOnce();
+        expect(ball.bodies[0].velocity.x).toBeGreaterThan(3);
+
+        physics.restoreSnapshot();
+        expect(keg.isExploded).toBe(false);
+        expect(keg.bodies).toHaveLength(1);
+        expect(balloon.isPopped).toBe(false);
+    });
+
+    it('should send out a shockwave when a blast balloon bursts', () => {
+        const blast = new BlastBalloon(300, 300);
+        const neighbour = new Balloon(360, 300);
+        const ball = new Ball(300, 380, { variant: 'tennis' });
+        for (const obj of [blast, neighbour, ball]) physics.addObject(obj);
+        const onExplosion = vi.fn();
+        eventBus.on('physics:explosion', onExplosion);
+
+        blast.pop();
+        expect(onExplosion).not.toHaveBeenCalled();
+
+        run(physics, 1);
+        expect(onExplosion).toHaveBeenCalledOnce();
+        expect(neighbour.isPopped).toBe(true);
+        expect(ball.bodies[0].velocity.y).toBeGreaterThan(1);
+
+        // Only one shockwave per burst
+        run(physics, 30);
+        expect(onExplosion).toHaveBeenCalledOnce();
+    });
+
+    it('should round-trip explosives through serialization', () => {
+        const keg = GunpowderKeg.deserialize(new GunpowderKeg(10, 20, { angle: 0.5 }).serialize());
+        const blast = BlastBalloon.deserialize(new BlastBalloon(10, 20).serialize());
+
+        expect(keg.type).toBe('keg');
+        expect(keg.angle).toBe(0.5);
+        expect(blast.type).toBe('blast-balloon');
+        expect(blast.isPopped).toBe(false);
+    });
+});
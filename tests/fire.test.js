@@ -0,0 +1,195 @@
+/**
+ * Unit tests for fire — heat sources, ignition times, fuses and the
+ * things they set off.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import Matter from 'matter-js';
+import { eventBus } from '../js/EventBus.js';
+import { GameLoop, FIXED_DT } from '../js/engine/GameLoop.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Candle from '../js/objects/Candle.js';
+import Dynamite from '../js/objects/Dynamite.js';
+import Fuse from '../js/objects/Fuse.js';
+import Match from '../js/objects/Match.js';
+import Paper from '../js/objects/Paper.js';
+import Ramp from '../js/objects/Ramp.js';
+import Rope from '../js/objects/Rope.js';
+import { usePhysics, run } from './helpers.js';
+
+const { Body } = Matter;
+
+/** A fuse running straight from `a` to `b`. */
+function fuseBetween(a, b) {
+    return new Fuse((a.x + b.x) / 2, (a.y + b.y) / 2, {
+        length: Math.hypot(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+    });
+}
+
+describe('Fire', () => {
+    let physics;
+
+    // Candle flicker is random — pin it
+    usePhysics(engine => { physics = engine; }, { random: 0.25 });
+
+    it('should burn through a rope held in the flame, not one beside it', () => {
+        const burning = new Rope(200, 100, { length: 100 });
+        const beside = new Rope(400, 100, { length: 100 });
+        const candles = [new Candle(200, 190, { lit: false }), new Candle(440, 190, { lit: false })];
+        for (const obj of [burning, beside, ...candles]) physics.addObject(obj);
+        const ignited = vi.fn();
+        eventBus.on('fire:ignited', ignited);
+
+        // The rope bounces up through the wick and settles with its end
+        // there; lit only then, the flame heats it rather than touching it
+        run(physics, 60);
+        for (const candle of candles) candle.ignite();
+        run(physics, 10);
+        expect(burning.heat).toBeGreaterThan(0);
+        expect(burning.isBurning).toBe(false);
+        expect(burning.isBusy).toBe(true);
+
+        run(physics, 15);
+        expect(ignited).toHaveBeenCalledWith({ object: burning });
+        expect(burning.isBurning).toBe(true);
+        expect(burning.isSevered).toBe(false);
+
+        run(physics, 30);
+        expect(burning.isSevered).toBe(true);
+        expect(beside.isSevered).toBe(false);
+        expect(beside.heat).toBe(0);
+        expect(beside.isBusy).toBe(false);
+    });
+
+    it('should pop a balloon and burn a rope the moment they touch a lit candle', () => {
+        const balloon = new Balloon(150, 300);
+        const rope = new Rope(400, 100, { length: 100 });
+        const spared = new Balloon(600, 300);
+        const candles = [new Candle(150, 120), new Candle(400, 222), new Candle(600, 120, { lit: false })];
+        for (const obj of [balloon, rope, spared, ...candles]) physics.addObject(obj);
+        const ignited = vi.fn();
+        eventBus.on('fire:ignited', ignited);
+
+        // The rope's end starts in the flame
+        run(physics, 1);
+        expect(ignited).toHaveBeenCalledWith({ object: rope });
+        expect(rope.isBurning).toBe(true);
+
+        // The balloons rise into the wax
+        run(physics, 60);
+        expect(balloon.isPopped).toBe(true);
+        expect(spared.isPopped).toBe(false);
+        expect(rope.isSevered).toBe(true);
+    });
+
+    it('should carry fire along a fuse to the dynamite and blow it up', () => {
+        const candle = new Candle(300, 585);
+        const dynamite = new Dynamite(500, 582, { fuseTime: 60 });
+        const ball = new Ball(560, 585, { variant: 'tennis' });
+        const fuse = fuseBetween({ x: 300, y: 557 }, dynamite.fuelPoints[0]);
+        for (const obj of [candle, dynamite, ball, fuse]) physics.addObject(obj);
+        const exploded = vi.fn();
+        eventBus.on('dynamite:exploded', exploded);
+
+        physics.takeSnapshot();
+        run(physics, 60);
+        expect(fuse.isBurning).toBe(true);
+        expect(dynamite.isLit).toBe(false);
+
+        run(physics, 110);
+        expect(fuse.isBurntOut).toBe(true);
+        expect(dynamite.isLit).toBe(true);
+
+        run(physics, 40);
+        expect(exploded).toHaveBeenCalledOnce();
+        expect(dynamite.isExploded).toBe(true);
+        expect(dynamite.bodies).toHaveLength(0);
+        expect(ball.bodies[0].velocity.x).toBeGreaterThan(3);
+
+        physics.restoreSnapshot();
+        expect(dynamite.isExploded).toBe(false);
+        expect(dynamite.bodies).toHaveLength(1);
+        expect(fuse.isBurning).toBe(false);
+    });
+
+    it('should wait out a long fuse before failing the run as settled', () => {
+        vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+        vi.stubGlobal('cancelAnimationFrame', vi.fn());
+        // Burns for about 5 s along the fuse and 5 s more in the stick
+        const dynamite = new Dynamite(700, 582, { fuseTime: 300 });
+        const fuse = fuseBetween({ x: 250, y: 557 }, dynamite.fuelPoints[0]);
+        for (const obj of [dynamite, fuse]) physics.addObject(obj);
+        const loop = new GameLoop(physics, () => { });
+        const failed = vi.fn();
+        eventBus.on('goal:failed', failed);
+
+        loop.setFailureLimits({ settleTime: 3 });
+        loop.play();
+        fuse.ignite(0);
+        for (let i = 0; i < 660 && !dynamite.isExploded; i++) loop.advance(FIXED_DT);
+
+        expect(failed).not.toHaveBeenCalled();
+        expect(dynamite.isExploded).toBe(true);
+        expect(loop.elapsed).toBeGreaterThan(9000);
+
+        loop.dispose();
+        vi.unstubAllGlobals();
+    });
+
+    it('should spread from one burning sheet of paper to the next', () => {
+        const first = new Paper(300, 595);
+        const second = new Paper(340, 595);
+        const far = new Paper(600, 595);
+        for (const obj of [first, second, far]) physics.addObject(obj);
+
+        first.ignite();
+        run(physics, 20);
+        expect(second.isBurning).toBe(true);
+        expect(far.isBurning).toBe(false);
+
+        run(physics, 120);
+        expect(first.isBurntUp).toBe(true);
+        expect(first.bodies).toHaveLength(0);
+        expect(far.isBurning).toBe(false);
+    });
+
+    it('should strike a match that lands on a ramp and light a candle with it', () => {
+        const match = new Match(300, 300);
+        physics.addObject(match);
+        physics.addObject(new Ramp(300, 500));
+
+        run(physics, 5);
+        expect(match.isLit).toBe(false);
+        run(physics, 60);
+        expect(match.isLit).toBe(true);
+
+        const candle = new Candle(700, 300, { lit: false });
+        physics.addObject(candle);
+        run(physics, 20);
+        expect(candle.isLit).toBe(false);
+        expect(candle.heatSources).toHaveLength(0);
+
+        // Hold the lit match up to the wick
+        const wick = candle.fuelPoints[0];
+        const held = new Match(wick.x, wick.y + 15, { lit: true, isFixed: true });
+        Body.setStatic(held.bodies[0], true);
+        physics.addObject(held);
+        run(physics, 15);
+        expect(candle.isLit).toBe(true);
+    });
+
+    it('should round-trip fire parts through serialization', () => {
+        const fuse = Fuse.deserialize(new Fuse(10, 20, { length: 90 }).serialize());
+        const dynamite = Dynamite.deserialize(new Dynamite(10, 20, { fuseTime: 45 }).serialize());
+        const candle = Candle.deserialize(new Candle(10, 20, { lit: false }).serialize());
+        const match = Match.deserialize(new Match(10, 20, { lit: true }).serialize());
+
+        const points = fuse.fuelPoints;
+        expect(points.at(-1).x - points[0].x).toBeCloseTo(90);
+        expect(dynamite.serialize().options.fuseTime).toBe(45);
+        expect(candle.isLit).toBe(false);
+        expect(match.isLit).toBe(true);
+    });
+});
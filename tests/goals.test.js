@@ -0,0 +1,147 @@
+/**
+ * Unit tests for GoalEvaluator win/fail detection.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { PhysicsEngine } from '../js/engine/PhysicsEngine.js';
+import { GameLoop, FIXED_DT } from '../js/engine/GameLoop.js';
+import GoalEvaluator from '../js/levels/GoalEvaluator.js';
+
+/** Minimal stand-in for a game object. */
+function stub(type, extra = {}) {
+    return { type, bodies: [], ...extra };
+}
+
+describe('GoalEvaluator', () => {
+    let evaluator, reached, failed;
+
+    beforeEach(() => {
+        evaluator = new GoalEvaluator();
+        reached = vi.fn();
+        failed = vi.fn();
+        eventBus.on('goal:reached', reached);
+        eventBus.on('goal:failed', failed);
+    });
+
+    afterEach(() => {
+        evaluator.stop();
+        eventBus.clear();
+    });
+
+    it('should reach object_in_zone when the target lands in the zone bucket', () => {
+        const bucket = stub('bucket', { _goalId: 'bucket-goal' });
+        const ball = stub('ball');
+        evaluator.start({ type: 'object_in_zone', targetType: 'ball', zoneId: 'bucket-goal' }, [bucket, ball]);
+
+        eventBus.emit('bucket:caught', { bucket, object: ball });
+
+        expect(reached).toHaveBeenCalledTimes(1);
+        expect(reached.mock.calls[0][0].reason).toMatch(/ball/);
+        expect(failed).not.toHaveBeenCalled();
+    });
+
+    it('should ignore catches by other buckets or of other types', () => {
+        const goalBucket = stub('bucket', { _goalId: 'bucket-goal' });
+        const otherBucket = stub('bucket');
+        const ball = stub('ball');
+        const domino = stub('domino');
+        evaluator.start({ type: 'object_in_zone', targetType: 'ball', zoneId: 'bucket-goal' }, [goalBucket, otherBucket, ball, domino]);
+
+        eventBus.emit('bucket:caught', { bucket: otherBucket, object: ball });
+        eventBus.emit('bucket:caught', { bucket: goalBucket, object: domino });
+
+        expect(reached).not.toHaveBeenCalled();
+    });
+
+    it('should check non-bucket zones by bounds on loop:frame', () => {
+        const zone = stub('ramp', { _goalId: 'pad', bounds: { x: 0, y: 0, width: 50, height: 50 } });
+        const mouse = stub('mouse', { bodies: [{ position: { x: 200, y: 200 } }] });
+        evaluator.start({ type: 'mouse_in_zone', zoneId: 'pad' }, [zone, mouse]);
+
+        eventBus.emit('loop:frame', { dt: 16, elapsed: 16 });
+        expect(reached).not.toHaveBeenCalled();
+
+        mouse.bodies[0].position = { x: 25, y: 25 };
+        eventBus.emit('loop:frame', { dt: 16, elapsed: 32 });
+        expect(reached).toHaveBeenCalledTimes(1);
+        expect(reached.mock.calls[0][0].elapsed).toBe(32);
+    });
+
+    it('should reach pop_all_balloons only after the last balloon pops', () => {
+        const a = stub('balloon', { isPopped: false });
+        const b = stub('balloon', { isPopped: false });
+        evaluator.start({ type: 'pop_all_balloons' }, [a, b]);
+
+        a.isPopped = true;
+        eventBus.emit('balloon:popped', { balloon: a });
+        expect(reached).not.toHaveBeenCalled();
+
+        b.isPopped = true;
+        eventBus.emit('balloon:popped', { balloon: b });
+        expect(reached).toHaveBeenCalledTimes(1);
+    });
+
+    it('should advance chain_complete steps in order', () => {
+        const rope = stub('rope');
+        const balloon = stub('balloon');
+        evaluator.start({
+            type: 'chain_complete',
+            chain: [{ event: 'rope_severed' }, { event: 'balloon_popped' }],
+        }, [rope, balloon]);
+
+        // Out of order — ignored
+        eventBus.emit('balloon:popped', { balloon });
+        eventBus.emit('rope:severed', { rope });
+        expect(reached).not.toHaveBeenCalled();
+
+        eventBus.emit('balloon:popped', { balloon });
+        expect(reached).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail immediately when the goal cannot be met', () => {
+        evaluator.start({ type: 'object_in_zone', targetType: 'ball', zoneId: 'bucket-goal' }, [stub('bucket', { _goalId: 'bucket-goal' })]);
+
+        expect(failed).toHaveBeenCalledTimes(1);
+        expect(failed.mock.calls[0][0].reason).toMatch(/no ball/);
+    });
+
+    it('should fail a run that is already playing once, leaving it resolved', () => {
+        vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+        vi.stubGlobal('cancelAnimationFrame', vi.fn());
+        const physics = new PhysicsEngine(800, 600);
+        const loop = new GameLoop(physics, () => { });
+        loop.setFailureLimits({ settleTime: 0.1 });
+
+        // The app starts evaluating after play(), which clears the last outcome
+        loop.play();
+        evaluator.start({ type: 'pop_all_balloons' }, []);
+        expect(failed).toHaveBeenCalledTimes(1);
+        expect(loop.isResolved).toBe(true);
+
+        // An empty board settles at once, but the run has already failed
+        for (let i = 0; i < 20; i++) loop.advance(FIXED_DT);
+        expect(failed).toHaveBeenCalledTimes(1);
+
+        loop.dispose();
+        physics.dispose();
+        vi.unstubAllGlobals();
+    });
+
+    it('should resolve at most once and stop listening after stop()', () => {
+        const bucket = stub('bucket', { _goalId: 'bucket-goal' });
+        const ball = stub('ball');
+        evaluator.start({ type: 'object_in_zone', targetType: 'ball', zoneId: 'bucket-goal' }, [bucket, ball]);
+
+        eventBus.emit('bucket:caught', { bucket, object: ball });
+        evaluator.fail('too late');
+        expect(reached).toHaveBeenCalledTimes(1);
+        expect(failed).not.toHaveBeenCalled();
+
+        evaluator.stop();
+        evaluator.start({ type: 'object_in_zone', targetType: 'ball', zoneId: 'bucket-goal' }, [bucket, ball]);
+        evaluator.stop();
+        eventBus.emit('bucket:caught', { bucket, object: ball });
+        expect(reached).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the headless simulation runner.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { HeadlessRunner, RunOutcome, runLevel } from '../js/engine/HeadlessRunner.js';
+import level01 from '../js/levels/puzzles/level-01.json';
+import level05 from '../js/levels/puzzles/level-05.json';
+
+describe('HeadlessRunner', () => {
+    it('should reach the goal when the ball drops into the bucket', () => {
+        const result = runLevel(level01, [{ type: 'ball', x: 700, y: 380 }]);
+
+        expect(result.outcome).toBe(RunOutcome.REACHED);
+        expect(result.frames).toBeGreaterThan(0);
+        expect(result.elapsed).toBeGreaterThan(0);
+
+        const caught = result.events.find(e => e.event === 'bucket:caught');
+        expect(caught.data.bucket).toEqual({ type: 'bucket', id: 'bucket-goal' });
+        expect(caught.data.object.type).toBe('ball');
+    });
+
+    it('should fail once the machine settles away from the goal', () => {
+        const result = runLevel(level01, [{ type: 'ball', x: 300, y: 380 }]);
+
+        expect(result.outcome).toBe(RunOutcome.FAILED);
+        expect(result.events.at(-1).data.cause).toBe('settled');
+    });
+
+    it('should fail on the level time limit', () => {
+        const result = runLevel(level05, [{ type: 'mouse', x: 300, y: 580 }]);
+
+        expect(result.outcome).toBe(RunOutcome.FAILED);
+        expect(result.reason).toMatch(/Time's up/);
+        expect(result.elapsed).toBeGreaterThanOrEqual(level05.timeLimit * 1000);
+    });
+
+    it('should reject solutions that exceed the level inventory', () => {
+        const result = runLevel(level01, [
+            { type: 'ball', x: 100, y: 100 },
+            { type: 'ball', x: 200, y: 100 },
+        ]);
+
+        expect(result.outcome).toBe(RunOutcome.INVALID);
+        expect(result.frames).toBe(0);
+    });
+
+    it('should keep runs and the game around them from hearing each other', () => {
+        const solution = [{ type: 'ball', x: 700, y: 380 }];
+        // The game in the page, watching for its own goal
+        const gameHeard = vi.fn();
+        const offs = ['bucket:caught', 'goal:reached', 'loop:frame'].map(event => eventBus.on(event, gameHeard));
+
+        const first = runLevel(level01, solution);
+        const second = runLevel(level01, solution);
+        const log = (result) => result.events.map(e => e.event);
+        expect(second.outcome).toBe(RunOutcome.REACHED);
+        expect(second.frames).toBe(first.frames);
+        expect(log(second)).toEqual(log(first));
+        expect(log(first).filter(event => event === 'goal:reached')).toHaveLength(1);
+        expect(gameHeard).not.toHaveBeenCalled();
+
+        // A run started from one of the game's own event handlers
+        let nested = null;
+        const offNested = eventBus.on('goal:progress', () => { nested = runLevel(level01, [{ type: 'ball', x: 300, y: 380 }]); });
+        eventBus.emit('goal:progress', {});
+        offNested();
+        expect(nested.outcome).toBe(RunOutcome.FAILED);
+        expect(gameHeard).not.toHaveBeenCalled();
+
+        // The game still hears its own events afterwards
+        eventBus.emit('goal:reached', {});
+        expect(gameHeard).toHaveBeenCalledTimes(1);
+        for (const off of offs) off();
+    });
+
+    it('should stop at maxTime when nothing resolves the run', () => {
+        const level = { ...level01, goal: { type: 'custom' }, settleTime: 0 };
+        const runner = new HeadlessRunner({ maxTime: 1, dt: 20 });
+        const result = runner.run(level, []);
+
+        expect(result.outcome).toBe(RunOutcome.UNRESOLVED);
+        expect(result.frames).toBe(50);
+    });
+});
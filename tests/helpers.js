@@ -0,0 +1,46 @@
+/**
+ * Fixtures shared by the unit tests.
+ */
+
+import { beforeEach, afterEach, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { PhysicsEngine } from '../js/engine/PhysicsEngine.js';
+import { FIXED_DT } from '../js/engine/GameLoop.js';
+import Cord from '../js/objects/Cord.js';
+
+/**
+ * Give every test in the surrounding describe a fresh 900×600 physics
+ * engine, handed to `use` before the test runs, and tear it down after:
+ * the engine disposed, the event bus cleared and any mocks restored.
+ * @param {(physics: PhysicsEngine) => void} use
+ * @param {object} [opts]
+ * @param {number} [opts.random] - Pin Math.random to this (candle flicker, balloon colours)
+ */
+export function usePhysics(use, { random } = {}) {
+    let physics;
+
+    beforeEach(() => {
+        if (random !== undefined) vi.spyOn(Math, 'random').mockReturnValue(random);
+        physics = new PhysicsEngine(900, 600);
+        use(physics);
+    });
+
+    afterEach(() => {
+        physics.dispose();
+        eventBus.clear();
+        vi.restoreAllMocks();
+    });
+}
+
+/** Step the physics `steps` fixed steps, as a running machine does. */
+export function run(physics, steps) {
+    for (let i = 0; i < steps; i++) physics.step(FIXED_DT);
+}
+
+/** A cord whose plugs sit exactly on two terminals `a` and `b`. */
+export function cordBetween(a, b) {
+    return new Cord((a.x + b.x) / 2, (a.y + b.y) / 2, {
+        length: Math.hypot(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+    });
+}
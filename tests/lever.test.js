@@ -0,0 +1,71 @@
+/**
+ * Unit tests for the lever — see-sawing on its fulcrum, its swing limit,
+ * and tipping it as a goal.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import GoalEvaluator from '../js/levels/GoalEvaluator.js';
+import Ball from '../js/objects/Ball.js';
+import Lever from '../js/objects/Lever.js';
+import { usePhysics, run } from './helpers.js';
+
+describe('Lever', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should tip under a dropped weight and fling what sits on the other end', () => {
+        const lever = new Lever(400, 400);
+        const weight = new Ball(470, 200);
+        const launched = new Ball(335, 385, { variant: 'tennis' });
+        for (const obj of [lever, weight, launched]) physics.addObject(obj);
+        const tilted = vi.fn();
+        eventBus.on('lever:tilted', tilted);
+
+        physics.takeSnapshot();
+        run(physics, 5);
+        expect(lever.tilt).toBe(0);
+        expect(lever.bodies[0].position.y).toBeCloseTo(400, 0);
+
+        run(physics, 40);
+        expect(tilted).toHaveBeenCalledWith({ lever, direction: 1 });
+        expect(lever.tiltAngle).toBeCloseTo(0.45);
+        expect(launched.bodies[0].position.y).toBeLessThan(360);
+
+        // Still pinned to the fulcrum
+        const hinge = lever.constraints[0];
+        const pinned = { x: hinge.bodyA.position.x + hinge.pointA.x, y: hinge.bodyA.position.y + hinge.pointA.y };
+        expect(pinned.x).toBeCloseTo(400, 0);
+        expect(pinned.y).toBeCloseTo(400, 0);
+
+        physics.restoreSnapshot();
+        expect(lever.tilt).toBe(0);
+    });
+
+    it('should rest on the fulcrum wherever its pivot is set', () => {
+        const lever = new Lever(300, 300, { length: 200, pivot: 0.25 });
+        const copy = Lever.deserialize(lever.serialize());
+
+        expect(copy.serialize().options).toMatchObject({ length: 200, pivot: 0.25 });
+        expect(copy.bodies[0].position.x).toBeCloseTo(350);
+        expect(copy.bounds.y + copy.bounds.height).toBeCloseTo(330, 0);
+    });
+
+    it('should reach a tilt_lever goal when the named lever tips', () => {
+        const evaluator = new GoalEvaluator();
+        const reached = vi.fn();
+        eventBus.on('goal:reached', reached);
+        const lever = new Lever(200, 400);
+        const target = new Lever(600, 400);
+        target._goalId = 'see-saw';
+        evaluator.start({ type: 'tilt_lever', zoneId: 'see-saw' }, [lever, target]);
+
+        eventBus.emit('lever:tilted', { lever, direction: 1 });
+        expect(reached).not.toHaveBeenCalled();
+
+        eventBus.emit('lever:tilted', { lever: target, direction: -1 });
+        expect(reached).toHaveBeenCalledOnce();
+        evaluator.stop();
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for magnets — pulling metal but nothing else, electromagnets
+ * that need power, and the spatial query they find metal with.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { registerAllObjects } from '../js/objects/registerAllObjects.js';
+import Ball from '../js/objects/Ball.js';
+import ElectroMagnet from '../js/objects/ElectroMagnet.js';
+import Magnet from '../js/objects/Magnet.js';
+import Outlet from '../js/objects/Outlet.js';
+import Ramp from '../js/objects/Ramp.js';
+import Scissors from '../js/objects/Scissors.js';
+import { usePhysics, cordBetween, run } from './helpers.js';
+
+registerAllObjects();
+
+describe('Magnets', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should hold up metal balls below its poles and let others drop', () => {
+        // Poles facing down, a ball hanging just under each
+        const magnets = [200, 450, 700].map(x => new Magnet(x, 300, { angle: Math.PI }));
+        const bowling = new Ball(200, 350);
+        const tennis = new Ball(450, 350, { variant: 'tennis' });
+        const ironTennis = new Ball(700, 350, { variant: 'tennis', material: 'metal' });
+        for (const obj of [...magnets, bowling, tennis, ironTennis]) physics.addObject(obj);
+
+        run(physics, 60);
+        expect(bowling.bodies[0].position.y).toBeLessThan(340);
+        expect(ironTennis.bodies[0].position.y).toBeLessThan(340);
+        expect(tennis.bodies[0].position.y).toBeGreaterThan(450);
+    });
+
+    it('should only pull while an electromagnet has power', () => {
+        // Poles facing left along the floor, a bowling ball resting a little way off
+        const magnet = new ElectroMagnet(700, 560, { angle: -Math.PI / 2 });
+        const ball = new Ball(620, 582);
+        const outlet = new Outlet(800, 450);
+        for (const obj of [magnet, ball, outlet]) physics.addObject(obj);
+
+        run(physics, 60);
+        expect(magnet.isActive).toBe(false);
+        expect(Math.abs(ball.bodies[0].position.x - 620)).toBeLessThan(1);
+
+        physics.addObject(cordBetween(outlet.powerTerminals[1], magnet.powerTerminals[0]));
+        run(physics, 60);
+        expect(magnet.isActive).toBe(true);
+        expect(ball.bodies[0].position.x).toBeGreaterThan(640);
+    });
+
+    it('should find metal through the spatial query, by registry material', () => {
+        const scissors = new Scissors(300, 200);
+        const ramp = new Ramp(330, 220);
+        const far = new Scissors(800, 500);
+        for (const obj of [scissors, ramp, far]) physics.addObject(obj);
+
+        expect(scissors.material).toBe('metal');
+        expect(ramp.material).toBe('generic');
+        expect(new Ball(0, 0, { variant: 'baseball' }).material).toBe('leather');
+
+        const near = physics.objectsNear({ x: 300, y: 200 }, 50);
+        expect(near).toContain(scissors);
+        expect(near).toContain(ramp);
+        expect(near).not.toContain(far);
+
+        // The grid follows objects that have moved by the next step
+        far.setPosition(320, 200);
+        run(physics, 1);
+        expect(physics.objectsNear({ x: 300, y: 200 }, 50)).toContain(far);
+    });
+});
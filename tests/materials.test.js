@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the materials table — objects built from it, and the
+ * material option turning ordinary ramps into icy or rubbery ones.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PhysicsEngine } from '../js/engine/PhysicsEngine.js';
+import { objectRegistry } from '../js/objects/ObjectRegistry.js';
+import { registerAllObjects } from '../js/objects/registerAllObjects.js';
+import { MATERIALS } from '../js/objects/Materials.js';
+import Ball from '../js/objects/Ball.js';
+import Domino from '../js/objects/Domino.js';
+import Ramp from '../js/objects/Ramp.js';
+import { levelManager } from '../js/levels/LevelManager.js';
+import { usePhysics, run } from './helpers.js';
+
+registerAllObjects();
+
+describe('Materials', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should build balls and dominoes from the table', () => {
+        const bowling = new Ball(0, 0).bodies[0];
+        expect(bowling.friction).toBe(MATERIALS.metal.friction);
+        expect(bowling.restitution).toBe(MATERIALS.metal.restitution);
+        expect(bowling.density).toBe(MATERIALS.metal.density);
+
+        const tennis = new Ball(0, 0, { variant: 'tennis' }).bodies[0];
+        expect(tennis.restitution).toBe(MATERIALS.rubber.restitution);
+
+        const domino = new Domino(0, 0);
+        expect(domino.material).toBe('wood');
+        expect(domino.bodies[0].frictionStatic).toBe(MATERIALS.wood.frictionStatic);
+
+        // A glass bowling ball is as light as glass
+        const glass = new Ball(0, 0, { material: 'glass' });
+        physics.addObject(glass);
+        expect(glass.bodies[0].density).toBe(MATERIALS.glass.density);
+    });
+
+    it('should put a ball created from another material back to its own once that is unset', () => {
+        const ball = new Ball(400, 300, { material: 'ice' });
+        physics.addObject(ball);
+        expect(ball.bodies[0].friction).toBe(MATERIALS.ice.friction);
+        expect(ball.bodies[0].density).toBe(MATERIALS.ice.density);
+
+        ball.setMaterial(null);
+        ball.applyMaterial();
+        expect(ball.material).toBe('metal');
+        expect(ball.bodies[0].friction).toBe(MATERIALS.metal.friction);
+        expect(ball.bodies[0].density).toBe(MATERIALS.metal.density);
+    });
+
+    it('should let a block slide down an icy ramp that holds it when plain', () => {
+        const slides = (material) => {
+            const physics = new PhysicsEngine(900, 600);
+            const slope = 0.4;
+            const ramp = new Ramp(400, 300, { angle: slope, width: 300, material });
+            // A domino lying along the ramp, resting on it
+            const start = { x: 400 + 10 * Math.sin(slope), y: 300 - 10 * Math.cos(slope) };
+            const block = new Domino(start.x, start.y, { angle: slope + Math.PI / 2 });
+            for (const obj of [ramp, block]) physics.addObject(obj);
+            run(physics, 45);
+            const moved = block.bodies[0].position.x - start.x;
+            physics.dispose();
+            return moved;
+        };
+
+        expect(slides(undefined)).toBeLessThan(10);
+        expect(slides('ice')).toBeGreaterThan(25);
+    });
+
+    it('should bounce off a rubber floor, set from the editor and saved with the level', () => {
+        const floor = new Ramp(400, 500, { width: 300 });
+        floor.setMaterial('rubber');
+        const saved = floor.serialize();
+        expect(saved.options.material).toBe('rubber');
+
+        const rubber = objectRegistry.deserialize(saved);
+        const ball = new Ball(400, 300);
+        for (const obj of [rubber, ball]) physics.addObject(obj);
+        expect(rubber.bodies[0].restitution).toBe(MATERIALS.rubber.restitution);
+
+        // Let it hit the floor, then see how high it comes back up
+        run(physics, 40);
+        let peak = Infinity;
+        for (let i = 0; i < 60; i++) {
+            run(physics, 1);
+            peak = Math.min(peak, ball.bodies[0].position.y);
+        }
+        expect(peak).toBeLessThan(420);
+
+        // Unset again, a ball goes back to what its variant is made of
+        ball.setMaterial('ice');
+        ball.applyMaterial();
+        expect(ball.bodies[0].density).toBe(MATERIALS.ice.density);
+        ball.setMaterial(null);
+        ball.applyMaterial();
+        expect(ball.materialOverride).toBe(null);
+        expect(ball.bodies[0].density).toBe(MATERIALS.metal.density);
+    });
+
+    it('should keep an icy ramp icy through a level saved and loaded again', () => {
+        const ramp = new Ramp(300, 400, { width: 200, angle: 0.3 });
+        ramp.setMaterial('ice');
+
+        // Saved from the editor board, written out and read back in
+        const level = JSON.parse(JSON.stringify({
+            id: 'icy', name: 'Icy', goal: { type: 'reach' },
+            fixedObjects: levelManager.serializeFixedObjects([ramp]),
+            availableParts: [],
+        }));
+        expect(() => levelManager._validate(level)).not.toThrow();
+        expect(level.fixedObjects[0].options.material).toBe('ice');
+
+        // Built again the way a loaded level builds its fixed objects
+        const { type, x, y, angle, options } = level.fixedObjects[0];
+        const loaded = objectRegistry.create(type, x, y, { ...options, angle, isFixed: true });
+        physics.addObject(loaded);
+        expect(loaded.material).toBe('ice');
+        expect(loaded.isFixed).toBe(true);
+        expect(loaded.bodies[0].friction).toBe(MATERIALS.ice.friction);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for optics — lasers lighting sensors, beams blocked live by
+ * moving objects, mirrors, splitters and prisms, and the light_sensor goal.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import GoalEvaluator from '../js/levels/GoalEvaluator.js';
+import Ball from '../js/objects/Ball.js';
+import BeamSplitter from '../js/objects/BeamSplitter.js';
+import Laser from '../js/objects/Laser.js';
+import LightSensor from '../js/objects/LightSensor.js';
+import Mirror from '../js/objects/Mirror.js';
+import Prism from '../js/objects/Prism.js';
+import { usePhysics, run } from './helpers.js';
+
+describe('Optics', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should light a sensor in the beam, and go dark while a ball falls through it', () => {
+        const laser = new Laser(100, 300);
+        const sensor = new LightSensor(400, 300);
+        const ball = new Ball(250, 150);
+        for (const obj of [laser, sensor, ball]) physics.addObject(obj);
+        const lit = vi.fn();
+        eventBus.on('sensor:lit', lit);
+
+        physics.takeSnapshot();
+        run(physics, 1);
+        expect(sensor.isIlluminated).toBe(true);
+        expect(lit).toHaveBeenCalledWith({ sensor });
+
+        // Step until the ball is in the beam, then until it has dropped out of it
+        let blocked = false;
+        for (let i = 0; i < 120 && !(blocked && ball.bodies[0].position.y > 340); i++) {
+            run(physics, 1);
+            if (!sensor.isIlluminated) blocked = true;
+        }
+        expect(blocked).toBe(true);
+        expect(sensor.isIlluminated).toBe(true);
+        expect(lit).toHaveBeenCalledTimes(2);
+
+        physics.restoreSnapshot();
+        expect(sensor.isIlluminated).toBe(false);
+        expect(physics.optics.beams).toEqual([]);
+    });
+
+    it('should reflect off mirrors, split at splitters and bend through prisms', () => {
+        // Mirror at 45° turns the beam straight down onto a sensor
+        const mirrorLaser = new Laser(100, 100);
+        const mirror = new Mirror(300, 100, { angle: Math.PI / 4 });
+        const below = new LightSensor(300, 250);
+
+        // Splitter sends one beam on and one down
+        const splitLaser = new Laser(450, 100);
+        const splitter = new BeamSplitter(600, 100, { angle: Math.PI / 4 });
+        const ahead = new LightSensor(750, 100);
+        const down = new LightSensor(600, 250);
+
+        // Beam hits the prism's lower-left face, above its centre
+        const prismLaser = new Laser(100, 400);
+        const prism = new Prism(300, 405);
+
+        for (const obj of [mirrorLaser, mirror, below, splitLaser, splitter, ahead, down, prismLaser, prism]) {
+            physics.addObject(obj);
+        }
+        run(physics, 1);
+
+        expect(physics.optics.beams.some(beam => Math.hypot(beam.to.x - mirror.x, beam.to.y - mirror.y) < 10)).toBe(true);
+        expect(below.isIlluminated).toBe(true);
+        expect(ahead.isIlluminated).toBe(true);
+        expect(down.isIlluminated).toBe(true);
+
+        // Refracted in at 60° and out through the upright face
+        const inside = Math.PI / 3 - Math.asin(Math.sin(Math.PI / 3) / 1.5);
+        const expected = Math.asin(1.5 * Math.sin(inside));
+        const out = physics.optics.beams.find(beam => beam.from.x > 310 && beam.from.y > 380);
+        expect(Math.atan2(out.to.y - out.from.y, out.to.x - out.from.x)).toBeCloseTo(expected, 3);
+    });
+
+    it('should score a light_sensor goal when the beam reaches the sensor', () => {
+        const laser = new Laser(100, 300);
+        const sensor = new LightSensor(400, 300);
+        sensor._goalId = 'eye';
+        for (const obj of [laser, sensor]) physics.addObject(obj);
+        const evaluator = new GoalEvaluator();
+        const reached = vi.fn();
+        const failed = vi.fn();
+        eventBus.on('goal:reached', reached);
+        eventBus.on('goal:failed', failed);
+
+        evaluator.start({ type: 'light_sensor', zoneId: 'eye' }, physics.getObjects());
+        run(physics, 1);
+        expect(reached).toHaveBeenCalledOnce();
+
+        evaluator.start({ type: 'light_sensor' }, [laser]);
+        expect(failed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'There is no light sensor on the board.' }));
+        evaluator.stop();
+    });
+});
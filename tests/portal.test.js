@@ -0,0 +1,118 @@
+/**
+ * Unit tests for portals — sending bodies to the partner with their
+ * velocity turned, not ping-ponging them, and pairing by level id.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { objectRegistry } from '../js/objects/ObjectRegistry.js';
+import { registerAllObjects } from '../js/objects/registerAllObjects.js';
+import Ball from '../js/objects/Ball.js';
+import Portal from '../js/objects/Portal.js';
+import { usePhysics, run } from './helpers.js';
+
+registerAllObjects();
+
+/** Two portals paired by level id, as a level would load them. */
+function pair(a, b) {
+    a._goalId = 'a';
+    b._goalId = 'b';
+    a._linkId = 'b';
+    b._linkId = 'a';
+    objectRegistry.linkObjects([a, b]);
+}
+
+describe('Portals', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should send a ball dropped into a floor portal out of a wall portal, turned sideways', () => {
+        const floor = new Portal(200, 450);
+        const wall = new Portal(500, 300, { angle: Math.PI / 2 });
+        pair(floor, wall);
+        const ball = new Ball(200, 300, { variant: 'tennis' });
+        for (const obj of [floor, wall, ball]) physics.addObject(obj);
+        const teleported = vi.fn();
+        const collided = vi.fn();
+        eventBus.on('portal:teleported', teleported);
+        eventBus.on('physics:collision', collided);
+
+        physics.takeSnapshot();
+        let speed = 0;
+        for (let i = 0; i < 60 && teleported.mock.calls.length === 0; i++) {
+            speed = ball.bodies[0].velocity.y;
+            run(physics, 1);
+        }
+        expect(teleported).toHaveBeenCalledWith({ portal: floor, exit: wall, object: ball });
+
+        // Falling speed became rightward speed, clear of the wall portal
+        const body = ball.bodies[0];
+        expect(body.position.x).toBeGreaterThan(515);
+        expect(Math.abs(body.position.y - 300)).toBeLessThan(10);
+        expect(body.velocity.x).toBeCloseTo(speed, 0);
+        expect(Math.abs(body.velocity.y)).toBeLessThan(1);
+        expect(collided).not.toHaveBeenCalled();
+
+        physics.restoreSnapshot();
+        expect(ball.bodies[0].position.y).toBeCloseTo(300);
+    });
+
+    it('should not ping-pong a body straight back through the pair', () => {
+        // The lower portal faces up, the upper one down just above it —
+        // whatever comes out of the upper one drops straight back in
+        const lower = new Portal(300, 500);
+        const upper = new Portal(300, 430, { angle: Math.PI });
+        pair(lower, upper);
+        const ball = new Ball(300, 462, { variant: 'tennis' });
+        for (const obj of [lower, upper, ball]) physics.addObject(obj);
+        const steps = [];
+        let step = 0;
+        eventBus.on('portal:teleported', () => steps.push(step));
+
+        for (step = 0; step < 60; step++) run(physics, 1);
+
+        expect(steps.length).toBeGreaterThan(0);
+        for (let i = 1; i < steps.length; i++) {
+            expect(steps[i] - steps[i - 1]).toBeGreaterThanOrEqual(15);
+        }
+    });
+
+    it('should pair in the editor, save the link by id and let unpaired portals be walked through', () => {
+        const a = new Portal(100, 300);
+        const b = new Portal(400, 300);
+        const c = new Portal(700, 300);
+        a._goalId = 'portal-a';
+        b._goalId = 'portal-b';
+        c._goalId = 'portal-c';
+
+        a.setLinkEnd(0, b.linkEnds[0], b);
+        expect(a.partner).toBe(b);
+        expect(b.partner).toBe(a);
+        expect(a.linkEnds[0]).toEqual({ x: 400, y: 300 });
+
+        // Re-pairing a leaves b on its own
+        a.setLinkEnd(0, { x: 700, y: 300 }, c);
+        expect(b.partner).toBe(null);
+        expect(c.partner).toBe(a);
+
+        const saved = [a, b, c].map(p => ({ ...p.serialize(), id: p._goalId }));
+        expect(saved[0].options.link).toBe('portal-c');
+        expect(saved[1].options.link).toBe(null);
+        const loaded = saved.map(data => {
+            const obj = objectRegistry.deserialize(data);
+            obj._goalId = data.id;
+            return obj;
+        });
+        objectRegistry.linkObjects(loaded);
+        expect(loaded[0].partner).toBe(loaded[2]);
+        expect(loaded[2].partner).toBe(loaded[0]);
+        expect(loaded[1].partner).toBe(null);
+
+        // b has no partner — a ball falls straight through it
+        const ball = new Ball(400, 250, { variant: 'tennis' });
+        for (const obj of [loaded[1], ball]) physics.addObject(obj);
+        run(physics, 60);
+        expect(ball.bodies[0].position.y).toBeGreaterThan(400);
+    });
+});
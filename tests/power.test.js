@@ -0,0 +1,134 @@
+/**
+ * Unit tests for the electrical network — outlets, cords, switches and
+ * the devices they power.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import Ball from '../js/objects/Ball.js';
+import Conveyor from '../js/objects/Conveyor.js';
+import Cord from '../js/objects/Cord.js';
+import Fan from '../js/objects/Fan.js';
+import LightSwitch from '../js/objects/LightSwitch.js';
+import Motor from '../js/objects/Motor.js';
+import Outlet from '../js/objects/Outlet.js';
+import { usePhysics, cordBetween, run } from './helpers.js';
+
+describe('Electrical power', () => {
+    let physics, outlet;
+
+    usePhysics(engine => { physics = engine; });
+
+    beforeEach(() => {
+        outlet = new Outlet(100, 300);
+        physics.addObject(outlet);
+    });
+
+    it('should power a fan corded straight into an outlet', () => {
+        const fan = new Fan(600, 500);
+        const ball = new Ball(600, 420, { variant: 'tennis' });
+        physics.addObject(fan);
+        physics.addObject(ball);
+
+        // Unplugged — the fan does nothing and the ball drops onto it
+        run(physics, 5);
+        expect(fan.isPowered).toBe(false);
+        expect(ball.bodies[0].velocity.y).toBeGreaterThan(0);
+
+        const cord = cordBetween(outlet.powerTerminals[1], fan.powerTerminals[0]);
+        physics.addObject(cord);
+        run(physics, 1);
+        expect(fan.isPowered).toBe(true);
+        expect(cord.isPowered).toBe(true);
+
+        // Pull the plug out of reach
+        cord.setPosition(cord.x + 100, cord.y);
+        run(physics, 1);
+        expect(fan.isPowered).toBe(false);
+    });
+
+    it('should only pass power through a switch that is on', () => {
+        const sw = new LightSwitch(300, 500);
+        const fan = new Fan(600, 500);
+        const [input, output] = sw.powerTerminals;
+        for (const obj of [sw, fan, cordBetween(outlet.powerTerminals[0], input), cordBetween(output, fan.powerTerminals[0])]) {
+            physics.addObject(obj);
+        }
+
+        run(physics, 1);
+        expect(sw.isPowered).toBe(true);
+        expect(fan.isPowered).toBe(false);
+
+        sw.toggle();
+        run(physics, 1);
+        expect(fan.isPowered).toBe(true);
+    });
+
+    it('should start a fan mid-run when something knocks the switch on', () => {
+        const sw = new LightSwitch(300, 500);
+        const fan = new Fan(600, 500);
+        const [input, output] = sw.powerTerminals;
+        for (const obj of [sw, fan, cordBetween(outlet.powerTerminals[0], input), cordBetween(output, fan.powerTerminals[0])]) {
+            physics.addObject(obj);
+        }
+        physics.addObject(new Ball(300, 400, { variant: 'tennis' }));
+
+        const toggled = vi.fn();
+        const changed = vi.fn();
+        eventBus.on('switch:toggled', toggled);
+        eventBus.on('power:changed', changed);
+
+        physics.takeSnapshot();
+        run(physics, 60);
+
+        expect(toggled).toHaveBeenCalledWith({ switch: sw, isOn: true });
+        expect(sw.isOn).toBe(true);
+        expect(fan.isPowered).toBe(true);
+        expect(changed).toHaveBeenCalledWith({ object: fan, powered: true });
+
+        // Reset puts the switch back off and the fan back to unpowered
+        physics.restoreSnapshot();
+        expect(sw.isOn).toBe(false);
+        expect(fan.isPowered).toBe(false);
+    });
+
+    it('should only move a conveyor belt while it is powered', () => {
+        const conveyor = new Conveyor(500, 400);
+        const ball = new Ball(500, 380, { variant: 'tennis' });
+        physics.addObject(conveyor);
+        physics.addObject(ball);
+
+        run(physics, 40);
+        expect(Math.abs(ball.bodies[0].position.x - 500)).toBeLessThan(1);
+
+        physics.addObject(cordBetween(outlet.powerTerminals[1], conveyor.powerTerminals[0]));
+        run(physics, 40);
+        expect(conveyor.isPowered).toBe(true);
+        expect(ball.bodies[0].position.x).toBeGreaterThan(505);
+    });
+
+    it('should spin a motor roller only while powered', () => {
+        const motor = new Motor(400, 400);
+        physics.addObject(motor);
+        const roller = motor.bodies[1];
+
+        run(physics, 10);
+        expect(motor.isRunning).toBe(false);
+        expect(roller.angle).toBe(0);
+
+        physics.addObject(cordBetween(outlet.powerTerminals[1], motor.powerTerminals[0]));
+        run(physics, 10);
+        expect(motor.isRunning).toBe(true);
+        expect(roller.angle).toBeGreaterThan(0);
+    });
+
+    it('should round-trip new electrical parts through serialization', () => {
+        const sw = LightSwitch.deserialize(new LightSwitch(10, 20, { on: true }).serialize());
+        const cord = Cord.deserialize(new Cord(10, 20, { length: 200 }).serialize());
+        const motor = Motor.deserialize(new Motor(10, 20, { direction: -1 }).serialize());
+
+        expect(sw.isOn).toBe(true);
+        expect(cord.powerTerminals[1].x - cord.powerTerminals[0].x).toBeCloseTo(200);
+        expect(motor.serialize().options.direction).toBe(-1);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the pulley — one rope shared by both sides, loads tied
+ * to its ends, and cutting it.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { objectRegistry } from '../js/objects/ObjectRegistry.js';
+import { registerAllObjects } from '../js/objects/registerAllObjects.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Candle from '../js/objects/Candle.js';
+import Pulley from '../js/objects/Pulley.js';
+import Scissors from '../js/objects/Scissors.js';
+import { usePhysics, run } from './helpers.js';
+
+registerAllObjects();
+
+/** Length of rope out on both sides of a pulley at (400, 100). */
+function ropeOut(pulley) {
+    const [left, right] = pulley.linkEnds;
+    return Math.hypot(left.x - 364, left.y - 100) + Math.hypot(right.x - 436, right.y - 100);
+}
+
+describe('Pulley', () => {
+    let physics;
+
+    // Candle flicker is random — pin it
+    usePhysics(engine => { physics = engine; }, { random: 0.25 });
+
+    it('should lift one side as a load pulls the other down, without stretching the rope', () => {
+        const pulley = new Pulley(400, 100, { ropeLength: 300 });
+        const ball = new Ball(364, 235, { variant: 'baseball' });
+        for (const obj of [pulley, ball]) physics.addObject(obj);
+
+        run(physics, 30);
+        const [left, right] = pulley.linkEnds;
+        expect(left.y).toBeGreaterThan(300);
+        expect(right.y).toBeLessThan(200);
+        expect(ropeOut(pulley)).toBeLessThan(302);
+    });
+
+    it('should let a balloon tied to one end haul up the other', () => {
+        const pulley = new Pulley(400, 100, { ropeLength: 300 });
+        const balloon = new Balloon(436, 280);
+        balloon._goalId = 'balloon';
+        pulley.setLinkEnd(1, { x: 436, y: 262 }, balloon);
+        for (const obj of [pulley, balloon]) physics.addObject(obj);
+
+        // The tied end has no platform of its own
+        expect(pulley.bodies).toHaveLength(2);
+        expect(pulley.attachedObjects).toEqual([null, balloon]);
+
+        // Tying on re-cut the rope to reach the balloon
+        const { ropeLength } = pulley.serialize().options;
+        expect(ropeLength).toBeCloseTo(162 + 150);
+
+        run(physics, 120);
+        const [left, right] = pulley.linkEnds;
+        expect(right.y).toBeLessThan(120);
+        expect(left.y).toBeGreaterThan(300);
+        expect(ropeOut(pulley)).toBeLessThan(ropeLength + 2);
+
+        // Ties survive a save and load
+        const board = [balloon, pulley].map(obj => ({ ...obj.serialize(), id: obj._goalId }));
+        const objects = board.map(data => {
+            const obj = objectRegistry.create(data.type, data.x, data.y, { ...data.options });
+            if (data.id) obj._goalId = data.id;
+            return obj;
+        });
+        objectRegistry.linkObjects(objects);
+        expect(objects[1].attachedObjects).toEqual([null, objects[0]]);
+    });
+
+    it('should be cut by scissors closing on the rope, and burnt through by a candle', () => {
+        const cut = new Pulley(200, 100, { ropeLength: 300 });
+        const burnt = new Pulley(600, 100, { ropeLength: 300 });
+        const scissors = new Scissors(220, 180);
+        const candle = new Candle(564, 230);
+        for (const obj of [cut, burnt, scissors, candle]) physics.addObject(obj);
+        const severed = vi.fn();
+        eventBus.on('rope:severed', severed);
+
+        physics.takeSnapshot();
+        run(physics, 1);
+        expect(cut.isSevered).toBe(false);
+        scissors.close();
+        run(physics, 6);
+        expect(severed).toHaveBeenCalledWith({ rope: cut, released: [] });
+        expect(cut.isSevered).toBe(true);
+        expect(burnt.isSevered).toBe(false);
+
+        run(physics, 60);
+        expect(burnt.isSevered).toBe(true);
+        run(physics, 60);
+        expect(burnt.linkEnds[1].y).toBeGreaterThan(500);
+
+        physics.restoreSnapshot();
+        expect(cut.isSevered).toBe(false);
+        expect(burnt.isBurning).toBe(false);
+    });
+
+    it('should keep the run going while a candle heats its rope and while it burns', () => {
+        const pulley = new Pulley(600, 100, { ropeLength: 300 });
+        for (const obj of [pulley, new Candle(564, 230)]) physics.addObject(obj);
+        expect(pulley.isBusy).toBe(false);
+
+        let steps = 0;
+        while (pulley.heat === 0 && steps++ < 60) run(physics, 1);
+        expect(pulley.isBurning).toBe(false);
+        expect(pulley.isBusy).toBe(true);
+
+        while (!pulley.isBurning && steps++ < 120) run(physics, 1);
+        expect(pulley.isBusy).toBe(true);
+
+        while (!pulley.isSevered && steps++ < 180) run(physics, 1);
+        expect(pulley.isSevered).toBe(true);
+        expect(pulley.isBusy).toBe(false);
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Unit tests for run recording (RunRecorder), playback (ReplayPlayer)
+ * and GameLoop's replay mode.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { PhysicsEngine } from '../js/engine/PhysicsEngine.js';
+import { GameLoop, LoopState, FIXED_DT } from '../js/engine/GameLoop.js';
+import RunRecorder, { REPLAY_VERSION } from '../js/engine/RunRecorder.js';
+import { ReplayPlayer } from '../js/engine/ReplayPlayer.js';
+import { registerAllObjects } from '../js/objects/registerAllObjects.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Candle from '../js/objects/Candle.js';
+import Faucet from '../js/objects/Faucet.js';
+import Laser from '../js/objects/Laser.js';
+import { usePhysics } from './helpers.js';
+
+const STEPS = 120;
+
+describe('Run recording and replay', () => {
+    let physics, loop, recorder, board, live;
+
+    usePhysics(engine => { physics = engine; });
+
+    beforeEach(() => {
+        registerAllObjects();
+        vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+        vi.stubGlobal('cancelAnimationFrame', vi.fn());
+
+        loop = new GameLoop(physics, () => { });
+        recorder = new RunRecorder();
+
+        // A ball that falls and a balloon that rises into a candle and pops
+        board = {
+            ball: new Ball(300, 100, { variant: 'tennis' }),
+            candle: new Candle(600, 120),
+            balloon: new Balloon(600, 300),
+        };
+        for (const obj of Object.values(board)) physics.addObject(obj);
+        board.ball._goalId = 'the-ball';
+
+        // Record the live ball position after every step, for comparison
+        live = [{ ...board.ball.bodies[0].position }];
+        recorder.start(physics, { levelId: 'test-level' });
+        eventBus.on('loop:frame', () => live.push({ ...board.ball.bodies[0].position }));
+        for (let i = 0; i < STEPS; i++) loop.advance(FIXED_DT);
+    });
+
+    afterEach(() => {
+        recorder.stop();
+        loop.dispose();
+        vi.unstubAllGlobals();
+    });
+
+    it('should record the board, run-length encoded steps and one frame per step', () => {
+        const replay = recorder.stop();
+
+        expect(replay.version).toBe(REPLAY_VERSION);
+        expect(replay.levelId).toBe('test-level');
+        expect(replay.board.map(o => o.type)).toEqual(['ball', 'candle', 'balloon']);
+        expect(replay.board[0].goalId).toBe('the-ball');
+        expect(replay.steps).toEqual([[FIXED_DT, STEPS]]);
+        expect(replay.frames).toHaveLength(STEPS + 1);
+        expect(recorder.isRecording).toBe(false);
+    });
+
+    it('should log state changes as they happen', () => {
+        const replay = recorder.stop();
+        const popped = replay.states.find(([, index, changed]) => index === 2 && changed.popped === true);
+
+        expect(board.balloon.isPopped).toBe(true);
+        expect(popped).toBeDefined();
+        // Popped balloons have no bodies — later frames are shorter
+        expect(replay.frames[STEPS].length).toBe(replay.frames[0].length - 3);
+    });
+
+    it('should record the outcome of the run', () => {
+        eventBus.emit('goal:reached', { reason: 'ball reached the goal' });
+        const replay = recorder.stop();
+
+        expect(replay.outcome).toEqual({ event: 'goal:reached', reason: 'ball reached the goal', frame: STEPS });
+    });
+
+    it('should pose a rebuilt board like the recorded run', () => {
+        const replay = JSON.parse(JSON.stringify(recorder.stop()));
+        const player = new ReplayPlayer(replay);
+        const [ball, , balloon] = player.objects;
+
+        expect(player.frameCount).toBe(STEPS + 1);
+        expect(player.duration).toBeCloseTo(STEPS * FIXED_DT);
+        expect(ball._goalId).toBe('the-ball');
+
+        for (const frame of [0, 30, STEPS]) {
+            player.seek(frame * FIXED_DT);
+            expect(ball.bodies[0].position.x).toBeCloseTo(live[frame].x, 1);
+            expect(ball.bodies[0].position.y).toBeCloseTo(live[frame].y, 1);
+        }
+        expect(balloon.isPopped).toBe(true);
+
+        // Seeking backwards re-applies state from the start
+        player.seek(0);
+        expect(balloon.isPopped).toBe(false);
+    });
+
+    it('should interpolate between recorded steps', () => {
+        const player = new ReplayPlayer(recorder.stop());
+        const ball = player.objects[0];
+
+        player.seek(30.5 * FIXED_DT);
+        const mid = (live[30].y + live[31].y) / 2;
+        expect(ball.bodies[0].position.y).toBeCloseTo(mid, 1);
+    });
+
+    it('should reject malformed replays', () => {
+        const replay = recorder.stop();
+
+        expect(() => new ReplayPlayer(null)).toThrow();
+        expect(() => new ReplayPlayer({ ...replay, version: 99 })).toThrow(/version/);
+        expect(() => new ReplayPlayer({ ...replay, frames: replay.frames.slice(1) })).toThrow(/frames/);
+    });
+
+    it('should play back the water and laser beams as they were, not as they are now', () => {
+        recorder.stop();
+        const wet = new PhysicsEngine(900, 600);
+        const wetLoop = new GameLoop(wet, () => { });
+        // Water pouring through a laser beam, cutting it off drop by drop
+        for (const obj of [new Faucet(400, 200, { volume: 30 }), new Laser(200, 400), new Ball(600, 100)]) wet.addObject(obj);
+        const liveWater = [];
+        const liveBeams = [];
+        const snapshot = () => {
+            const drops = [];
+            wet.water.forEachDrop((x, y) => drops.push(x, y));
+            liveWater.push(drops);
+            liveBeams.push(wet.optics.beams.map(({ from, to }) => [from.x, from.y, to.x, to.y]));
+        };
+        recorder.start(wet);
+        snapshot();
+        const off = eventBus.on('loop:frame', snapshot);
+        for (let i = 0; i < STEPS; i++) wetLoop.advance(FIXED_DT);
+        off();
+        const replay = JSON.parse(JSON.stringify(recorder.stop()));
+
+        // The live engine moves on, or is cleared — the replay must not care
+        wet.clear();
+        const player = new ReplayPlayer(replay);
+        const seen = (frame) => {
+            player.seek(player._times[frame]);
+            const drops = [];
+            player.water.forEachDrop((x, y) => drops.push(x, y));
+            return { drops, beams: player.optics.beams.map(({ from, to }) => [from.x, from.y, to.x, to.y]) };
+        };
+        expect(liveWater[60].length).toBeGreaterThan(0);
+        expect(new Set(liveBeams.map(beams => beams[0]?.[2])).size).toBeGreaterThan(1);
+        for (const frame of [0, 30, 60, 90, STEPS]) {
+            const { drops, beams } = seen(frame);
+            expect(drops).toHaveLength(liveWater[frame].length);
+            drops.forEach((v, i) => expect(v).toBeCloseTo(liveWater[frame][i], 1));
+            expect(beams).toHaveLength(liveBeams[frame].length);
+            beams.flat().forEach((v, i) => expect(v).toBeCloseTo(liveBeams[frame].flat()[i], 1));
+        }
+
+        // A replay from before water and beams were recorded still plays, without them
+        const { water, beams, ...older } = replay;
+        const old = new ReplayPlayer({ ...older, version: 1 });
+        old.seek(old.duration);
+        expect(old.water.count).toBe(0);
+        expect(old.optics.beams).toEqual([]);
+
+        wetLoop.dispose();
+        wet.dispose();
+    });
+
+    it('should drive playback from GameLoop without stepping physics', () => {
+        const player = new ReplayPlayer(recorder.stop());
+        const rendered = vi.fn();
+        const playback = new GameLoop(physics, rendered);
+        const step = vi.spyOn(physics, 'step');
+        const ended = vi.fn();
+        eventBus.on('replay:ended', ended);
+
+        playback.playReplay(player);
+        expect(playback.isReplaying).toBe(true);
+        expect(playback.state).toBe(LoopState.RUNNING);
+
+        // Two real seconds of frames at 2× speed covers the whole clip
+        playback.cycleSpeed();
+        for (let t = 1; t <= 120 && playback.isRunning; t++) playback._frame(t * 16);
+
+        expect(step).not.toHaveBeenCalled();
+        expect(rendered).toHaveBeenCalledWith(player.objects, physics, 1);
+        expect(ended).toHaveBeenCalledTimes(1);
+        expect(playback.state).toBe(LoopState.PAUSED);
+        expect(player.time).toBe(player.duration);
+
+        // Reset rewinds the replay; stopReplay leaves playback mode
+        playback.reset();
+        expect(player.time).toBe(0);
+        playback.stopReplay();
+        expect(playback.isReplaying).toBe(false);
+        playback.dispose();
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for ropes tied to other objects — ties by level id,
+ * severing, and the editor gesture's underlying API.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { objectRegistry } from '../js/objects/ObjectRegistry.js';
+import { registerAllObjects } from '../js/objects/registerAllObjects.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Rope from '../js/objects/Rope.js';
+import { usePhysics, run } from './helpers.js';
+
+registerAllObjects();
+
+describe('Rope ties', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should hold a tied object until the rope is severed', () => {
+        const ball = new Ball(300, 200, { variant: 'tennis' });
+        ball._goalId = 'weight';
+        const rope = new Rope(300, 100);
+        rope.setLinkEnd(1, { x: 300, y: 200 }, ball);
+        for (const obj of [rope, ball]) physics.addObject(obj);
+        const severed = vi.fn();
+        eventBus.on('rope:severed', severed);
+
+        physics.takeSnapshot();
+        run(physics, 60);
+        expect(rope.attachedObjects).toEqual([null, ball]);
+        expect(ball.bodies[0].position.y).toBeLessThan(260);
+
+        rope.sever(2);
+        expect(severed).toHaveBeenCalledWith({ rope, released: [ball] });
+        run(physics, 60);
+        expect(ball.bodies[0].position.y).toBeGreaterThan(500);
+
+        physics.restoreSnapshot();
+        expect(rope.isSevered).toBe(false);
+        expect(physics.world.constraints).toHaveLength(rope.constraints.length);
+        expect(rope.constraints.some(c => c.bodyA === ball.bodies[0])).toBe(true);
+    });
+
+    it('should let a balloon lift a ball tied to it and let go when it pops', () => {
+        const balloon = new Balloon(300, 400);
+        const ball = new Ball(300, 520, { variant: 'tennis' });
+        balloon._goalId = 'balloon';
+        ball._goalId = 'ball';
+        const rope = new Rope(300, 420);
+        rope.setLinkEnd(0, { x: 300, y: 420 }, balloon);
+        rope.setLinkEnd(1, { x: 300, y: 515 }, ball);
+        for (const obj of [balloon, ball, rope]) physics.addObject(obj);
+
+        // Tied at both ends, the rope has no anchor of its own
+        expect(rope.bodies).not.toContain(rope._anchor);
+
+        run(physics, 90);
+        expect(ball.bodies[0].position.y).toBeLessThan(500);
+
+        balloon.pop();
+        run(physics, 150);
+        expect(rope.constraints.some(c => c.bodyA === balloon.bodies[0])).toBe(false);
+        expect(ball.bodies[0].position.y).toBeGreaterThan(560);
+    });
+
+    it('should round-trip ties through serialization by level id', () => {
+        const ball = new Ball(500, 300);
+        ball._goalId = 'weight';
+        const rope = new Rope(500, 150);
+        rope.setLinkEnd(1, { x: 505, y: 300 }, ball);
+
+        const board = [ball, rope].map(obj => ({ ...obj.serialize(), id: obj._goalId }));
+        expect(board[1].options.endAttach).toMatchObject({ id: 'weight', body: 0 });
+        expect(board[1].options.length).toBeCloseTo(Math.hypot(5, 150));
+
+        // Rebuild with the ball moved — the rope follows it
+        const objects = board.map(data => {
+            const obj = objectRegistry.create(data.type, data.x + 20, data.y, { ...data.options });
+            if (data.id) obj._goalId = data.id;
+            return obj;
+        });
+        objectRegistry.linkObjects(objects);
+        const [copy, copyRope] = objects;
+        expect(copyRope.attachedObjects).toEqual([null, copy]);
+        expect(copyRope.linkEnds[1].x).toBeCloseTo(525);
+
+        // Untied once the ball is gone
+        objectRegistry.linkObjects([copyRope]);
+        expect(copyRope.attachedObjects).toEqual([null, null]);
+        expect(copyRope.serialize().options.endAttach).toBeNull();
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for scissors — snapping shut when the trigger is knocked,
+ * and cutting ropes and balloons lying in the jaws.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Rope from '../js/objects/Rope.js';
+import Scissors from '../js/objects/Scissors.js';
+import { usePhysics, run } from './helpers.js';
+
+describe('Scissors', () => {
+    let physics;
+
+    usePhysics(engine => { physics = engine; });
+
+    it('should snap shut when a ball knocks the trigger, and reopen on reset', () => {
+        const scissors = new Scissors(400, 400);
+        const ball = new Ball(377, 300, { variant: 'tennis' });
+        for (const obj of [scissors, ball]) physics.addObject(obj);
+        const closed = vi.fn();
+        eventBus.on('scissors:closed', closed);
+
+        physics.takeSnapshot();
+        run(physics, 15);
+        expect(scissors.isTriggered).toBe(false);
+
+        run(physics, 30);
+        expect(scissors.isClosed).toBe(true);
+        expect(closed).toHaveBeenCalledTimes(1);
+        expect(closed).toHaveBeenCalledWith({ scissors, cut: [] });
+
+        physics.restoreSnapshot();
+        expect(scissors.isTriggered).toBe(false);
+        expect(scissors.isClosed).toBe(false);
+    });
+
+    it('should pop a balloon that is in the jaws as the blades meet', () => {
+        const scissors = new Scissors(400, 300);
+        physics.addObject(scissors);
+        const closed = vi.fn();
+        eventBus.on('scissors:closed', closed);
+
+        scissors.close();
+        run(physics, 5);
+        expect(scissors.isClosed).toBe(false);
+
+        // Balloons rise fast — put them in place just before the last step
+        const inside = new Balloon(425, 300);
+        const outside = new Balloon(600, 300);
+        for (const obj of [inside, outside]) physics.addObject(obj);
+        run(physics, 1);
+        expect(scissors.isClosed).toBe(true);
+        expect(inside.isPopped).toBe(true);
+        expect(outside.isPopped).toBe(false);
+        expect(closed).toHaveBeenCalledWith({ scissors, cut: [inside] });
+    });
+
+    it('should sever a rope hanging through the jaws', () => {
+        const scissors = new Scissors(400, 300);
+        const rope = new Rope(415, 250);
+        for (const obj of [scissors, rope]) physics.addObject(obj);
+        const severed = vi.fn();
+        eventBus.on('rope:severed', severed);
+
+        run(physics, 10);
+        expect(rope.isSevered).toBe(false);
+
+        scissors.close();
+        run(physics, 6);
+        expect(rope.isSevered).toBe(true);
+        expect(severed).toHaveBeenCalledWith({ rope, released: [] });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for stepping and scrubbing a paused run (GameLoop keyframes
+ * on top of PhysicsEngine.captureSnapshot/applySnapshot).
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Matter from 'matter-js';
+import { eventBus } from '../js/EventBus.js';
+import { GameLoop, FIXED_DT } from '../js/engine/GameLoop.js';
+import RunRecorder from '../js/engine/RunRecorder.js';
+import GoalEvaluator from '../js/levels/GoalEvaluator.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Bucket from '../js/objects/Bucket.js';
+import Candle from '../js/objects/Candle.js';
+import Domino from '../js/objects/Domino.js';
+import Rope from '../js/objects/Rope.js';
+import { usePhysics } from './helpers.js';
+
+const { Body } = Matter;
+
+/** Resting contacts, a domino run, a rope burning through and a balloon popping. */
+function buildBoard(physics) {
+    const objects = {
+        candle: new Candle(150, 120),
+        balloon: new Balloon(150, 300),
+        rope: new Rope(400, 100, { length: 100 }),
+        burnCandle: new Candle(400, 222),
+        bucket: new Bucket(650, 560),
+        ball: new Ball(650, 400, { variant: 'tennis' }),
+        pusher: new Ball(760, 500, { variant: 'bowling' }),
+        domino1: new Domino(800, 560),
+        domino2: new Domino(830, 560),
+    };
+    for (const obj of Object.values(objects)) physics.addObject(obj);
+    return objects;
+}
+
+function fingerprint(physics) {
+    return [...physics.getObjects()].map(obj => ({
+        state: obj.type === 'bucket' ? obj.saveState().caught.length : obj.saveState(),
+        bodies: obj.bodies.map(b => [b.position.x, b.position.y, b.angle, b.velocity.x, b.velocity.y, b.angularVelocity]),
+    }));
+}
+
+describe('GameLoop stepping and scrubbing', () => {
+    let physics, loop, board;
+
+    usePhysics(engine => { physics = engine; }, { random: 0.25 });
+
+    beforeEach(() => {
+        vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+        vi.stubGlobal('cancelAnimationFrame', vi.fn());
+
+        loop = new GameLoop(physics, () => { });
+        board = buildBoard(physics);
+        loop.setFailureLimits({ settleTime: 0 });
+        Body.setVelocity(board.pusher.bodies[0], { x: 4, y: 0 });
+        loop.play();
+        loop.pause();
+    });
+
+    afterEach(() => {
+        loop.dispose();
+        vi.unstubAllGlobals();
+    });
+
+    it('should step forward one fixed step at a time while paused', () => {
+        const seeks = vi.fn();
+        eventBus.on('loop:seek', seeks);
+
+        loop.stepForward();
+        loop.stepForward();
+
+        expect(loop.step).toBe(2);
+        expect(loop.elapsed).toBeCloseTo(2 * FIXED_DT);
+        expect(seeks).toHaveBeenLastCalledWith({ step: 2, elapsed: loop.elapsed, maxElapsed: loop.elapsed });
+    });
+
+    it('should land on exactly the same state when seeking back and forth', () => {
+        const history = [fingerprint(physics)];
+        for (let i = 1; i <= 200; i++) {
+            loop.stepForward();
+            history.push(fingerprint(physics));
+        }
+        expect(board.balloon.isPopped).toBe(true);
+        expect(board.rope.isSevered).toBe(true);
+
+        for (const step of [47, 150, 149, 0, 31, 200]) {
+            loop.seekStep(step);
+            expect(loop.step).toBe(step);
+            expect(fingerprint(physics)).toEqual(history[step]);
+        }
+
+        loop.seekStep(120);
+        loop.stepBackward();
+        expect(fingerprint(physics)).toEqual(history[119]);
+        expect(loop.maxStep).toBe(200);
+
+        // Scrubbing by time rounds to the nearest step
+        loop.seek(10.4 * FIXED_DT);
+        expect(fingerprint(physics)).toEqual(history[10]);
+    });
+
+    it('should rewind tracked run state with the board', () => {
+        const evaluator = new GoalEvaluator();
+        const recorder = new RunRecorder();
+        loop.reset();
+        evaluator.start({ type: 'pop_all_balloons' }, physics.getObjects());
+        recorder.start(physics);
+        loop.trackState(evaluator);
+        loop.trackState(recorder);
+        const reached = vi.fn();
+        eventBus.on('goal:reached', reached);
+        loop.play();
+        loop.pause();
+
+        loop.seekStep(200);
+        expect(reached).toHaveBeenCalledTimes(1);
+        expect(evaluator.isResolved).toBe(true);
+        expect(loop.isResolved).toBe(true);
+
+        loop.seekStep(5);
+        expect(board.balloon.isPopped).toBe(false);
+        expect(evaluator.isResolved).toBe(false);
+        expect(loop.isResolved).toBe(false);
+
+        const replay = recorder.stop();
+        expect(replay.frames).toHaveLength(6);
+        expect(replay.steps).toEqual([[FIXED_DT, 5]]);
+        expect(replay.outcome).toBeNull();
+        evaluator.stop();
+    });
+
+    it('should only seek a paused fixed-step run', () => {
+        loop.play();
+        loop.stepForward();
+        expect(loop.canSeek).toBe(false);
+        expect(loop.step).toBe(0);
+
+        const variable = new GameLoop(physics, () => { }, { fixedDt: 0 });
+        variable.play();
+        variable.pause();
+        expect(variable.canSeek).toBe(false);
+        variable.dispose();
+    });
+});
+
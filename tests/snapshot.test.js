@@ -0,0 +1,144 @@
+/**
+ * Unit tests for PhysicsEngine snapshot/restore — a run followed by a
+ * reset must leave the board indistinguishable from a fresh one.
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { PhysicsEngine } from '../js/engine/PhysicsEngine.js';
+import Ball from '../js/objects/Ball.js';
+import Balloon from '../js/objects/Balloon.js';
+import Bucket from '../js/objects/Bucket.js';
+import Candle from '../js/objects/Candle.js';
+import DriveBelt from '../js/objects/DriveBelt.js';
+import Gear from '../js/objects/Gear.js';
+import HamsterWheel from '../js/objects/HamsterWheel.js';
+import Mouse from '../js/objects/Mouse.js';
+import Rope from '../js/objects/Rope.js';
+import Spring from '../js/objects/Spring.js';
+import { usePhysics, run } from './helpers.js';
+
+const { Composite } = Matter;
+
+/**
+ * A board that exercises every kind of runtime state: a balloon that
+ * rises into a candle, a rope hanging into a flame, a ball dropping into
+ * a bucket, a ball landing on a spring, a gear belted to a hamster wheel,
+ * a walking mouse.
+ */
+function buildBoard(physics) {
+    const objects = {
+        popCandle: new Candle(150, 120),
+        balloon: new Balloon(150, 300),
+        rope: new Rope(400, 100, { length: 100 }),
+        burnCandle: new Candle(400, 222),
+        bucket: new Bucket(650, 560),
+        bucketBall: new Ball(650, 400, { variant: 'tennis' }),
+        spring: new Spring(800, 560),
+        springBall: new Ball(800, 450, { variant: 'tennis' }),
+        gear: new Gear(250, 450),
+        hamster: new HamsterWheel(120, 450, { running: true }),
+        belt: new DriveBelt(185, 450, { length: 130 }),
+        mouse: new Mouse(500, 594),
+    };
+    for (const obj of Object.values(objects)) physics.addObject(obj);
+    return objects;
+}
+
+/** Everything observable about the board, with instance ids replaced by board order. */
+function fingerprint(physics) {
+    const objects = [...physics.getObjects()];
+    const order = new Map(objects.map((obj, i) => [obj.id, i]));
+    const worldBodies = new Set(Composite.allBodies(physics.world));
+    return objects.map(obj => ({
+        type: obj.type,
+        serialized: obj.serialize(),
+        state: obj.type === 'bucket'
+            ? { caught: obj.saveState().caught.map(id => order.get(id)) }
+            : obj.saveState(),
+        constraints: obj.constraints.length,
+        bodies: obj.bodies.map(b => ({
+            inWorld: worldBodies.has(b),
+            position: { ...b.position },
+            angle: b.angle,
+            velocity: { ...b.velocity },
+            angularVelocity: b.angularVelocity,
+            isSleeping: b.isSleeping,
+            vertices: b.vertices.map(v => [v.x, v.y]),
+        })),
+    }));
+}
+
+describe('PhysicsEngine snapshot/restore', () => {
+    let physics;
+
+    // Candle flicker and balloon colour are random — pin them
+    usePhysics(engine => { physics = engine; }, { random: 0.25 });
+
+    it('should restore every body and object state after a run', () => {
+        const board = buildBoard(physics);
+        const initial = fingerprint(physics);
+        physics.takeSnapshot();
+
+        run(physics, 240);
+
+        // The run really did change things
+        expect(board.balloon.isPopped).toBe(true);
+        expect(board.rope.isSevered).toBe(true);
+        expect(board.bucket.caughtCount).toBeGreaterThan(0);
+        expect(board.gear.bodies[0].angle).not.toBe(0);
+        expect(fingerprint(physics)).not.toEqual(initial);
+
+        physics.restoreSnapshot();
+
+        expect(board.balloon.isPopped).toBe(false);
+        expect(board.rope.isSevered).toBe(false);
+        expect(board.bucket.caughtCount).toBe(0);
+        expect(fingerprint(physics)).toEqual(initial);
+    });
+
+    it('should take popped balloons and cut links out of the world and put them back on reset', () => {
+        const board = buildBoard(physics);
+        const balloonBody = board.balloon._body;
+        const constraintCount = physics.world.constraints.length;
+        physics.takeSnapshot();
+
+        run(physics, 240);
+        expect(Composite.allBodies(physics.world)).not.toContain(balloonBody);
+        expect(physics.getObjectForBody(balloonBody)).toBeNull();
+        expect(physics.world.constraints.length).toBe(constraintCount - 1);
+
+        physics.restoreSnapshot();
+        expect(Composite.allBodies(physics.world)).toContain(balloonBody);
+        expect(physics.getObjectForBody(balloonBody)).toBe(board.balloon);
+        expect(physics.world.constraints.length).toBe(constraintCount);
+    });
+
+    it('should play out exactly like a fresh board after reset', () => {
+        buildBoard(physics);
+        physics.takeSnapshot();
+        run(physics, 240);
+        physics.restoreSnapshot();
+        run(physics, 180);
+
+        const fresh = new PhysicsEngine(900, 600);
+        buildBoard(fresh);
+        run(fresh, 180);
+
+        expect(fingerprint(physics)).toEqual(fingerprint(fresh));
+        fresh.dispose();
+    });
+
+    it('should match snapshot entries by object id, not insertion order', () => {
+        const board = buildBoard(physics);
+        physics.takeSnapshot();
+        const before = board.springBall.bodies[0].position.y;
+
+        physics.removeObject(board.popCandle);
+        run(physics, 60);
+        physics.restoreSnapshot();
+
+        expect(board.springBall.bodies[0].position.y).toBe(before);
+        expect(board.balloon.isPopped).toBe(false);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for water — drops poured by a faucet filling a bucket,
+ * putting out a candle and turning a water wheel.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { eventBus } from '../js/EventBus.js';
+import { GameLoop, FIXED_DT } from '../js/engine/GameLoop.js';
+import Bucket from '../js/objects/Bucket.js';
+import Candle from '../js/objects/Candle.js';
+import Faucet from '../js/objects/Faucet.js';
+import WaterWheel from '../js/objects/WaterWheel.js';
+import { usePhysics, run } from './helpers.js';
+
+describe('Water', () => {
+    let physics;
+
+    // Candle flicker is random — pin it
+    usePhysics(engine => { physics = engine; }, { random: 0.25 });
+
+    it('should fill a bucket, which gets heavier as it fills', () => {
+        const faucet = new Faucet(385, 300, { flow: 1, volume: 60 });
+        const bucket = new Bucket(400, 580, { loose: true });
+        for (const obj of [faucet, bucket]) physics.addObject(obj);
+        const filled = vi.fn();
+        eventBus.on('bucket:filled', filled);
+        const dryMass = bucket.bodies[0].mass;
+
+        physics.takeSnapshot();
+        run(physics, 240);
+        expect(faucet.isEmpty).toBe(true);
+        expect(physics.water.count).toBe(60);
+        expect(bucket.waterLevel).toBeGreaterThanOrEqual(bucket.capacity);
+        expect(filled).toHaveBeenCalledWith({ bucket, drops: expect.any(Number) });
+        expect(bucket.bodies[0].mass).toBeCloseTo(dryMass + bucket.waterLevel * 0.02);
+
+        physics.restoreSnapshot();
+        expect(physics.water.count).toBe(0);
+        expect(bucket.waterLevel).toBe(0);
+        expect(bucket.bodies[0].mass).toBeCloseTo(dryMass);
+        expect(faucet.isEmpty).toBe(false);
+    });
+
+    it('should not fail the run as settled while water pours, only once it has pooled', () => {
+        vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+        vi.stubGlobal('cancelAnimationFrame', vi.fn());
+        // Pours for 4 s into a bucket that never moves
+        const faucet = new Faucet(385, 300, { flow: 1, volume: 240 });
+        const bucket = new Bucket(400, 580);
+        for (const obj of [faucet, bucket]) physics.addObject(obj);
+        const loop = new GameLoop(physics, () => { });
+        const failed = vi.fn();
+        eventBus.on('goal:failed', failed);
+
+        loop.setFailureLimits({ settleTime: 3 });
+        loop.play();
+        for (let i = 0; i < 270; i++) loop.advance(FIXED_DT);
+        expect(faucet.isEmpty).toBe(true);
+        expect(failed).not.toHaveBeenCalled();
+
+        // The water in the bucket jostles, but that is not motion
+        for (let i = 0; i < 240 && !loop.isResolved; i++) loop.advance(FIXED_DT);
+        expect(physics.water.count).toBe(240);
+        expect(failed).toHaveBeenCalledWith(expect.objectContaining({ cause: 'settled' }));
+
+        loop.dispose();
+        vi.unstubAllGlobals();
+    });
+
+    it('should put out a candle it pours onto', () => {
+        const candle = new Candle(400, 585);
+        const faucet = new Faucet(385, 450);
+        for (const obj of [candle, faucet]) physics.addObject(obj);
+        const doused = vi.fn();
+        eventBus.on('fire:doused', doused);
+
+        run(physics, 60);
+        expect(candle.isLit).toBe(false);
+        expect(doused).toHaveBeenCalledWith({ object: candle });
+    });
+
+    it('should turn a water wheel while water pours onto one side, then coast to a stop', () => {
+        const wheel = new WaterWheel(400, 400);
+        const faucet = new Faucet(405, 250, { volume: 60 });
+        for (const obj of [wheel, faucet]) physics.addObject(obj);
+
+        run(physics, 90);
+        expect(wheel.driveSource).toBeGreaterThan(0);
+        expect(wheel.driveSpeed).toBeGreaterThan(0);
+        const turned = wheel.bodies[0].angle;
+        expect(turned).toBeGreaterThan(0);
+
+        run(physics, 240);
+        expect(faucet.isEmpty).toBe(true);
+        expect(wheel.driveSource).toBeNull();
+        expect(wheel.driveSpeed).toBe(0);
+    });
+});